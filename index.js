@@ -2,11 +2,28 @@ import indexHtml from "./index.html";
 import { AppDatabase } from "./lib/app-database.js";
 import { logger } from "./lib/logger.js";
 import { requireAuth } from "./lib/middleware/auth.js";
+import { startCleanupSchedule } from "./lib/retention.js";
 import { createAuthRoutes } from "./routes/auth.js";
 import { handleChat } from "./routes/chat.js";
-import { handleQuery } from "./routes/query.js";
-import { handleSchema } from "./routes/schema.js";
-import { handleUpload } from "./routes/upload.js";
+import {
+  handleDeleteUpload,
+  handleListUploads,
+  handleRenameUpload,
+} from "./routes/library.js";
+import {
+  handleQuery,
+  handleQueryCancel,
+  handleQueryExplain,
+  handleQueryExport,
+} from "./routes/query.js";
+import { handleSchema, handleSchemaCount } from "./routes/schema.js";
+import {
+  handleChunkedUploadChunk,
+  handleChunkedUploadComplete,
+  handleChunkedUploadInit,
+  handleChunkedUploadStatus,
+  handleUpload,
+} from "./routes/upload.js";
 
 // App database must be created with 'make setup-db' first
 const appDatabase = new AppDatabase();
@@ -14,6 +31,9 @@ await appDatabase.connect();
 
 global.appDatabase = appDatabase;
 
+// Retention policy for uploads plus pruning of expired auth rows
+startCleanupSchedule(appDatabase);
+
 // Create auth routes and middleware
 const authRoutes = createAuthRoutes(appDatabase);
 const authMiddleware = requireAuth(appDatabase);
@@ -72,12 +92,41 @@ Bun.serve({
     "/api/upload": {
       POST: withAuth(handleUpload),
     },
+    "/api/upload/chunked": {
+      POST: withAuth(handleChunkedUploadInit),
+    },
+    "/api/upload/chunked/:id": {
+      GET: withAuth(handleChunkedUploadStatus),
+      PUT: withAuth(handleChunkedUploadChunk),
+    },
+    "/api/upload/chunked/:id/complete": {
+      POST: withAuth(handleChunkedUploadComplete),
+    },
+    "/api/uploads": {
+      GET: withAuth(handleListUploads),
+    },
+    "/api/uploads/:filename": {
+      PATCH: withAuth(handleRenameUpload),
+      DELETE: withAuth(handleDeleteUpload),
+    },
     "/api/schema": {
       GET: withAuth(handleSchema),
     },
+    "/api/schema/count": {
+      GET: withAuth(handleSchemaCount),
+    },
     "/api/query": {
       POST: withAuth(handleQuery),
     },
+    "/api/query/explain": {
+      POST: withAuth(handleQueryExplain),
+    },
+    "/api/query/export": {
+      POST: withAuth(handleQueryExport),
+    },
+    "/api/query/cancel": {
+      POST: withAuth(handleQueryCancel),
+    },
     "/api/chat": {
       POST: withAuth(handleChat),
     },
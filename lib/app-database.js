@@ -4,6 +4,7 @@ import { dirname, join } from "node:path";
 import { fileURLToPath } from "node:url";
 import { createAuthTokenRepository } from "./database/auth-tokens.js";
 import { createSessionRepository } from "./database/sessions.js";
+import { createUploadRepository } from "./database/uploads.js";
 import { createUserRepository } from "./database/users.js";
 
 import { logger } from "./logger.js";
@@ -16,6 +17,7 @@ export class AppDatabase {
     this.users = null;
     this.sessions = null;
     this.authTokens = null;
+    this.uploads = null;
   }
 
   async connect() {
@@ -29,6 +31,9 @@ export class AppDatabase {
         );
       }
 
+      // Pick up tables added to the schema since the database was set up
+      await this.runSchema();
+
       return this.db;
     } catch (error) {
       logger.error("❌ Failed to connect to app database:", error);
@@ -40,10 +45,6 @@ export class AppDatabase {
     try {
       this._connectToDatabase();
 
-      const needsInit = await this.needsInitialization();
-
-      if (!needsInit) return this.db;
-
       await this.runSchema();
 
       return this.db;
@@ -67,6 +68,7 @@ export class AppDatabase {
     this.users = createUserRepository(this.db);
     this.sessions = createSessionRepository(this.db);
     this.authTokens = createAuthTokenRepository(this.db);
+    this.uploads = createUploadRepository(this.db);
   }
 
   async needsInitialization() {
@@ -90,13 +92,59 @@ export class AppDatabase {
       const schemaPath = join(__dirname, "schemas", "app-database.sql");
       const schemaSql = readFileSync(schemaPath, "utf8");
 
-      this.db.exec(schemaSql);
+      // Migrations and the schema apply together or not at all
+      this.db.transaction(() => {
+        this._addUploadLabelColumn();
+
+        const migrateUploads = this._hasUniqueUploadFilenames();
+        if (migrateUploads) {
+          // Set the old table aside; the schema below recreates it
+          this.db.exec("DROP INDEX IF EXISTS idx_uploads_user_id");
+          this.db.exec("ALTER TABLE uploads RENAME TO uploads_previous");
+        }
+
+        this.db.exec(schemaSql);
+
+        if (migrateUploads) {
+          this.db.exec(`
+            INSERT INTO uploads (id, filename, user_id, original_filename, label, size, created_at)
+            SELECT id, filename, user_id, original_filename, label, size, created_at
+            FROM uploads_previous
+          `);
+          this.db.exec("DROP TABLE uploads_previous");
+        }
+      })();
     } catch (error) {
       logger.error("❌ Failed to apply database schema:", error);
       throw error;
     }
   }
 
+  // Uploads tables made before uploads could be renamed have no label
+  // column, which CREATE TABLE IF NOT EXISTS never adds
+  _addUploadLabelColumn() {
+    const columns = this.db.prepare("PRAGMA table_info(uploads)").all();
+    if (
+      columns.length > 0 &&
+      !columns.some((column) => column.name === "label")
+    ) {
+      this.db.exec("ALTER TABLE uploads ADD COLUMN label TEXT");
+    }
+  }
+
+  // Before content-hash storage each filename belonged to exactly one user,
+  // enforced by a UNIQUE constraint on filename alone
+  _hasUniqueUploadFilenames() {
+    const indexes = this.db.prepare("PRAGMA index_list(uploads)").all();
+    return indexes.some((index) => {
+      if (!index.unique || index.origin !== "u") return false;
+      const columns = this.db
+        .prepare(`PRAGMA index_info("${index.name}")`)
+        .all();
+      return columns.length === 1 && columns[0].name === "filename";
+    });
+  }
+
   async disconnect() {
     if (!this.db) return;
 
@@ -105,6 +153,7 @@ export class AppDatabase {
     this.users = null;
     this.sessions = null;
     this.authTokens = null;
+    this.uploads = null;
   }
 
   async healthCheck() {
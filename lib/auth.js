@@ -156,11 +156,19 @@ export class AuthManager {
 
   async cleanupExpired() {
     try {
-      // Note: Sessions are automatically filtered by expiration in queries
-      // This method could be extended to actually delete expired records for maintenance
+      // Expired rows are already ignored by lookups; this just reclaims space
+      const sessionsRemoved = await this.db.sessions.deleteExpired();
+      const tokensRemoved = await this.db.authTokens.deleteUsedOrExpired();
 
-      logger.debug("🧹 Cleanup expired tokens and sessions (placeholder)");
-      return { success: true, message: "Cleanup completed" };
+      logger.debug(
+        `🧹 Removed ${sessionsRemoved} expired sessions and ${tokensRemoved} used or expired auth tokens`,
+      );
+      return {
+        success: true,
+        message: "Cleanup completed",
+        sessionsRemoved,
+        tokensRemoved,
+      };
     } catch (error) {
       logger.error("❌ Failed to cleanup expired items:", error);
       throw error;
@@ -0,0 +1,268 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, open, readFile, readdir, stat, unlink } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
+import { UPLOAD_CHUNK_SIZE } from "./constants.js";
+
+// Partial uploads live next to finished ones so a final rename never copies
+const CHUNKED_UPLOADS_DIR = "./uploads/.chunked";
+const UPLOAD_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const CHECKSUM_PATTERN = /^[0-9a-f]{64}$/;
+
+// Uploads currently receiving a chunk or being completed, so two requests
+// can't work on the same upload at once
+const activeWrites = new Set();
+
+function getPaths(uploadId) {
+  return {
+    dataPath: join(CHUNKED_UPLOADS_DIR, `${uploadId}.part`),
+    metaPath: join(CHUNKED_UPLOADS_DIR, `${uploadId}.json`),
+  };
+}
+
+async function getReceivedBytes(dataPath) {
+  try {
+    return (await stat(dataPath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Start a chunked upload
+ * @param {object} details
+ * @param {string} details.filename - Original filename
+ * @param {number} details.size - Total size in bytes
+ * @param {string} details.checksum - SHA-256 of the whole file, hex encoded
+ * @param {number|null} details.userId - Uploading user
+ * @returns {Promise<object>} { success: true, upload } or { success: false, error }
+ */
+export async function createChunkedUpload({
+  filename,
+  size,
+  checksum,
+  userId,
+}) {
+  if (typeof filename !== "string" || !filename.trim()) {
+    return { success: false, error: "Filename is required" };
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    return { success: false, error: "File size must be a positive integer" };
+  }
+  if (
+    typeof checksum !== "string" ||
+    !CHECKSUM_PATTERN.test(checksum.toLowerCase())
+  ) {
+    return { success: false, error: "Checksum must be a SHA-256 hex digest" };
+  }
+
+  const upload = {
+    id: randomUUID(),
+    filename: filename.trim(),
+    size,
+    checksum: checksum.toLowerCase(),
+    userId: userId ?? null,
+    createdAt: new Date().toISOString(),
+  };
+  const { dataPath, metaPath } = getPaths(upload.id);
+
+  await mkdir(CHUNKED_UPLOADS_DIR, { recursive: true });
+  await Bun.write(dataPath, "");
+  await Bun.write(metaPath, JSON.stringify(upload));
+
+  return { success: true, upload: { ...upload, receivedBytes: 0 } };
+}
+
+/**
+ * Look up a chunked upload, including how many bytes have arrived so far
+ * @param {string} uploadId - Upload id from createChunkedUpload
+ * @param {number|null} userId - Requesting user; other users' uploads aren't found
+ * @returns {Promise<object|null>} Upload details or null
+ */
+export async function getChunkedUpload(uploadId, userId) {
+  if (!UPLOAD_ID_PATTERN.test(String(uploadId))) {
+    return null;
+  }
+
+  const { dataPath, metaPath } = getPaths(uploadId);
+  let upload;
+  try {
+    upload = JSON.parse(await readFile(metaPath, "utf8"));
+  } catch {
+    return null;
+  }
+
+  if (upload.userId !== (userId ?? null)) {
+    return null;
+  }
+
+  return {
+    ...upload,
+    dataPath,
+    receivedBytes: await getReceivedBytes(dataPath),
+  };
+}
+
+/**
+ * Append a chunk to an upload
+ * Chunks must arrive in order; `offset` has to match the bytes received so
+ * far, which lets a client resume by asking for the current offset.
+ * @param {object} upload - Upload from getChunkedUpload
+ * @param {number} offset - Position of this chunk in the file
+ * @param {Uint8Array} chunk - Chunk contents
+ * @returns {Promise<object>} { success: true, receivedBytes } or { success: false, error, status, receivedBytes }
+ */
+export async function appendChunk(upload, offset, chunk) {
+  if (activeWrites.has(upload.id)) {
+    return {
+      success: false,
+      status: 409,
+      error: "Upload is busy with another request",
+      receivedBytes: upload.receivedBytes,
+    };
+  }
+
+  activeWrites.add(upload.id);
+  try {
+    const receivedBytes = await getReceivedBytes(upload.dataPath);
+
+    if (offset !== receivedBytes) {
+      return {
+        success: false,
+        status: 409,
+        error: "Chunk offset doesn't match the bytes received",
+        receivedBytes,
+      };
+    }
+    if (chunk.byteLength === 0 || chunk.byteLength > UPLOAD_CHUNK_SIZE) {
+      return {
+        success: false,
+        status: 400,
+        error: `Chunks must be between 1 byte and ${UPLOAD_CHUNK_SIZE} bytes`,
+        receivedBytes,
+      };
+    }
+    if (receivedBytes + chunk.byteLength > upload.size) {
+      return {
+        success: false,
+        status: 400,
+        error: "Chunk goes past the end of the file",
+        receivedBytes,
+      };
+    }
+
+    const handle = await open(upload.dataPath, "a");
+    try {
+      await handle.write(chunk);
+    } finally {
+      await handle.close();
+    }
+
+    return { success: true, receivedBytes: receivedBytes + chunk.byteLength };
+  } finally {
+    activeWrites.delete(upload.id);
+  }
+}
+
+/**
+ * Reserve an upload for completing it, so no chunk can be appended and no
+ * other request can complete it meanwhile
+ * @param {string} uploadId - Upload id
+ * @returns {boolean} False when another request is using the upload
+ */
+export function claimChunkedUpload(uploadId) {
+  if (activeWrites.has(uploadId)) {
+    return false;
+  }
+  activeWrites.add(uploadId);
+  return true;
+}
+
+/**
+ * Give up an upload reserved with claimChunkedUpload
+ * @param {string} uploadId - Upload id
+ */
+export function releaseChunkedUpload(uploadId) {
+  activeWrites.delete(uploadId);
+}
+
+/**
+ * Check that every byte has arrived and the file matches its checksum
+ * @param {object} upload - Upload from getChunkedUpload
+ * @returns {Promise<object>} { success: true } or { success: false, error }
+ */
+export async function verifyChunkedUpload(upload) {
+  if (upload.receivedBytes !== upload.size) {
+    return {
+      success: false,
+      error: `Upload is incomplete: received ${upload.receivedBytes} of ${upload.size} bytes`,
+    };
+  }
+
+  const hasher = new Bun.CryptoHasher("sha256");
+  for await (const chunk of Bun.file(upload.dataPath).stream()) {
+    hasher.update(chunk);
+  }
+
+  if (hasher.digest("hex") !== upload.checksum) {
+    return {
+      success: false,
+      error: "Checksum mismatch: the uploaded file is corrupt",
+    };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Remove an upload's temporary files
+ * @param {string} uploadId - Upload id
+ */
+export async function removeChunkedUpload(uploadId) {
+  const { dataPath, metaPath } = getPaths(uploadId);
+  await unlink(dataPath).catch(() => {});
+  await unlink(metaPath).catch(() => {});
+}
+
+// Every chunk appended touches the .part file, so its mtime is the upload's
+// last activity; the metadata's mtime stands in if the .part file is gone
+async function getLastActivity(uploadId) {
+  const { dataPath, metaPath } = getPaths(uploadId);
+  const stats = await stat(dataPath).catch(() => stat(metaPath));
+  return stats.mtimeMs;
+}
+
+/**
+ * Remove chunked uploads that were started but never completed
+ * @param {number} maxAgeMs - Uploads that haven't received a chunk for
+ *   longer than this are removed
+ * @returns {Promise<string[]>} Ids of the removed uploads
+ */
+export async function removeStaleChunkedUploads(maxAgeMs) {
+  let entries;
+  try {
+    entries = await readdir(CHUNKED_UPLOADS_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const uploadIds = new Set(
+    entries
+      .map((entry) => basename(entry, extname(entry)))
+      .filter((id) => UPLOAD_ID_PATTERN.test(id)),
+  );
+  const cutoff = Date.now() - maxAgeMs;
+  const removed = [];
+
+  for (const uploadId of uploadIds) {
+    if (activeWrites.has(uploadId)) continue;
+
+    const lastActivity = await getLastActivity(uploadId).catch(() => null);
+    if (lastActivity !== null && lastActivity < cutoff) {
+      await removeChunkedUpload(uploadId);
+      removed.push(uploadId);
+    }
+  }
+
+  return removed;
+}
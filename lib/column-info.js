@@ -0,0 +1,40 @@
+/**
+ * Column affinity SQLite gives a declared column type
+ * See https://www.sqlite.org/datatype3.html#determination_of_column_affinity
+ * @param {string|null} declaredType - Type from the table definition, e.g. "VARCHAR(20)"
+ * @returns {string|null} INTEGER, TEXT, BLOB, REAL or NUMERIC; null for
+ *   expressions, which have no declared type
+ */
+export function getColumnAffinity(declaredType) {
+  if (declaredType === null || declaredType === undefined) {
+    return null;
+  }
+
+  const type = declaredType.toUpperCase();
+  if (type.includes("INT")) return "INTEGER";
+  if (type.includes("CHAR") || type.includes("CLOB") || type.includes("TEXT")) {
+    return "TEXT";
+  }
+  if (type.includes("BLOB") || type === "") return "BLOB";
+  if (type.includes("REAL") || type.includes("FLOA") || type.includes("DOUB")) {
+    return "REAL";
+  }
+  return "NUMERIC";
+}
+
+/**
+ * Describe the result columns of a statement
+ * Comes from the statement rather than the rows, so it works for queries
+ * that return no rows. Declared types are only known once the statement has
+ * run.
+ * @param {Statement} statement - Prepared statement that has been executed
+ * @returns {Array<{name, declaredType, affinity}>}
+ */
+export function getColumnInfo(statement) {
+  const declaredTypes = statement.declaredTypes;
+  return statement.columnNames.map((name, index) => ({
+    name,
+    declaredType: declaredTypes[index] ?? null,
+    affinity: getColumnAffinity(declaredTypes[index]),
+  }));
+}
@@ -0,0 +1,118 @@
+import { Database } from "bun:sqlite";
+
+const DEFAULT_MAX_OPEN = 8;
+const DEFAULT_IDLE_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Create a pool of read-only SQLite connections keyed by file
+ * Keeping a connection open keeps SQLite's page cache and parsed schema warm
+ * between requests. Connections nobody has borrowed for idleMs are closed,
+ * and past maxOpen the least recently used idle ones are closed first; a
+ * connection that is still borrowed is never closed under its borrower.
+ * @param {object} options
+ * @param {number} options.maxOpen - Open connections to keep at most
+ * @param {number} options.idleMs - Close connections unused for this long
+ * @returns {object} Pool with acquire, close, closeAll and size
+ */
+export function createConnectionPool(options = {}) {
+  const maxOpen = options.maxOpen ?? DEFAULT_MAX_OPEN;
+  const idleMs = options.idleMs ?? DEFAULT_IDLE_MS;
+  // Map iteration follows insertion order; entries are re-inserted when
+  // borrowed, so the first one is the least recently used
+  const connections = new Map();
+
+  const closeEntry = (entry) => {
+    clearTimeout(entry.idleTimer);
+    if (connections.get(entry.filePath) === entry) {
+      connections.delete(entry.filePath);
+    }
+    entry.db.close();
+  };
+
+  const trim = () => {
+    for (const entry of [...connections.values()]) {
+      if (connections.size <= maxOpen) break;
+      if (entry.borrowers === 0) closeEntry(entry);
+    }
+  };
+
+  const release = (entry) => {
+    entry.borrowers--;
+    if (entry.borrowers > 0) return;
+
+    if (entry.retired) {
+      entry.db.close();
+      return;
+    }
+    entry.idleTimer = setTimeout(() => closeEntry(entry), idleMs);
+    entry.idleTimer.unref?.();
+    trim();
+  };
+
+  return {
+    /**
+     * Borrow the connection for a file, opening it if needed
+     * @param {string} filePath - Database file
+     * @returns {object} { db, release } - call release() once done; the
+     *   connection stays open for the next borrower
+     */
+    acquire(filePath) {
+      let entry = connections.get(filePath);
+      if (entry) {
+        connections.delete(filePath);
+        clearTimeout(entry.idleTimer);
+      } else {
+        entry = {
+          filePath,
+          db: new Database(filePath, { readonly: true }),
+          borrowers: 0,
+          idleTimer: null,
+          retired: false,
+        };
+      }
+      entry.borrowers++;
+      connections.set(filePath, entry);
+      trim();
+
+      let released = false;
+      return {
+        db: entry.db,
+        release: () => {
+          if (released) return;
+          released = true;
+          release(entry);
+        },
+      };
+    },
+
+    /**
+     * Close the connection for a file, e.g. once the file is deleted
+     * A borrowed connection is closed when its last borrower releases it.
+     * @param {string} filePath - Database file
+     */
+    close(filePath) {
+      const entry = connections.get(filePath);
+      if (!entry) return;
+
+      connections.delete(filePath);
+      if (entry.borrowers === 0) {
+        closeEntry(entry);
+      } else {
+        entry.retired = true;
+      }
+    },
+
+    closeAll() {
+      for (const filePath of [...connections.keys()]) {
+        this.close(filePath);
+      }
+    },
+
+    get size() {
+      return connections.size;
+    },
+  };
+}
+
+// Shared by every DatabaseManager in this process
+export const connectionPool = createConnectionPool();
@@ -1,2 +1,4 @@
 // Shared constants used across server and client
 export const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+export const MAX_DECOMPRESSED_SIZE = 1024 * 1024 * 1024; // 1GB, for .gz/.zip uploads
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB per request for chunked uploads
@@ -1,51 +1,106 @@
-import { Database } from "bun:sqlite";
-import { join } from "node:path";
+import { basename, join } from "node:path";
+import { connectionPool } from "./connection-pool.js";
+import {
+  countTableRows,
+  readRowEstimates,
+  rowCountCache,
+} from "./row-counts.js";
+import { describeReadQuery, isSelectQuery } from "./sqlValidator.js";
+
+function quoteIdentifier(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
 
 export class DatabaseManager {
-  constructor(filePath) {
+  constructor(filePath, pool = connectionPool) {
     this.filePath = filePath;
+    this.pool = pool;
     this.db = null;
+    this.lease = null;
   }
 
+  // Connections are borrowed from the pool and stay open after disconnect()
+  // so the next request for the same file finds SQLite's cache warm
   async connect() {
     if (!this.db) {
-      this.db = new Database(this.filePath, { readonly: true });
+      this.lease = this.pool.acquire(this.filePath);
+      this.db = this.lease.db;
     }
     return this.db;
   }
 
   async disconnect() {
     if (this.db) {
-      this.db.close();
+      this.lease.release();
+      this.lease = null;
       this.db = null;
     }
   }
 
+  /**
+   * Describe the tables and views of the database
+   * Keyed by name. Tables aren't counted here, which takes seconds on large
+   * files: rowCount is an exact count from an earlier countRows or count
+   * request, else the estimate ANALYZE stored (rowCountApproximate), else
+   * null. Views never get one, since counting them runs their query.
+   * Virtual tables whose module SQLite doesn't have can't be read, so they
+   * are listed without columns.
+   * @returns {Promise<object>} name -> { type, columns, rowCount,
+   *   rowCountApproximate, withoutRowid, virtual, foreignKeys, indexes,
+   *   triggers } where type is "table" or "view"
+   */
   async getSchema() {
     await this.connect();
 
-    // Get all tables
-    const tablesQuery = this.db.prepare(
-      "SELECT name FROM sqlite_master WHERE type='table' AND name != 'sqlite_sequence'",
+    // Internal sqlite_* tables and the shadow tables that back virtual
+    // tables (e.g. an FTS index) aren't part of the user's schema
+    const objects = this.db
+      .prepare(
+        "SELECT name, type FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' ORDER BY rowid",
+      )
+      .all();
+    const tableList = new Map(
+      this.db
+        .prepare("PRAGMA main.table_list")
+        .all()
+        .map((entry) => [entry.name, entry]),
     );
-    const tables = tablesQuery.all();
-
-    const schema = {};
+    const triggers = this.db
+      .prepare(
+        "SELECT name, tbl_name FROM sqlite_master WHERE type = 'trigger' ORDER BY rowid",
+      )
+      .all();
 
-    for (const table of tables) {
-      // Get columns for each table (properly quote table names)
-      const columnsQuery = this.db.prepare(
-        `PRAGMA table_info("${table.name}")`,
-      );
-      const columns = columnsQuery.all();
+    const estimates = readRowEstimates(this.db);
+    const filename = basename(this.filePath);
 
-      // Get sample data count (properly quote table names)
-      const countQuery = this.db.prepare(
-        `SELECT COUNT(*) as count FROM "${table.name}"`,
-      );
-      const { count } = countQuery.get();
+    const schema = {};
 
-      schema[table.name] = {
+    for (const object of objects) {
+      const entry = tableList.get(object.name);
+      if (entry?.type === "shadow") continue;
+
+      const name = quoteIdentifier(object.name);
+      const virtual = entry?.type === "virtual";
+      let columns = [];
+      try {
+        columns = this.db.prepare(`PRAGMA table_info(${name})`).all();
+      } catch (error) {
+        if (!virtual) throw error;
+      }
+
+      let rowCount = null;
+      let rowCountApproximate = false;
+      if (object.type === "table") {
+        rowCount = rowCountCache.get(filename, object.name);
+        if (rowCount === null && estimates.has(object.name)) {
+          rowCount = estimates.get(object.name);
+          rowCountApproximate = true;
+        }
+      }
+
+      schema[object.name] = {
+        type: object.type,
         columns: columns.map((col) => ({
           name: col.name,
           type: col.type,
@@ -53,24 +108,116 @@ export class DatabaseManager {
           primaryKey: !!col.pk,
           defaultValue: col.dflt_value,
         })),
-        rowCount: count,
+        rowCount,
+        rowCountApproximate,
+        withoutRowid: entry?.wr === 1,
+        virtual,
+        foreignKeys:
+          object.type === "table" ? this.getForeignKeys(object.name) : [],
+        indexes: object.type === "table" ? this.getIndexes(object.name) : [],
+        triggers: triggers
+          .filter((trigger) => trigger.tbl_name === object.name)
+          .map((trigger) => trigger.name),
       };
     }
 
     return schema;
   }
 
+  /**
+   * Count the rows of a table exactly, remembering the count for the file
+   * @param {string} table - Table or view name
+   * @returns {Promise<number>}
+   */
+  async countRows(table) {
+    await this.connect();
+
+    const filename = basename(this.filePath);
+    const cached = rowCountCache.get(filename, table);
+    if (cached !== null) {
+      return cached;
+    }
+    const count = countTableRows(this.db, table);
+    rowCountCache.set(filename, table, count);
+    return count;
+  }
+
+  /**
+   * Foreign keys of a table, one entry per constraint
+   * A constraint that names no columns on the other side refers to that
+   * table's primary key, whose columns are filled in.
+   * @returns {Array<{table, from, to, onUpdate, onDelete}>} from and to are
+   *   matching lists of column names
+   */
+  getForeignKeys(table) {
+    const constraints = new Map();
+    for (const row of this.db
+      .prepare(`PRAGMA foreign_key_list(${quoteIdentifier(table)})`)
+      .all()) {
+      if (!constraints.has(row.id)) {
+        constraints.set(row.id, {
+          table: row.table,
+          from: [],
+          to: [],
+          onUpdate: row.on_update,
+          onDelete: row.on_delete,
+        });
+      }
+      const constraint = constraints.get(row.id);
+      constraint.from[row.seq] = row.from;
+      constraint.to[row.seq] = row.to;
+    }
+
+    return [...constraints.values()].map((constraint) => {
+      if (constraint.to.every((column) => column !== null)) {
+        return constraint;
+      }
+      const primaryKey = this.db
+        .prepare(`PRAGMA table_info(${quoteIdentifier(constraint.table)})`)
+        .all()
+        .filter((col) => col.pk > 0)
+        .sort((a, b) => a.pk - b.pk)
+        .map((col) => col.name);
+      return {
+        ...constraint,
+        to: primaryKey.length > 0 ? primaryKey : constraint.to,
+      };
+    });
+  }
+
+  /**
+   * Indexes of a table, including the ones behind UNIQUE and PRIMARY KEY
+   * constraints (origin "u" and "pk"; "c" is CREATE INDEX)
+   * @returns {Array<{name, unique, origin, partial, columns}>} columns holds
+   *   null for an indexed expression
+   */
+  getIndexes(table) {
+    return this.db
+      .prepare(`PRAGMA index_list(${quoteIdentifier(table)})`)
+      .all()
+      .map((index) => ({
+        name: index.name,
+        unique: index.unique === 1,
+        origin: index.origin,
+        partial: index.partial === 1,
+        columns: this.db
+          .prepare(`PRAGMA index_info(${quoteIdentifier(index.name)})`)
+          .all()
+          .map((col) => col.name),
+      }))
+      .reverse(); // index_list puts the newest index first
+  }
+
   async executeQuery(sql, params = []) {
     await this.connect();
 
-    // Basic validation - only allow SELECT statements
-    const trimmedSql = sql.trim().toLowerCase();
-    if (!trimmedSql.startsWith("select")) {
+    // Only allow read-only statements (SELECT, WITH ... SELECT, VALUES)
+    if (!isSelectQuery(sql)) {
       throw new Error("Only SELECT queries are allowed");
     }
 
     try {
-      const query = this.db.prepare(sql);
+      const query = this.db.prepare(describeReadQuery(sql).sql);
       const results = query.all(...params);
       return results;
     } catch (error) {
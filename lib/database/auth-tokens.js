@@ -53,5 +53,19 @@ export function createAuthTokenRepository(db) {
         throw error;
       }
     },
+
+    async deleteUsedOrExpired() {
+      try {
+        const stmt = db.prepare(`
+          DELETE FROM auth_tokens
+          WHERE used_at IS NOT NULL OR datetime(expires_at) <= datetime('now')
+        `);
+
+        return stmt.run().changes;
+      } catch (error) {
+        logger.error("❌ Failed to delete used or expired auth tokens:", error);
+        throw error;
+      }
+    },
   };
 }
@@ -52,5 +52,19 @@ export function createSessionRepository(db) {
         throw error;
       }
     },
+
+    async deleteExpired() {
+      try {
+        const stmt = db.prepare(`
+          DELETE FROM sessions
+          WHERE datetime(expires_at) <= datetime('now')
+        `);
+
+        return stmt.run().changes;
+      } catch (error) {
+        logger.error("❌ Failed to delete expired sessions:", error);
+        throw error;
+      }
+    },
   };
 }
@@ -0,0 +1,143 @@
+import { logger } from "../logger.js";
+export function createUploadRepository(db) {
+  return {
+    async create({ filename, userId, originalFilename, size }) {
+      try {
+        const stmt = db.prepare(`
+          INSERT INTO uploads (filename, user_id, original_filename, size)
+          VALUES (?, ?, ?, ?)
+          RETURNING id, filename, user_id, original_filename, label, size, created_at
+        `);
+
+        return stmt.get(filename, userId, originalFilename, size);
+      } catch (error) {
+        logger.error("❌ Failed to record upload:", error);
+        throw error;
+      }
+    },
+
+    async getByFilename(filename) {
+      try {
+        const stmt = db.prepare(`
+          SELECT id, filename, user_id, original_filename, label, size, created_at
+          FROM uploads
+          WHERE filename = ?
+        `);
+
+        return stmt.get(filename);
+      } catch (error) {
+        logger.error("❌ Failed to get upload:", error);
+        throw error;
+      }
+    },
+
+    async getOwnedByUser(filename, userId) {
+      try {
+        const stmt = db.prepare(`
+          SELECT id, filename, user_id, original_filename, label, size, created_at
+          FROM uploads
+          WHERE filename = ? AND user_id = ?
+        `);
+
+        return stmt.get(filename, userId);
+      } catch (error) {
+        logger.error("❌ Failed to get upload for user:", error);
+        throw error;
+      }
+    },
+
+    async listByUser(userId) {
+      try {
+        const stmt = db.prepare(`
+          SELECT id, filename, user_id, original_filename, label, size, created_at
+          FROM uploads
+          WHERE user_id = ?
+          ORDER BY created_at DESC, id DESC
+        `);
+
+        return stmt.all(userId);
+      } catch (error) {
+        logger.error("❌ Failed to list uploads:", error);
+        throw error;
+      }
+    },
+
+    async updateLabel(filename, userId, label) {
+      try {
+        const stmt = db.prepare(`
+          UPDATE uploads
+          SET label = ?
+          WHERE filename = ? AND user_id = ?
+          RETURNING id, filename, user_id, original_filename, label, size, created_at
+        `);
+
+        return stmt.get(label, filename, userId);
+      } catch (error) {
+        logger.error("❌ Failed to rename upload:", error);
+        throw error;
+      }
+    },
+
+    async delete(filename, userId) {
+      try {
+        const stmt = db.prepare(`
+          DELETE FROM uploads
+          WHERE filename = ? AND user_id = ?
+        `);
+
+        const result = stmt.run(filename, userId);
+        return result.changes > 0;
+      } catch (error) {
+        logger.error("❌ Failed to delete upload:", error);
+        throw error;
+      }
+    },
+
+    async listCreatedBefore(cutoff) {
+      try {
+        const stmt = db.prepare(`
+          SELECT id, filename, user_id, original_filename, label, size, created_at
+          FROM uploads
+          WHERE datetime(created_at) < datetime(?)
+          ORDER BY created_at ASC, id ASC
+        `);
+
+        return stmt.all(cutoff);
+      } catch (error) {
+        logger.error("❌ Failed to list old uploads:", error);
+        throw error;
+      }
+    },
+
+    async listUsersOverQuota(quotaBytes) {
+      try {
+        const stmt = db.prepare(`
+          SELECT user_id, SUM(size) AS total_size
+          FROM uploads
+          GROUP BY user_id
+          HAVING SUM(size) > ?
+        `);
+
+        return stmt.all(quotaBytes);
+      } catch (error) {
+        logger.error("❌ Failed to list users over quota:", error);
+        throw error;
+      }
+    },
+
+    async countByFilename(filename) {
+      try {
+        const stmt = db.prepare(`
+          SELECT COUNT(*) AS count
+          FROM uploads
+          WHERE filename = ?
+        `);
+
+        return stmt.get(filename).count;
+      } catch (error) {
+        logger.error("❌ Failed to count upload references:", error);
+        throw error;
+      }
+    },
+  };
+}
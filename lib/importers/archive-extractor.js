@@ -0,0 +1,231 @@
+import { createWriteStream } from "node:fs";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { createGunzip, createInflateRaw } from "node:zlib";
+
+// ZIP record signatures and sizes (see PKWARE APPNOTE.TXT)
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const LOCAL_HEADER_SIZE = 30;
+const ZIP64_MARKER = 0xffffffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x1;
+
+/**
+ * Check whether a filename is a gzip or zip archive
+ * @param {string} filename - Original upload filename
+ * @returns {boolean}
+ */
+export function isCompressedFile(filename) {
+  return /\.(gz|zip)$/i.test(String(filename || ""));
+}
+
+/**
+ * Name of the file inside a gzip archive (app.db.gz -> app.db)
+ * @param {string} filename - Archive filename
+ * @returns {string}
+ */
+export function getGzipInnerName(filename) {
+  return filename.replace(/\.gz$/i, "");
+}
+
+function formatSize(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+// Counts bytes flowing through and aborts once the budget is used up
+function createSizeLimiter(budget) {
+  let written = 0;
+  const limiter = new Transform({
+    transform(chunk, _encoding, callback) {
+      written += chunk.length;
+      if (written > budget.remaining) {
+        callback(
+          new Error(
+            `Decompressed file exceeds the ${formatSize(budget.limit)} limit`,
+          ),
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  limiter.on("finish", () => {
+    budget.remaining -= written;
+  });
+  return { limiter, written: () => written };
+}
+
+/**
+ * Create a decompressed-size budget, shared by every file extracted from one upload
+ * @param {number} maxSize - Largest total decompressed size allowed, in bytes
+ * @returns {object} Budget to pass to extractGzip/extractZipEntry
+ */
+export function createSizeBudget(maxSize) {
+  return { limit: maxSize, remaining: maxSize };
+}
+
+async function decompressTo(blob, decompressor, outputPath, budget) {
+  const { limiter, written } = createSizeLimiter(budget);
+  const stages = [Readable.fromWeb(blob.stream())];
+  if (decompressor) stages.push(decompressor);
+  stages.push(limiter, createWriteStream(outputPath));
+
+  await pipeline(stages);
+  return written();
+}
+
+/**
+ * Decompress a gzip upload to disk
+ * @param {Blob} file - Uploaded .gz file
+ * @param {string} outputPath - Where to write the decompressed data
+ * @param {object} budget - Size budget from createSizeBudget
+ * @returns {Promise<number>} Decompressed size in bytes
+ */
+export async function extractGzip(file, outputPath, budget) {
+  try {
+    return await decompressTo(file, createGunzip(), outputPath, budget);
+  } catch (error) {
+    if (error.code?.startsWith("Z_")) {
+      throw new Error("File is not a valid gzip archive");
+    }
+    throw error;
+  }
+}
+
+async function readBytes(blob, start, end) {
+  return Buffer.from(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * List the files in a zip upload by reading its central directory
+ * Only the directory is read; entry contents stay compressed until extracted.
+ * @param {Blob} file - Uploaded .zip file
+ * @returns {Promise<Array<{name, method, encrypted, compressedSize, size, localHeaderOffset}>>}
+ */
+export async function listZipEntries(file) {
+  const tailStart = Math.max(0, file.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readBytes(file, tailStart, file.size);
+
+  let eocd = -1;
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error("File is not a valid zip archive");
+  }
+
+  const entryCount = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (directoryOffset === ZIP64_MARKER || directorySize === ZIP64_MARKER) {
+    throw new Error("ZIP64 archives are not supported");
+  }
+
+  const directory = await readBytes(
+    file,
+    directoryOffset,
+    directoryOffset + directorySize,
+  );
+  const entries = [];
+  let offset = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (
+      offset + CENTRAL_HEADER_SIZE > directory.length ||
+      directory.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error("File is not a valid zip archive");
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const method = directory.readUInt16LE(offset + 10);
+    const compressedSize = directory.readUInt32LE(offset + 20);
+    const size = directory.readUInt32LE(offset + 24);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const localHeaderOffset = directory.readUInt32LE(offset + 42);
+    const name = directory.toString(
+      "utf8",
+      offset + CENTRAL_HEADER_SIZE,
+      offset + CENTRAL_HEADER_SIZE + nameLength,
+    );
+
+    if (compressedSize === ZIP64_MARKER || size === ZIP64_MARKER) {
+      throw new Error("ZIP64 archives are not supported");
+    }
+
+    entries.push({
+      name,
+      method,
+      encrypted: Boolean(flags & FLAG_ENCRYPTED),
+      compressedSize,
+      size,
+      localHeaderOffset,
+    });
+    offset += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decompress one zip entry to disk
+ * The size recorded in the archive is not trusted; the limit is enforced on
+ * the bytes actually produced.
+ * @param {Blob} file - Uploaded .zip file
+ * @param {object} entry - Entry from listZipEntries
+ * @param {string} outputPath - Where to write the decompressed data
+ * @param {object} budget - Size budget from createSizeBudget
+ * @returns {Promise<number>} Decompressed size in bytes
+ */
+export async function extractZipEntry(file, entry, outputPath, budget) {
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`${entry.name} uses an unsupported compression method`);
+  }
+
+  const header = await readBytes(
+    file,
+    entry.localHeaderOffset,
+    entry.localHeaderOffset + LOCAL_HEADER_SIZE,
+  );
+  if (
+    header.length < LOCAL_HEADER_SIZE ||
+    header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE
+  ) {
+    throw new Error("File is not a valid zip archive");
+  }
+
+  const dataStart =
+    entry.localHeaderOffset +
+    LOCAL_HEADER_SIZE +
+    header.readUInt16LE(26) +
+    header.readUInt16LE(28);
+  const data = file.slice(dataStart, dataStart + entry.compressedSize);
+
+  try {
+    return await decompressTo(
+      data,
+      entry.method === METHOD_DEFLATE ? createInflateRaw() : null,
+      outputPath,
+      budget,
+    );
+  } catch (error) {
+    if (error.code?.startsWith("Z_")) {
+      throw new Error(`${entry.name} is corrupt`);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,148 @@
+import {
+  inferColumnType,
+  sanitizeIdentifier,
+  uniqueName,
+} from "./table-builder.js";
+
+const DELIMITERS = {
+  csv: ",",
+  tsv: "\t",
+  tab: "\t",
+};
+
+/**
+ * Check whether a filename looks like a CSV or TSV file
+ * @param {string} filename - Original upload filename
+ * @returns {boolean}
+ */
+export function isDelimitedFile(filename) {
+  return getDelimiter(filename) !== null;
+}
+
+/**
+ * Get the field delimiter for a CSV/TSV filename
+ * @param {string} filename - Original upload filename
+ * @returns {string|null} Delimiter character, or null if not a delimited file
+ */
+export function getDelimiter(filename) {
+  const extension = String(filename || "")
+    .split(".")
+    .pop()
+    .toLowerCase();
+  return DELIMITERS[extension] ?? null;
+}
+
+/**
+ * Parse delimited text (RFC 4180 quoting rules) into rows of strings
+ * Handles quoted fields containing delimiters, escaped quotes and newlines.
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[][]} Parsed rows (fully blank lines are skipped)
+ */
+export function parseDelimited(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip UTF-8 BOM
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n") {
+      endRow();
+    } else if (char === "\r") {
+      if (text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Build table definition and rows from one delimited file
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter
+ * @returns {{columns: Array<{name: string, type: string}>, rows: string[][]}}
+ */
+export function buildTableFromDelimited(text, delimiter) {
+  const [header, ...rows] = parseDelimited(text, delimiter);
+
+  if (!header) {
+    throw new Error("File is empty");
+  }
+
+  const usedNames = new Set();
+  const columns = header.map((name, index) => ({
+    name: uniqueName(
+      sanitizeIdentifier(name, `column_${index + 1}`),
+      usedNames,
+    ),
+  }));
+
+  for (const [index, column] of columns.entries()) {
+    column.type = inferColumnType(rows.map((row) => row[index]));
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Build the table for one CSV/TSV upload
+ * @param {{name: string, text: string}} source - Uploaded file
+ * @param {Set<string>} usedTableNames - Table names already taken in this import
+ * @returns {Array<{name: string, columns: Array, rows: Array<Array>}>} Single-element table list
+ */
+export function buildTablesFromDelimited(source, usedTableNames) {
+  const baseName = source.name.replace(/\.[^.]+$/, "");
+  const table = buildTableFromDelimited(
+    source.text,
+    getDelimiter(source.name) ?? ",",
+  );
+
+  return [
+    {
+      name: uniqueName(
+        sanitizeIdentifier(baseName, "imported_table"),
+        usedTableNames,
+      ),
+      columns: table.columns,
+      rows: table.rows,
+    },
+  ];
+}
@@ -0,0 +1,61 @@
+import { Database } from "bun:sqlite";
+import { buildTablesFromDelimited, isDelimitedFile } from "./csv-importer.js";
+import { buildTablesFromJson, isJsonFile } from "./json-importer.js";
+import { writeTable } from "./table-builder.js";
+
+/**
+ * Check whether an upload is a data file that must be converted into a database
+ * @param {string} filename - Original upload filename
+ * @returns {boolean} True for CSV, TSV, JSON and NDJSON files
+ */
+export function isImportableFile(filename) {
+  return isDelimitedFile(filename) || isJsonFile(filename);
+}
+
+function buildTables(source, usedTableNames) {
+  if (isJsonFile(source.name)) {
+    return buildTablesFromJson(source, usedTableNames);
+  }
+  return buildTablesFromDelimited(source, usedTableNames);
+}
+
+/**
+ * Import data files into a new SQLite database
+ * CSV/TSV files become one table each; JSON files may produce child tables too.
+ * @param {Array<{name: string, text: string}>} sources - Files to import
+ * @param {string} outputPath - Path of the database file to create
+ * @returns {Promise<object>} { success: true, tables } or { success: false, error }
+ */
+export async function importFiles(sources, outputPath) {
+  const usedTableNames = new Set();
+  const tables = [];
+  const db = new Database(outputPath, { create: true });
+
+  try {
+    for (const source of sources) {
+      let sourceTables;
+      try {
+        sourceTables = buildTables(source, usedTableNames);
+      } catch (error) {
+        return {
+          success: false,
+          error: `Could not import ${source.name}: ${error.message}`,
+        };
+      }
+
+      for (const table of sourceTables) {
+        writeTable(db, table.name, table.columns, table.rows);
+        tables.push({
+          name: table.name,
+          sourceFile: source.name,
+          columns: table.columns.map(({ name, type }) => ({ name, type })),
+          rowCount: table.rows.length,
+        });
+      }
+    }
+
+    return { success: true, tables };
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,190 @@
+import {
+  inferColumnType,
+  sanitizeIdentifier,
+  uniqueName,
+} from "./table-builder.js";
+
+const JSON_EXTENSIONS = ["json", "ndjson", "jsonl"];
+const LINE_DELIMITED_EXTENSIONS = ["ndjson", "jsonl"];
+
+// Generated key columns; data columns with the same name get a suffix
+const ID_COLUMN = "_id";
+const PARENT_ID_COLUMN = "_parent_id";
+
+function getExtension(filename) {
+  return String(filename || "")
+    .split(".")
+    .pop()
+    .toLowerCase();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Check whether a filename looks like a JSON or newline-delimited JSON file
+ * @param {string} filename - Original upload filename
+ * @returns {boolean}
+ */
+export function isJsonFile(filename) {
+  return JSON_EXTENSIONS.includes(getExtension(filename));
+}
+
+/**
+ * Parse a JSON array/object or NDJSON text into a list of records
+ * @param {string} text - File contents
+ * @param {string} filename - Original filename (decides JSON vs NDJSON)
+ * @returns {Array} Records; a top-level object is treated as a single record
+ */
+export function parseJsonRecords(text, filename) {
+  if (LINE_DELIMITED_EXTENSIONS.includes(getExtension(filename))) {
+    const records = [];
+    const lines = text.split(/\r?\n/);
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+      }
+    }
+    return records;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  return Array.isArray(data) ? data : [data];
+}
+
+function createTableSpec(name, parent) {
+  return {
+    name,
+    parent,
+    columns: new Map(), // flattened key path -> column name
+    usedColumnNames: new Set([ID_COLUMN, PARENT_ID_COLUMN]),
+    children: new Map(), // flattened key path -> child table spec
+    rows: [],
+  };
+}
+
+function getColumnName(spec, path, segments) {
+  if (!spec.columns.has(path)) {
+    const name = segments
+      .map((segment) => sanitizeIdentifier(segment, "field"))
+      .join(".");
+    spec.columns.set(path, uniqueName(name, spec.usedColumnNames));
+  }
+  return spec.columns.get(path);
+}
+
+function getChildSpec(spec, path, segments, context) {
+  if (!spec.children.has(path)) {
+    const suffix = segments
+      .map((segment) => sanitizeIdentifier(segment, "field"))
+      .join("_");
+    const child = createTableSpec(
+      uniqueName(`${spec.name}_${suffix}`, context.usedTableNames),
+      spec,
+    );
+    spec.children.set(path, child);
+    context.specs.push(child);
+  }
+  return spec.children.get(path);
+}
+
+function addRecord(spec, record, parentId, context) {
+  const row = { [ID_COLUMN]: spec.rows.length + 1 };
+  if (parentId !== undefined) {
+    row[PARENT_ID_COLUMN] = parentId;
+  }
+  spec.rows.push(row);
+
+  if (isPlainObject(record)) {
+    flattenInto(spec, row, record, [], context);
+  } else {
+    // Scalars (and nested arrays) in an array become a single "value" column
+    const value = Array.isArray(record) ? JSON.stringify(record) : record;
+    row[getColumnName(spec, "value", ["value"])] = value;
+  }
+}
+
+function flattenInto(spec, row, object, parentSegments, context) {
+  for (const [key, value] of Object.entries(object)) {
+    const segments = [...parentSegments, key];
+    const path = segments.join("\u0000");
+
+    if (Array.isArray(value)) {
+      const child = getChildSpec(spec, path, segments, context);
+      for (const element of value) {
+        addRecord(child, element, row[ID_COLUMN], context);
+      }
+    } else if (isPlainObject(value)) {
+      flattenInto(spec, row, value, segments, context);
+    } else {
+      row[getColumnName(spec, path, segments)] = value;
+    }
+  }
+}
+
+function toTable(spec) {
+  const hasChildren = spec.children.size > 0;
+  const columns = [];
+
+  if (hasChildren) {
+    columns.push({ name: ID_COLUMN, type: "INTEGER", primaryKey: true });
+  }
+  if (spec.parent) {
+    columns.push({
+      name: PARENT_ID_COLUMN,
+      type: "INTEGER",
+      references: { table: spec.parent.name, column: ID_COLUMN },
+    });
+  }
+
+  for (const name of spec.columns.values()) {
+    columns.push({
+      name,
+      type: inferColumnType(spec.rows.map((row) => row[name])),
+    });
+  }
+
+  return {
+    name: spec.name,
+    columns,
+    rows: spec.rows.map((row) => columns.map((column) => row[column.name])),
+  };
+}
+
+/**
+ * Build tables for one JSON/NDJSON upload
+ * Nested objects are flattened into dotted column names (address.city) and
+ * nested arrays become child tables whose _parent_id references the parent's _id.
+ * @param {{name: string, text: string}} source - Uploaded file
+ * @param {Set<string>} usedTableNames - Table names already taken in this import
+ * @returns {Array<{name: string, columns: Array, rows: Array<Array>}>} Root table first, then child tables
+ */
+export function buildTablesFromJson(source, usedTableNames) {
+  const records = parseJsonRecords(source.text, source.name);
+  if (records.length === 0) {
+    throw new Error("File contains no records");
+  }
+
+  const baseName = source.name.replace(/\.[^.]+$/, "");
+  const root = createTableSpec(
+    uniqueName(sanitizeIdentifier(baseName, "imported_table"), usedTableNames),
+    null,
+  );
+  const context = { usedTableNames, specs: [root] };
+
+  for (const record of records) {
+    addRecord(root, record, undefined, context);
+  }
+
+  return context.specs.map(toTable);
+}
@@ -0,0 +1,312 @@
+import { Database } from "bun:sqlite";
+import { fileURLToPath } from "node:url";
+
+// Limits for running user-supplied SQL scripts
+const EXECUTION_TIMEOUT_MS = 60 * 1000;
+const MAX_DATABASE_SIZE = 512 * 1024 * 1024; // 512MB
+const PAGE_SIZE = 4096;
+const MAX_REPORTED_ERRORS = 20;
+const STATEMENT_PREVIEW_LENGTH = 120;
+const WORKER_PATH = fileURLToPath(
+  new URL("./sql-dump-worker.js", import.meta.url),
+);
+
+// Statements that could touch other files or lift the sandbox limits
+const FORBIDDEN_STATEMENTS = ["attach", "detach", "vacuum"];
+const ALLOWED_PRAGMAS = [
+  "foreign_keys",
+  "defer_foreign_keys",
+  "user_version",
+  "application_id",
+];
+// We run the whole script in our own transaction, so these are skipped
+const TRANSACTION_STATEMENTS = ["begin", "commit", "end", "rollback"];
+
+/**
+ * Check whether a filename looks like a plain-text SQL script
+ * @param {string} filename - Original upload filename
+ * @returns {boolean}
+ */
+export function isSqlDumpFile(filename) {
+  return /\.sql$/i.test(String(filename || ""));
+}
+
+/**
+ * Split a SQL script into individual statements
+ * Understands quoted strings/identifiers, -- and block comments, and
+ * CREATE TRIGGER bodies whose inner statements end in semicolons.
+ * @param {string} text - SQL script
+ * @returns {Array<{sql: string, line: number}>} Statements with their starting line
+ */
+export function splitSqlStatements(text) {
+  const statements = [];
+  let current = "";
+  let startLine = null;
+  let line = 1;
+  let lastWord = "";
+  let i = 0;
+
+  const isTrigger = () =>
+    /^\s*create\s+(temp\s+|temporary\s+)?trigger\b/i.test(current);
+
+  const finish = () => {
+    const sql = current.trim();
+    if (sql) statements.push({ sql, line: startLine });
+    current = "";
+    startLine = null;
+    lastWord = "";
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    // Comments are dropped; they never start a statement
+    if (char === "-" && next === "-") {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    if (char === "/" && next === "*") {
+      const end = text.indexOf("*/", i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      for (let j = i; j < stop; j++) if (text[j] === "\n") line++;
+      current += " ";
+      i = stop;
+      continue;
+    }
+
+    if (startLine === null && !/\s/.test(char) && char !== ";") {
+      startLine = line;
+    }
+
+    if (char === "'" || char === '"' || char === "`" || char === "[") {
+      const close = char === "[" ? "]" : char;
+      let j = i + 1;
+      while (j < text.length) {
+        if (text[j] === close) {
+          // Doubled quote characters are escapes, not the end of the string
+          if (close !== "]" && text[j + 1] === close) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      const quoted = text.slice(i, j + 1);
+      line += quoted.split("\n").length - 1;
+      current += quoted;
+      lastWord = "";
+      i = j + 1;
+      continue;
+    }
+
+    if (char === ";") {
+      if (isTrigger() && lastWord !== "end") {
+        current += char;
+        i++;
+        continue;
+      }
+      finish();
+      i++;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      let j = i;
+      while (j < text.length && /[A-Za-z0-9_$]/.test(text[j])) j++;
+      const word = text.slice(i, j);
+      lastWord = word.toLowerCase();
+      current += word;
+      i = j;
+      continue;
+    }
+
+    if (char === "\n") line++;
+    if (!/\s/.test(char)) lastWord = "";
+    current += char;
+    i++;
+  }
+
+  finish();
+  return statements;
+}
+
+/**
+ * Decide whether a statement may run inside the import sandbox
+ * @param {string} sql - Single statement
+ * @returns {object} { allowed: true, skip?: boolean } or { allowed: false, error }
+ */
+export function checkStatement(sql) {
+  if (sql.startsWith(".")) {
+    return {
+      allowed: false,
+      error: "sqlite3 shell commands (like .read or .mode) are not supported",
+    };
+  }
+
+  const keyword = sql.match(/^[A-Za-z]+/)?.[0].toLowerCase() ?? "";
+
+  if (TRANSACTION_STATEMENTS.includes(keyword)) {
+    return { allowed: true, skip: true };
+  }
+
+  if (FORBIDDEN_STATEMENTS.includes(keyword)) {
+    return {
+      allowed: false,
+      error: `${keyword.toUpperCase()} is not allowed in imported scripts`,
+    };
+  }
+
+  if (keyword === "pragma") {
+    const pragma = sql.match(/^pragma\s+([A-Za-z_]+)/i)?.[1].toLowerCase();
+    if (!ALLOWED_PRAGMAS.includes(pragma)) {
+      return {
+        allowed: false,
+        error:
+          `PRAGMA ${pragma ?? ""} is not allowed in imported scripts`.trim(),
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+function previewStatement(sql) {
+  const singleLine = sql.replace(/\s+/g, " ");
+  return singleLine.length > STATEMENT_PREVIEW_LENGTH
+    ? `${singleLine.slice(0, STATEMENT_PREVIEW_LENGTH)}...`
+    : singleLine;
+}
+
+/**
+ * Execute a SQL script into a new database file, collecting per-statement errors
+ * Runs synchronously; use importSqlDump to get the time limit.
+ * @param {string} text - SQL script
+ * @param {string} outputPath - Path of the database file to create
+ * @param {object} options
+ * @param {number} options.maxDatabaseSize - Largest database the script may produce, in bytes
+ * @returns {object} { success, statementCount, errors: [{statement, line, sql, error}], error? }
+ */
+export function executeSqlScript(text, outputPath, options = {}) {
+  const maxDatabaseSize = options.maxDatabaseSize ?? MAX_DATABASE_SIZE;
+  const statements = splitSqlStatements(text);
+  const errors = [];
+  let executed = 0;
+
+  const db = new Database(outputPath, { create: true });
+  try {
+    db.exec(`PRAGMA page_size = ${PAGE_SIZE}`);
+    db.exec(
+      `PRAGMA max_page_count = ${Math.floor(maxDatabaseSize / PAGE_SIZE)}`,
+    );
+    db.exec("BEGIN");
+
+    for (const [index, statement] of statements.entries()) {
+      const check = checkStatement(statement.sql);
+      let error = check.error;
+
+      if (check.allowed && !check.skip) {
+        try {
+          db.exec(statement.sql);
+          executed++;
+        } catch (execError) {
+          error =
+            execError.code === "SQLITE_FULL"
+              ? `Database exceeds the ${Math.round(maxDatabaseSize / 1024 / 1024)}MB import limit`
+              : execError.message;
+        }
+      }
+
+      if (error) {
+        errors.push({
+          statement: index + 1,
+          line: statement.line,
+          sql: previewStatement(statement.sql),
+          error,
+        });
+        if (errors.length >= MAX_REPORTED_ERRORS) break;
+      }
+    }
+
+    if (errors.length === 0 && executed === 0) {
+      return {
+        success: false,
+        error: "Script contains no SQL statements",
+        statementCount: statements.length,
+        errors,
+      };
+    }
+
+    if (errors.length === 0) {
+      db.exec("COMMIT");
+    } else if (db.inTransaction) {
+      db.exec("ROLLBACK");
+    }
+  } finally {
+    db.close();
+  }
+
+  return {
+    success: errors.length === 0,
+    statementCount: statements.length,
+    errors,
+  };
+}
+
+/**
+ * Run a SQL script into a new database in a worker process with a time limit
+ * The process is killed when the script runs out of time, which stops a
+ * statement SQLite is still running; a worker thread couldn't be stopped.
+ * @param {string} text - SQL script
+ * @param {string} outputPath - Path of the database file to create
+ * @param {object} options
+ * @param {number} options.timeoutMs - Maximum execution time
+ * @param {number} options.maxDatabaseSize - Largest database the script may produce, in bytes
+ * @returns {Promise<object>} { success, statementCount, errors } or { success: false, error } on timeout
+ */
+export function importSqlDump(text, outputPath, options = {}) {
+  const timeoutMs = options.timeoutMs ?? EXECUTION_TIMEOUT_MS;
+  const { promise, resolve, reject } = Promise.withResolvers();
+  let settled = false;
+
+  const finish = (settle, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.kill();
+    settle(value);
+  };
+
+  const worker = Bun.spawn([process.execPath, WORKER_PATH], {
+    stdio: ["ignore", "inherit", "inherit"],
+    ipc: (message) => {
+      if (message.fatalError) {
+        finish(reject, new Error(message.fatalError));
+      } else {
+        finish(resolve, message);
+      }
+    },
+  });
+  worker.exited.then(() =>
+    finish(reject, new Error("SQL import worker stopped unexpectedly")),
+  );
+
+  const timer = setTimeout(
+    () =>
+      finish(resolve, {
+        success: false,
+        error: `SQL script took longer than ${Math.round(timeoutMs / 1000)} seconds to run`,
+        errors: [],
+      }),
+    timeoutMs,
+  );
+
+  worker.send({
+    text,
+    outputPath,
+    maxDatabaseSize: options.maxDatabaseSize,
+  });
+  // Settled once the process has gone, so callers can remove its files
+  return promise.finally(() => worker.exited);
+}
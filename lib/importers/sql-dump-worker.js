@@ -0,0 +1,17 @@
+/**
+ * Worker process for importSqlDump - a statement bun:sqlite is running can't
+ * be interrupted, so scripts run outside the server in a process that is
+ * killed when they time out
+ */
+import { executeSqlScript } from "./sql-dump-importer.js";
+
+process.on("message", ({ text, outputPath, maxDatabaseSize }) => {
+  try {
+    process.send(executeSqlScript(text, outputPath, { maxDatabaseSize }));
+  } catch (error) {
+    process.send({ fatalError: error.message });
+  }
+});
+
+// Don't outlive the server
+process.on("disconnect", () => process.exit(0));
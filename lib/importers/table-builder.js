@@ -0,0 +1,165 @@
+/**
+ * Shared helpers for importers that turn non-SQLite uploads into tables
+ */
+
+const TYPE_SAMPLE_SIZE = 1000;
+
+const INTEGER_PATTERN = /^[-+]?(0|[1-9]\d*)$/;
+const REAL_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+// Zip codes, account numbers etc. lose their meaning when stored as numbers
+const LEADING_ZERO_PATTERN = /^[-+]?0\d/;
+const DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[-+]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Turn an arbitrary name into a safe SQL identifier
+ * @param {string} name - Raw name (file name, CSV header, JSON key)
+ * @param {string} fallback - Name to use when nothing usable remains
+ * @returns {string} Identifier containing only letters, digits and underscores
+ */
+export function sanitizeIdentifier(name, fallback) {
+  const cleaned = String(name ?? "")
+    .trim()
+    .replace(/[^A-Za-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+  if (!cleaned) return fallback;
+  return /^\d/.test(cleaned) ? `_${cleaned}` : cleaned;
+}
+
+/**
+ * Return a name that is not already in use, appending _2, _3... if needed
+ * @param {string} name - Preferred name
+ * @param {Set<string>} usedNames - Names taken so far (compared case-insensitively)
+ * @returns {string} Unique name (also added to usedNames)
+ */
+export function uniqueName(name, usedNames) {
+  let candidate = name;
+  let suffix = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = `${name}_${suffix++}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Quote an identifier for use in generated SQL
+ * @param {string} name - Identifier
+ * @returns {string} Double-quoted identifier
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Infer a SQLite column type from a sample of values
+ * Empty values are ignored; a column with no values at all is TEXT.
+ * @param {Array} values - Column values (strings, numbers, booleans or null)
+ * @returns {string} One of INTEGER, REAL, DATE or TEXT
+ */
+export function inferColumnType(values) {
+  let sawValue = false;
+  let allIntegers = true;
+  let allNumbers = true;
+  let allDates = true;
+  let checked = 0;
+
+  for (const value of values) {
+    if (value === null || value === undefined || value === "") continue;
+    if (checked++ >= TYPE_SAMPLE_SIZE) break;
+    sawValue = true;
+
+    if (typeof value === "number") {
+      allDates = false;
+      if (!Number.isInteger(value)) allIntegers = false;
+      continue;
+    }
+
+    // Booleans are stored as 0/1, like SQLite itself does
+    if (typeof value === "boolean") {
+      allDates = false;
+      continue;
+    }
+
+    const text = String(value).trim();
+    if (!INTEGER_PATTERN.test(text) || !Number.isSafeInteger(Number(text))) {
+      allIntegers = false;
+    }
+    if (!REAL_PATTERN.test(text) || LEADING_ZERO_PATTERN.test(text)) {
+      allNumbers = false;
+    }
+    if (!DATE_PATTERN.test(text)) allDates = false;
+
+    if (!allIntegers && !allNumbers && !allDates) return "TEXT";
+  }
+
+  if (!sawValue) return "TEXT";
+  if (allIntegers) return "INTEGER";
+  if (allNumbers) return "REAL";
+  if (allDates) return "DATE";
+  return "TEXT";
+}
+
+/**
+ * Convert a raw value to what should be stored for the given column type
+ * Values that don't fit the inferred type (rows beyond the sample) are kept as text.
+ * @param {*} value - Raw value
+ * @param {string} type - Column type from inferColumnType
+ * @returns {*} Value to bind in the INSERT statement
+ */
+export function coerceValue(value, type) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "number") return value;
+
+  const text = String(value).trim();
+  if (type === "INTEGER" && INTEGER_PATTERN.test(text)) {
+    const number = Number(text);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (type === "REAL" && REAL_PATTERN.test(text)) return Number(text);
+  if (type === "DATE") return text;
+  return String(value);
+}
+
+/**
+ * Create a table and insert all rows in a single transaction
+ * @param {import("bun:sqlite").Database} db - Writable database
+ * @param {string} tableName - Table to create
+ * @param {Array<{name: string, type: string, primaryKey?: boolean, references?: {table: string, column: string}}>} columns - Column definitions
+ * @param {Array<Array>} rows - Row values in column order
+ */
+export function writeTable(db, tableName, columns, rows) {
+  const definitions = columns.map((column) => {
+    let definition = `${quoteIdentifier(column.name)} ${column.type}`;
+    if (column.primaryKey) {
+      definition += " PRIMARY KEY";
+    }
+    if (column.references) {
+      definition += ` REFERENCES ${quoteIdentifier(column.references.table)} (${quoteIdentifier(column.references.column)})`;
+    }
+    return definition;
+  });
+
+  db.exec(
+    `CREATE TABLE ${quoteIdentifier(tableName)} (${definitions.join(", ")})`,
+  );
+
+  if (rows.length === 0) return;
+
+  const placeholders = columns.map(() => "?").join(", ");
+  const insert = db.prepare(
+    `INSERT INTO ${quoteIdentifier(tableName)} VALUES (${placeholders})`,
+  );
+
+  const insertAll = db.transaction((allRows) => {
+    for (const row of allRows) {
+      insert.run(
+        ...columns.map((column, index) => coerceValue(row[index], column.type)),
+      );
+    }
+  });
+
+  insertAll(rows);
+}
@@ -0,0 +1,17 @@
+/**
+ * Worker process for checkDatabaseFile - integrity checks of large or
+ * crafted uploads run outside the server, in a process that is killed when
+ * the check runs out of time
+ */
+import { runIntegrityCheck } from "./integrity-check.js";
+
+process.on("message", ({ filePath }) => {
+  try {
+    process.send(runIntegrityCheck(filePath));
+  } catch (error) {
+    process.send({ fatalError: error.message });
+  }
+});
+
+// Don't outlive the server
+process.on("disconnect", () => process.exit(0));
@@ -0,0 +1,227 @@
+import { Database } from "bun:sqlite";
+import { closeSync, openSync, readSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { validateSqliteFile } from "./database.js";
+
+// Limits for checking uploaded databases
+const CHECK_TIMEOUT_MS = 60 * 1000;
+// integrity_check also verifies indexes against their tables, which gets slow
+// on big files; above this size the cheaper quick_check is used instead
+const FULL_CHECK_MAX_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_REPORTED_PROBLEMS = 20;
+const HEADER_SIZE = 100;
+const MIN_PAGE_SIZE = 512;
+const WAL_FORMAT_VERSION = 2;
+const WORKER_PATH = fileURLToPath(
+  new URL("./integrity-check-worker.js", import.meta.url),
+);
+
+/**
+ * Read the fields of a SQLite file header that the upload checks rely on
+ * See https://www.sqlite.org/fileformat.html#the_database_header
+ * @param {Buffer} header - First 100 bytes of the file
+ * @returns {object} { pageSize, writeVersion, readVersion, reservedBytes, pageCount, pageCountValid }
+ */
+export function parseSqliteHeader(header) {
+  const rawPageSize = header.readUInt16BE(16);
+  return {
+    // A stored value of 1 means 65536, which doesn't fit in two bytes
+    pageSize: rawPageSize === 1 ? 65536 : rawPageSize,
+    writeVersion: header[18],
+    readVersion: header[19],
+    reservedBytes: header[20],
+    pageCount: header.readUInt32BE(28),
+    // The page count is only trustworthy when the change counter matches
+    // the version-valid-for number
+    pageCountValid:
+      header.readUInt32BE(28) > 0 &&
+      header.readUInt32BE(24) === header.readUInt32BE(92),
+  };
+}
+
+function isValidPageSize(pageSize) {
+  return (
+    pageSize >= MIN_PAGE_SIZE &&
+    pageSize <= 65536 &&
+    (pageSize & (pageSize - 1)) === 0
+  );
+}
+
+function failure(error, problems = [], quarantine = false) {
+  return {
+    success: false,
+    error,
+    problems: problems.slice(0, MAX_REPORTED_PROBLEMS),
+    quarantine,
+  };
+}
+
+const ENCRYPTED_ERROR =
+  "Database appears to be encrypted (for example with SQLCipher); encrypted databases are not supported";
+
+// Checks that only need the header and the file size
+function checkHeader(header, fileSize) {
+  if (!validateSqliteFile(header)) {
+    return failure("Invalid SQLite file format");
+  }
+  if (header.length < HEADER_SIZE) {
+    return failure("Database is truncated: the file header is incomplete");
+  }
+
+  const info = parseSqliteHeader(header);
+
+  if (!isValidPageSize(info.pageSize)) {
+    return failure(
+      `Database header has an invalid page size (${info.pageSize})`,
+    );
+  }
+  if (
+    info.writeVersion > WAL_FORMAT_VERSION ||
+    info.readVersion > WAL_FORMAT_VERSION
+  ) {
+    return failure(
+      "Database uses a newer SQLite file format that isn't supported",
+    );
+  }
+
+  // Changes still in a -wal file would be missing from the upload, and
+  // there's no telling from the main file whether there are any
+  if (
+    info.writeVersion === WAL_FORMAT_VERSION ||
+    info.readVersion === WAL_FORMAT_VERSION
+  ) {
+    return failure(
+      "Database is in WAL mode, so recent changes may be in a -wal file that wasn't uploaded; checkpoint the database before uploading",
+      [
+        "Open it with sqlite3 and run PRAGMA journal_mode=DELETE; to checkpoint it and leave WAL mode, then upload it again",
+      ],
+    );
+  }
+
+  if (fileSize % info.pageSize !== 0) {
+    return failure(
+      "Database is truncated or padded: its size isn't a whole number of pages",
+      [
+        `${fileSize} bytes is not a multiple of the ${info.pageSize}-byte page size`,
+      ],
+      true,
+    );
+  }
+  if (info.pageCountValid && fileSize < info.pageCount * info.pageSize) {
+    return failure(
+      "Database is truncated: part of the file is missing",
+      [
+        `Header expects ${info.pageCount} pages (${info.pageCount * info.pageSize} bytes) but the file has ${fileSize} bytes`,
+      ],
+      true,
+    );
+  }
+
+  return { success: true, info };
+}
+
+/**
+ * Check an uploaded SQLite file before it's accepted
+ * Looks at the header for truncation, then runs PRAGMA integrity_check
+ * (quick_check for big files). Databases in WAL mode are refused, since
+ * their -wal file never comes with them. Runs synchronously; use
+ * checkDatabaseFile to get the time limit.
+ * @param {string} filePath - Database file to check
+ * @returns {object} { success: true, check } or { success: false, error, problems, quarantine }
+ */
+export function runIntegrityCheck(filePath) {
+  const file = Bun.file(filePath);
+  const header = Buffer.alloc(HEADER_SIZE);
+  const fd = openSync(filePath, "r");
+  let headerCheck;
+  try {
+    const bytesRead = readSync(fd, header, 0, HEADER_SIZE, 0);
+    headerCheck = checkHeader(header.subarray(0, bytesRead), file.size);
+  } finally {
+    closeSync(fd);
+  }
+  if (!headerCheck.success) {
+    return headerCheck;
+  }
+
+  const check =
+    file.size > FULL_CHECK_MAX_SIZE ? "quick_check" : "integrity_check";
+  let db;
+  try {
+    db = new Database(filePath, { readonly: true });
+    const rows = db
+      .prepare(`PRAGMA ${check}(${MAX_REPORTED_PROBLEMS})`)
+      .values()
+      .map(([message]) => message);
+
+    if (rows.length === 1 && rows[0] === "ok") {
+      return { success: true, check };
+    }
+    return failure("Database failed the integrity check", rows, true);
+  } catch (error) {
+    if (error.code === "SQLITE_NOTADB" && headerCheck.info.reservedBytes > 0) {
+      // Encryption extensions that keep the header readable store their
+      // per-page data in the reserved space
+      return failure(ENCRYPTED_ERROR);
+    }
+    return failure(
+      "Database is corrupted and can't be opened",
+      [error.message],
+      true,
+    );
+  } finally {
+    db?.close();
+  }
+}
+
+/**
+ * Check an uploaded SQLite file in a worker process with a time limit
+ * SQLite can't be interrupted from JavaScript, so a check that runs out of
+ * time is stopped by killing its process.
+ * @param {string} filePath - Database file to check
+ * @param {object} options
+ * @param {number} options.timeoutMs - Maximum time the check may take
+ * @returns {Promise<object>} Result of runIntegrityCheck
+ */
+export function checkDatabaseFile(filePath, options = {}) {
+  const timeoutMs = options.timeoutMs ?? CHECK_TIMEOUT_MS;
+  const { promise, resolve, reject } = Promise.withResolvers();
+  let settled = false;
+
+  const finish = (settle, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.kill();
+    settle(value);
+  };
+
+  const worker = Bun.spawn([process.execPath, WORKER_PATH], {
+    stdio: ["ignore", "inherit", "inherit"],
+    ipc: (message) => {
+      if (message.fatalError) {
+        finish(reject, new Error(message.fatalError));
+      } else {
+        finish(resolve, message);
+      }
+    },
+  });
+  worker.exited.then(() =>
+    finish(reject, new Error("Integrity check worker stopped unexpectedly")),
+  );
+
+  const timer = setTimeout(
+    () =>
+      finish(
+        resolve,
+        failure(
+          `Integrity check took longer than ${Math.round(timeoutMs / 1000)} seconds`,
+        ),
+      ),
+    timeoutMs,
+  );
+
+  worker.send({ filePath });
+  // Settled once the process has gone, so the file can be moved or removed
+  return promise.finally(() => worker.exited);
+}
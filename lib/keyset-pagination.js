@@ -0,0 +1,389 @@
+import { createHash } from "node:crypto";
+import { getColumnAffinity } from "./column-info.js";
+import { describeReadQuery, parseSql } from "./sqlValidator.js";
+
+// Top-level clauses after which result rows no longer map one-to-one onto
+// rows of the table being read
+const UNSUPPORTED_KEYWORDS = [
+  "distinct",
+  "group",
+  "having",
+  "window",
+  "union",
+  "intersect",
+  "except",
+  "limit",
+  "offset",
+];
+const ROWID_NAMES = ["rowid", "_rowid_", "oid"];
+
+function quoteIdentifier(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
+
+// Name a word or quoted identifier token stands for
+function nameOf(token) {
+  if (token?.type === "word") {
+    return token.value;
+  }
+  if (token?.type === "identifier") {
+    const close = token.value.at(-1);
+    return token.value.slice(1, -1).replaceAll(close + close, close);
+  }
+  return null;
+}
+
+function isKeyword(token, keyword) {
+  return token?.type === "word" && token.keyword === keyword;
+}
+
+function fingerprint(query) {
+  return createHash("sha256")
+    .update(describeReadQuery(query).sql)
+    .digest("base64url")
+    .slice(0, 16);
+}
+
+/**
+ * Split the ORDER BY terms of a query into column references
+ * @returns {Array<{qualifier, column, descending}>|null} null when a term is
+ *   anything but [table.]column [ASC|DESC]
+ */
+function readOrderTerms(tokens) {
+  const terms = [];
+  let term = [];
+  for (const token of [...tokens, null]) {
+    if (token && !(token.depth === 0 && token.value === ",")) {
+      term.push(token);
+      continue;
+    }
+
+    let descending = false;
+    if (isKeyword(term.at(-1), "asc") || isKeyword(term.at(-1), "desc")) {
+      descending = term.pop().keyword === "desc";
+    }
+    if (term.length === 1 && nameOf(term[0]) !== null) {
+      terms.push({ qualifier: null, column: nameOf(term[0]), descending });
+    } else if (
+      term.length === 3 &&
+      term[1].value === "." &&
+      nameOf(term[0]) !== null &&
+      nameOf(term[2]) !== null
+    ) {
+      terms.push({
+        qualifier: nameOf(term[0]),
+        column: nameOf(term[2]),
+        descending,
+      });
+    } else {
+      return null;
+    }
+    term = [];
+  }
+  return terms;
+}
+
+/**
+ * Collect the names result columns are given in a select list, with or
+ * without AS, in lower case
+ */
+function readAliases(tokens) {
+  const aliases = new Set();
+  let item = [];
+  for (const token of [...tokens, null]) {
+    if (token && !(token.depth === 0 && token.value === ",")) {
+      item.push(token);
+      continue;
+    }
+    const last = item.at(-1);
+    const before = item.at(-2);
+    if (
+      nameOf(last) !== null &&
+      before &&
+      before.value !== "." &&
+      before.type !== "operator"
+    ) {
+      aliases.add(nameOf(last).toLowerCase());
+    }
+    item = [];
+  }
+  return aliases;
+}
+
+/**
+ * Look up what SQLite guarantees about a table's columns
+ * @returns {object|null} { columns, hasRowid, rowidColumn, uniqueColumns }
+ *   with names in lower case, or null for anything but an ordinary table;
+ *   rowidColumn is an INTEGER PRIMARY KEY, which is the rowid by another name
+ */
+function describeTable(db, table) {
+  const [info] = db
+    .prepare(`PRAGMA table_list(${quoteIdentifier(table)})`)
+    .all();
+  if (!info || info.type !== "table") {
+    return null;
+  }
+
+  const columns = new Map();
+  for (const column of db
+    .prepare(`PRAGMA table_info(${quoteIdentifier(table)})`)
+    .all()) {
+    columns.set(column.name.toLowerCase(), column);
+  }
+
+  const hasRowid = info.wr === 0;
+  const primaryKey = [...columns.values()].filter((column) => column.pk > 0);
+  const rowidColumn =
+    hasRowid &&
+    primaryKey.length === 1 &&
+    primaryKey[0].type.toUpperCase() === "INTEGER"
+      ? primaryKey[0].name.toLowerCase()
+      : null;
+
+  const uniqueColumns = new Set();
+  for (const index of db
+    .prepare(`PRAGMA index_list(${quoteIdentifier(table)})`)
+    .all()) {
+    if (!index.unique || index.partial) continue;
+    const indexColumns = db
+      .prepare(`PRAGMA index_info(${quoteIdentifier(index.name)})`)
+      .all();
+    if (indexColumns.length === 1 && indexColumns[0].name !== null) {
+      uniqueColumns.add(indexColumns[0].name.toLowerCase());
+    }
+  }
+
+  return { columns, hasRowid, rowidColumn, uniqueColumns };
+}
+
+/**
+ * Work out whether a query can be paged by seeking instead of skipping rows
+ * That needs a plain SELECT from one table (no joins, DISTINCT, GROUP BY or
+ * compound parts) whose ORDER BY lists columns of that table, ending in a
+ * unique key; none of the columns may hold NULLs, which don't compare.
+ * @param {Database} db - Open connection
+ * @param {string} query - Valid read-only query without LIMIT/OFFSET
+ * @returns {object|null} Plan for buildKeysetQuery, or null when the query
+ *   has to be paged with LIMIT/OFFSET
+ */
+export function planKeysetQuery(db, query) {
+  const { sql } = describeReadQuery(query);
+  const tokens = parseSql(sql, { allowLimitOffset: true });
+  const top = tokens.filter((token) => token.depth === 0);
+  if (
+    !isKeyword(tokens[0], "select") ||
+    top.some((token) => UNSUPPORTED_KEYWORDS.includes(token.keyword))
+  ) {
+    return null;
+  }
+
+  // FROM <table> [[AS] alias], then only WHERE and ORDER BY
+  const fromIndex = top.findIndex((token) => isKeyword(token, "from"));
+  const orderIndex = top.findLastIndex((token) => isKeyword(token, "order"));
+  if (fromIndex === -1 || orderIndex === -1) {
+    return null;
+  }
+  const table = nameOf(top[fromIndex + 1]);
+  let next = fromIndex + 2;
+  let alias = null;
+  if (isKeyword(top[next], "as")) next++;
+  if (!isKeyword(top[next], "where") && !isKeyword(top[next], "order")) {
+    alias = nameOf(top[next]);
+    if (alias === null) {
+      return null;
+    }
+    next++;
+  }
+  const whereToken = isKeyword(top[next], "where") ? top[next] : null;
+  if (
+    table === null ||
+    (!whereToken && next !== orderIndex) ||
+    !isKeyword(top[orderIndex + 1], "by")
+  ) {
+    return null;
+  }
+  // Anything between WHERE and ORDER BY at the top level is part of WHERE;
+  // a join can't hide there because it would have to follow the table
+  const byToken = top[orderIndex + 1];
+  const terms = readOrderTerms(tokens.slice(tokens.indexOf(byToken) + 1));
+  if (!terms || terms.length === 0) {
+    return null;
+  }
+  // ORDER BY reads a bare name as a result column alias before a table
+  // column, while the rewritten query orders by the table column
+  const aliases = readAliases(tokens.slice(1, tokens.indexOf(top[fromIndex])));
+  if (
+    terms.some(
+      (term) => !term.qualifier && aliases.has(term.column.toLowerCase()),
+    )
+  ) {
+    return null;
+  }
+
+  const tableInfo = describeTable(db, table);
+  if (!tableInfo) {
+    return null;
+  }
+  const tableRef = quoteIdentifier(alias ?? table);
+  const keys = [];
+  for (const term of terms) {
+    const qualifier = term.qualifier?.toLowerCase();
+    if (
+      qualifier &&
+      qualifier !== table.toLowerCase() &&
+      qualifier !== alias?.toLowerCase()
+    ) {
+      return null;
+    }
+    const name = term.column.toLowerCase();
+    const column = tableInfo.columns.get(name);
+    const isRowid = !column && tableInfo.hasRowid && ROWID_NAMES.includes(name);
+    if (!column && !isRowid) {
+      return null;
+    }
+    // Cursors are JSON, which can't carry blobs
+    if (column && getColumnAffinity(column.type) === "BLOB") {
+      return null;
+    }
+    const isRowidAlias = isRowid || name === tableInfo.rowidColumn;
+    const notNull =
+      isRowidAlias ||
+      column.notnull === 1 ||
+      (column.pk > 0 && !tableInfo.hasRowid);
+    if (!notNull) {
+      return null;
+    }
+    keys.push({
+      expression: `${tableRef}.${quoteIdentifier(term.column)}`,
+      descending: term.descending,
+      unique: isRowidAlias || tableInfo.uniqueColumns.has(name),
+    });
+  }
+  if (!keys.at(-1).unique) {
+    return null;
+  }
+
+  const fromToken = top[fromIndex];
+  const orderToken = top[orderIndex];
+  const endOf = (token) => token.offset + token.value.length;
+  return {
+    fingerprint: fingerprint(query),
+    select: sql.slice(0, fromToken.offset),
+    from: sql.slice(fromToken.offset, (whereToken ?? orderToken).offset),
+    where: whereToken ? sql.slice(endOf(whereToken), orderToken.offset) : null,
+    keys,
+  };
+}
+
+/**
+ * Build the query for one page of a keyset plan
+ * The sort keys are selected as extra trailing columns so the cursor for
+ * the next page can be read from the last row; the caller drops them.
+ * Going backwards reads in reverse order, so those rows come back reversed.
+ * @param {object} plan - From planKeysetQuery
+ * @param {object|null} cursor - Decoded cursor, or null for the first page
+ * @param {number} limit - Rows to read
+ * @returns {object} { sql, params }
+ */
+export function buildKeysetQuery(plan, cursor, limit) {
+  const backwards = cursor?.direction === "prev";
+  const keys = plan.keys.map((key) => ({
+    ...key,
+    descending: key.descending !== backwards,
+  }));
+
+  const params = {};
+  let seek = null;
+  if (cursor) {
+    for (const [index, value] of cursor.values.entries()) {
+      params[`$cursor_${index}`] = value;
+    }
+    const compare = (key) => (key.descending ? "<" : ">");
+    if (keys.every((key) => key.descending === keys[0].descending)) {
+      // One row-value comparison, which SQLite can answer from an index
+      const names = keys.map((_, index) => `$cursor_${index}`).join(", ");
+      seek = `(${keys.map((key) => key.expression).join(", ")}) ${compare(keys[0])} (${names})`;
+    } else {
+      seek = keys
+        .map((key, index) =>
+          [
+            ...keys
+              .slice(0, index)
+              .map((earlier, j) => `${earlier.expression} = $cursor_${j}`),
+            `${key.expression} ${compare(key)} $cursor_${index}`,
+          ].join(" AND "),
+        )
+        .map((condition) => `(${condition})`)
+        .join(" OR ");
+    }
+  }
+
+  let where = "";
+  if (plan.where !== null && seek) {
+    where = `WHERE (\n${plan.where}\n) AND (${seek})\n`;
+  } else if (plan.where !== null) {
+    where = `WHERE ${plan.where}\n`;
+  } else if (seek) {
+    where = `WHERE ${seek}\n`;
+  }
+
+  const extraColumns = keys
+    .map((key, index) => `${key.expression} AS "keyset_${index}"`)
+    .join(", ");
+  const orderBy = keys
+    .map((key) => `${key.expression} ${key.descending ? "DESC" : "ASC"}`)
+    .join(", ");
+  return {
+    sql: `${plan.select}\n, ${extraColumns}\n${plan.from}\n${where}ORDER BY ${orderBy}\nLIMIT ${limit}`,
+    params,
+  };
+}
+
+/**
+ * Make the opaque cursor for a page boundary
+ * @param {object} plan - From planKeysetQuery
+ * @param {object} position
+ * @param {string} position.direction - "next" to read after values, "prev"
+ *   to read before them
+ * @param {Array} position.values - Sort key values of the boundary row
+ * @param {number} position.page - Page number the cursor leads to
+ * @returns {string}
+ */
+export function encodeCursor(plan, { direction, values, page }) {
+  return Buffer.from(
+    JSON.stringify({ q: plan.fingerprint, d: direction, v: values, p: page }),
+  ).toString("base64url");
+}
+
+/**
+ * Read a cursor sent back by a client
+ * @param {string} cursor - Cursor from a previous response
+ * @param {object} plan - From planKeysetQuery for the query the cursor is
+ *   used with
+ * @returns {object|null} { direction, values, page }, or null when the
+ *   cursor is malformed or was made for a different query
+ */
+export function decodeCursor(cursor, plan) {
+  try {
+    const { q, d, v, p } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString(),
+    );
+    if (
+      q !== plan.fingerprint ||
+      !["next", "prev"].includes(d) ||
+      !Array.isArray(v) ||
+      v.length !== plan.keys.length ||
+      !v.every(
+        (value) =>
+          value === null || ["string", "number"].includes(typeof value),
+      ) ||
+      !Number.isInteger(p) ||
+      p < 1
+    ) {
+      return null;
+    }
+    return { direction: d, values: v, page: p };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,64 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, readdir, rename, stat, unlink } from "node:fs/promises";
+import { join } from "node:path";
+
+// Uploads that failed the integrity check are kept aside for inspection
+// instead of being deleted outright
+const QUARANTINE_DIR = "./uploads/.quarantine";
+
+/**
+ * Move a broken upload into quarantine along with the report explaining why
+ * @param {string} filePath - Rejected database file, moved away
+ * @param {object} details
+ * @param {string} details.originalFilename - Name the user uploaded it as
+ * @param {number} details.userId - Uploading user
+ * @param {object} details.report - Failed result from the integrity check
+ * @returns {Promise<string>} Quarantine id, for finding the file in the logs
+ */
+export async function quarantineFile(
+  filePath,
+  { originalFilename, userId, report },
+) {
+  const id = randomUUID();
+  await mkdir(QUARANTINE_DIR, { recursive: true });
+  await rename(filePath, join(QUARANTINE_DIR, `${id}.db`));
+  await Bun.write(
+    join(QUARANTINE_DIR, `${id}.json`),
+    JSON.stringify({
+      id,
+      originalFilename,
+      userId,
+      error: report.error,
+      problems: report.problems,
+      quarantinedAt: new Date().toISOString(),
+    }),
+  );
+  return id;
+}
+
+/**
+ * Delete quarantined files and reports older than maxAgeMs
+ * @param {number} maxAgeMs - Files quarantined longer ago than this are removed
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function removeOldQuarantinedFiles(maxAgeMs) {
+  let entries;
+  try {
+    entries = await readdir(QUARANTINE_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const cutoff = Date.now() - maxAgeMs;
+  let removed = 0;
+  for (const entry of entries) {
+    const path = join(QUARANTINE_DIR, entry);
+    const { mtimeMs } = await stat(path);
+    if (mtimeMs < cutoff) {
+      await unlink(path).catch(() => {});
+      removed++;
+    }
+  }
+  return removed;
+}
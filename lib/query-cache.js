@@ -0,0 +1,107 @@
+import { describeReadQuery } from "./sqlValidator.js";
+
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024; // 50MB
+
+/**
+ * Create a least-recently-used cache for query results
+ * Stored databases are named after the hash of their contents and never
+ * change, so a result stays valid until its file is deleted. Entries are
+ * keyed on (filename, normalized SQL, page, pageSize, variant); the SQL is
+ * normalized by dropping surrounding whitespace, comments and redundant
+ * parentheses, and variant is anything else the results depend on, such as
+ * a data table's sort and filters or a keyset cursor.
+ * @param {object} options
+ * @param {number} options.maxEntries - Most results kept
+ * @param {number} options.maxBytes - Most result data kept, measured as JSON
+ * @returns {object} Cache with get, set, invalidate and clear
+ */
+export function createQueryCache(options = {}) {
+  const maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  const maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+  // Map iteration follows insertion order, so the first key is the least
+  // recently used one
+  const entries = new Map();
+  let totalBytes = 0;
+
+  const keyFor = (filename, query, page, pageSize, variant) =>
+    JSON.stringify([
+      filename,
+      describeReadQuery(query).sql,
+      page,
+      pageSize,
+      variant ?? null,
+    ]);
+
+  const remove = (key) => {
+    totalBytes -= entries.get(key).size;
+    entries.delete(key);
+  };
+
+  return {
+    /**
+     * Look up a cached result, marking it as recently used
+     * @returns {object|null} Cached results or null
+     */
+    get(filename, query, page, pageSize, variant = null) {
+      const key = keyFor(filename, query, page, pageSize, variant);
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.results;
+    },
+
+    /**
+     * Store a result, evicting the least recently used ones past the limits
+     */
+    set(filename, query, page, pageSize, results, variant = null) {
+      const key = keyFor(filename, query, page, pageSize, variant);
+      const size = JSON.stringify(results).length;
+      if (entries.has(key)) {
+        remove(key);
+      }
+      // A result bigger than the whole cache would only evict everything else
+      if (size > maxBytes) {
+        return;
+      }
+
+      entries.set(key, { filename, results, size });
+      totalBytes += size;
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+    },
+
+    /**
+     * Drop every result for a database, e.g. once its file is deleted
+     * @param {string} filename - Stored upload name
+     */
+    invalidate(filename) {
+      for (const [key, entry] of entries) {
+        if (entry.filename === filename) {
+          remove(key);
+        }
+      }
+    },
+
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    get bytes() {
+      return totalBytes;
+    },
+  };
+}
+
+// Shared by the query endpoint and the AI tools
+export const queryCache = createQueryCache();
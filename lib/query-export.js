@@ -0,0 +1,217 @@
+import { crc32 } from "node:zlib";
+
+/**
+ * File formats a query's rows can be exported as
+ */
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson", extension: "jsonl" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+const encoder = new TextEncoder();
+
+// Blobs have no text form in any of the formats, so they are written as base64
+function toText(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value).toString("base64");
+  }
+  return String(value);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(",")}\r\n`;
+}
+
+async function* csvChunks(columns, batches) {
+  yield csvLine(columns);
+  for await (const rows of batches) {
+    yield rows.map(csvLine).join("");
+  }
+}
+
+async function* jsonLinesChunks(columns, batches) {
+  for await (const rows of batches) {
+    yield rows
+      .map((row) => {
+        const record = {};
+        for (const [index, column] of columns.entries()) {
+          const value = row[index];
+          record[column] = value instanceof Uint8Array ? toText(value) : value;
+        }
+        return `${JSON.stringify(record)}\n`;
+      })
+      .join("");
+  }
+}
+
+// XML 1.0 can't hold most control characters, even escaped
+function xmlText(text) {
+  return text
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+function xlsxCell(value) {
+  if (value === null || value === undefined) {
+    return "<c/>";
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+  return `<c t="inlineStr"><is><t xml:space="preserve">${xmlText(toText(value))}</t></is></c>`;
+}
+
+function xlsxRow(values) {
+  return `<row>${values.map(xlsxCell).join("")}</row>`;
+}
+
+const XLSX_PARTS = {
+  "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+  "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Results" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+};
+const SHEET_PATH = "xl/worksheets/sheet1.xml";
+
+// Zip structures, see APPNOTE.TXT. Entries are stored uncompressed, dated
+// 1980-01-01, with names in UTF-8.
+const ZIP_UTF8_NAMES = 0x0800;
+const ZIP_SIZES_AFTER_DATA = 0x0008;
+const ZIP_DOS_DATE = (1 << 5) | 1;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+function zipLocalHeader(name, flags, crc, size) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(flags, 6);
+  header.writeUInt16LE(0, 8); // stored
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(ZIP_DOS_DATE, 12);
+  header.writeUInt32LE(crc, 14);
+  header.writeUInt32LE(size, 18);
+  header.writeUInt32LE(size, 22);
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  return Buffer.concat([header, name]);
+}
+
+function zipCentralHeader({ name, flags, crc, size, offset }) {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(flags, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(0, 12);
+  header.writeUInt16LE(ZIP_DOS_DATE, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(size, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+}
+
+/**
+ * Write a workbook with one sheet as a zip, streaming the sheet as its rows
+ * arrive; its size and checksum follow its data, so nothing is buffered
+ */
+async function* xlsxChunks(columns, batches) {
+  const entries = [];
+  let offset = 0;
+  const emit = (bytes) => {
+    offset += bytes.length;
+    if (offset > ZIP_MAX_SIZE) {
+      throw new Error("Export is too large for XLSX, export it as CSV");
+    }
+    return bytes;
+  };
+
+  for (const [path, xml] of Object.entries(XLSX_PARTS)) {
+    const name = Buffer.from(path);
+    const data = encoder.encode(xml);
+    const entry = { name, flags: ZIP_UTF8_NAMES, crc: crc32(data) };
+    entry.size = data.length;
+    entry.offset = offset;
+    entries.push(entry);
+    yield emit(zipLocalHeader(name, entry.flags, entry.crc, entry.size));
+    yield emit(data);
+  }
+
+  const sheet = {
+    name: Buffer.from(SHEET_PATH),
+    flags: ZIP_UTF8_NAMES | ZIP_SIZES_AFTER_DATA,
+    crc: 0,
+    size: 0,
+    offset,
+  };
+  entries.push(sheet);
+  yield emit(zipLocalHeader(sheet.name, sheet.flags, 0, 0));
+
+  const sheetData = async function* () {
+    yield `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${xlsxRow(columns)}`;
+    for await (const rows of batches) {
+      yield rows.map(xlsxRow).join("");
+    }
+    yield "</sheetData></worksheet>";
+  };
+  for await (const xml of sheetData()) {
+    const data = encoder.encode(xml);
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    yield emit(data);
+  }
+
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(sheet.crc, 4);
+  descriptor.writeUInt32LE(sheet.size, 8);
+  descriptor.writeUInt32LE(sheet.size, 12);
+  yield emit(descriptor);
+
+  const directoryOffset = offset;
+  const directory = Buffer.concat(entries.map(zipCentralHeader));
+  yield emit(directory);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(directoryOffset, 16);
+  yield emit(end);
+}
+
+const WRITERS = { csv: csvChunks, jsonl: jsonLinesChunks, xlsx: xlsxChunks };
+
+/**
+ * Write query rows in an export format as they are read
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string[]} columns - Column names, unique
+ * @param {AsyncIterable<Array[]>} batches - Rows as arrays, a batch at a time
+ * @returns {AsyncGenerator<Uint8Array>} File contents
+ */
+export async function* writeExport(format, columns, batches) {
+  for await (const chunk of WRITERS[format](columns, batches)) {
+    yield typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+  }
+}
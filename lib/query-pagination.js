@@ -0,0 +1,69 @@
+import { describeReadQuery } from "./sqlValidator.js";
+
+// When the COUNT(*) wrapper fails, rows are counted one by one up to here
+const FALLBACK_COUNT_MAX_ROWS = 10000;
+
+// The user's statement always goes on its own lines so a trailing line
+// comment can't swallow what is added after it
+
+/**
+ * Build the query that counts every row a read-only query returns
+ * @param {string} query - Valid read-only query (SELECT, WITH or VALUES)
+ * @returns {string} SELECT COUNT(*) AS total over the query
+ */
+export function buildCountQuery(query) {
+  const { sql } = describeReadQuery(query);
+  return `SELECT COUNT(*) AS total FROM (\n${sql}\n) AS count_query`;
+}
+
+/**
+ * Build the query for one page of a read-only query's results
+ * LIMIT/OFFSET go straight after the statement so its ORDER BY and column
+ * names are kept; a statement ending in VALUES can't take a LIMIT, so that
+ * one is wrapped in a subquery instead.
+ * @param {string} query - Valid read-only query without its own LIMIT/OFFSET
+ * @param {number} pageSize - Rows per page
+ * @param {number} offset - Rows to skip
+ * @returns {string} Paginated query
+ */
+export function buildPageQuery(query, pageSize, offset) {
+  const { sql, endsWithValues } = describeReadQuery(query);
+  const statement = endsWithValues
+    ? `SELECT * FROM (\n${sql}\n) AS page_query`
+    : sql;
+  return `${statement}\nLIMIT ${pageSize} OFFSET ${offset}`;
+}
+
+/**
+ * Count the rows a read-only query returns
+ * Uses the COUNT(*) wrapper; if SQLite rejects that, the query itself is
+ * stepped through without keeping rows, stopping at maxRows so a huge result
+ * is never loaded into memory. A count that hit the cap is a lower bound.
+ * @param {Database} db - Open connection
+ * @param {string} query - Valid read-only query
+ * @param {object} params - Named parameters the query is bound with
+ * @param {number} maxRows - Most rows to step through in the fallback
+ * @returns {object} { totalRows, approximate } - approximate means there
+ *   are at least totalRows rows
+ */
+export function countQueryRows(
+  db,
+  query,
+  params = {},
+  maxRows = FALLBACK_COUNT_MAX_ROWS,
+) {
+  try {
+    const countResult = db.prepare(buildCountQuery(query)).get(params);
+    return { totalRows: countResult.total, approximate: false };
+  } catch {
+    let totalRows = 0;
+    const statement = db.prepare(describeReadQuery(query).sql);
+    for (const _row of statement.iterate(params)) {
+      if (totalRows >= maxRows) {
+        return { totalRows, approximate: true };
+      }
+      totalRows++;
+    }
+    return { totalRows, approximate: false };
+  }
+}
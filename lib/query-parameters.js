@@ -0,0 +1,63 @@
+import { findQueryParameters } from "./sqlValidator.js";
+
+/**
+ * Check the values sent for a query's :name placeholders
+ * Every placeholder needs a value - null when the input was left empty -
+ * and values may only be text, numbers, booleans or null.
+ * @param {string} query - Valid read-only query
+ * @param {object|null} params - Values keyed by placeholder name
+ * @returns {object} { isValid, error }
+ */
+export function validateQueryParameters(query, params) {
+  if (
+    params !== undefined &&
+    params !== null &&
+    (typeof params !== "object" || Array.isArray(params))
+  ) {
+    return {
+      isValid: false,
+      error: "params must map parameter names to values",
+    };
+  }
+
+  const values = params ?? {};
+  const names = findQueryParameters(query);
+  const missing = names.find((name) => !Object.hasOwn(values, name));
+  if (missing !== undefined) {
+    return { isValid: false, error: `Missing value for :${missing}` };
+  }
+  const unknown = Object.keys(values).find((name) => !names.includes(name));
+  if (unknown !== undefined) {
+    return {
+      isValid: false,
+      error: `Query has no :${unknown} parameter`,
+    };
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    const isValue =
+      value === null ||
+      typeof value === "string" ||
+      typeof value === "boolean" ||
+      (typeof value === "number" && Number.isFinite(value));
+    if (!isValue) {
+      return {
+        isValid: false,
+        error: `Value for :${name} must be text, a number, a boolean or null`,
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Turn parameter values into bindings for a prepared statement
+ * @param {object} params - Values keyed by placeholder name, without colon
+ * @returns {object} Values keyed the way bun:sqlite expects, e.g. ":region"
+ */
+export function bindQueryParameters(params) {
+  return Object.fromEntries(
+    Object.entries(params).map(([name, value]) => [`:${name}`, value]),
+  );
+}
@@ -0,0 +1,287 @@
+import { describeReadQuery, parseSql } from "./sqlValidator.js";
+
+// Words that end a table reference in a FROM clause, so can't be its alias
+const NOT_ALIASES = [
+  "where",
+  "join",
+  "inner",
+  "left",
+  "right",
+  "full",
+  "outer",
+  "cross",
+  "natural",
+  "on",
+  "using",
+  "group",
+  "order",
+  "having",
+  "window",
+  "limit",
+  "union",
+  "intersect",
+  "except",
+  "indexed",
+  "not",
+];
+// Words that end a WHERE or ON condition at its own depth
+const CONDITION_ENDS = [
+  "where",
+  "join",
+  "inner",
+  "left",
+  "right",
+  "full",
+  "cross",
+  "natural",
+  "on",
+  "using",
+  "group",
+  "order",
+  "having",
+  "window",
+  "limit",
+  "union",
+  "intersect",
+  "except",
+];
+
+function quoteIdentifier(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
+
+function nameOf(token) {
+  if (token?.type === "word") {
+    return token.value;
+  }
+  if (token?.type === "identifier") {
+    const close = token.value.at(-1);
+    return token.value.slice(1, -1).replaceAll(close + close, close);
+  }
+  return null;
+}
+
+function isKeyword(token, keyword) {
+  return token?.type === "word" && token.keyword === keyword;
+}
+
+function isPunctuation(token, value) {
+  return token?.type === "punctuation" && token.value === value;
+}
+
+/**
+ * Find the tables a query reads and the names they go by
+ * @returns {Map<string, string>} Lower-case alias or table name -> table name
+ */
+function readTableReferences(tokens) {
+  const references = new Map();
+  // Depth of the FROM list being read, where commas start new references
+  let fromDepth = null;
+
+  for (const [index, token] of tokens.entries()) {
+    if (fromDepth !== null && token.depth < fromDepth) {
+      fromDepth = null;
+    }
+    const startsReference =
+      isKeyword(token, "from") ||
+      isKeyword(token, "join") ||
+      (isPunctuation(token, ",") && token.depth === fromDepth);
+    if (isKeyword(token, "from")) {
+      fromDepth = token.depth;
+    } else if (
+      token.depth === fromDepth &&
+      token.type === "word" &&
+      CONDITION_ENDS.includes(token.keyword) &&
+      token.keyword !== "join"
+    ) {
+      fromDepth = null;
+    }
+    if (!startsReference) continue;
+
+    // [schema.]table [[AS] alias]; subqueries have no table to index
+    let next = index + 1;
+    let table = nameOf(tokens[next]);
+    if (table === null) continue;
+    if (isPunctuation(tokens[next + 1], ".")) {
+      next += 2;
+      table = nameOf(tokens[next]);
+      if (table === null) continue;
+    }
+    next++;
+    if (isPunctuation(tokens[next], "(")) continue; // table-valued function
+    if (isKeyword(tokens[next], "as")) next++;
+    const alias = nameOf(tokens[next]);
+    references.set(table.toLowerCase(), table);
+    if (
+      alias !== null &&
+      !(
+        tokens[next].type === "word" &&
+        NOT_ALIASES.includes(tokens[next].keyword)
+      )
+    ) {
+      references.set(alias.toLowerCase(), table);
+    }
+  }
+  return references;
+}
+
+/**
+ * Collect the columns named in WHERE and ON conditions and USING lists
+ * @returns {Array<{qualifier, column}>} qualifier is null for bare names
+ */
+function readConditionColumns(tokens) {
+  const columns = [];
+  for (const [index, token] of tokens.entries()) {
+    if (
+      !isKeyword(token, "where") &&
+      !isKeyword(token, "on") &&
+      !isKeyword(token, "using")
+    ) {
+      continue;
+    }
+    const depth = token.depth;
+    for (let i = index + 1; i < tokens.length; i++) {
+      const current = tokens[i];
+      if (
+        current.depth < depth ||
+        (current.depth === depth &&
+          current.type === "word" &&
+          CONDITION_ENDS.includes(current.keyword))
+      ) {
+        break;
+      }
+      // Subqueries are explained, and looked at, on their own
+      if (isKeyword(current, "select")) break;
+
+      const column = nameOf(current);
+      if (
+        column === null ||
+        isPunctuation(tokens[i + 1], "(") ||
+        isPunctuation(tokens[i + 1], ".")
+      ) {
+        continue;
+      }
+      const qualifier = isPunctuation(tokens[i - 1], ".")
+        ? nameOf(tokens[i - 2])
+        : null;
+      columns.push({ qualifier, column });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Columns of a table, and the columns that already lead one of its indexes
+ * @returns {object|null} { columns, indexed } with lower-case names, or null
+ *   when there is no such table
+ */
+function describeTable(db, table) {
+  const tableInfo = db
+    .prepare(`PRAGMA table_info(${quoteIdentifier(table)})`)
+    .all();
+  if (tableInfo.length === 0) {
+    return null;
+  }
+
+  const columns = new Map();
+  // An INTEGER PRIMARY KEY is the rowid, which is always indexed
+  const indexed = new Set();
+  for (const column of tableInfo) {
+    columns.set(column.name.toLowerCase(), column.name);
+    if (column.pk === 1 && column.type.toUpperCase() === "INTEGER") {
+      indexed.add(column.name.toLowerCase());
+    }
+  }
+  for (const index of db
+    .prepare(`PRAGMA index_list(${quoteIdentifier(table)})`)
+    .all()) {
+    const [first] = db
+      .prepare(`PRAGMA index_info(${quoteIdentifier(index.name)})`)
+      .all();
+    if (first?.name) indexed.add(first.name.toLowerCase());
+  }
+  return { columns, indexed };
+}
+
+/**
+ * Explain how SQLite will run a read-only query
+ * Steps that read every row of a table are flagged, and columns of those
+ * tables that the query filters or joins on without an index are suggested
+ * for one. The query is only planned, never run.
+ * @param {Database} db - Open connection
+ * @param {string} query - Valid read-only query
+ * @param {object} params - Named parameters the query is bound with
+ * @returns {object} { plan, fullScans, suggestions } where plan is a tree of
+ *   { id, detail, fullScan, table, children }, fullScans lists the tables
+ *   read in full and suggestions holds { table, column, sql } per column
+ */
+export function explainQuery(db, query, params = {}) {
+  const { sql } = describeReadQuery(query);
+  const rows = db.prepare(`EXPLAIN QUERY PLAN\n${sql}`).all(params);
+  const tokens = parseSql(sql, { allowLimitOffset: true });
+  const references = readTableReferences(tokens);
+
+  const tables = new Map();
+  const tableFor = (name) => {
+    const table = references.get(name.toLowerCase());
+    if (!table) return null;
+    if (!tables.has(table)) {
+      tables.set(table, describeTable(db, table));
+    }
+    return tables.get(table) ? table : null;
+  };
+
+  const nodes = new Map();
+  const plan = [];
+  const fullScans = [];
+  for (const row of rows) {
+    // "SCAN <name>" with no index is a full table scan; CTEs, subqueries
+    // and constant rows are scanned too but aren't tables
+    const match = /^SCAN (\S+)$/.exec(row.detail);
+    const table = match ? tableFor(match[1]) : null;
+    const node = {
+      id: row.id,
+      detail: row.detail,
+      fullScan: table !== null,
+      table,
+      children: [],
+    };
+    if (table && !fullScans.includes(table)) {
+      fullScans.push(table);
+    }
+    nodes.set(row.id, node);
+    (nodes.get(row.parent)?.children ?? plan).push(node);
+  }
+
+  const suggestions = [];
+  for (const { qualifier, column } of readConditionColumns(tokens)) {
+    const candidates = qualifier
+      ? [tableFor(qualifier)]
+      : fullScans.filter((table) =>
+          tables.get(table).columns.has(column.toLowerCase()),
+        );
+    if (candidates.length !== 1) continue;
+
+    const [table] = candidates;
+    const info = tables.get(table);
+    const name = info?.columns.get(column.toLowerCase());
+    if (
+      !fullScans.includes(table) ||
+      !name ||
+      info.indexed.has(name.toLowerCase()) ||
+      suggestions.some(
+        (suggestion) =>
+          suggestion.table === table && suggestion.column === name,
+      )
+    ) {
+      continue;
+    }
+    suggestions.push({
+      table,
+      column: name,
+      sql: `CREATE INDEX ${quoteIdentifier(`idx_${table}_${name}`)} ON ${quoteIdentifier(table)} (${quoteIdentifier(name)})`,
+    });
+  }
+
+  return { plan, fullScans, suggestions };
+}
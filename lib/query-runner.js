@@ -0,0 +1,562 @@
+import { fileURLToPath } from "node:url";
+import { getColumnInfo } from "./column-info.js";
+import {
+  buildKeysetQuery,
+  decodeCursor,
+  encodeCursor,
+  planKeysetQuery,
+} from "./keyset-pagination.js";
+import { buildPageQuery, countQueryRows } from "./query-pagination.js";
+import { bindQueryParameters } from "./query-parameters.js";
+import { buildViewQuery } from "./query-view.js";
+import { describeReadQuery } from "./sqlValidator.js";
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const DEFAULT_MAX_ROWS = 1000;
+const DEFAULT_MAX_WORKERS = 4;
+// Rows a worker sends per message when exporting
+const EXPORT_BATCH_ROWS = 500;
+const WORKER_PATH = fileURLToPath(
+  new URL("./query-worker.js", import.meta.url),
+);
+
+// Finished workers kept for reuse, and how long they are kept
+const MAX_IDLE_WORKERS = 2;
+const WORKER_IDLE_MS = 5 * 60 * 1000;
+
+// Queries still running, keyed by user and query id, so they can be cancelled
+const runningQueries = new Map();
+const idleWorkers = [];
+// Callers waiting for a worker because the most are already running
+const workerWaiters = [];
+// Worker processes alive, busy or idle
+let liveWorkers = 0;
+
+function readNumber(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Read the limits for user queries from the environment
+ * - QUERY_TIMEOUT_SECONDS: time budget for one query (default 30)
+ * - QUERY_MAX_ROWS: most rows one query may return (default 1000)
+ * - QUERY_MAX_WORKERS: most worker processes at once; further queries wait
+ *   for one to come free (default 4)
+ * @param {object} env - Environment variables
+ * @returns {object} { timeoutMs, maxRows, maxWorkers }
+ */
+export function getQueryLimits(env = process.env) {
+  return {
+    timeoutMs:
+      readNumber(env.QUERY_TIMEOUT_SECONDS, DEFAULT_TIMEOUT_SECONDS) * 1000,
+    maxRows: Math.floor(readNumber(env.QUERY_MAX_ROWS, DEFAULT_MAX_ROWS)),
+    maxWorkers: Math.floor(
+      readNumber(env.QUERY_MAX_WORKERS, DEFAULT_MAX_WORKERS),
+    ),
+  };
+}
+
+/**
+ * Run one page of a validated read-only query
+ * @param {Database} db - Open connection to the user's database
+ * @param {string} query - Query that passed validateSqlForWidget
+ * @param {number} page - Page number, from 1
+ * @param {number} pageSize - Rows per page
+ * @param {number} offset - Rows to skip
+ * @param {object} options
+ * @param {number} options.maxRows - Stop reading the page after this many rows
+ * @param {object|null} options.view - Sort and filters from a data table,
+ *   see normalizeQueryView
+ * @param {object|null} options.keyset - { cursor } to page by seeking where
+ *   the query allows it, with cursor null for the first page or the
+ *   nextCursor/prevCursor of an earlier page
+ * @param {object} options.params - Values for the query's :name
+ *   placeholders, keyed by name
+ * @returns {object} Query results in the /api/query response shape; when
+ *   approximate is set, totalRows and totalPages are lower bounds, and
+ *   pagination tells whether the page was read by "offset" or "keyset".
+ *   A cursor that doesn't fit the query gives { success: false, error,
+ *   type: "validation_error" } instead.
+ */
+export function executeQueryWithPagination(
+  db,
+  query,
+  page,
+  pageSize,
+  offset,
+  options = {},
+) {
+  const {
+    maxRows = DEFAULT_MAX_ROWS,
+    view = null,
+    keyset = null,
+    params: values = {},
+  } = options;
+  const queryParams = bindQueryParameters(values);
+
+  // A data table's own sort replaces the ORDER BY a keyset is built on
+  const plan = keyset && !view ? planKeysetQuery(db, query) : null;
+  if (plan) {
+    const cursor = keyset.cursor ? decodeCursor(keyset.cursor, plan) : null;
+    if (keyset.cursor && !cursor) {
+      return {
+        success: false,
+        error: "Invalid cursor for this query",
+        type: "validation_error",
+      };
+    }
+    return executeKeysetPage(db, query, queryParams, plan, cursor, {
+      pageSize,
+      maxRows,
+    });
+  }
+
+  // Sorting and filtering wrap the query, which needs its column names
+  const columns = view
+    ? db.prepare(describeReadQuery(query).sql).columnNames
+    : [];
+  const { sql, params: viewParams } = buildViewQuery(query, columns, view);
+  const params = { ...queryParams, ...viewParams };
+
+  // Count every row, or at least how many there are when SQLite can't
+  // wrap the query in a COUNT(*)
+  const { totalRows, approximate } = countQueryRows(db, sql, params);
+
+  // Execute the paginated query; one row past the cap is enough to tell
+  // that the page was cut short
+  const statement = db.prepare(
+    buildPageQuery(sql, Math.min(pageSize, maxRows + 1), offset),
+  );
+  const pageRows = statement.values(params);
+  const truncated = pageRows.length > maxRows;
+  const rows = truncated ? pageRows.slice(0, maxRows) : pageRows;
+
+  // Column names and types come from the statement, so they're known even
+  // when there are no rows
+  const columnInfo = getColumnInfo(statement);
+
+  return {
+    success: true,
+    columns: columnInfo.map((column) => column.name),
+    columnInfo,
+    rows,
+    totalRows,
+    page,
+    pageSize,
+    totalPages: Math.ceil(totalRows / pageSize),
+    hasMore:
+      page * pageSize < totalRows || (approximate && rows.length === pageSize),
+    approximate,
+    truncated,
+    pagination: "offset",
+  };
+}
+
+/**
+ * Run one page of a query by seeking past the previous page's last sort key
+ * (or before the next page's first one) instead of skipping rows
+ */
+function executeKeysetPage(
+  db,
+  query,
+  queryParams,
+  plan,
+  cursor,
+  { pageSize, maxRows },
+) {
+  const { totalRows, approximate } = countQueryRows(db, query, queryParams);
+
+  // One row past the page tells whether there is another page that way
+  const limit = Math.min(pageSize, maxRows);
+  const { sql, params } = buildKeysetQuery(plan, cursor, limit + 1);
+  const statement = db.prepare(sql);
+  const readRows = statement.values({ ...queryParams, ...params });
+  const hasFurther = readRows.length > limit;
+  const pageRows = readRows.slice(0, limit);
+  const backwards = cursor?.direction === "prev";
+  if (backwards) {
+    pageRows.reverse();
+  }
+
+  // The sort keys were read as extra trailing columns
+  const keyCount = plan.keys.length;
+  const keysOf = (row) => (row ? row.slice(-keyCount) : null);
+  const rows = pageRows.map((row) => row.slice(0, -keyCount));
+  const columnInfo = getColumnInfo(statement).slice(0, -keyCount);
+
+  // Reading backwards to the start lands on the first page, whatever the
+  // cursor said
+  const page = !cursor || (backwards && !hasFurther) ? 1 : cursor.page;
+  const hasNext = backwards ? true : hasFurther;
+  const cursorTo = (direction, row, toPage) =>
+    encodeCursor(plan, { direction, values: keysOf(row), page: toPage });
+
+  return {
+    success: true,
+    columns: columnInfo.map((column) => column.name),
+    columnInfo,
+    rows,
+    totalRows,
+    page,
+    pageSize,
+    totalPages: Math.ceil(totalRows / pageSize),
+    hasMore: hasNext && rows.length > 0,
+    approximate,
+    truncated: limit < pageSize && hasFurther,
+    pagination: "keyset",
+    nextCursor:
+      hasNext && rows.length > 0
+        ? cursorTo("next", pageRows.at(-1), page + 1)
+        : null,
+    prevCursor:
+      page > 1 && rows.length > 0
+        ? cursorTo("prev", pageRows[0], page - 1)
+        : null,
+  };
+}
+
+/**
+ * Prepare every row of a validated read-only query for export
+ * The query is wrapped once more so SQLite gives repeated column names a
+ * ":1"-style suffix; rows are read as objects, which would drop them.
+ * @param {Database} db - Open connection to the user's database
+ * @param {string} query - Query that passed validateSqlForWidget
+ * @param {object} options
+ * @param {object|null} options.view - Sort and filters, see normalizeQueryView
+ * @param {object} options.params - Values for the query's :name placeholders
+ * @returns {object} { columns, rows } where rows iterates arrays
+ */
+export function prepareQueryExport(db, query, options = {}) {
+  const { view = null, params: values = {} } = options;
+  const columns = view
+    ? db.prepare(describeReadQuery(query).sql).columnNames
+    : [];
+  const { sql, params } = buildViewQuery(query, columns, view);
+  const statement = db.prepare(
+    `SELECT * FROM (\n${describeReadQuery(sql).sql}\n) AS export_query`,
+  );
+  const names = statement.columnNames;
+  const rows = statement.iterate({ ...bindQueryParameters(values), ...params });
+
+  return {
+    columns: names,
+    rows: (function* () {
+      for (const row of rows) {
+        yield names.map((name) => row[name]);
+      }
+    })(),
+  };
+}
+
+function spawnWorker() {
+  const worker = { onMessage: null, onExit: null, idleTimer: null };
+  worker.process = Bun.spawn([process.execPath, WORKER_PATH], {
+    stdio: ["ignore", "inherit", "inherit"],
+    ipc: (message) => worker.onMessage?.(message),
+  });
+  liveWorkers++;
+  // Idle workers shouldn't keep the server (or a test run) from exiting
+  worker.process.unref();
+  worker.process.exited.then(() => {
+    liveWorkers--;
+    const index = idleWorkers.indexOf(worker);
+    if (index !== -1) idleWorkers.splice(index, 1);
+    worker.onExit?.();
+    // Its place goes to the longest waiting caller
+    workerWaiters.shift()?.(spawnWorker());
+  });
+  return worker;
+}
+
+/**
+ * Get an idle worker, or start one while fewer than limits.maxWorkers are
+ * alive; otherwise wait for one to come free
+ * @returns {Promise<object|null>} Worker, or null when none came free in
+ *   limits.timeoutMs
+ */
+function takeWorker(limits) {
+  const idle = idleWorkers.pop();
+  if (idle) {
+    clearTimeout(idle.idleTimer);
+    return Promise.resolve(idle);
+  }
+  if (liveWorkers < (limits.maxWorkers ?? DEFAULT_MAX_WORKERS)) {
+    return Promise.resolve(spawnWorker());
+  }
+
+  const { promise, resolve } = Promise.withResolvers();
+  const waiter = (worker) => {
+    clearTimeout(timer);
+    resolve(worker);
+  };
+  const timer = setTimeout(() => {
+    workerWaiters.splice(workerWaiters.indexOf(waiter), 1);
+    resolve(null);
+  }, limits.timeoutMs);
+  workerWaiters.push(waiter);
+  return promise;
+}
+
+// Keep a finished worker, and the connections it has open, for the next query
+function returnWorker(worker) {
+  worker.onMessage = null;
+  worker.onExit = null;
+  const waiter = workerWaiters.shift();
+  if (waiter) {
+    waiter(worker);
+    return;
+  }
+  if (idleWorkers.length >= MAX_IDLE_WORKERS) {
+    worker.process.kill();
+    return;
+  }
+
+  worker.idleTimer = setTimeout(() => worker.process.kill(), WORKER_IDLE_MS);
+  worker.idleTimer.unref();
+  idleWorkers.push(worker);
+}
+
+/**
+ * Run a query in a worker process with a time budget
+ * SQLite can't be interrupted from JavaScript, so queries run in separate
+ * processes; one that times out or is cancelled is killed, one that finishes
+ * is kept for the next query so its connections stay warm. Time spent
+ * waiting for a worker, when the most allowed are busy, counts against the
+ * query's budget.
+ * @param {string} filePath - Database file to query
+ * @param {object} request
+ * @param {string} request.type - "explain" for the query's plan (see
+ *   explainQuery) instead of a page of its rows, or "count" for
+ *   { rowCount } of request.table
+ * @param {string} request.query - Read-only query with no top-level
+ *   LIMIT/OFFSET, as validateSqlForWidget allows
+ * @param {number} request.page - Page number, from 1
+ * @param {number} request.pageSize - Rows per page
+ * @param {number} request.offset - Rows to skip
+ * @param {object|null} request.view - Normalized sort and filters
+ * @param {object|null} request.keyset - { cursor } to page by seeking
+ * @param {object} request.params - Values for :name placeholders
+ * @param {object} options
+ * @param {number} options.userId - User running the query
+ * @param {string} options.queryId - Id the client can cancel the query with
+ * @param {object} options.limits - { timeoutMs, maxRows, maxWorkers }, see
+ *   getQueryLimits
+ * @returns {Promise<object>} { success: true, results } or
+ *   { success: false, error, type } where type is sql_error,
+ *   validation_error (a cursor that doesn't fit the query), query_timeout,
+ *   query_cancelled or server_error
+ */
+export function runQuery(filePath, request, options = {}) {
+  const { userId, queryId, limits = getQueryLimits() } = options;
+  const key = queryId ? `${userId}:${queryId}` : null;
+  const { promise, resolve } = Promise.withResolvers();
+  // Set once a worker is free to take the query
+  let worker = null;
+  let settled = false;
+
+  const finish = (outcome, { reusable = false } = {}) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    if (key && runningQueries.get(key) === finish) {
+      runningQueries.delete(key);
+    }
+    // A query stopped while still waiting passes its worker on when it comes
+    if (worker && reusable) {
+      returnWorker(worker);
+    } else if (worker) {
+      worker.onMessage = null;
+      worker.onExit = null;
+      worker.process.kill();
+    }
+    resolve(outcome);
+  };
+
+  const timer = setTimeout(
+    () =>
+      finish({
+        success: false,
+        error: `Query timed out after ${limits.timeoutMs / 1000} seconds`,
+        type: "query_timeout",
+      }),
+    limits.timeoutMs,
+  );
+
+  if (key) {
+    runningQueries.set(key, finish);
+  }
+
+  takeWorker(limits).then((taken) => {
+    if (!taken) return; // the query's own timer has gone off too
+    if (settled) {
+      returnWorker(taken);
+      return;
+    }
+    worker = taken;
+    worker.onMessage = (message) => finish(message, { reusable: true });
+    worker.onExit = () =>
+      finish({
+        success: false,
+        error: "Query worker stopped unexpectedly",
+        type: "server_error",
+      });
+    worker.process.send({ filePath, ...request, maxRows: limits.maxRows });
+  });
+  return promise;
+}
+
+/**
+ * Stop a running query
+ * @param {number} userId - User who started the query
+ * @param {string} queryId - Id the query was started with
+ * @returns {boolean} Whether a running query was stopped
+ */
+export function cancelQuery(userId, queryId) {
+  const finish = runningQueries.get(`${userId}:${queryId}`);
+  if (!finish) {
+    return false;
+  }
+
+  finish({
+    success: false,
+    error: "Query was cancelled",
+    type: "query_cancelled",
+  });
+  return true;
+}
+
+/**
+ * Read every row of a query from a worker process, a batch at a time
+ * The worker only reads the next batch when asked for it, so a slow reader
+ * (such as a download) never has the whole result held in memory. Each
+ * batch gets the full time budget, and so does the reader between batches;
+ * the worker is killed when either runs out or when the reader stops early.
+ * @param {string} filePath - Database file to query
+ * @param {object} request
+ * @param {string} request.query - Read-only query with no top-level
+ *   LIMIT/OFFSET, as validateSqlForWidget allows
+ * @param {object|null} request.view - Normalized sort and filters
+ * @param {object} request.params - Values for :name placeholders
+ * @param {object} options
+ * @param {object} options.limits - { timeoutMs, maxWorkers }, see
+ *   getQueryLimits
+ * @returns {Promise<object>} { success: true, columns, batches, close } where
+ *   batches() yields arrays of rows and close() stops reading, or
+ *   { success: false, error, type } like runQuery
+ */
+export async function openQueryExport(filePath, request, options = {}) {
+  const { limits = getQueryLimits() } = options;
+  const worker = await takeWorker(limits);
+  if (!worker) {
+    return {
+      success: false,
+      error: `Query timed out after ${limits.timeoutMs / 1000} seconds`,
+      type: "query_timeout",
+    };
+  }
+  let closed = false;
+  // Settles the batch being waited for, if any
+  let answer = null;
+  // Runs while the reader holds the worker without asking for more rows
+  let idleTimer = null;
+  // Why the export was stopped before its last row, when it was
+  let stopped = null;
+
+  const close = ({ reusable = false } = {}) => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(idleTimer);
+    if (reusable) {
+      returnWorker(worker);
+    } else {
+      worker.onMessage = null;
+      worker.onExit = null;
+      worker.process.kill();
+    }
+    answer?.({
+      success: false,
+      error: "Export was stopped",
+      type: "query_cancelled",
+    });
+  };
+
+  const waitForReader = () => {
+    idleTimer = setTimeout(() => {
+      stopped = `Export stopped after the reader was idle for ${limits.timeoutMs / 1000} seconds`;
+      close();
+    }, limits.timeoutMs);
+    idleTimer.unref();
+  };
+
+  const ask = (message) => {
+    clearTimeout(idleTimer);
+    const { promise, resolve } = Promise.withResolvers();
+    const timer = setTimeout(() => {
+      answer({
+        success: false,
+        error: `Query timed out after ${limits.timeoutMs / 1000} seconds`,
+        type: "query_timeout",
+      });
+      close();
+    }, limits.timeoutMs);
+    answer = (reply) => {
+      answer = null;
+      clearTimeout(timer);
+      resolve(reply);
+    };
+    worker.onMessage = (reply) => answer?.(reply);
+    worker.onExit = () =>
+      answer?.({
+        success: false,
+        error: "Query worker stopped unexpectedly",
+        type: "server_error",
+      });
+    worker.process.send(message);
+    return promise;
+  };
+
+  const opened = await ask({
+    type: "export",
+    filePath,
+    ...request,
+    batchSize: EXPORT_BATCH_ROWS,
+  });
+  if (!opened.success) {
+    close({ reusable: opened.type === "sql_error" });
+    return opened;
+  }
+  waitForReader();
+
+  return {
+    success: true,
+    columns: opened.columns,
+    async *batches() {
+      try {
+        while (!closed) {
+          const reply = await ask({ type: "next" });
+          if (!reply.success) {
+            close({ reusable: reply.type === "sql_error" });
+            throw new Error(reply.error);
+          }
+          if (reply.done) {
+            close({ reusable: true });
+          } else {
+            waitForReader();
+          }
+          if (reply.rows.length > 0) {
+            yield reply.rows;
+          }
+        }
+        // A file cut short must not look complete
+        if (stopped) {
+          throw new Error(stopped);
+        }
+      } finally {
+        close();
+      }
+    },
+    close: () => close(),
+  };
+}
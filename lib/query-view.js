@@ -0,0 +1,117 @@
+import { describeReadQuery } from "./sqlValidator.js";
+
+const SORT_DIRECTIONS = ["asc", "desc"];
+
+/**
+ * Check the sort and filters a data table sends along with its query
+ * - sort: { column, direction } with direction "asc" or "desc", or null
+ * - filters: { [column]: text }; rows are kept when the column contains
+ *   the text, ignoring case. Empty texts are ignored.
+ * Whether the columns exist is only known once the query is prepared.
+ * @param {object} view - { sort, filters } from the request
+ * @returns {object} { isValid, error }
+ */
+export function validateQueryView({ sort, filters } = {}) {
+  if (sort !== undefined && sort !== null) {
+    if (typeof sort !== "object" || typeof sort.column !== "string") {
+      return { isValid: false, error: "sort must name a column" };
+    }
+    if (!SORT_DIRECTIONS.includes(sort.direction ?? "asc")) {
+      return {
+        isValid: false,
+        error: 'sort direction must be "asc" or "desc"',
+      };
+    }
+  }
+
+  if (filters !== undefined && filters !== null) {
+    if (typeof filters !== "object" || Array.isArray(filters)) {
+      return {
+        isValid: false,
+        error: "filters must map column names to text",
+      };
+    }
+    for (const [column, value] of Object.entries(filters)) {
+      if (typeof value !== "string") {
+        return {
+          isValid: false,
+          error: `Filter for "${column}" must be text`,
+        };
+      }
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
+/**
+ * Reduce a view to what changes the results, in a stable order, so equal
+ * views compare (and cache) equal
+ * @param {object} view - { sort, filters } that passed validateQueryView
+ * @returns {object|null} { sort, filters } or null when nothing applies
+ */
+export function normalizeQueryView({ sort, filters } = {}) {
+  const activeFilters = Object.entries(filters ?? {})
+    .filter(([, value]) => value.trim() !== "")
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  if (!sort && activeFilters.length === 0) {
+    return null;
+  }
+  return {
+    sort: sort
+      ? { column: sort.column, direction: sort.direction ?? "asc" }
+      : null,
+    filters: Object.fromEntries(activeFilters),
+  };
+}
+
+function quoteIdentifier(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (character) => `\\${character}`);
+}
+
+/**
+ * Wrap a read-only query so its rows are filtered and sorted by a view
+ * Column names are checked against the query's own columns - SQLite reads
+ * an unknown double-quoted name as a string, which would quietly sort or
+ * filter on a constant - and filter texts are bound as parameters, never
+ * written into the SQL.
+ * @param {string} query - Valid read-only query
+ * @param {string[]} columns - Result columns of the query
+ * @param {object|null} view - Normalized view, see normalizeQueryView
+ * @returns {object} { sql, params } - params holds $-named bindings
+ */
+export function buildViewQuery(query, columns, view) {
+  if (!view) {
+    return { sql: query, params: {} };
+  }
+
+  const checkColumn = (column) => {
+    if (!columns.includes(column)) {
+      throw new Error(`no such column: ${column}`);
+    }
+    return quoteIdentifier(column);
+  };
+
+  const params = {};
+  const conditions = Object.entries(view.filters).map(
+    ([column, value], index) => {
+      params[`$filter_${index}`] = `%${escapeLike(value.trim())}%`;
+      return `CAST(${checkColumn(column)} AS TEXT) LIKE $filter_${index} ESCAPE '\\'`;
+    },
+  );
+
+  const { sql } = describeReadQuery(query);
+  let viewSql = `SELECT * FROM (\n${sql}\n) AS view_query`;
+  if (conditions.length > 0) {
+    viewSql += `\nWHERE ${conditions.join(" AND ")}`;
+  }
+  if (view.sort) {
+    viewSql += `\nORDER BY ${checkColumn(view.sort.column)} ${view.sort.direction.toUpperCase()}`;
+  }
+  return { sql: viewSql, params };
+}
@@ -0,0 +1,115 @@
+/**
+ * Worker process for runQuery - user queries run outside the server so a
+ * runaway query can be stopped by killing the process. The process answers
+ * one query at a time and keeps its connections pooled between queries.
+ * An export (openQueryExport) holds its connection until every row has been
+ * asked for with "next" messages; an "explain" message plans a query
+ * without running it, and a "count" message counts a table's rows.
+ */
+import { connectionPool } from "./connection-pool.js";
+import { bindQueryParameters } from "./query-parameters.js";
+import { explainQuery } from "./query-plan.js";
+import {
+  executeQueryWithPagination,
+  prepareQueryExport,
+} from "./query-runner.js";
+import { countTableRows } from "./row-counts.js";
+
+let runningExport = null;
+
+function finishExport() {
+  runningExport?.lease.release();
+  runningExport = null;
+}
+
+function startExport({ filePath, query, view, params, batchSize }) {
+  const lease = connectionPool.acquire(filePath);
+  try {
+    const { columns, rows } = prepareQueryExport(lease.db, query, {
+      view,
+      params,
+    });
+    runningExport = { lease, rows, batchSize };
+    return { success: true, columns };
+  } catch (error) {
+    lease.release();
+    throw error;
+  }
+}
+
+function nextExportBatch() {
+  const { rows, batchSize } = runningExport;
+  const batch = [];
+  while (batch.length < batchSize) {
+    const next = rows.next();
+    if (next.done) {
+      finishExport();
+      return { success: true, rows: batch, done: true };
+    }
+    batch.push(next.value);
+  }
+  return { success: true, rows: batch, done: false };
+}
+
+function runPageQuery({ filePath, query, page, pageSize, offset, ...options }) {
+  const lease = connectionPool.acquire(filePath);
+  try {
+    const results = executeQueryWithPagination(
+      lease.db,
+      query,
+      page,
+      pageSize,
+      offset,
+      options,
+    );
+    return results.success ? { success: true, results } : results;
+  } finally {
+    lease.release();
+  }
+}
+
+function runExplain({ filePath, query, params = {} }) {
+  const lease = connectionPool.acquire(filePath);
+  try {
+    return {
+      success: true,
+      results: explainQuery(lease.db, query, bindQueryParameters(params)),
+    };
+  } finally {
+    lease.release();
+  }
+}
+
+function runCount({ filePath, table }) {
+  const lease = connectionPool.acquire(filePath);
+  try {
+    return {
+      success: true,
+      results: { rowCount: countTableRows(lease.db, table) },
+    };
+  } finally {
+    lease.release();
+  }
+}
+
+process.on("message", ({ type, ...message }) => {
+  try {
+    if (type === "export") {
+      process.send(startExport(message));
+    } else if (type === "next") {
+      process.send(nextExportBatch());
+    } else if (type === "explain") {
+      process.send(runExplain(message));
+    } else if (type === "count") {
+      process.send(runCount(message));
+    } else {
+      process.send(runPageQuery(message));
+    }
+  } catch (error) {
+    finishExport();
+    process.send({ success: false, error: error.message, type: "sql_error" });
+  }
+});
+
+// Don't outlive the server
+process.on("disconnect", () => process.exit(0));
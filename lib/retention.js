@@ -0,0 +1,186 @@
+import { AuthManager } from "./auth.js";
+import { removeStaleChunkedUploads } from "./chunked-uploads.js";
+import { logger } from "./logger.js";
+import { removeOldQuarantinedFiles } from "./quarantine.js";
+import {
+  releaseStoredDatabase,
+  removeStaleTempFiles,
+} from "./upload-storage.js";
+
+// Uploads are only ever deleted when an operator opts in
+const DEFAULT_MAX_AGE_DAYS = 0;
+const DEFAULT_QUOTA_MB = 0;
+const DEFAULT_INTERVAL_MINUTES = 60;
+// Resumable uploads nobody came back to within a day are abandoned
+const CHUNKED_UPLOAD_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// No import runs this long, so older temp files are leftovers
+const TEMP_FILE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+// Long enough to look into a broken upload someone reported
+const QUARANTINE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readNumber(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Read the retention policy from the environment
+ * A value of 0 turns that rule off.
+ * - UPLOAD_MAX_AGE_DAYS: delete uploads older than this (default 0)
+ * - UPLOAD_QUOTA_MB: per-user storage limit; oldest uploads go first (default 0)
+ * - CLEANUP_INTERVAL_MINUTES: how often the server runs the cleanup (default 60)
+ * @param {object} env - Environment variables
+ * @returns {object} { maxAgeDays, quotaBytes, intervalMs }
+ */
+export function getRetentionPolicy(env = process.env) {
+  return {
+    maxAgeDays: readNumber(env.UPLOAD_MAX_AGE_DAYS, DEFAULT_MAX_AGE_DAYS),
+    quotaBytes: readNumber(env.UPLOAD_QUOTA_MB, DEFAULT_QUOTA_MB) * 1024 * 1024,
+    intervalMs:
+      readNumber(env.CLEANUP_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES) *
+      60 *
+      1000,
+  };
+}
+
+async function removeUpload(appDatabase, upload, reason) {
+  await appDatabase.uploads.delete(upload.filename, upload.user_id);
+  await releaseStoredDatabase(upload.filename, appDatabase);
+
+  logger.info(
+    `🧹 Removed ${upload.filename} (user ${upload.user_id}, ${upload.size} bytes): ${reason}`,
+  );
+  return { filename: upload.filename, userId: upload.user_id, reason };
+}
+
+async function removeExpiredUploads(appDatabase, maxAgeDays) {
+  const cutoff = new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+  const uploads = await appDatabase.uploads.listCreatedBefore(cutoff);
+  const removed = [];
+
+  for (const upload of uploads) {
+    removed.push(
+      await removeUpload(appDatabase, upload, `older than ${maxAgeDays} days`),
+    );
+  }
+  return removed;
+}
+
+async function removeUploadsOverQuota(appDatabase, quotaBytes) {
+  const users = await appDatabase.uploads.listUsersOverQuota(quotaBytes);
+  const removed = [];
+
+  for (const { user_id: userId } of users) {
+    // Newest first; the most recent upload is always kept so a user is
+    // never left without the database they just uploaded
+    const [newest, ...older] = await appDatabase.uploads.listByUser(userId);
+    let used = newest.size;
+
+    for (const upload of older) {
+      used += upload.size;
+      if (used > quotaBytes) {
+        removed.push(
+          await removeUpload(appDatabase, upload, "over storage quota"),
+        );
+        used -= upload.size;
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Apply the retention policy once
+ * Deletes uploads past the age limit, then the oldest uploads of any user
+ * over quota, abandoned chunked uploads, temp files left by failed imports,
+ * week-old quarantined files, and expired sessions and auth tokens.
+ * @param {AppDatabase} appDatabase - Connected app database
+ * @param {object} policy - Policy from getRetentionPolicy
+ * @returns {Promise<object>} { uploadsRemoved, chunkedUploadsRemoved, tempFilesRemoved, quarantinedFilesRemoved, sessionsRemoved, tokensRemoved }
+ */
+export async function runCleanup(appDatabase, policy = getRetentionPolicy()) {
+  const uploadsRemoved = [];
+
+  if (policy.maxAgeDays > 0) {
+    uploadsRemoved.push(
+      ...(await removeExpiredUploads(appDatabase, policy.maxAgeDays)),
+    );
+  }
+  if (policy.quotaBytes > 0) {
+    uploadsRemoved.push(
+      ...(await removeUploadsOverQuota(appDatabase, policy.quotaBytes)),
+    );
+  }
+
+  const chunkedUploadsRemoved = await removeStaleChunkedUploads(
+    CHUNKED_UPLOAD_MAX_AGE_MS,
+  );
+  if (chunkedUploadsRemoved.length > 0) {
+    logger.info(
+      `🧹 Removed ${chunkedUploadsRemoved.length} abandoned chunked uploads`,
+    );
+  }
+
+  const tempFilesRemoved = await removeStaleTempFiles(TEMP_FILE_MAX_AGE_MS);
+  if (tempFilesRemoved > 0) {
+    logger.info(`🧹 Removed ${tempFilesRemoved} temp files left by imports`);
+  }
+
+  const quarantinedFilesRemoved = await removeOldQuarantinedFiles(
+    QUARANTINE_MAX_AGE_MS,
+  );
+  if (quarantinedFilesRemoved > 0) {
+    logger.info(`🧹 Removed ${quarantinedFilesRemoved} old quarantined files`);
+  }
+
+  const { sessionsRemoved, tokensRemoved } = await new AuthManager(
+    appDatabase,
+  ).cleanupExpired();
+
+  return {
+    uploadsRemoved,
+    chunkedUploadsRemoved: chunkedUploadsRemoved.length,
+    tempFilesRemoved,
+    quarantinedFilesRemoved,
+    sessionsRemoved,
+    tokensRemoved,
+  };
+}
+
+/**
+ * Run the cleanup now and then every policy.intervalMs in the background
+ * Runs never overlap, and the timer doesn't keep the process alive.
+ * @param {AppDatabase} appDatabase - Connected app database
+ * @param {object} policy - Policy from getRetentionPolicy
+ * @returns {Function|null} Stops the schedule; null when the interval is 0
+ */
+export function startCleanupSchedule(
+  appDatabase,
+  policy = getRetentionPolicy(),
+) {
+  if (policy.intervalMs <= 0) {
+    logger.debug("🧹 Scheduled cleanup is disabled");
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runCleanup(appDatabase, policy);
+    } catch (error) {
+      logger.error("❌ Scheduled cleanup failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, policy.intervalMs);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,112 @@
+const DEFAULT_MAX_ENTRIES = 10000;
+
+function quoteIdentifier(name) {
+  return `"${name.replaceAll('"', '""')}"`;
+}
+
+/**
+ * Create a least-recently-used cache of exact table row counts
+ * Keyed on the stored filename, which is the hash of the file's contents,
+ * so a count never goes stale; entries only go when the file is deleted.
+ * @param {object} options
+ * @param {number} options.maxEntries - Most counts kept
+ * @returns {object} Cache with get, set, invalidate and clear
+ */
+export function createRowCountCache(options = {}) {
+  const maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+  const keyFor = (filename, table) => JSON.stringify([filename, table]);
+
+  return {
+    /**
+     * @returns {number|null} Cached count, or null when it isn't known
+     */
+    get(filename, table) {
+      const key = keyFor(filename, table);
+      if (!entries.has(key)) {
+        return null;
+      }
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.count;
+    },
+
+    set(filename, table, count) {
+      const key = keyFor(filename, table);
+      entries.delete(key);
+      entries.set(key, { filename, count });
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldest);
+      }
+    },
+
+    /**
+     * Drop every count for a database, e.g. once its file is deleted
+     * @param {string} filename - Stored upload name
+     */
+    invalidate(filename) {
+      for (const [key, entry] of entries) {
+        if (entry.filename === filename) {
+          entries.delete(key);
+        }
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// Shared by the schema endpoint, the query workers' answers and the AI tools
+export const rowCountCache = createRowCountCache();
+
+/**
+ * Read the row counts ANALYZE left in sqlite_stat1
+ * The first number of each stat is the rows in that index (or the table,
+ * for a row without one); a partial index holds fewer, so the largest is
+ * taken. These are as old as the last ANALYZE.
+ * @param {Database} db - Open connection
+ * @returns {Map<string, number>} Table name -> estimated rows; empty when
+ *   the database was never analyzed
+ */
+export function readRowEstimates(db) {
+  const estimates = new Map();
+  const hasStats = db
+    .prepare(
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'sqlite_stat1'",
+    )
+    .get();
+  if (!hasStats) {
+    return estimates;
+  }
+
+  for (const { tbl, stat } of db
+    .prepare("SELECT tbl, stat FROM sqlite_stat1")
+    .all()) {
+    const rows = Number.parseInt(String(stat), 10);
+    if (Number.isFinite(rows)) {
+      estimates.set(tbl, Math.max(estimates.get(tbl) ?? 0, rows));
+    }
+  }
+  return estimates;
+}
+
+/**
+ * Count every row of a table or view
+ * @param {Database} db - Open connection
+ * @param {string} table - Table or view name
+ * @returns {number}
+ * @throws {Error} "no such table" for an unknown name
+ */
+export function countTableRows(db, table) {
+  return db
+    .prepare(`SELECT COUNT(*) AS count FROM ${quoteIdentifier(table)}`)
+    .get().count;
+}
@@ -0,0 +1,115 @@
+// Column JSON imports link a child table to its parent's _id with; the child
+// is named <parent>_<key>
+const PARENT_ID_COLUMN = "_parent_id";
+const JSON_ID_COLUMN = "_id";
+
+// Table names a <prefix>_id column may point at: customer_id -> customer,
+// customers; address_id -> addresses; category_id -> categories
+function candidateTableNames(prefix) {
+  const names = [prefix, `${prefix}s`, `${prefix}es`];
+  if (/[^aeiou]y$/i.test(prefix)) {
+    names.push(`${prefix.slice(0, -1)}ies`);
+  }
+  return names.map((name) => name.toLowerCase());
+}
+
+// Column a reference to a table most likely means: its one-column primary
+// key, else a column called id
+function keyColumnOf(tableInfo) {
+  const primaryKey = tableInfo.columns.filter((column) => column.primaryKey);
+  if (primaryKey.length === 1) {
+    return primaryKey[0].name;
+  }
+  return (
+    tableInfo.columns.find((column) => column.name.toLowerCase() === "id")
+      ?.name ?? null
+  );
+}
+
+/**
+ * List the relationships between the tables of a schema
+ * Declared foreign keys come first. Columns that aren't part of one but are
+ * named like a reference are matched up by name and marked inferred:
+ * <table>_id points at that table (singular or plural) and _parent_id, from
+ * JSON imports, at the table the child is named after.
+ * @param {object} schema - From /api/schema, see DatabaseManager.getSchema
+ * @returns {Array<{from, to, inferred}>} from and to are { table, columns }
+ */
+export function findRelationships(schema) {
+  const tables = Object.entries(schema).filter(
+    ([, tableInfo]) => tableInfo.type !== "view",
+  );
+  const tablesByName = new Map(
+    tables.map(([name, tableInfo]) => [name.toLowerCase(), [name, tableInfo]]),
+  );
+
+  const relationships = [];
+  for (const [name, tableInfo] of tables) {
+    for (const foreignKey of tableInfo.foreignKeys ?? []) {
+      relationships.push({
+        from: { table: name, columns: foreignKey.from },
+        to: { table: foreignKey.table, columns: foreignKey.to },
+        inferred: false,
+      });
+    }
+  }
+
+  for (const [name, tableInfo] of tables) {
+    const declared = new Set(
+      (tableInfo.foreignKeys ?? []).flatMap((foreignKey) =>
+        foreignKey.from.map((column) => column.toLowerCase()),
+      ),
+    );
+
+    for (const column of tableInfo.columns) {
+      const columnName = column.name.toLowerCase();
+      if (declared.has(columnName)) continue;
+
+      let target = null;
+      let targetColumn = null;
+      if (columnName === PARENT_ID_COLUMN) {
+        // The longest table name the child's name starts with
+        const parent = tables
+          .filter(
+            ([other, otherInfo]) =>
+              other !== name &&
+              name.toLowerCase().startsWith(`${other.toLowerCase()}_`) &&
+              otherInfo.columns.some(
+                (otherColumn) => otherColumn.name === JSON_ID_COLUMN,
+              ),
+          )
+          .sort(([a], [b]) => b.length - a.length)[0];
+        if (parent) {
+          target = parent[0];
+          targetColumn = JSON_ID_COLUMN;
+        }
+      } else {
+        const match = /^(.+)_id$/.exec(columnName);
+        const found = match
+          ? candidateTableNames(match[1])
+              .map((candidate) => tablesByName.get(candidate))
+              .find(Boolean)
+          : null;
+        if (found) {
+          target = found[0];
+          targetColumn = keyColumnOf(found[1]);
+        }
+      }
+
+      if (
+        !target ||
+        !targetColumn ||
+        (target === name && targetColumn === column.name)
+      ) {
+        continue;
+      }
+      relationships.push({
+        from: { table: name, columns: [column.name] },
+        to: { table: target, columns: [targetColumn] },
+        inferred: true,
+      });
+    }
+  }
+
+  return relationships;
+}
@@ -1,15 +1,17 @@
 -- Application Database Schema
 -- This file contains the schema for the application database (app.db)
 -- which is separate from user-uploaded databases in ./uploads/
+-- Statements must stay idempotent: the schema is re-applied on every start
+-- so tables added later reach existing databases.
 
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     email TEXT UNIQUE NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     last_login_at DATETIME
 );
 
-CREATE TABLE auth_tokens (
+CREATE TABLE IF NOT EXISTS auth_tokens (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     token TEXT UNIQUE NOT NULL,
     user_id INTEGER NOT NULL,
@@ -21,7 +23,7 @@ CREATE TABLE auth_tokens (
 
 -- Note: id is cryptographically secure random string (not auto-increment)
 -- Generated using crypto.randomBytes(32).toString('hex') for security
-CREATE TABLE sessions (
+CREATE TABLE IF NOT EXISTS sessions (
     id TEXT PRIMARY KEY,  -- Cryptographically secure session ID stored in cookies
     user_id INTEGER NOT NULL,
     expires_at DATETIME NOT NULL,
@@ -29,10 +31,27 @@ CREATE TABLE sessions (
     FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
 );
 
+-- Uploaded databases in ./uploads/ and the users who own them.
+-- Files are stored once per content hash; each row is one user's reference,
+-- and the file is deleted when its last reference goes.
+CREATE TABLE IF NOT EXISTS uploads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,  -- Stored name, <sha256 of the file>.db
+    user_id INTEGER NOT NULL,
+    original_filename TEXT NOT NULL,
+    label TEXT,  -- Friendly name set by the user; falls back to original_filename
+    size INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, filename),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+);
+
 -- Indexes for performance
-CREATE INDEX idx_auth_tokens_token ON auth_tokens (token);
-CREATE INDEX idx_auth_tokens_user_id ON auth_tokens (user_id);
-CREATE INDEX idx_auth_tokens_expires_at ON auth_tokens (expires_at);
-CREATE INDEX idx_sessions_user_id ON sessions (user_id);
-CREATE INDEX idx_sessions_expires_at ON sessions (expires_at);
-CREATE INDEX idx_users_email ON users (email);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_token ON auth_tokens (token);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens (user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_expires_at ON auth_tokens (expires_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users (email);
+CREATE INDEX IF NOT EXISTS idx_uploads_user_id ON uploads (user_id);
+CREATE INDEX IF NOT EXISTS idx_uploads_filename ON uploads (filename);
@@ -1,6 +1,12 @@
 /**
  * Centralized SQL validation module for security and compatibility
- * Used both on query save and execution to prevent dangerous operations
+ * Used both on query save and execution to prevent dangerous operations.
+ * Shared by the server and the browser, so it must stay dependency-free.
+ *
+ * Queries are tokenized the way SQLite reads them (comments, string
+ * literals, quoted identifiers, blobs, parameters) and the token stream is
+ * checked for a single read-only statement. Errors carry the line and column
+ * they were found at.
  */
 
 const DANGEROUS_KEYWORDS = [
@@ -13,70 +19,547 @@ const DANGEROUS_KEYWORDS = [
   "truncate",
   "replace",
   "pragma",
+  "attach",
+  "detach",
+  "vacuum",
+  "reindex",
+  "analyze",
 ];
 
+// Statements that only read, after any WITH clause
+const READ_STATEMENTS = ["select", "values"];
+
 const FORBIDDEN_KEYWORDS_WIDGET = ["limit", "offset"];
 
+// Longest first so "->>" wins over "->" and "<=" over "<"
+const OPERATORS = [
+  "->>",
+  "||",
+  "<<",
+  ">>",
+  "<=",
+  ">=",
+  "==",
+  "!=",
+  "<>",
+  "->",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "&",
+  "|",
+  "~",
+  "<",
+  ">",
+  "=",
+];
+
+const PUNCTUATION = ["(", ")", ",", ".", ";"];
+
+/**
+ * A problem found while reading a query, with its position in the text
+ */
+export class SqlValidationError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {object} position - { offset, line, column } of the problem
+   */
+  constructor(message, { offset, line, column }) {
+    super(message);
+    this.name = "SqlValidationError";
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+function isWordStart(char) {
+  return /[A-Za-z_\u0080-\uffff]/.test(char);
+}
+
+function isWordChar(char) {
+  return /[A-Za-z0-9_$\u0080-\uffff]/.test(char);
+}
+
+function isDigit(char) {
+  return char >= "0" && char <= "9";
+}
+
+/**
+ * Split a query into SQLite tokens
+ * Comments and whitespace are dropped. Each token records where it starts.
+ * @param {string} sql - Query text
+ * @returns {Array<{type, value, offset, line, column}>} type is one of word,
+ *   identifier, string, blob, number, parameter, operator or punctuation;
+ *   words keep their spelling in `value` and lower case in `keyword`
+ * @throws {SqlValidationError} On unterminated strings/comments or unknown characters
+ */
+export function tokenizeSql(sql) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const positionAt = (offset) => {
+    // Tokens never span lines before they start, so `line` is current
+    return { offset, line, column: offset - lineStart + 1 };
+  };
+
+  const advanceTo = (end) => {
+    for (let j = i; j < end; j++) {
+      if (sql[j] === "\n") {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+    i = end;
+  };
+
+  const push = (type, end, extra = {}) => {
+    tokens.push({ type, value: sql.slice(i, end), ...positionAt(i), ...extra });
+    advanceTo(end);
+  };
+
+  // Find the closing quote; doubled quotes are escapes
+  const findClose = (close, from) => {
+    let j = from;
+    while (j < sql.length) {
+      if (sql[j] === close) {
+        if (close !== "]" && sql[j + 1] === close) {
+          j += 2;
+          continue;
+        }
+        return j;
+      }
+      j++;
+    }
+    return -1;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      advanceTo(i + 1);
+      continue;
+    }
+
+    if (char === "-" && next === "-") {
+      const end = sql.indexOf("\n", i);
+      advanceTo(end === -1 ? sql.length : end);
+      continue;
+    }
+
+    if (char === "/" && next === "*") {
+      const end = sql.indexOf("*/", i + 2);
+      if (end === -1) {
+        throw new SqlValidationError(
+          "Comment is never closed (missing */)",
+          positionAt(i),
+        );
+      }
+      advanceTo(end + 2);
+      continue;
+    }
+
+    // Blob literals: X'0A1B'
+    if ((char === "x" || char === "X") && next === "'") {
+      const end = findClose("'", i + 2);
+      if (end === -1) {
+        throw new SqlValidationError(
+          "Blob literal is never closed (missing ')",
+          positionAt(i),
+        );
+      }
+      push("blob", end + 1);
+      continue;
+    }
+
+    if (char === "'") {
+      const end = findClose("'", i + 1);
+      if (end === -1) {
+        throw new SqlValidationError(
+          "String literal is never closed (missing ')",
+          positionAt(i),
+        );
+      }
+      push("string", end + 1);
+      continue;
+    }
+
+    if (char === '"' || char === "`" || char === "[") {
+      const close = char === "[" ? "]" : char;
+      const end = findClose(close, i + 1);
+      if (end === -1) {
+        throw new SqlValidationError(
+          `Quoted identifier is never closed (missing ${close})`,
+          positionAt(i),
+        );
+      }
+      push("identifier", end + 1);
+      continue;
+    }
+
+    if (isDigit(char) || (char === "." && isDigit(next))) {
+      let end = i;
+      if (char === "0" && (next === "x" || next === "X")) {
+        end = i + 2;
+        while (end < sql.length && /[0-9A-Fa-f]/.test(sql[end])) end++;
+      } else {
+        while (end < sql.length && /[0-9_]/.test(sql[end])) end++;
+        if (sql[end] === ".") {
+          end++;
+          while (end < sql.length && /[0-9_]/.test(sql[end])) end++;
+        }
+        if (
+          (sql[end] === "e" || sql[end] === "E") &&
+          (isDigit(sql[end + 1]) ||
+            ((sql[end + 1] === "+" || sql[end + 1] === "-") &&
+              isDigit(sql[end + 2])))
+        ) {
+          end += 2;
+          while (end < sql.length && isDigit(sql[end])) end++;
+        }
+      }
+      push("number", end);
+      continue;
+    }
+
+    if (isWordStart(char)) {
+      let end = i + 1;
+      while (end < sql.length && isWordChar(sql[end])) end++;
+      push("word", end, { keyword: sql.slice(i, end).toLowerCase() });
+      continue;
+    }
+
+    // Parameters: ?, ?1, :name, @name, $name
+    if (char === "?") {
+      let end = i + 1;
+      while (end < sql.length && isDigit(sql[end])) end++;
+      push("parameter", end);
+      continue;
+    }
+    if ((char === ":" || char === "@" || char === "$") && isWordStart(next)) {
+      let end = i + 2;
+      while (end < sql.length && isWordChar(sql[end])) end++;
+      push("parameter", end);
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => sql.startsWith(op, i));
+    if (operator) {
+      push("operator", i + operator.length);
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      push("punctuation", i + 1);
+      continue;
+    }
+
+    throw new SqlValidationError(
+      `Unexpected character "${char}"`,
+      positionAt(i),
+    );
+  }
+
+  return tokens;
+}
+
+function isPunctuation(token, value) {
+  return token?.type === "punctuation" && token.value === value;
+}
+
+function isKeyword(token, keyword) {
+  return token?.type === "word" && token.keyword === keyword;
+}
+
+function errorAt(message, token) {
+  return new SqlValidationError(message, token);
+}
+
+/**
+ * Match every parenthesis and record the depth of each token
+ * @returns {number[]} For each "(" token index, the index of its ")"
+ */
+function matchParentheses(tokens) {
+  const stack = [];
+  const closing = [];
+
+  for (const [index, token] of tokens.entries()) {
+    token.depth = stack.length;
+    if (isPunctuation(token, "(")) {
+      stack.push(index);
+    } else if (isPunctuation(token, ")")) {
+      if (stack.length === 0) {
+        throw errorAt("Unmatched closing parenthesis", token);
+      }
+      closing[stack.pop()] = index;
+      token.depth = stack.length;
+    }
+  }
+
+  if (stack.length > 0) {
+    throw errorAt("Parenthesis is never closed", tokens[stack.pop()]);
+  }
+  return closing;
+}
+
+function describeStatement(token) {
+  const word = token.type === "word" ? token.keyword : null;
+  if (word && DANGEROUS_KEYWORDS.includes(word)) {
+    return `${word.toUpperCase()} operations are not allowed. Only SELECT queries permitted.`;
+  }
+  if (word) {
+    return `${word.toUpperCase()} statements are not allowed. Only SELECT queries permitted.`;
+  }
+  return "Query must start with SELECT or WITH";
+}
+
+/**
+ * Check that the body of a CTE is a read-only query
+ * @param {Array} tokens - Token list
+ * @param {number} start - Index of the first token inside the parentheses
+ * @param {number} end - Index of the closing parenthesis
+ */
+function checkNestedQuery(tokens, start, end, closing) {
+  if (start >= end) {
+    throw errorAt("Empty parentheses where a query was expected", tokens[end]);
+  }
+  checkReadStatement(tokens, start, closing);
+}
+
+/**
+ * Check the statement starting at `index`, after an optional WITH clause
+ * @returns {number} Index of the SELECT or VALUES keyword
+ */
+function checkReadStatement(tokens, index, closing) {
+  let start = index;
+  if (isKeyword(tokens[start], "with")) {
+    start = skipWithClause(tokens, start, closing);
+    if (start >= tokens.length || isPunctuation(tokens[start], ")")) {
+      throw errorAt(
+        "Expected a SELECT statement after the WITH clause",
+        tokens[start - 1],
+      );
+    }
+  }
+
+  const statement = tokens[start];
+  if (
+    statement.type !== "word" ||
+    !READ_STATEMENTS.includes(statement.keyword)
+  ) {
+    throw errorAt(describeStatement(statement), statement);
+  }
+  return start;
+}
+
+/**
+ * Skip a WITH clause, checking each CTE body
+ * @returns {number} Index of the token after the WITH clause
+ */
+function skipWithClause(tokens, index, closing) {
+  let i = index + 1;
+  if (isKeyword(tokens[i], "recursive")) i++;
+
+  while (true) {
+    const name = tokens[i];
+    if (!name || (name.type !== "word" && name.type !== "identifier")) {
+      throw errorAt(
+        "Expected a name for the common table expression",
+        name ?? tokens[i - 1],
+      );
+    }
+    i++;
+
+    // Optional column list: name(a, b)
+    if (isPunctuation(tokens[i], "(")) {
+      i = closing[i] + 1;
+    }
+
+    if (!isKeyword(tokens[i], "as")) {
+      throw errorAt(
+        `Expected AS after "${name.value}"`,
+        tokens[i] ?? tokens[i - 1],
+      );
+    }
+    i++;
+    if (isKeyword(tokens[i], "not")) i++;
+    if (isKeyword(tokens[i], "materialized")) i++;
+
+    if (!isPunctuation(tokens[i], "(")) {
+      throw errorAt(
+        `Expected "(" to start the query for "${name.value}"`,
+        tokens[i] ?? tokens[i - 1],
+      );
+    }
+    checkNestedQuery(tokens, i + 1, closing[i], closing);
+    i = closing[i] + 1;
+
+    if (!isPunctuation(tokens[i], ",")) {
+      return i;
+    }
+    i++;
+  }
+}
+
+/**
+ * Tokenize and check a query, keeping what pagination needs to know
+ * @returns {object} { tokens, first, last, start, depth } where first..last
+ *   is the statement without redundant outer parentheses, start is the
+ *   index of its SELECT/VALUES keyword and depth the parenthesis depth of
+ *   its top level
+ */
+function analyzeQuery(query, options) {
+  const tokens = tokenizeSql(query);
+  if (tokens.length === 0) {
+    throw new SqlValidationError("Query cannot be empty", {
+      offset: 0,
+      line: 1,
+      column: 1,
+    });
+  }
+
+  const semicolon = tokens.find((token) => isPunctuation(token, ";"));
+  if (semicolon) {
+    throw errorAt(
+      "Semicolons are not allowed. Please write a single SQL statement.",
+      semicolon,
+    );
+  }
+
+  const closing = matchParentheses(tokens);
+
+  // SQLite won't run "(SELECT ...)" on its own, so a statement wrapped in
+  // parentheses is unwrapped before it's executed
+  let first = 0;
+  let last = tokens.length - 1;
+  while (isPunctuation(tokens[first], "(") && closing[first] === last) {
+    first++;
+    last--;
+  }
+  if (first > last) {
+    throw errorAt("Empty parentheses where a query was expected", tokens[0]);
+  }
+
+  const start = checkReadStatement(tokens, first, closing);
+  const depth = first;
+
+  // Pagination adds its own LIMIT/OFFSET to the outer query; subqueries and
+  // CTEs may still use them
+  if (!options.allowLimitOffset) {
+    const clause = tokens
+      .slice(start, last + 1)
+      .find(
+        (token) =>
+          token.depth === depth &&
+          token.type === "word" &&
+          FORBIDDEN_KEYWORDS_WIDGET.includes(token.keyword),
+      );
+    if (clause) {
+      throw errorAt(
+        `${clause.keyword.toUpperCase()} clauses are not allowed. We handle pagination automatically.`,
+        clause,
+      );
+    }
+  }
+
+  return { tokens, first, last, start, depth };
+}
+
+/**
+ * Parse a query and check that it is a single read-only statement
+ * @param {string} query - The SQL query
+ * @param {object} options
+ * @param {boolean} options.allowLimitOffset - Whether a top-level LIMIT/OFFSET is allowed
+ * @returns {Array} Tokens of the statement
+ * @throws {SqlValidationError} Describing the first problem found
+ */
+export function parseSql(query, options = {}) {
+  return analyzeQuery(query, options).tokens;
+}
+
+/**
+ * Describe a valid read-only query so it can be wrapped for pagination
+ * @param {string} query - The SQL query, LIMIT/OFFSET allowed
+ * @returns {object} { sql, hasLimit, endsWithValues } where sql is the
+ *   statement without redundant outer parentheses, hasLimit tells whether it
+ *   sets its own top-level LIMIT/OFFSET and endsWithValues whether its last
+ *   part is a VALUES list, which SQLite won't accept a LIMIT after
+ * @throws {SqlValidationError} If the query isn't a single read-only statement
+ */
+export function describeReadQuery(query) {
+  const { tokens, first, last, start, depth } = analyzeQuery(query, {
+    allowLimitOffset: true,
+  });
+  const outer = tokens
+    .slice(start, last + 1)
+    .filter((token) => token.depth === depth && token.type === "word");
+
+  // The last SELECT/VALUES at the top level starts the final compound part
+  const lastPart = outer.findLast((token) =>
+    READ_STATEMENTS.includes(token.keyword),
+  );
+  const lastToken = tokens[last];
+
+  return {
+    sql: query.slice(
+      tokens[first].offset,
+      lastToken.offset + lastToken.value.length,
+    ),
+    hasLimit: outer.some((token) =>
+      FORBIDDEN_KEYWORDS_WIDGET.includes(token.keyword),
+    ),
+    endsWithValues: lastPart.keyword === "values",
+  };
+}
+
 /**
  * Validate SQL query for security and compatibility
  * @param {string} query - The SQL query to validate
  * @param {object} options - Validation options
  * @param {boolean} options.allowLimitOffset - Whether to allow LIMIT/OFFSET clauses (default: false)
- * @returns {object} - { isValid: boolean, error?: string }
+ * @returns {object} - { isValid: boolean, error?: string, line?: number, column?: number, offset?: number }
  */
 export function validateSql(query, options = {}) {
   if (!query || typeof query !== "string") {
     return { isValid: false, error: "Query must be a non-empty string" };
   }
 
-  const trimmedQuery = query.trim();
-  if (!trimmedQuery) {
+  if (!query.trim()) {
     return { isValid: false, error: "Query cannot be empty" };
   }
 
-  const queryLower = trimmedQuery.toLowerCase();
-
-  // Check for semicolons (prevent multiple statements)
-  if (query.includes(";")) {
+  try {
+    parseSql(query, options);
+  } catch (error) {
+    if (!(error instanceof SqlValidationError)) throw error;
     return {
       isValid: false,
-      error: "Semicolons are not allowed. Please write a single SQL statement.",
+      error: error.message,
+      line: error.line,
+      column: error.column,
+      offset: error.offset,
     };
   }
 
-  // Check for dangerous operations
-  for (const keyword of DANGEROUS_KEYWORDS) {
-    if (queryLower.startsWith(keyword)) {
-      return {
-        isValid: false,
-        error: `${keyword.toUpperCase()} operations are not allowed. Only SELECT queries permitted.`,
-      };
-    }
-  }
-
-  // Check for forbidden keywords that interfere with pagination (only for widgets)
-  if (!options.allowLimitOffset) {
-    for (const keyword of FORBIDDEN_KEYWORDS_WIDGET) {
-      if (
-        queryLower.includes(` ${keyword} `) ||
-        queryLower.includes(` ${keyword}(`)
-      ) {
-        return {
-          isValid: false,
-          error: `${keyword.toUpperCase()} clauses are not allowed. We handle pagination automatically.`,
-        };
-      }
-    }
-  }
-
-  // Additional checks can be added here
-  // - Complex regex patterns
-  // - Whitelist approach for allowed functions
-  // - Query complexity limits
-
   return { isValid: true };
 }
 
+/**
+ * Format a failed validation for display, including where the problem is
+ * @param {object} result - Failed result from validateSql
+ * @returns {string} e.g. "LIMIT clauses are not allowed... (line 3, column 1)"
+ */
+export function formatSqlError(result) {
+  if (!result.line) return result.error;
+  return `${result.error} (line ${result.line}, column ${result.column})`;
+}
+
 /**
  * Validate and throw error if invalid (for use in async contexts)
  * @param {string} query - The SQL query to validate
@@ -93,7 +576,7 @@ export function validateSqlOrThrow(query, options = {}) {
 /**
  * Validate SQL for widget queries (strict - no LIMIT/OFFSET allowed)
  * @param {string} query - The SQL query to validate
- * @returns {object} - { isValid: boolean, error?: string }
+ * @returns {object} - { isValid: boolean, error?: string, line?: number, column?: number, offset?: number }
  */
 export function validateSqlForWidget(query) {
   return validateSql(query, { allowLimitOffset: false });
@@ -102,18 +585,44 @@ export function validateSqlForWidget(query) {
 /**
  * Validate SQL for tool queries (permissive - LIMIT/OFFSET allowed)
  * @param {string} query - The SQL query to validate
- * @returns {object} - { isValid: boolean, error?: string }
+ * @returns {object} - { isValid: boolean, error?: string, line?: number, column?: number, offset?: number }
  */
 export function validateSqlForTool(query) {
   return validateSql(query, { allowLimitOffset: true });
 }
 
 /**
- * Quick check if query is a SELECT statement
+ * Names of the :name placeholders in a query, in order of first use
+ * Widgets show an input for each and send the values to bind to them.
+ * @param {string} query - The SQL query
+ * @returns {string[]} Names without the colon; empty when the query can't
+ *   be read
+ */
+export function findQueryParameters(query) {
+  let tokens;
+  try {
+    tokens = tokenizeSql(query);
+  } catch {
+    return [];
+  }
+
+  const names = [];
+  for (const token of tokens) {
+    if (token.type !== "parameter" || !token.value.startsWith(":")) continue;
+    const name = token.value.slice(1);
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Quick check if query is a read-only SELECT statement (including WITH ... SELECT)
  * @param {string} query - The SQL query to check
  * @returns {boolean}
  */
 export function isSelectQuery(query) {
   if (!query || typeof query !== "string") return false;
-  return query.trim().toLowerCase().startsWith("select");
+  return validateSql(query, { allowLimitOffset: true }).isValid;
 }
@@ -16,14 +16,14 @@ export class SchemaTool extends BaseTool {
       function: {
         name: "get_schema_info",
         description:
-          "Get database table structure and information including columns, types, and row counts",
+          "Get database table structure and information including columns, types, and row counts, plus views, foreign keys, indexes and triggers",
         parameters: {
           type: "object",
           properties: {
             tableName: {
               type: "string",
               description:
-                "Specific table name to get info for (optional). If not provided, returns info for all tables.",
+                "Specific table or view name to get info for (optional). If not provided, returns info for all tables and views.",
             },
           },
           required: [],
@@ -33,7 +33,7 @@ export class SchemaTool extends BaseTool {
   }
 
   getPromptDescription() {
-    return "Get database table structure and information including columns, types, and row counts";
+    return "Get database table structure and information including columns, types, row counts, views, foreign keys and indexes";
   }
 
   getUsageGuidance() {
@@ -45,6 +45,7 @@ export class SchemaTool extends BaseTool {
       "What tables do I have?",
       "Show me the structure of my database",
       "What columns are in the users table?",
+      "How are my tables related?",
       "What data is available in my database?",
     ];
   }
@@ -89,18 +90,25 @@ export class SchemaTool extends BaseTool {
           if (!fullSchema[tableName]) {
             return {
               success: false,
-              error: `Table '${tableName}' not found in database`,
+              error: `Table or view '${tableName}' not found in database`,
               action: "table_not_found",
               availableTables: Object.keys(fullSchema),
             };
           }
 
+          // The full schema only has estimates; one table is worth counting
+          const tableInfo = fullSchema[tableName];
+          if (tableInfo.type === "table" && !tableInfo.virtual) {
+            tableInfo.rowCount = await dbManager.countRows(tableName);
+            tableInfo.rowCountApproximate = false;
+          }
+
           return {
             success: true,
             action: "schema_fetched",
             data: {
               tableName: tableName,
-              tableInfo: fullSchema[tableName],
+              tableInfo,
               summary: this._formatTableSummary(
                 tableName,
                 fullSchema[tableName],
@@ -146,19 +154,46 @@ export class SchemaTool extends BaseTool {
   }
 
   /**
-   * Format a summary for a specific table
+   * Format a summary for a specific table or view
    */
   _formatTableSummary(tableName, tableInfo) {
     const columnCount = tableInfo.columns.length;
-    const rowCount = tableInfo.rowCount;
+    let rows = "an unknown number of rows";
+    if (tableInfo.rowCount !== null) {
+      rows = `${tableInfo.rowCountApproximate ? "about " : ""}${tableInfo.rowCount} rows`;
+    }
     const primaryKeys = tableInfo.columns
       .filter((col) => col.primaryKey)
       .map((col) => col.name);
+    const columns = `Columns: ${tableInfo.columns.map((col) => `${col.name} (${col.type})`).join(", ")}.`;
+
+    if (tableInfo.type === "view") {
+      return `View '${tableName}' has ${columnCount} columns and can be queried like a table. ${columns}`;
+    }
 
-    return (
-      `Table '${tableName}' has ${columnCount} columns and ${rowCount} rows. ` +
-      `Primary key(s): ${primaryKeys.length > 0 ? primaryKeys.join(", ") : "none"}. ` +
-      `Columns: ${tableInfo.columns.map((col) => `${col.name} (${col.type})`).join(", ")}.`
+    const kinds = [
+      tableInfo.virtual ? "virtual" : null,
+      tableInfo.withoutRowid ? "WITHOUT ROWID" : null,
+    ].filter(Boolean);
+    const foreignKeys = (tableInfo.foreignKeys ?? []).map(
+      (foreignKey) =>
+        `${foreignKey.from.join(", ")} -> ${foreignKey.table}(${foreignKey.to.join(", ")})`,
+    );
+    const indexes = (tableInfo.indexes ?? []).map(
+      (index) =>
+        `${index.name}${index.unique ? " (unique)" : ""} on ${index.columns.map((column) => column ?? "<expression>").join(", ")}`,
     );
+
+    return [
+      `Table '${tableName}'${kinds.length > 0 ? ` (${kinds.join(", ")})` : ""} has ${columnCount} columns and ${rows}.`,
+      `Primary key(s): ${primaryKeys.length > 0 ? primaryKeys.join(", ") : "none"}.`,
+      columns,
+      foreignKeys.length > 0
+        ? `Foreign keys: ${foreignKeys.join("; ")}.`
+        : null,
+      indexes.length > 0 ? `Indexes: ${indexes.join("; ")}.` : null,
+    ]
+      .filter(Boolean)
+      .join(" ");
   }
 }
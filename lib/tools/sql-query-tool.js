@@ -1,5 +1,11 @@
-import { DatabaseManager } from "../database.js";
-import { validateSqlForTool } from "../sqlValidator.js";
+import { basename } from "node:path";
+import { queryCache } from "../query-cache.js";
+import { runQuery } from "../query-runner.js";
+import {
+  describeReadQuery,
+  formatSqlError,
+  validateSqlForTool,
+} from "../sqlValidator.js";
 import { BaseTool } from "./base-tool.js";
 
 import { logger } from "../logger.js";
@@ -27,7 +33,7 @@ export class SqlQueryTool extends BaseTool {
             query: {
               type: "string",
               description:
-                "The SQLite SELECT query to execute. Must be a valid SQLite SELECT statement using SQLite syntax and functions (strftime, julianday, etc.). You can use LIMIT/OFFSET for pagination. Never use semicolons or PostgreSQL functions.",
+                "The SQLite SELECT query to execute (WITH clauses and VALUES lists work too). Must be a valid SQLite SELECT statement using SQLite syntax and functions (strftime, julianday, etc.). You can use LIMIT/OFFSET for pagination. Never use semicolons or PostgreSQL functions.",
             },
             explanation: {
               type: "string",
@@ -96,7 +102,7 @@ export class SqlQueryTool extends BaseTool {
     if (!sqlValidation.isValid) {
       return {
         valid: false,
-        error: `SQL validation failed: ${sqlValidation.error}`,
+        error: `SQL validation failed: ${formatSqlError(sqlValidation)}`,
       };
     }
 
@@ -122,70 +128,52 @@ export class SqlQueryTool extends BaseTool {
         };
       }
 
-      const dbManager = new DatabaseManager(databasePath);
-
-      try {
-        // Execute query with pagination (reusing logic from query route)
-        const pageSize = Math.min(parameters.pageSize || 50, 200);
-        const page = 1; // Always start with first page for tool calls
-        const offset = 0;
-
-        const results = await this.executeQueryWithPagination(
-          dbManager,
-          parameters.query,
+      // Execute query with pagination (reusing logic from query route)
+      const pageSize = Math.min(parameters.pageSize || 50, 200);
+      const page = 1; // Always start with first page for tool calls
+
+      // Tool loops often repeat a query; stored databases never change,
+      // so earlier results can be reused
+      const filename = basename(databasePath);
+      let results = queryCache.get(filename, parameters.query, page, pageSize);
+      if (results) {
+        logger.debug("🔍 SqlQueryTool: Using cached results");
+      } else {
+        // Run in a query worker, like /api/query, so a slow query runs out
+        // of time instead of holding up the server
+        const outcome = await runQuery(databasePath, {
+          query: this.buildPagedQuery(parameters.query),
           page,
           pageSize,
-          offset,
-        );
-
-        logger.debug("✅ SqlQueryTool: Query executed successfully", {
-          totalRows: results.totalRows,
-          returnedRows: results.rows.length,
-          columns: results.columns.length,
-          explanation: parameters.explanation,
+          offset: 0,
+          view: null,
+          keyset: null,
+          params: {},
         });
-
-        // Format results for AI consumption
-        const formattedResults = this.formatResultsForAI(results, parameters);
-
-        return {
-          success: true,
-          action: "sql_query_executed",
-          data: formattedResults,
-        };
-      } finally {
-        await dbManager.disconnect();
-      }
-    } catch (error) {
-      logger.error("❌ SqlQueryTool execution failed:", error);
-
-      // Handle specific SQL errors
-      if (error.message?.includes("no such table")) {
-        return {
-          success: false,
-          error:
-            "Table not found in database. Use get_schema_info to see available tables.",
-          action: "sql_error",
-        };
+        if (!outcome.success) {
+          return this.formatQueryError(outcome);
+        }
+        results = outcome.results;
+        queryCache.set(filename, parameters.query, page, pageSize, results);
       }
 
-      if (error.message?.includes("no such column")) {
-        return {
-          success: false,
-          error:
-            "Column not found. Use get_schema_info to see available columns.",
-          action: "sql_error",
-        };
-      }
+      logger.debug("✅ SqlQueryTool: Query executed successfully", {
+        totalRows: results.totalRows,
+        returnedRows: results.rows.length,
+        columns: results.columns.length,
+        explanation: parameters.explanation,
+      });
 
-      if (error.message?.includes("syntax error")) {
-        return {
-          success: false,
-          error: `SQL syntax error: ${error.message}`,
-          action: "sql_error",
-        };
-      }
+      // Format results for AI consumption
+      const formattedResults = this.formatResultsForAI(results, parameters);
 
+      return {
+        success: true,
+        action: "sql_query_executed",
+        data: formattedResults,
+      };
+    } catch (error) {
+      logger.error("❌ SqlQueryTool execution failed:", error);
       return {
         success: false,
         error: `Query execution failed: ${error.message}`,
@@ -195,81 +183,63 @@ export class SqlQueryTool extends BaseTool {
   }
 
   /**
-   * Execute query with pagination (copied from query route)
+   * Make a query pageable by the query runner, which adds its own
+   * LIMIT/OFFSET; a query that already has one (outside subqueries, CTEs,
+   * strings or comments) becomes a subquery, so its own limit still applies
    */
-  async executeQueryWithPagination(dbManager, query, page, pageSize, offset) {
-    await dbManager.connect();
-
-    // Check if query already has LIMIT/OFFSET clauses
-    const queryLower = query.toLowerCase().trim();
-    // Match LIMIT/OFFSET with word boundaries to avoid false positives
-    const hasLimit = /\blimit\b/.test(queryLower);
-    const hasOffset = /\boffset\b/.test(queryLower);
-
-    let finalQuery = query;
-    let totalRows = 0;
-
-    if (hasLimit || hasOffset) {
-      // Query already has pagination - execute as-is
-      logger.debug(
-        "🔍 SqlQueryTool: Query already contains LIMIT/OFFSET, executing as-is",
-      );
-      const rows = dbManager.db.prepare(query).all();
-      totalRows = rows.length; // Can't get accurate total when user controls pagination
-
-      // Extract column names from the first row (if any)
-      const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+  buildPagedQuery(query) {
+    const { sql, hasLimit } = describeReadQuery(query);
+    if (!hasLimit) {
+      return sql;
+    }
+    logger.debug(
+      "🔍 SqlQueryTool: Query already contains LIMIT/OFFSET, paging over it",
+    );
+    return `SELECT * FROM (\n${sql}\n)`;
+  }
 
-      // Convert rows from objects to arrays for consistency with existing UI
-      const rowArrays = rows.map((row) => columns.map((col) => row[col]));
+  /**
+   * Turn a failed runQuery outcome into a tool result, with hints for the
+   * SQL errors a model can fix itself
+   */
+  formatQueryError(outcome) {
+    if (outcome.type !== "sql_error") {
+      if (outcome.type === "server_error") {
+        logger.error("❌ SqlQueryTool query worker error:", outcome.error);
+      }
+      return { success: false, error: outcome.error, action: outcome.type };
+    }
 
+    if (outcome.error.includes("no such table")) {
       return {
-        success: true,
-        columns,
-        rows: rowArrays,
-        totalRows,
-        page: 1, // Unknown page when user controls pagination
-        pageSize: rows.length,
-        totalPages: 1, // Unknown total pages
-        hasMore: false, // Unknown if there's more data
+        success: false,
+        error:
+          "Table not found in database. Use get_schema_info to see available tables.",
+        action: "sql_error",
       };
     }
 
-    // Query doesn't have pagination - add our own
-    logger.debug(
-      "🔍 SqlQueryTool: No LIMIT/OFFSET detected, adding pagination",
-    );
-    try {
-      const countQuery = `SELECT COUNT(*) as total FROM (${query}) AS count_query`;
-      const countResult = dbManager.db.prepare(countQuery).get();
-      totalRows = countResult.total;
-    } catch (error) {
-      // If count fails, execute original query to get row count
-      // This is less efficient but works for complex queries
-      const allResults = dbManager.db.prepare(query).all();
-      totalRows = allResults.length;
+    if (outcome.error.includes("no such column")) {
+      return {
+        success: false,
+        error:
+          "Column not found. Use get_schema_info to see available columns.",
+        action: "sql_error",
+      };
     }
 
-    // Execute the paginated query
-    finalQuery = `${query} LIMIT ${pageSize} OFFSET ${offset}`;
-    logger.debug("🔍 SqlQueryTool: Final query (with pagination):", finalQuery);
-    const rows = dbManager.db.prepare(finalQuery).all();
-
-    // Extract column names from the first row (if any)
-    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
-
-    // Convert rows from objects to arrays for consistency with existing UI
-    const rowArrays = rows.map((row) => columns.map((col) => row[col]));
+    if (outcome.error.includes("syntax error")) {
+      return {
+        success: false,
+        error: `SQL syntax error: ${outcome.error}`,
+        action: "sql_error",
+      };
+    }
 
     return {
-      success: true,
-      columns,
-      rows: rowArrays,
-      totalRows,
-      page,
-      pageSize,
-      totalPages: Math.ceil(totalRows / pageSize),
-      hasMore: page * pageSize < totalRows,
+      success: false,
+      error: `Query execution failed: ${outcome.error}`,
+      action: "sql_error",
     };
   }
 
@@ -277,13 +247,22 @@ export class SqlQueryTool extends BaseTool {
    * Format query results for AI consumption
    */
   formatResultsForAI(results, parameters) {
-    const { columns, rows, totalRows, pageSize, hasMore } = results;
+    const {
+      columns,
+      columnInfo,
+      rows,
+      totalRows,
+      pageSize,
+      hasMore,
+      approximate,
+    } = results;
 
     // Create summary information
     const summary = {
       query: parameters.query,
       explanation: parameters.explanation,
       totalRows,
+      totalRowsIsLowerBound: Boolean(approximate),
       returnedRows: rows.length,
       columns: columns.length,
       columnNames: columns,
@@ -296,8 +275,14 @@ export class SqlQueryTool extends BaseTool {
 
     // Create human-readable summary
     let textSummary = `Query executed successfully: ${parameters.explanation}\n`;
-    textSummary += `Found ${totalRows} total rows, showing first ${rows.length}.\n`;
-    textSummary += `Columns: ${columns.join(", ")}\n`;
+    textSummary += `Found ${approximate ? "at least " : ""}${totalRows} total rows, showing first ${rows.length}.\n`;
+    textSummary += `Columns: ${columnInfo
+      .map((column) =>
+        column.declaredType
+          ? `${column.name} (${column.declaredType})`
+          : column.name,
+      )
+      .join(", ")}\n`;
 
     if (rows.length > 0) {
       textSummary += `\nSample data (first ${maxSampleRows} rows):\n`;
@@ -333,6 +318,7 @@ export class SqlQueryTool extends BaseTool {
       textSummary,
       results: {
         columns,
+        columnInfo,
         rows: sampleData, // Only include sample for AI
         totalRows,
         hasMore,
@@ -1,5 +1,5 @@
-import { DatabaseManager } from "../database.js";
-import { validateSqlForWidget } from "../sqlValidator.js";
+import { getQueryLimits, runQuery } from "../query-runner.js";
+import { formatSqlError, validateSqlForWidget } from "../sqlValidator.js";
 import { BaseTool } from "./base-tool.js";
 
 import { logger } from "../logger.js";
@@ -170,7 +170,7 @@ export class WidgetEditTool extends BaseTool {
         if (!validationResult.isValid) {
           return {
             success: false,
-            error: `Invalid SQL query: ${validationResult.error}`,
+            error: `Invalid SQL query: ${formatSqlError(validationResult)}`,
           };
         }
       }
@@ -201,22 +201,33 @@ export class WidgetEditTool extends BaseTool {
             };
           }
 
-          const dbManager = new DatabaseManager(databasePath);
-          await dbManager.connect();
-
-          // Execute query directly using the prepared statement
-          const rows = dbManager.db.prepare(finalQuery).all();
+          // Run in a query worker, like /api/query, so a slow query runs out of
+          // time and a huge one stops at the row cap
+          const limits = getQueryLimits();
+          const outcome = await runQuery(
+            databasePath,
+            {
+              query: finalQuery,
+              page: 1,
+              pageSize: limits.maxRows,
+              offset: 0,
+              view: null,
+              keyset: null,
+              params: {},
+            },
+            { limits },
+          );
+          if (!outcome.success) {
+            return {
+              success: false,
+              error: `Query execution failed: ${outcome.error}`,
+            };
+          }
 
           // Format results like the query endpoint
-          const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
-          queryResults = {
-            columns,
-            rows: rows.map((row) => columns.map((col) => row[col])),
-            totalRows: rows.length,
-            hasMore: false,
-          };
-
-          await dbManager.disconnect();
+          const { columns, columnInfo, rows, totalRows, hasMore } =
+            outcome.results;
+          queryResults = { columns, columnInfo, rows, totalRows, hasMore };
         } catch (queryError) {
           return {
             success: false,
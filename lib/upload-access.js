@@ -0,0 +1,44 @@
+import { join } from "node:path";
+
+const UPLOADS_DIR = "./uploads";
+
+/**
+ * Resolve an uploaded database filename for the requesting user
+ * Files that exist but belong to someone else are reported as not found,
+ * so other users' upload names can't be probed.
+ * @param {string} filename - Stored upload name, <sha256>.db
+ * @param {object} user - Authenticated user from the auth middleware (req.user)
+ * @returns {Promise<object>} { success: true, filePath, upload } or { success: false, status, error }
+ */
+export async function resolveUserDatabase(filename, user) {
+  // Security: Validate filename to prevent path traversal
+  if (
+    typeof filename !== "string" ||
+    filename.includes("..") ||
+    filename.includes("/") ||
+    filename.includes("\\")
+  ) {
+    return { success: false, status: 400, error: "Invalid filename" };
+  }
+
+  const notFound = {
+    success: false,
+    status: 404,
+    error: "Database file not found",
+  };
+
+  const upload =
+    user?.id && global.appDatabase
+      ? await global.appDatabase.uploads.getOwnedByUser(filename, user.id)
+      : null;
+  if (!upload) {
+    return notFound;
+  }
+
+  const filePath = join(UPLOADS_DIR, filename);
+  if (!(await Bun.file(filePath).exists())) {
+    return notFound;
+  }
+
+  return { success: true, filePath, upload };
+}
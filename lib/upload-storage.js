@@ -0,0 +1,140 @@
+import { readdir, rename, stat, unlink } from "node:fs/promises";
+import { join } from "node:path";
+import { connectionPool } from "./connection-pool.js";
+import { queryCache } from "./query-cache.js";
+import { rowCountCache } from "./row-counts.js";
+
+const UPLOADS_DIR = "./uploads";
+
+// Storing and releasing the same file take turns, so a release can't delete
+// a file that an upload has just found and is about to reference
+const fileLocks = new Map();
+
+function withFileLock(filename, task) {
+  const previous = fileLocks.get(filename) ?? Promise.resolve();
+  const result = previous.then(task);
+  const settled = result.catch(() => {});
+  fileLocks.set(filename, settled);
+  settled.then(() => {
+    if (fileLocks.get(filename) === settled) fileLocks.delete(filename);
+  });
+  return result;
+}
+
+async function hashFile(path) {
+  const hasher = new Bun.CryptoHasher("sha256");
+  for await (const chunk of Bun.file(path).stream()) {
+    hasher.update(chunk);
+  }
+  return hasher.digest("hex");
+}
+
+/**
+ * Move a finished database into the uploads directory under its content hash
+ * Identical bytes always land on the same <sha256>.db file, so uploading a
+ * database that is already stored reuses that file instead of adding a copy.
+ * addReference runs before any release of the same file can, so the upload
+ * record it writes always points at a file on disk; if it throws, the file
+ * is released again.
+ * @param {string} tempPath - Finished database file, removed once stored
+ * @param {Function} addReference - Called with { filename, size } to record
+ *   the upload
+ * @param {AppDatabase} appDatabase - App database holding the upload records
+ * @returns {Promise<*>} What addReference returns
+ */
+export async function storeUploadedDatabase(
+  tempPath,
+  addReference,
+  appDatabase = global.appDatabase,
+) {
+  const filename = `${await hashFile(tempPath)}.db`;
+  const filePath = join(UPLOADS_DIR, filename);
+
+  return await withFileLock(filename, async () => {
+    if (await Bun.file(filePath).exists()) {
+      await unlink(tempPath);
+    } else {
+      await rename(tempPath, filePath);
+    }
+
+    try {
+      return await addReference({ filename, size: Bun.file(filePath).size });
+    } catch (error) {
+      await deleteIfUnreferenced(filename, appDatabase).catch(() => {});
+      throw error;
+    }
+  });
+}
+
+async function deleteIfUnreferenced(filename, appDatabase) {
+  const references = await appDatabase.uploads.countByFilename(filename);
+  if (references > 0) {
+    return false;
+  }
+
+  const filePath = join(UPLOADS_DIR, filename);
+  connectionPool.close(filePath);
+  try {
+    await unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  queryCache.invalidate(filename);
+  rowCountCache.invalidate(filename);
+  return true;
+}
+
+// Leftovers of imports that never finished: temp databases and archive
+// extracts are named .incoming_*, and an interrupted script leaves a journal
+function isTempFile(name) {
+  return (
+    name.startsWith(".incoming_") ||
+    name.includes(".extract.") ||
+    name.endsWith("-journal")
+  );
+}
+
+/**
+ * Remove temp files that failed or interrupted imports left in ./uploads
+ * @param {number} maxAgeMs - Files last written longer ago than this are
+ *   removed; younger ones may belong to an import still running
+ * @returns {Promise<number>} Files removed
+ */
+export async function removeStaleTempFiles(maxAgeMs) {
+  let entries;
+  try {
+    entries = await readdir(UPLOADS_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const cutoff = Date.now() - maxAgeMs;
+  let removed = 0;
+  for (const entry of entries) {
+    if (!entry.isFile() || !isTempFile(entry.name)) continue;
+    const path = join(UPLOADS_DIR, entry.name);
+    const { mtimeMs } = await stat(path);
+    if (mtimeMs < cutoff) {
+      await unlink(path).catch(() => {});
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Delete a stored database once no upload record refers to it anymore
+ * Call after removing an upload record; other users may still hold the file.
+ * @param {string} filename - Stored upload name
+ * @param {AppDatabase} appDatabase - App database holding the upload records
+ * @returns {Promise<boolean>} Whether the file was deleted
+ */
+export function releaseStoredDatabase(
+  filename,
+  appDatabase = global.appDatabase,
+) {
+  return withFileLock(filename, () =>
+    deleteIfUnreferenced(filename, appDatabase),
+  );
+}
@@ -1,5 +1,7 @@
 import { logger } from "../lib/logger.js";
 import { AIChatComponent } from "./components/ai-chat.js";
+import { ErDiagramComponent } from "./components/er-diagram.js";
+import { LibraryComponent } from "./components/library.js";
 import { LoginComponent } from "./components/login.js";
 import { SchemaComponent } from "./components/schema.js";
 import { UploadComponent } from "./components/upload.js";
@@ -36,18 +38,31 @@ class App {
       this.onDatabaseUploaded.bind(this),
       this.hideUploadArea.bind(this),
     );
-    this.schemaComponent = new SchemaComponent();
+    this.erDiagramComponent = new ErDiagramComponent({
+      onOpenTable: this.addTableWidget.bind(this),
+    });
+    this.schemaComponent = new SchemaComponent({
+      fetch: this.createAuthenticatedFetch(),
+      onShowDiagram: (schema) => this.erDiagramComponent.show(schema),
+    });
     this.aiChatComponent = new AIChatComponent();
+    this.libraryComponent = new LibraryComponent({
+      fetch: this.createAuthenticatedFetch(),
+      onOpen: this.switchDatabase.bind(this),
+      onUploadNew: this.showUploadArea.bind(this),
+      onDeleted: this.onDatabaseDeleted.bind(this),
+    });
 
     this.schemaComponent.hide();
     this.aiChatComponent.show();
     this.setupAddWidgetButton();
     this.setupAIChatButton();
     this.setupViewSchemaButton();
-    this.setupToggleUploadButton();
+    this.setupLibraryButton();
 
     if (this.isAuthenticated) {
       this.setupUserStatus();
+      this.showLibraryButton();
     } else {
       this.setupSignInLink();
     }
@@ -176,7 +191,7 @@ class App {
             <div class="main-buttons">
               <button class="ai-chat-btn" id="ai-chat">🤖 AI Chat</button>
               <button class="view-schema-btn" id="view-schema" style="display: none;">📐 View Schema</button>
-              <button class="toggle-upload-btn" id="toggle-upload" style="display: none;">📁 Change Database</button>
+              <button class="library-btn" id="open-library" style="display: none;">📚 My Databases</button>
               <button class="add-widget-btn" id="add-widget">+ Add Widget</button>
             </div>
           </header>
@@ -184,7 +199,7 @@ class App {
           <div class="upload-area">
             <button class="close-upload" title="Close">✕</button>
             <p>Drop your SQLite database file here</p>
-            <p><small>Or click to select a file</small></p>
+            <p><small>Or click to select a file (CSV, TSV, JSON and SQL script files are converted to a database; .gz and .zip archives are unpacked)</small></p>
           </div>
           <div id="widgets-container">
           </div>
@@ -253,6 +268,8 @@ class App {
 
     this.clearApplicationData();
     this.removeUserStatus();
+    this.hideLibraryButton();
+    this.libraryComponent?.hide();
     this.setupSignInLink();
   }
 
@@ -262,6 +279,8 @@ class App {
 
     this.clearApplicationData();
     this.removeUserStatus();
+    this.hideLibraryButton();
+    this.libraryComponent?.hide();
     this.setupSignInLink();
   }
 
@@ -310,11 +329,12 @@ class App {
     }
   }
 
-  setupToggleUploadButton() {
-    const toggleUploadBtn = document.getElementById("toggle-upload");
-    if (toggleUploadBtn) {
-      toggleUploadBtn.addEventListener("click", () => {
-        this.toggleUploadArea();
+  setupLibraryButton() {
+    const libraryBtn = document.getElementById("open-library");
+    if (libraryBtn) {
+      libraryBtn.addEventListener("click", () => {
+        this.schemaComponent.hide();
+        this.libraryComponent.show(this.currentDatabase);
       });
     }
   }
@@ -330,6 +350,35 @@ class App {
     await this.loadDatabase(filename);
   }
 
+  async switchDatabase(filename) {
+    if (filename === this.currentDatabase) return;
+
+    // Widgets hold queries for the database they were built against
+    if (
+      this.widgets.size > 0 &&
+      !confirm("Switching databases closes your current widgets. Continue?")
+    ) {
+      return;
+    }
+
+    this.clearWidgets();
+    this.showUploadArea();
+    await this.loadDatabase(filename);
+  }
+
+  onDatabaseDeleted(filename) {
+    if (filename !== this.currentDatabase) return;
+
+    this.clearWidgets();
+    this.currentDatabase = null;
+    this.schema = null;
+    sessionStorage.removeItem("currentDatabase");
+    this.schemaComponent.hide();
+    this.hideViewSchemaButton();
+    this.uploadComponent.reset();
+    this.showUploadArea();
+  }
+
   async loadDatabase(filename) {
     this.currentDatabase = filename;
 
@@ -342,7 +391,7 @@ class App {
 
       if (result.success) {
         this.schema = result.schema;
-        this.schemaComponent.displaySchema(this.schema);
+        this.schemaComponent.displaySchema(this.schema, filename);
 
         sessionStorage.setItem("currentDatabase", filename);
 
@@ -395,6 +444,37 @@ class App {
     }, 100);
   }
 
+  /**
+   * Add a data-table widget that shows every row of a table or view
+   * @param {string} tableName - Name as it appears in the schema
+   */
+  addTableWidget(tableName) {
+    const widgetId = this.nextWidgetId++;
+    const widget = new WidgetComponent(
+      widgetId,
+      (id) => this.removeWidget(id),
+      () => this.saveWidgets(),
+      2,
+      2,
+      this.currentDatabase,
+      tableName,
+      "data-table",
+    );
+    widget.query = `SELECT * FROM "${tableName.replaceAll('"', '""')}"`;
+
+    this.widgets.set(widgetId, widget);
+
+    const container = document.getElementById("widgets-container");
+    if (container) {
+      container.appendChild(widget.getElement());
+    }
+
+    widget.updateFormFields();
+    this.hideUploadArea();
+    this.saveWidgets();
+    widget.runQuery();
+  }
+
   removeWidget(id) {
     this.widgets.delete(id);
     this.saveWidgets();
@@ -409,7 +489,6 @@ class App {
     if (uploadArea) {
       uploadArea.style.display = "none";
     }
-    this.showToggleUploadButton();
   }
 
   showUploadArea() {
@@ -417,31 +496,19 @@ class App {
     if (uploadArea) {
       uploadArea.style.display = "block";
     }
-    this.hideToggleUploadButton();
-  }
-
-  showToggleUploadButton() {
-    const toggleBtn = document.getElementById("toggle-upload");
-    if (toggleBtn) {
-      toggleBtn.style.display = "block";
-    }
   }
 
-  hideToggleUploadButton() {
-    const toggleBtn = document.getElementById("toggle-upload");
-    if (toggleBtn) {
-      toggleBtn.style.display = "none";
+  showLibraryButton() {
+    const libraryBtn = document.getElementById("open-library");
+    if (libraryBtn) {
+      libraryBtn.style.display = "block";
     }
   }
 
-  toggleUploadArea() {
-    const uploadArea = document.querySelector(".upload-area");
-    const isHidden = uploadArea.style.display === "none";
-
-    if (isHidden) {
-      this.showUploadArea();
-    } else {
-      this.hideUploadArea();
+  hideLibraryButton() {
+    const libraryBtn = document.getElementById("open-library");
+    if (libraryBtn) {
+      libraryBtn.style.display = "none";
     }
   }
 
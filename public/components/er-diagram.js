@@ -0,0 +1,324 @@
+import * as d3 from "d3";
+import { findRelationships } from "../../lib/schema-relationships.js";
+
+const BOX_WIDTH = 220;
+const HEADER_HEIGHT = 28;
+const ROW_HEIGHT = 20;
+// Wider tables are cut short so one of them doesn't dwarf the rest
+const MAX_COLUMNS = 12;
+
+/**
+ * Full-screen entity-relationship diagram of the open database
+ * Tables are laid out with a force simulation that pulls related tables
+ * together; they can be dragged, the view zoomed and panned, and clicking a
+ * table opens it in a new widget.
+ */
+export class ErDiagramComponent {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onOpenTable - Called with a table name when
+   *   a table is clicked
+   */
+  constructor({ onOpenTable }) {
+    this.onOpenTable = onOpenTable;
+    this.createOverlay();
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement("div");
+    this.overlay.className = "er-diagram-overlay";
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="er-diagram-header">
+        <h3>Entity-Relationship Diagram</h3>
+        <div class="er-diagram-legend">
+          <span class="legend-declared">Foreign key</span>
+          <span class="legend-inferred">Inferred from naming</span>
+          <span class="legend-hint">Click a table to open it in a widget</span>
+        </div>
+        <button class="close-er-diagram" title="Close">×</button>
+      </div>
+      <div class="er-diagram-canvas"></div>
+    `;
+
+    this.overlay
+      .querySelector(".close-er-diagram")
+      .addEventListener("click", () => this.hide());
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && !this.overlay.hidden) {
+        this.hide();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * @param {Object} schema - From /api/schema
+   */
+  show(schema) {
+    this.overlay.hidden = false;
+    this.render(schema ?? {});
+  }
+
+  hide() {
+    this.overlay.hidden = true;
+  }
+
+  render(schema) {
+    const canvas = this.overlay.querySelector(".er-diagram-canvas");
+    canvas.innerHTML = "";
+
+    const names = Object.keys(schema);
+    if (names.length === 0) {
+      canvas.innerHTML = '<p class="no-tables">No tables found in database</p>';
+      return;
+    }
+
+    const relationships = findRelationships(schema).filter(
+      (relationship) =>
+        schema[relationship.from.table] && schema[relationship.to.table],
+    );
+    const referencing = new Set(
+      relationships.flatMap((relationship) =>
+        relationship.from.columns.map(
+          (column) => `${relationship.from.table}\0${column}`,
+        ),
+      ),
+    );
+
+    const nodes = names.map((name) => {
+      const columns = schema[name].columns;
+      const shown = columns.slice(0, MAX_COLUMNS);
+      const rows = shown.length + (columns.length > shown.length ? 1 : 0);
+      return {
+        name,
+        tableInfo: schema[name],
+        columns: shown,
+        hiddenColumns: columns.length - shown.length,
+        width: BOX_WIDTH,
+        height: HEADER_HEIGHT + Math.max(rows, 1) * ROW_HEIGHT,
+      };
+    });
+    const nodesByName = new Map(nodes.map((node) => [node.name, node]));
+
+    // One spring per related pair, however many keys link them
+    const pairs = new Map();
+    for (const { from, to } of relationships) {
+      if (from.table === to.table) continue;
+      const key = [from.table, to.table].sort().join("\0");
+      pairs.set(key, { source: from.table, target: to.table });
+    }
+
+    const simulation = d3
+      .forceSimulation(nodes)
+      .force(
+        "link",
+        d3
+          .forceLink([...pairs.values()])
+          .id((node) => node.name)
+          .distance(BOX_WIDTH + 80),
+      )
+      .force("charge", d3.forceManyBody().strength(-1500))
+      .force(
+        "collide",
+        d3.forceCollide((node) => Math.hypot(node.width, node.height) / 2 + 20),
+      )
+      .force("x", d3.forceX(0).strength(0.05))
+      .force("y", d3.forceY(0).strength(0.05))
+      .stop();
+    // Settle the layout up front instead of animating it
+    const ticks = Math.ceil(
+      Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()),
+    );
+    simulation.tick(ticks);
+
+    const svg = d3
+      .select(canvas)
+      .append("svg")
+      .attr("class", "er-diagram")
+      .attr("width", "100%")
+      .attr("height", "100%");
+    svg
+      .append("defs")
+      .append("marker")
+      .attr("id", "er-arrow")
+      .attr("viewBox", "0 0 10 10")
+      .attr("refX", 10)
+      .attr("refY", 5)
+      .attr("markerWidth", 8)
+      .attr("markerHeight", 8)
+      .attr("orient", "auto-start-reverse")
+      .append("path")
+      .attr("d", "M 0 0 L 10 5 L 0 10 z");
+
+    const layer = svg.append("g");
+    const zoom = d3
+      .zoom()
+      .scaleExtent([0.1, 3])
+      .on("zoom", (event) => layer.attr("transform", event.transform));
+    svg.call(zoom);
+
+    const edges = layer
+      .append("g")
+      .attr("class", "er-edges")
+      .selectAll("path")
+      .data(relationships)
+      .join("path")
+      .attr("class", (relationship) =>
+        relationship.inferred ? "er-edge inferred" : "er-edge",
+      )
+      .attr("marker-end", "url(#er-arrow)");
+    edges
+      .append("title")
+      .text(
+        ({ from, to, inferred }) =>
+          `${from.table}(${from.columns.join(", ")}) → ${to.table}(${to.columns.join(", ")})${inferred ? " — inferred from naming" : ""}`,
+      );
+
+    // Where an edge meets a table: the side facing the other table, level
+    // with the column (or the header, if the column was cut off)
+    const anchor = (node, column, towards) => {
+      const index = node.columns.findIndex((col) => col.name === column);
+      const top = node.y - node.height / 2;
+      const y =
+        index === -1
+          ? top + HEADER_HEIGHT / 2
+          : top + HEADER_HEIGHT + (index + 0.5) * ROW_HEIGHT;
+      const right = towards >= node.x;
+      return {
+        x: node.x + (right ? node.width / 2 : -node.width / 2),
+        y,
+        right,
+      };
+    };
+
+    const edgePath = ({ from, to }) => {
+      const source = nodesByName.get(from.table);
+      const target = nodesByName.get(to.table);
+      if (source === target) {
+        const start = anchor(source, from.columns[0], Number.POSITIVE_INFINITY);
+        const end = anchor(target, to.columns[0], Number.POSITIVE_INFINITY);
+        return `M ${start.x} ${start.y} C ${start.x + 60} ${start.y}, ${end.x + 60} ${end.y}, ${end.x} ${end.y}`;
+      }
+      const start = anchor(source, from.columns[0], target.x);
+      const end = anchor(target, to.columns[0], source.x);
+      const bend = (point) => (point.right ? 60 : -60);
+      return `M ${start.x} ${start.y} C ${start.x + bend(start)} ${start.y}, ${end.x + bend(end)} ${end.y}, ${end.x} ${end.y}`;
+    };
+
+    const tables = layer
+      .append("g")
+      .attr("class", "er-tables")
+      .selectAll("g")
+      .data(nodes)
+      .join("g")
+      .attr("class", (node) =>
+        node.tableInfo.type === "view" ? "er-table view" : "er-table",
+      )
+      .attr(
+        "transform",
+        (node) =>
+          `translate(${node.x - node.width / 2}, ${node.y - node.height / 2})`,
+      );
+    tables
+      .append("title")
+      .text((node) => `Open SELECT * FROM ${node.name} in a widget`);
+    tables
+      .append("rect")
+      .attr("class", "er-table-box")
+      .attr("width", (node) => node.width)
+      .attr("height", (node) => node.height)
+      .attr("rx", 4);
+    tables
+      .append("rect")
+      .attr("class", "er-table-header")
+      .attr("width", (node) => node.width)
+      .attr("height", HEADER_HEIGHT)
+      .attr("rx", 4);
+    tables
+      .append("text")
+      .attr("class", "er-table-name")
+      .attr("x", 10)
+      .attr("y", HEADER_HEIGHT / 2)
+      .attr("dy", "0.35em")
+      .text((node) =>
+        node.tableInfo.type === "view" ? `${node.name} (view)` : node.name,
+      );
+
+    const rows = tables
+      .selectAll("g.er-column")
+      .data((node) => [
+        ...node.columns.map((column) => ({ node, column })),
+        ...(node.hiddenColumns > 0 ? [{ node, more: node.hiddenColumns }] : []),
+      ])
+      .join("g")
+      .attr("class", "er-column")
+      .attr(
+        "transform",
+        (_row, index) =>
+          `translate(0, ${HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2})`,
+      );
+    rows
+      .append("text")
+      .attr("class", "er-column-name")
+      .attr("x", 10)
+      .attr("dy", "0.35em")
+      .text(({ node, column, more }) => {
+        if (more) return `… ${more} more columns`;
+        const keys = [
+          column.primaryKey ? "PK" : null,
+          referencing.has(`${node.name}\0${column.name}`) ? "FK" : null,
+        ].filter(Boolean);
+        return `${keys.length > 0 ? `${keys.join(" ")} ` : ""}${column.name}`;
+      });
+    rows
+      .append("text")
+      .attr("class", "er-column-type")
+      .attr("x", BOX_WIDTH - 10)
+      .attr("dy", "0.35em")
+      .attr("text-anchor", "end")
+      .text(({ column }) => column?.type ?? "");
+
+    // Dragging moves a table; a click without moving opens it
+    tables.call(
+      d3.drag().on("drag", function (event, node) {
+        node.x += event.dx;
+        node.y += event.dy;
+        d3.select(this).attr(
+          "transform",
+          `translate(${node.x - node.width / 2}, ${node.y - node.height / 2})`,
+        );
+        edges.attr("d", edgePath);
+      }),
+    );
+    tables.on("click", (_event, node) => {
+      this.hide();
+      this.onOpenTable(node.name);
+    });
+
+    edges.attr("d", edgePath);
+
+    // Start with every table in view
+    const left = d3.min(nodes, (node) => node.x - node.width / 2) - 40;
+    const right = d3.max(nodes, (node) => node.x + node.width / 2) + 40;
+    const top = d3.min(nodes, (node) => node.y - node.height / 2) - 40;
+    const bottom = d3.max(nodes, (node) => node.y + node.height / 2) + 40;
+    const { clientWidth, clientHeight } = canvas;
+    const scale = Math.min(
+      1,
+      clientWidth / (right - left),
+      clientHeight / (bottom - top),
+    );
+    svg.call(
+      zoom.transform,
+      d3.zoomIdentity
+        .translate(
+          (clientWidth - (right - left) * scale) / 2,
+          (clientHeight - (bottom - top) * scale) / 2,
+        )
+        .scale(scale)
+        .translate(-left, -top),
+    );
+  }
+}
@@ -0,0 +1,206 @@
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDate(value) {
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  const date = new Date(`${value.replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? value : date.toLocaleString();
+}
+
+export class LibraryComponent {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch - Authenticated fetch from AuthService
+   * @param {Function} options.onOpen - Called with the filename to open
+   * @param {Function} options.onUploadNew - Called when the user wants to upload another file
+   * @param {Function} options.onDeleted - Called with the filename after it is deleted
+   */
+  constructor({ fetch, onOpen, onUploadNew, onDeleted }) {
+    this.fetch = fetch;
+    this.onOpen = onOpen;
+    this.onUploadNew = onUploadNew;
+    this.onDeleted = onDeleted;
+    this.currentFilename = null;
+    this.uploads = [];
+    this.createSidebar();
+  }
+
+  createSidebar() {
+    this.sidebar = document.createElement("div");
+    this.sidebar.className = "library-sidebar";
+    this.sidebar.innerHTML = `
+      <div class="library-header">
+        <h3>My Databases</h3>
+        <button class="close-library">×</button>
+      </div>
+      <div class="library-actions">
+        <button class="library-upload-new">+ Upload New Database</button>
+      </div>
+      <div class="library-content"></div>
+    `;
+
+    this.sidebar
+      .querySelector(".close-library")
+      .addEventListener("click", () => {
+        this.hide();
+      });
+
+    this.sidebar
+      .querySelector(".library-upload-new")
+      .addEventListener("click", () => {
+        this.hide();
+        this.onUploadNew();
+      });
+
+    // One delegated handler for the per-database buttons
+    this.sidebar
+      .querySelector(".library-content")
+      .addEventListener("click", (e) => {
+        const button = e.target.closest("button[data-action]");
+        if (!button) return;
+
+        const upload = this.uploads.find(
+          (item) => item.filename === button.dataset.filename,
+        );
+        if (!upload) return;
+
+        if (button.dataset.action === "open") {
+          this.hide();
+          this.onOpen(upload.filename);
+        } else if (button.dataset.action === "rename") {
+          this.rename(upload);
+        } else if (button.dataset.action === "delete") {
+          this.remove(upload);
+        }
+      });
+
+    document.body.appendChild(this.sidebar);
+  }
+
+  async show(currentFilename) {
+    this.currentFilename = currentFilename;
+    this.sidebar.classList.add("visible");
+    await this.refresh();
+  }
+
+  hide() {
+    this.sidebar.classList.remove("visible");
+  }
+
+  isVisible() {
+    return this.sidebar.classList.contains("visible");
+  }
+
+  async refresh() {
+    const content = this.sidebar.querySelector(".library-content");
+    content.innerHTML = '<p class="library-message">Loading...</p>';
+
+    try {
+      const response = await this.fetch("/api/uploads");
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.uploads = result.uploads;
+      this.render();
+    } catch (error) {
+      console.error("Failed to load database library:", error);
+      content.innerHTML =
+        '<p class="library-message error">Failed to load your databases</p>';
+    }
+  }
+
+  render() {
+    const content = this.sidebar.querySelector(".library-content");
+
+    if (this.uploads.length === 0) {
+      content.innerHTML =
+        '<p class="library-message">You haven\'t uploaded any databases yet</p>';
+      return;
+    }
+
+    content.innerHTML = this.uploads
+      .map((upload) => {
+        const isCurrent = upload.filename === this.currentFilename;
+        const filename = escapeHtml(upload.filename);
+        const showOriginal = upload.label !== upload.originalFilename;
+
+        return `
+          <div class="library-item${isCurrent ? " current" : ""}">
+            <div class="library-item-header">
+              <h4 class="library-item-label">${escapeHtml(upload.label)}</h4>
+              ${isCurrent ? '<span class="current-badge">Open</span>' : ""}
+            </div>
+            <div class="library-item-details">
+              ${showOriginal ? `${escapeHtml(upload.originalFilename)} · ` : ""}${formatSize(upload.size)} · ${escapeHtml(formatDate(upload.createdAt))}
+            </div>
+            <div class="library-item-actions">
+              <button data-action="open" data-filename="${filename}" ${isCurrent ? "disabled" : ""}>Open</button>
+              <button data-action="rename" data-filename="${filename}">Rename</button>
+              <button data-action="delete" data-filename="${filename}" class="danger">Delete</button>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  }
+
+  async rename(upload) {
+    const label = prompt("Rename database", upload.label);
+    if (label === null || label.trim() === upload.label) return;
+
+    try {
+      const response = await this.fetch(
+        `/api/uploads/${encodeURIComponent(upload.filename)}`,
+        { method: "PATCH", body: JSON.stringify({ label }) },
+      );
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      Object.assign(upload, result.upload);
+      this.render();
+    } catch (error) {
+      console.error("Failed to rename database:", error);
+      alert(`Failed to rename database: ${error.message}`);
+    }
+  }
+
+  async remove(upload) {
+    const confirmed = confirm(
+      `Delete "${upload.label}"? This removes the database file permanently.`,
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await this.fetch(
+        `/api/uploads/${encodeURIComponent(upload.filename)}`,
+        { method: "DELETE" },
+      );
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.uploads = this.uploads.filter(
+        (item) => item.filename !== upload.filename,
+      );
+      this.render();
+      this.onDeleted(upload.filename);
+    } catch (error) {
+      console.error("Failed to delete database:", error);
+      alert(`Failed to delete database: ${error.message}`);
+    }
+  }
+}
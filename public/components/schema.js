@@ -1,5 +1,54 @@
+// Table names go into attributes too, so quotes are escaped as well
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = String(text);
+  return div.innerHTML.replaceAll('"', "&quot;").replaceAll("'", "&#39;");
+}
+
+// Badges for what sets a table apart from an ordinary rowid table
+function describeKind(tableInfo) {
+  if (tableInfo.type === "view") {
+    return '<span class="kind-badge">VIEW</span>';
+  }
+  if (tableInfo.virtual) {
+    return '<span class="kind-badge">VIRTUAL</span>';
+  }
+  if (tableInfo.withoutRowid) {
+    return '<span class="kind-badge">WITHOUT ROWID</span>';
+  }
+  return "";
+}
+
+const compactNumber = new Intl.NumberFormat(undefined, {
+  notation: "compact",
+  maximumFractionDigits: 1,
+});
+
+// "~1.2M rows" for an estimate, the exact number once it has been counted
+function formatRowCount(tableInfo) {
+  if (tableInfo.rowCount === null || tableInfo.rowCount === undefined) {
+    return "";
+  }
+  if (tableInfo.rowCountApproximate) {
+    return `~${compactNumber.format(tableInfo.rowCount)} rows`;
+  }
+  return `${tableInfo.rowCount.toLocaleString()} rows`;
+}
+
 export class SchemaComponent {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch - Authenticated fetch from AuthService
+   * @param {Function} options.onShowDiagram - Opens the ER diagram of the
+   *   schema being shown
+   */
+  constructor({ fetch, onShowDiagram } = {}) {
+    this.fetch = fetch;
+    this.onShowDiagram = onShowDiagram;
+    this.schema = null;
+    this.filename = null;
+    this.expandedTables = new Set();
+    this.countingTables = new Set();
     this.createSidebar();
   }
 
@@ -10,6 +59,7 @@ export class SchemaComponent {
     this.sidebar.innerHTML = `
       <div class="schema-header">
         <h3>Database Schema</h3>
+        <button class="show-er-diagram" title="Show tables and their relationships as a diagram">Diagram</button>
         <button class="close-schema">×</button>
       </div>
       <div class="schema-content">
@@ -24,11 +74,40 @@ export class SchemaComponent {
         this.hide();
       });
 
+    this.sidebar
+      .querySelector(".show-er-diagram")
+      .addEventListener("click", () => {
+        if (this.schema && this.onShowDiagram) {
+          this.onShowDiagram(this.schema);
+        }
+      });
+
+    // Tables open when their header is clicked
+    this.sidebar
+      .querySelector(".schema-content")
+      .addEventListener("click", (event) => {
+        const header = event.target.closest(".table-header");
+        if (header) {
+          this.toggleTable(header.dataset.table);
+        }
+      });
+
     document.body.appendChild(this.sidebar);
   }
 
-  displaySchema(schema) {
+  /**
+   * Show a database's tables and views, collapsed
+   * @param {Object} schema - From /api/schema
+   * @param {string} filename - Stored upload name, for fetching row counts
+   */
+  displaySchema(schema, filename) {
     const content = this.sidebar.querySelector(".schema-content");
+    if (filename !== this.filename) {
+      this.expandedTables.clear();
+      this.countingTables.clear();
+    }
+    this.schema = schema;
+    this.filename = filename;
 
     if (!schema || Object.keys(schema).length === 0) {
       content.innerHTML =
@@ -39,26 +118,67 @@ export class SchemaComponent {
     let html = "";
 
     for (const [tableName, tableInfo] of Object.entries(schema)) {
+      // Column name -> "table.column" it refers to
+      const references = new Map();
+      for (const foreignKey of tableInfo.foreignKeys ?? []) {
+        for (const [index, column] of foreignKey.from.entries()) {
+          references.set(
+            column,
+            `${foreignKey.table}${foreignKey.to[index] ? `.${foreignKey.to[index]}` : ""}`,
+          );
+        }
+      }
+
       html += `
-        <div class="table-info">
-          <div class="table-header">
-            <h4>${tableName}</h4>
-            <span class="row-count">${tableInfo.rowCount.toLocaleString()} rows</span>
+        <div class="table-info${this.expandedTables.has(tableName) ? " expanded" : ""}">
+          <div class="table-header" data-table="${escapeHtml(tableName)}">
+            <h4>${escapeHtml(tableName)}</h4>
+            ${describeKind(tableInfo)}
+            <span class="row-count"${formatRowCount(tableInfo) ? "" : " hidden"}>${formatRowCount(tableInfo)}</span>
           </div>
+          <div class="table-body">
           <div class="columns">
             ${tableInfo.columns
               .map(
                 (col) => `
               <div class="column">
-                <span class="column-name">${col.name}</span>
-                <span class="column-type">${col.type}</span>
+                <span class="column-name">${escapeHtml(col.name)}</span>
+                <span class="column-type">${escapeHtml(col.type)}</span>
                 ${col.primaryKey ? '<span class="pk-badge">PK</span>' : ""}
                 ${!col.nullable ? '<span class="nn-badge">NOT NULL</span>' : ""}
+                ${references.has(col.name) ? `<span class="fk-badge" title="Foreign key">→ ${escapeHtml(references.get(col.name))}</span>` : ""}
               </div>
             `,
               )
               .join("")}
           </div>
+          ${
+            tableInfo.indexes?.length > 0
+              ? `<div class="schema-details">
+            <span class="details-label">Indexes</span>
+            ${tableInfo.indexes
+              .map(
+                (index) => `
+              <div class="index-info">
+                ${escapeHtml(index.name)}
+                (${index.columns.map((column) => escapeHtml(column ?? "expression")).join(", ")})
+                ${index.unique ? '<span class="unique-badge">UNIQUE</span>' : ""}
+                ${index.partial ? '<span class="partial-badge">PARTIAL</span>' : ""}
+              </div>`,
+              )
+              .join("")}
+          </div>`
+              : ""
+          }
+          ${
+            tableInfo.triggers?.length > 0
+              ? `<div class="schema-details">
+            <span class="details-label">Triggers</span>
+            ${tableInfo.triggers.map((trigger) => `<div class="trigger-info">${escapeHtml(trigger)}</div>`).join("")}
+          </div>`
+              : ""
+          }
+          </div>
         </div>
       `;
     }
@@ -66,6 +186,66 @@ export class SchemaComponent {
     content.innerHTML = html;
   }
 
+  toggleTable(tableName) {
+    const tableInfo = this.schema?.[tableName];
+    if (!tableInfo) return;
+
+    const element = [...this.sidebar.querySelectorAll(".table-header")].find(
+      (header) => header.dataset.table === tableName,
+    )?.parentElement;
+    if (this.expandedTables.delete(tableName)) {
+      element.classList.remove("expanded");
+      return;
+    }
+    this.expandedTables.add(tableName);
+    element.classList.add("expanded");
+
+    // Only estimates come with the schema; a table is counted when opened
+    if (
+      tableInfo.type === "table" &&
+      !tableInfo.virtual &&
+      (tableInfo.rowCount === null || tableInfo.rowCountApproximate)
+    ) {
+      this.loadRowCount(tableName, element.querySelector(".row-count"));
+    }
+  }
+
+  async loadRowCount(tableName, label) {
+    const { filename } = this;
+    const tableInfo = this.schema[tableName];
+    if (this.countingTables.has(tableName)) return;
+    this.countingTables.add(tableName);
+
+    const estimate = label.textContent;
+    label.hidden = false;
+    label.textContent = estimate ? `${estimate}…` : "counting…";
+
+    try {
+      const response = await this.fetch(
+        `/api/schema/count?filename=${encodeURIComponent(filename)}&table=${encodeURIComponent(tableName)}`,
+      );
+      const result = await response.json();
+      // Another database may have been opened in the meantime
+      if (filename !== this.filename) return;
+
+      if (result.success) {
+        tableInfo.rowCount = result.rowCount;
+        tableInfo.rowCountApproximate = false;
+        label.textContent = formatRowCount(tableInfo);
+      } else {
+        label.textContent = estimate;
+        label.hidden = !estimate;
+        label.title = result.error || "Failed to count rows";
+      }
+    } catch (error) {
+      console.error("Row count error:", error);
+      label.textContent = estimate;
+      label.hidden = !estimate;
+    } finally {
+      this.countingTables.delete(tableName);
+    }
+  }
+
   show() {
     this.sidebar.classList.add("visible");
     document.body.classList.add("schema-open");
@@ -1,4 +1,13 @@
-import { MAX_FILE_SIZE } from "../../lib/constants.js";
+import { MAX_FILE_SIZE, UPLOAD_CHUNK_SIZE } from "../../lib/constants.js";
+
+const CHUNK_RETRIES = 3;
+const RESUME_KEY_PREFIX = "chunkedUpload:";
+
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = String(text);
+  return div.innerHTML;
+}
 
 export class UploadComponent {
   constructor(onUploadCallback, onCloseCallback) {
@@ -14,7 +23,9 @@ export class UploadComponent {
     // Create file input
     this.fileInput = document.createElement("input");
     this.fileInput.type = "file";
-    this.fileInput.accept = ".db,.sqlite,.sqlite3";
+    this.fileInput.accept =
+      ".db,.sqlite,.sqlite3,.csv,.tsv,.json,.ndjson,.jsonl,.sql,.gz,.zip";
+    this.fileInput.multiple = true;
     this.fileInput.style.display = "none";
     document.body.appendChild(this.fileInput);
 
@@ -47,27 +58,38 @@ export class UploadComponent {
 
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-      this.uploadFile(files[0]);
+      this.uploadFiles(Array.from(files));
     }
   }
 
   handleFileSelect(e) {
     if (e.target.files.length > 0) {
-      this.uploadFile(e.target.files[0]);
+      this.uploadFiles(Array.from(e.target.files));
     }
+    // Allow picking the same file again, e.g. to resume an interrupted upload
+    e.target.value = "";
   }
 
-  async uploadFile(file) {
-    // Check file size before uploading
-    if (file.size > MAX_FILE_SIZE) {
+  async uploadFiles(files) {
+    // Check total size before uploading (several data files become one database)
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    if (totalSize > MAX_FILE_SIZE) {
       this.showError("File too large. Maximum size is 100MB");
       return;
     }
 
+    // Large single files go up in resumable chunks with real progress
+    if (files.length === 1 && files[0].size > UPLOAD_CHUNK_SIZE) {
+      await this.uploadInChunks(files[0]);
+      return;
+    }
+
     this.showLoading();
 
     const formData = new FormData();
-    formData.append("database", file);
+    for (const file of files) {
+      formData.append("database", file);
+    }
 
     try {
       const response = await fetch("/api/upload", {
@@ -80,7 +102,7 @@ export class UploadComponent {
       if (result.success) {
         this.onUpload(result.filename);
       } else {
-        this.showError(result.error);
+        this.showError(result.error, result.details);
       }
     } catch (error) {
       console.error("Upload failed:", error);
@@ -88,6 +110,128 @@ export class UploadComponent {
     }
   }
 
+  async uploadInChunks(file) {
+    const resumeKey = `${RESUME_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+    try {
+      this.showProgress(0, "Preparing upload...");
+      const upload = await this.startOrResumeUpload(file, resumeKey);
+      localStorage.setItem(resumeKey, upload.uploadId);
+
+      let offset = upload.receivedBytes;
+      while (offset < file.size) {
+        this.showProgress(offset / file.size);
+        const chunk = file.slice(offset, offset + upload.chunkSize);
+        offset = await this.sendChunk(upload.uploadId, offset, chunk);
+      }
+
+      this.showProgress(1, "Processing database...");
+      const response = await fetch(
+        `/api/upload/chunked/${upload.uploadId}/complete`,
+        { method: "POST" },
+      );
+      const result = await response.json();
+
+      // Only an unfinished upload is worth resuming
+      if (result.success || response.status !== 404) {
+        localStorage.removeItem(resumeKey);
+      }
+
+      if (result.success) {
+        this.onUpload(result.filename);
+      } else {
+        this.showError(result.error, result.details);
+      }
+    } catch (error) {
+      console.error("Chunked upload failed:", error);
+      this.showError(
+        "Upload interrupted. Select the same file again to resume where it stopped.",
+      );
+    }
+  }
+
+  async startOrResumeUpload(file, resumeKey) {
+    const existingId = localStorage.getItem(resumeKey);
+    if (existingId) {
+      const response = await fetch(
+        `/api/upload/chunked/${encodeURIComponent(existingId)}`,
+      );
+      if (response.ok) {
+        return await response.json();
+      }
+      localStorage.removeItem(resumeKey);
+    }
+
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      await file.arrayBuffer(),
+    );
+    const checksum = Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+
+    const response = await fetch("/api/upload/chunked", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename: file.name, size: file.size, checksum }),
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  // Send one chunk, retrying dropped requests; returns the server's new offset
+  async sendChunk(uploadId, offset, chunk) {
+    let lastError;
+
+    for (let attempt = 0; attempt < CHUNK_RETRIES; attempt++) {
+      try {
+        const response = await fetch(
+          `/api/upload/chunked/${uploadId}?offset=${offset}`,
+          { method: "PUT", body: chunk },
+        );
+        const result = await response.json();
+
+        if (response.ok) {
+          return result.receivedBytes;
+        }
+        if (response.status === 409) {
+          // The server already has a different amount; continue from there
+          return result.receivedBytes;
+        }
+        throw new Error(result.error);
+      } catch (error) {
+        lastError = error;
+        await new Promise((resolve) =>
+          setTimeout(resolve, 1000 * 2 ** attempt),
+        );
+      }
+    }
+
+    throw lastError;
+  }
+
+  showProgress(fraction, label) {
+    const percent = Math.round(fraction * 100);
+    let status = this.uploadArea.querySelector(".upload-status.progress");
+
+    if (!status) {
+      this.uploadArea.innerHTML = `
+        <div class="upload-status progress">
+          <div class="upload-progress-bar"><div class="upload-progress-fill"></div></div>
+          <p class="upload-progress-label"></p>
+        </div>
+      `;
+      status = this.uploadArea.querySelector(".upload-status.progress");
+    }
+
+    status.querySelector(".upload-progress-fill").style.width = `${percent}%`;
+    status.querySelector(".upload-progress-label").textContent =
+      label || `Uploading database... ${percent}%`;
+  }
+
   showLoading() {
     this.uploadArea.innerHTML = `
       <div class="upload-status loading">
@@ -102,7 +246,7 @@ export class UploadComponent {
       <div class="upload-status success">
         <button class="close-upload" title="Close">✕</button>
         <div class="success-icon">✓</div>
-        <p>${message}</p>
+        <p>${escapeHtml(message)}</p>
         <button class="upload-another">Upload Another Database</button>
       </div>
     `;
@@ -123,12 +267,29 @@ export class UploadComponent {
       });
   }
 
-  showError(message) {
+  showError(message, details = []) {
+    // Per-statement errors from SQL script imports, or the problems an
+    // integrity check found in an uploaded database
+    const detailsHtml = details.length
+      ? `<ul class="upload-error-details">${details
+          .map((detail) =>
+            detail.sql
+              ? `
+              <li>
+                <strong>Line ${detail.line}:</strong> ${escapeHtml(detail.error)}
+                <code>${escapeHtml(detail.sql)}</code>
+              </li>`
+              : `<li>${escapeHtml(detail.error)}</li>`,
+          )
+          .join("")}</ul>`
+      : "";
+
     this.uploadArea.innerHTML = `
       <div class="upload-status error">
         <button class="close-upload" title="Close">✕</button>
         <div class="error-icon">✕</div>
-        <p>${message}</p>
+        <p>${escapeHtml(message)}</p>
+        ${detailsHtml}
         <button class="try-again">Try Again</button>
       </div>
     `;
@@ -153,7 +314,7 @@ export class UploadComponent {
     this.uploadArea.innerHTML = `
       <button class="close-upload" title="Close">✕</button>
       <p>Drop your SQLite database file here</p>
-      <p><small>Or click to select a file</small></p>
+      <p><small>Or click to select a file (CSV, TSV, JSON and SQL script files are converted to a database; .gz and .zip archives are unpacked)</small></p>
     `;
 
     // Add click handler for close
@@ -1,5 +1,32 @@
 import * as d3 from "d3";
 import { humanizeField } from "../../lib/humanizer.js";
+import {
+  findQueryParameters,
+  formatSqlError,
+  validateSqlForWidget,
+} from "../../lib/sqlValidator.js";
+
+const PARAMETER_TYPES = {
+  text: "Text",
+  number: "Number",
+  date: "Date",
+  select: "List from query",
+};
+
+// Formats the export menu offers; keys are also the file extensions
+const EXPORT_FORMATS = {
+  csv: "CSV",
+  jsonl: "JSON Lines",
+  xlsx: "Excel (XLSX)",
+};
+
+// Safe in text and in double- or single-quoted attributes; innerHTML on
+// its own leaves quotes as they are
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = String(text);
+  return div.innerHTML.replaceAll('"', "&quot;").replaceAll("'", "&#39;");
+}
 
 export class WidgetComponent {
   constructor(
@@ -26,6 +53,12 @@ export class WidgetComponent {
     this.title = title;
     this.widgetType = widgetType;
     this.chartFunction = "";
+    this.activeQueryId = null; // Id of the running query, for cancelling it
+    this.sort = null; // { column, direction } chosen from the table headers
+    this.filters = {}; // Column name -> text typed in its filter input
+    this.cursor = null; // Keyset cursor of the current page, null for page 1
+    this.parameters = []; // { name, type, lookupQuery } per :name in the query
+    this.parameterValues = {}; // Parameter name -> value bound to it
 
     this.createElement();
   }
@@ -41,10 +74,22 @@ export class WidgetComponent {
             <div class="widget-header">
               <h4>Query Results</h4>
               <div class="widget-controls">
+                <div class="export-menu">
+                  <button class="export-btn" title="Export all rows">⬇️ Export</button>
+                  <div class="export-options" hidden>
+                    ${Object.entries(EXPORT_FORMATS)
+                      .map(
+                        ([format, label]) =>
+                          `<button class="export-option" data-format="${format}">${label}</button>`,
+                      )
+                      .join("")}
+                  </div>
+                </div>
                 <button class="edit-btn" title="Edit Query">✏️ Edit</button>
                 <button class="delete-btn" title="Delete Widget">🗑️</button>
               </div>
             </div>
+            <div class="widget-parameters" style="display: none;"></div>
             <div class="widget-content">
               <p class="no-results">Click "Edit" to add your SQL query, then "Run & View" to see results</p>
             </div>
@@ -55,6 +100,7 @@ export class WidgetComponent {
             <div class="widget-header">
               <h4 class="back-panel-title">Widget Settings</h4>
               <div class="widget-controls">
+                <button class="explain-btn" title="Explain Query Plan">🔍 Explain</button>
                 <button class="run-view-btn" title="Run Query & View Results">▶️ Run & View</button>
                 <button class="delete-btn" title="Delete Widget">🗑️</button>
               </div>
@@ -73,7 +119,15 @@ export class WidgetComponent {
               </div>
               <div class="form-group">
                 <label for="query-editor-${this.id}">SQL Query:</label>
-                <textarea id="query-editor-${this.id}" class="query-editor" placeholder="SELECT * FROM table_name WHERE condition = 'value';">${this.query}</textarea>
+                <textarea id="query-editor-${this.id}" class="query-editor" placeholder="SELECT * FROM table_name WHERE condition = :value;">${this.query}</textarea>
+              </div>
+              <div class="form-group query-plan-group" style="display: none;">
+                <label>Query Plan:</label>
+                <div class="query-plan"></div>
+              </div>
+              <div class="form-group parameter-settings-group" style="display: none;">
+                <label>Query Parameters:</label>
+                <div class="parameter-settings"></div>
               </div>
               <div class="form-group chart-function-group" style="display: none;">
                 <label for="chart-function-${this.id}">JavaScript Chart Function:</label>
@@ -131,6 +185,19 @@ export class WidgetComponent {
       editBtn.addEventListener("click", () => this.flip());
     }
 
+    // Export menu (on results side)
+    const exportBtn = this.element.querySelector(".export-btn");
+    const exportOptions = this.element.querySelector(".export-options");
+    exportBtn.addEventListener("click", () => {
+      exportOptions.hidden = !exportOptions.hidden;
+    });
+    for (const option of exportOptions.querySelectorAll(".export-option")) {
+      option.addEventListener("click", () => {
+        exportOptions.hidden = true;
+        this.exportResults(option.dataset.format);
+      });
+    }
+
     // Delete buttons
     const deleteBtns = this.element.querySelectorAll(".delete-btn");
     for (const btn of deleteBtns) {
@@ -143,10 +210,26 @@ export class WidgetComponent {
       runViewBtn.addEventListener("click", () => this.runQuery());
     }
 
+    // Explain button (on editor side)
+    const explainBtn = this.element.querySelector(".explain-btn");
+    if (explainBtn) {
+      explainBtn.addEventListener("click", () => this.explainQuery());
+    }
+
     // Save query on textarea change (but don't validate while typing)
     const textarea = this.element.querySelector(".query-editor");
     textarea.addEventListener("input", (e) => {
       this.query = e.target.value;
+      // A plan shown for the old query would be misleading
+      this.element.querySelector(".query-plan-group").style.display = "none";
+      // The sort and filters name columns of the old query
+      this.sort = null;
+      this.filters = {};
+      this.cursor = null;
+    });
+    // Placeholders are picked up once editing is done, not on every key
+    textarea.addEventListener("change", () => {
+      if (this.syncParameters() && this.onSave) this.onSave();
     });
 
     // Widget title input change handler
@@ -307,6 +390,8 @@ export class WidgetComponent {
   async runQuery() {
     const textarea = this.element.querySelector(".query-editor");
     const query = textarea.value.trim();
+    this.query = textarea.value;
+    this.syncParameters();
 
     if (!query) {
       this.showError("Please enter a SQL query");
@@ -316,7 +401,7 @@ export class WidgetComponent {
     // Validate query before execution
     const validation = this.validateSql(query);
     if (!validation.isValid) {
-      this.showError(validation.error);
+      this.showSqlError(validation);
       return;
     }
 
@@ -339,6 +424,13 @@ export class WidgetComponent {
       return;
     }
 
+    // A new run replaces one that is still going
+    if (this.activeQueryId) {
+      this.cancelQuery();
+    }
+    const queryId = crypto.randomUUID();
+    this.activeQueryId = queryId;
+
     this.showLoading();
 
     try {
@@ -351,15 +443,31 @@ export class WidgetComponent {
         body: JSON.stringify({
           filename: this.currentDatabase,
           query: query,
+          queryId,
           page: this.currentPage,
           pageSize: this.pageSize,
+          ...(this.widgetType === "data-table"
+            ? { sort: this.sort, filters: this.filters }
+            : {}),
+          // The server falls back to page numbers when the query can't be
+          // paged by cursor
+          pagination: "keyset",
+          cursor: this.cursor,
+          params: this.getParameterValues(),
         }),
       });
 
       const result = await response.json();
 
+      // Ignore the answer to a run that was replaced by a newer one
+      if (this.activeQueryId !== queryId) {
+        return;
+      }
+      this.activeQueryId = null;
+
       if (response.ok && result.success) {
         this.clearError();
+        this.currentPage = result.page;
 
         this.displayResults(result);
 
@@ -377,15 +485,193 @@ export class WidgetComponent {
         }
       } else {
         // Handle error responses (4xx, 5xx status codes or success: false)
-        const errorMessage = result.error || "Query execution failed";
-        this.showError(errorMessage);
+        this.showSqlError({
+          ...result,
+          error: result.error || "Query execution failed",
+        });
       }
     } catch (error) {
+      if (this.activeQueryId !== queryId) {
+        return;
+      }
+      this.activeQueryId = null;
       console.error("Query execution error:", error);
       this.showError("Failed to execute query. Please check your connection.");
     }
   }
 
+  /**
+   * Show how SQLite will run the query, next to the editor, with the steps
+   * that read whole tables flagged
+   */
+  async explainQuery() {
+    const textarea = this.element.querySelector(".query-editor");
+    const query = textarea.value.trim();
+    this.query = textarea.value;
+    this.syncParameters();
+
+    const group = this.element.querySelector(".query-plan-group");
+    const container = this.element.querySelector(".query-plan");
+    const showMessage = (message) => {
+      group.style.display = "block";
+      container.innerHTML = `<p class="plan-error">${escapeHtml(message)}</p>`;
+    };
+
+    if (!query) {
+      showMessage("Please enter a SQL query");
+      return;
+    }
+    const validation = this.validateSql(query);
+    if (!validation.isValid) {
+      showMessage(formatSqlError(validation));
+      return;
+    }
+    if (!this.currentDatabase) {
+      showMessage("No database loaded");
+      return;
+    }
+
+    group.style.display = "block";
+    container.innerHTML = '<p class="plan-loading">Explaining query…</p>';
+    try {
+      const response = await fetch("/api/query/explain", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          filename: this.currentDatabase,
+          query,
+          params: this.getParameterValues(),
+        }),
+      });
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        this.renderQueryPlan(result);
+      } else {
+        showMessage(result.error || "Failed to explain query");
+      }
+    } catch (error) {
+      console.error("Query explain error:", error);
+      showMessage("Failed to explain query. Please check your connection.");
+    }
+  }
+
+  renderQueryPlan({ plan, suggestions }) {
+    const renderSteps = (steps) => `
+      <ul class="plan-tree">
+        ${steps
+          .map(
+            (step) => `
+          <li class="plan-step${step.fullScan ? " full-scan" : ""}">
+            <span class="plan-detail">${step.fullScan ? "⚠️ " : ""}${escapeHtml(step.detail)}</span>
+            ${step.fullScan ? '<span class="plan-note">full table scan</span>' : ""}
+            ${step.children.length > 0 ? renderSteps(step.children) : ""}
+          </li>`,
+          )
+          .join("")}
+      </ul>`;
+
+    // Uploads are opened read-only, so indexes can only be suggested
+    const suggestionList =
+      suggestions.length > 0
+        ? `
+      <div class="index-suggestions">
+        <p>These indexes may help. Uploaded databases are read-only, so create them in the source database:</p>
+        <ul>
+          ${suggestions
+            .map(
+              (suggestion) =>
+                `<li><code>${escapeHtml(suggestion.sql)}</code></li>`,
+            )
+            .join("")}
+        </ul>
+      </div>`
+        : "";
+
+    this.element.querySelector(".query-plan").innerHTML =
+      renderSteps(plan) + suggestionList;
+  }
+
+  /**
+   * Download every row of the query, not just the current page, with the
+   * table's sort and filters applied
+   * @param {string} format - Key of EXPORT_FORMATS
+   */
+  async exportResults(format) {
+    const query = this.query.trim();
+    if (!query) {
+      this.showError("Please enter a SQL query");
+      return;
+    }
+    if (!this.currentDatabase) {
+      this.showError("No database loaded");
+      return;
+    }
+
+    const exportBtn = this.element.querySelector(".export-btn");
+    exportBtn.disabled = true;
+    try {
+      const response = await fetch("/api/query/export", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          filename: this.currentDatabase,
+          query,
+          format,
+          ...(this.widgetType === "data-table"
+            ? { sort: this.sort, filters: this.filters }
+            : {}),
+          params: this.getParameterValues(),
+        }),
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        this.showSqlError({
+          ...result,
+          error: result.error || "Export failed",
+        });
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${this.title.trim() || "query-results"}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Query export error:", error);
+      this.showError("Failed to export results. Please try again.");
+    } finally {
+      exportBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Ask the server to stop the running query; the pending request then
+   * answers with a query_cancelled error
+   */
+  async cancelQuery() {
+    if (!this.activeQueryId) return;
+
+    try {
+      await fetch("/api/query/cancel", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ queryId: this.activeQueryId }),
+      });
+    } catch (error) {
+      console.error("Query cancel error:", error);
+    }
+  }
+
   showLoading() {
     const widgetContent = this.element.querySelector(
       ".card-front .widget-content",
@@ -394,8 +680,16 @@ export class WidgetComponent {
       <div class="loading-state">
         <div class="spinner"></div>
         <p>Running query...</p>
+        <button class="pagination-btn cancel-query-btn" title="Stop this query">Cancel</button>
       </div>
     `;
+
+    widgetContent
+      .querySelector(".cancel-query-btn")
+      .addEventListener("click", (event) => {
+        event.target.disabled = true;
+        this.cancelQuery();
+      });
   }
 
   showGraphLoading() {
@@ -529,7 +823,10 @@ export class WidgetComponent {
       ".card-front .widget-content",
     );
 
-    if (!results || !results.rows || results.rows.length === 0) {
+    const hasColumns = results?.columns?.length > 0;
+    const hasRows = results?.rows?.length > 0;
+    // A table can still show its headers when the query matched nothing
+    if (!hasRows && (!hasColumns || this.widgetType === "graph")) {
       widgetContent.innerHTML = '<p class="no-results">No results found</p>';
       return;
     }
@@ -551,24 +848,31 @@ export class WidgetComponent {
       <table class="results-table">
         <thead>
           <tr>
-            ${results.columns.map((col) => `<th>${humanizeField(col)}</th>`).join("")}
+            ${results.columns.map((col, index) => `<th class="sortable-header" data-column="${escapeHtml(col)}"${this.formatColumnTitle(results.columnInfo?.[index])}>${humanizeField(col)}${this.formatSortIndicator(col)}</th>`).join("")}
+          </tr>
+          <tr class="filter-row">
+            ${results.columns.map((col) => `<th><input type="search" class="column-filter" data-column="${escapeHtml(col)}" value="${escapeHtml(this.filters[col] ?? "")}" placeholder="Filter"></th>`).join("")}
           </tr>
         </thead>
         <tbody>
-          ${results.rows
-            .map(
-              (row) => `
+          ${
+            results.rows.length === 0
+              ? `<tr><td class="no-rows" colspan="${results.columns.length}">No rows</td></tr>`
+              : results.rows
+                  .map(
+                    (row) => `
             <tr>
               ${row.map((cell) => `<td>${cell || ""}</td>`).join("")}
             </tr>
           `,
-            )
-            .join("")}
+                  )
+                  .join("")
+          }
         </tbody>
       </table>
       <div class="results-info">
-        <p>Showing ${results.rows.length} of ${results.totalRows} rows (Page ${results.page} of ${results.totalPages})</p>
-        ${results.totalPages > 1 ? this.createPaginationControls(results) : ""}
+        <p>Showing ${results.rows.length} of ${results.totalRows}${results.approximate ? "+" : ""} rows (Page ${results.page} of ${this.formatTotalPages(results)})</p>
+        ${results.totalPages > 1 || results.hasMore ? this.createPaginationControls(results) : ""}
       </div>
     `;
 
@@ -576,6 +880,235 @@ export class WidgetComponent {
 
     // Set up pagination event listeners
     this.setupPaginationListeners();
+    this.setupTableViewListeners();
+  }
+
+  /**
+   * Match the parameter settings to the :name placeholders in the query,
+   * keeping the settings of names that are still used
+   * @returns {boolean} Whether the placeholders changed
+   */
+  syncParameters() {
+    const names = findQueryParameters(this.query);
+    const unchanged =
+      names.length === this.parameters.length &&
+      names.every((name, index) => this.parameters[index].name === name);
+    if (unchanged) return false;
+
+    this.parameters = names.map(
+      (name) =>
+        this.parameters.find((parameter) => parameter.name === name) ?? {
+          name,
+          type: "text",
+          lookupQuery: "",
+        },
+    );
+    this.parameterValues = Object.fromEntries(
+      Object.entries(this.parameterValues).filter(([name]) =>
+        names.includes(name),
+      ),
+    );
+    this.renderParameterSettings();
+    this.renderParameterInputs();
+    return true;
+  }
+
+  /**
+   * Values to bind, with null for inputs that were left empty
+   * @returns {object} Parameter name -> value
+   */
+  getParameterValues() {
+    return Object.fromEntries(
+      this.parameters.map(({ name }) => [
+        name,
+        this.parameterValues[name] ?? null,
+      ]),
+    );
+  }
+
+  // Type and lookup query for each parameter, on the editor side
+  renderParameterSettings() {
+    const group = this.element.querySelector(".parameter-settings-group");
+    const container = this.element.querySelector(".parameter-settings");
+    group.style.display = this.parameters.length > 0 ? "block" : "none";
+
+    container.innerHTML = this.parameters
+      .map(
+        (parameter, index) => `
+      <div class="parameter-setting" data-index="${index}">
+        <code>:${escapeHtml(parameter.name)}</code>
+        <select class="parameter-type-select">
+          ${Object.entries(PARAMETER_TYPES)
+            .map(
+              ([type, label]) =>
+                `<option value="${type}" ${parameter.type === type ? "selected" : ""}>${label}</option>`,
+            )
+            .join("")}
+        </select>
+        <input type="text" class="parameter-lookup-input" value="${escapeHtml(parameter.lookupQuery)}" placeholder="SELECT value, label FROM ..." style="display: ${parameter.type === "select" ? "block" : "none"};">
+      </div>
+    `,
+      )
+      .join("");
+
+    for (const setting of container.querySelectorAll(".parameter-setting")) {
+      const parameter = this.parameters[Number(setting.dataset.index)];
+      setting
+        .querySelector(".parameter-type-select")
+        .addEventListener("change", (e) => {
+          parameter.type = e.target.value;
+          delete this.parameterValues[parameter.name];
+          this.renderParameterSettings();
+          this.renderParameterInputs();
+          if (this.onSave) this.onSave();
+        });
+      setting
+        .querySelector(".parameter-lookup-input")
+        .addEventListener("change", (e) => {
+          parameter.lookupQuery = e.target.value.trim();
+          this.renderParameterInputs();
+          if (this.onSave) this.onSave();
+        });
+    }
+  }
+
+  // Inputs for the parameter values, above the results
+  renderParameterInputs() {
+    const container = this.element.querySelector(".widget-parameters");
+    container.style.display = this.parameters.length > 0 ? "flex" : "none";
+
+    container.innerHTML = this.parameters
+      .map((parameter, index) => {
+        const id = `widget-parameter-${this.id}-${index}`;
+        const value = this.parameterValues[parameter.name] ?? "";
+        const input =
+          parameter.type === "select"
+            ? `<select id="${id}" class="parameter-input" data-index="${index}"><option value="">—</option></select>`
+            : `<input id="${id}" class="parameter-input" data-index="${index}" type="${parameter.type}" value="${escapeHtml(value)}">`;
+        return `
+      <div class="parameter-field">
+        <label for="${id}">${escapeHtml(humanizeField(parameter.name))}</label>
+        ${input}
+      </div>
+    `;
+      })
+      .join("");
+
+    for (const input of container.querySelectorAll(".parameter-input")) {
+      const parameter = this.parameters[Number(input.dataset.index)];
+      if (parameter.type === "select") {
+        this.loadParameterOptions(parameter, input);
+      }
+      input.addEventListener("change", () => {
+        this.parameterValues[parameter.name] = this.readParameterInput(
+          parameter,
+          input,
+        );
+        this.currentPage = 1;
+        this.cursor = null;
+        if (this.onSave) this.onSave();
+        if (this.query.trim()) this.runQuery();
+      });
+    }
+  }
+
+  readParameterInput(parameter, input) {
+    if (input.value === "") return null;
+    if (parameter.type === "number") return Number(input.value);
+    if (parameter.type === "select") {
+      // Options keep the value the lookup query returned, number or text
+      return input.selectedOptions[0].lookupValue;
+    }
+    return input.value;
+  }
+
+  /**
+   * Fill a select parameter from its lookup query: the first column is the
+   * value, the second (if any) the label shown
+   */
+  async loadParameterOptions(parameter, select) {
+    if (!parameter.lookupQuery || !this.currentDatabase) return;
+    if (!validateSqlForWidget(parameter.lookupQuery).isValid) return;
+
+    try {
+      const response = await fetch("/api/query", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          filename: this.currentDatabase,
+          query: parameter.lookupQuery,
+          pageSize: 1000,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        console.error("Parameter lookup failed:", result.error);
+        return;
+      }
+
+      for (const row of result.rows) {
+        const option = document.createElement("option");
+        option.lookupValue = row[0];
+        option.value = String(row[0]);
+        option.textContent = String(row[1] ?? row[0]);
+        option.selected = row[0] === this.parameterValues[parameter.name];
+        select.appendChild(option);
+      }
+    } catch (error) {
+      console.error("Parameter lookup error:", error);
+    }
+  }
+
+  formatSortIndicator(column) {
+    if (this.sort?.column !== column) return "";
+    return this.sort.direction === "asc" ? " ▲" : " ▼";
+  }
+
+  /**
+   * Clicking a header sorts by it (ascending, descending, then unsorted);
+   * a filter applies once its input is committed with Enter or by leaving it.
+   * Both are sent to the server, which sorts and filters every page.
+   */
+  setupTableViewListeners() {
+    for (const header of this.element.querySelectorAll(".sortable-header")) {
+      header.addEventListener("click", () => {
+        const column = header.dataset.column;
+        if (this.sort?.column !== column) {
+          this.sort = { column, direction: "asc" };
+        } else if (this.sort.direction === "asc") {
+          this.sort = { column, direction: "desc" };
+        } else {
+          this.sort = null;
+        }
+        this.currentPage = 1;
+        this.cursor = null;
+        this.runQuery();
+      });
+    }
+
+    for (const input of this.element.querySelectorAll(".column-filter")) {
+      input.addEventListener("change", () => {
+        const value = input.value.trim();
+        if (value) {
+          this.filters[input.dataset.column] = value;
+        } else {
+          delete this.filters[input.dataset.column];
+        }
+        this.currentPage = 1;
+        this.cursor = null;
+        this.runQuery();
+      });
+    }
+  }
+
+  /**
+   * Tooltip attribute naming a column's declared type, if it has one
+   * @param {object} column - Entry from results.columnInfo
+   * @returns {string} title attribute or an empty string
+   */
+  formatColumnTitle(column) {
+    if (!column?.declaredType) return "";
+    return ` title="${escapeHtml(column.declaredType)} (${escapeHtml(column.affinity)} affinity)"`;
   }
 
   displayGraph(results) {
@@ -709,15 +1242,35 @@ export class WidgetComponent {
     return false;
   }
 
+  /**
+   * Total page count for display; when the server could only count a lower
+   * bound of the rows it reads like "100+"
+   * @param {object} results - Query results
+   * @returns {string}
+   */
+  formatTotalPages(results) {
+    if (!results.approximate) {
+      return String(results.totalPages);
+    }
+    return `${Math.max(results.totalPages, results.page)}+`;
+  }
+
   createPaginationControls(results) {
-    const { page, totalPages } = results;
-    const prevDisabled = page <= 1 ? "disabled" : "";
-    const nextDisabled = page >= totalPages ? "disabled" : "";
+    const { page, totalPages, approximate, hasMore } = results;
+    // In keyset mode the server hands out a cursor for each page that exists
+    const keyset = results.pagination === "keyset";
+    const firstPage = keyset ? !results.prevCursor : page <= 1;
+    const prevDisabled = firstPage ? "disabled" : "";
+    let lastPage = approximate ? !hasMore : page >= totalPages;
+    if (keyset) {
+      lastPage = !results.nextCursor;
+    }
+    const nextDisabled = lastPage ? "disabled" : "";
 
     return `
       <div class="pagination-controls">
         <button class="pagination-btn prev-btn" ${prevDisabled}>← Previous</button>
-        <span class="page-info">Page ${page} of ${totalPages}</span>
+        <span class="page-info">Page ${page} of ${this.formatTotalPages(results)}</span>
         <button class="pagination-btn next-btn" ${nextDisabled}>Next →</button>
       </div>
     `;
@@ -727,9 +1280,13 @@ export class WidgetComponent {
     const prevBtn = this.element.querySelector(".prev-btn");
     const nextBtn = this.element.querySelector(".next-btn");
 
+    // Read when clicked: the results are stored after they're displayed
+    const isKeyset = () => this.results?.pagination === "keyset";
+
     if (prevBtn && !prevBtn.disabled) {
       prevBtn.addEventListener("click", () => {
         this.currentPage--;
+        this.cursor = isKeyset() ? this.results.prevCursor : null;
         this.runQuery();
       });
     }
@@ -737,6 +1294,7 @@ export class WidgetComponent {
     if (nextBtn && !nextBtn.disabled) {
       nextBtn.addEventListener("click", () => {
         this.currentPage++;
+        this.cursor = isKeyset() ? this.results.nextCursor : null;
         this.runQuery();
       });
     }
@@ -806,6 +1364,7 @@ export class WidgetComponent {
     if (queryTextarea) {
       queryTextarea.value = this.query;
     }
+    this.syncParameters();
 
     // Update chart function textarea
     const chartFunctionTextarea = this.element?.querySelector(
@@ -836,6 +1395,11 @@ export class WidgetComponent {
       height: this.height,
       currentPage: this.currentPage,
       pageSize: this.pageSize,
+      cursor: this.cursor,
+      sort: this.sort,
+      filters: this.filters,
+      parameters: this.parameters,
+      parameterValues: this.parameterValues,
       title: this.title,
       widgetType: this.widgetType,
       chartFunction: this.chartFunction,
@@ -857,6 +1421,11 @@ export class WidgetComponent {
     widget.results = data.results || null;
     widget.currentPage = data.currentPage || 1;
     widget.pageSize = data.pageSize || 50;
+    widget.cursor = data.cursor || null;
+    widget.sort = data.sort || null;
+    widget.filters = data.filters || {};
+    widget.parameters = data.parameters || [];
+    widget.parameterValues = data.parameterValues || {};
     widget.chartFunction = data.chartFunction || "";
 
     // Update the textarea with saved query
@@ -876,6 +1445,12 @@ export class WidgetComponent {
     // Update chart function visibility after setting widget type
     widget.updateChartFunctionVisibility();
 
+    // Saved parameter settings still have to match the query's placeholders
+    if (!widget.syncParameters()) {
+      widget.renderParameterSettings();
+      widget.renderParameterInputs();
+    }
+
     // Restore results if available
     if (widget.results) {
       widget.displayResults(widget.results);
@@ -890,68 +1465,32 @@ export class WidgetComponent {
   }
 
   /**
-   * Client-side SQL validation (mirrors server-side validation)
+   * Client-side SQL validation (the same parser the server uses)
    * @param {string} query - The SQL query to validate
-   * @returns {object} - { isValid: boolean, error?: string }
+   * @returns {object} - { isValid: boolean, error?: string, line?: number, column?: number, offset?: number }
    */
   validateSql(query) {
-    if (!query || typeof query !== "string") {
-      return { isValid: false, error: "Query must be a non-empty string" };
-    }
-
-    const trimmedQuery = query.trim();
-    if (!trimmedQuery) {
-      return { isValid: false, error: "Query cannot be empty" };
-    }
-
-    const queryLower = trimmedQuery.toLowerCase();
-
-    // Check for semicolons (prevent multiple statements)
-    if (query.includes(";")) {
-      return {
-        isValid: false,
-        error:
-          "Semicolons are not allowed. Please write a single SQL statement.",
-      };
-    }
-
-    // Check for dangerous operations
-    const dangerousKeywords = [
-      "drop",
-      "delete",
-      "update",
-      "insert",
-      "alter",
-      "create",
-      "truncate",
-      "replace",
-      "pragma",
-    ];
+    return validateSqlForWidget(query);
+  }
 
-    for (const keyword of dangerousKeywords) {
-      if (queryLower.startsWith(keyword)) {
-        return {
-          isValid: false,
-          error: `${keyword.toUpperCase()} operations are not allowed. Only SELECT queries permitted.`,
-        };
-      }
-    }
+  /**
+   * Show a validation error with its position and, in the editor, move the
+   * cursor to where the problem is
+   * @param {object} result - Failed validation or error response
+   */
+  showSqlError(result) {
+    this.showError(formatSqlError(result));
 
-    // Check for forbidden keywords that interfere with pagination
-    const forbiddenKeywords = ["limit", "offset"];
-    for (const keyword of forbiddenKeywords) {
-      if (
-        queryLower.includes(` ${keyword} `) ||
-        queryLower.includes(` ${keyword}(`)
-      ) {
-        return {
-          isValid: false,
-          error: `${keyword.toUpperCase()} clauses are not allowed. We handle pagination automatically.`,
-        };
-      }
+    const textarea = this.element.querySelector(".query-editor");
+    if (this.isFlipped && textarea && Number.isInteger(result.offset)) {
+      // Offsets count from the trimmed query that was validated
+      const start =
+        result.offset +
+        textarea.value.length -
+        textarea.value.trimStart().length;
+      textarea.focus();
+      textarea.setSelectionRange(start, start + 1);
     }
-
-    return { isValid: true };
   }
 
   /**
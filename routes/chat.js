@@ -1,9 +1,11 @@
+import { basename } from "node:path";
 import { AI_CONFIG } from "../lib/ai-config.js";
 import { SYSTEM_PROMPT } from "../lib/ai-system-prompt.js";
 import { logger } from "../lib/logger.js";
 import { OpenRouterClient } from "../lib/openrouter-client.js";
 import { toolExecutor } from "../lib/tool-executor.js";
 import { toolRegistry } from "../lib/tool-registry.js";
+import { resolveUserDatabase } from "../lib/upload-access.js";
 
 // Register all tools from the registry with the executor
 for (const tool of toolRegistry.getAllTools()) {
@@ -24,6 +26,25 @@ function createSuccessResponse(data) {
   });
 }
 
+// Tools only see a database the requesting user owns; anything else is
+// treated as if no database were loaded
+async function resolveToolDatabasePath(databasePath, user) {
+  if (!databasePath) return undefined;
+
+  const access = await resolveUserDatabase(
+    basename(String(databasePath)),
+    user,
+  );
+  if (!access.success) {
+    logger.warn("🔒 Chat requested a database the user does not own:", {
+      databasePath,
+      userId: user?.id,
+    });
+    return undefined;
+  }
+  return access.filePath;
+}
+
 export async function handleChat(request, openRouterClientClass) {
   const ClientClass =
     typeof openRouterClientClass === "function" &&
@@ -100,7 +121,10 @@ export async function handleChat(request, openRouterClientClass) {
     const MAX_TOOL_ITERATIONS = 10;
     const MAX_WORKFLOW_TIME_MS = 5 * 60 * 1000; // 5 minutes
     const workflowStartTime = Date.now();
-    const context = { databasePath, widgets };
+    const context = {
+      databasePath: await resolveToolDatabasePath(databasePath, request.user),
+      widgets,
+    };
     const allToolResults = [];
     const currentMessages = [...messages];
     let iteration = 0;
@@ -0,0 +1,97 @@
+import { logger } from "../lib/logger.js";
+import { releaseStoredDatabase } from "../lib/upload-storage.js";
+
+const MAX_LABEL_LENGTH = 100;
+
+function jsonResponse(data, status) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function toLibraryEntry(upload) {
+  return {
+    filename: upload.filename,
+    label: upload.label || upload.original_filename,
+    originalFilename: upload.original_filename,
+    size: upload.size,
+    createdAt: upload.created_at,
+  };
+}
+
+export async function handleListUploads(request) {
+  try {
+    const uploads = await global.appDatabase.uploads.listByUser(
+      request.user.id,
+    );
+
+    return jsonResponse(
+      { success: true, uploads: uploads.map(toLibraryEntry) },
+      200,
+    );
+  } catch (error) {
+    logger.error("List uploads error:", error);
+    return jsonResponse({ error: "Failed to load your databases" }, 500);
+  }
+}
+
+export async function handleRenameUpload(request) {
+  try {
+    const { filename } = request.params;
+    const { label } = await request.json();
+
+    if (typeof label !== "string") {
+      return jsonResponse({ error: "Label must be a string" }, 400);
+    }
+
+    const trimmed = label.trim();
+    if (trimmed.length > MAX_LABEL_LENGTH) {
+      return jsonResponse(
+        { error: `Label must be at most ${MAX_LABEL_LENGTH} characters` },
+        400,
+      );
+    }
+
+    // An empty label goes back to showing the original filename
+    const upload = await global.appDatabase.uploads.updateLabel(
+      filename,
+      request.user.id,
+      trimmed || null,
+    );
+    if (!upload) {
+      return jsonResponse({ error: "Database file not found" }, 404);
+    }
+
+    return jsonResponse({ success: true, upload: toLibraryEntry(upload) }, 200);
+  } catch (error) {
+    logger.error("Rename upload error:", error);
+    return jsonResponse({ error: "Failed to rename database" }, 500);
+  }
+}
+
+export async function handleDeleteUpload(request) {
+  try {
+    const { filename } = request.params;
+
+    // Only names recorded for this user can match, so the file release below
+    // never sees a user-supplied path. The file may already be gone from
+    // disk; the record is still removed.
+    const deleted = await global.appDatabase.uploads.delete(
+      filename,
+      request.user.id,
+    );
+    if (!deleted) {
+      return jsonResponse({ error: "Database file not found" }, 404);
+    }
+
+    // Other users who uploaded the same bytes keep the file
+    await releaseStoredDatabase(filename);
+
+    logger.debug(`🗑️  Deleted upload ${filename} for user ${request.user.id}`);
+    return jsonResponse({ success: true, filename }, 200);
+  } catch (error) {
+    logger.error("Delete upload error:", error);
+    return jsonResponse({ error: "Failed to delete database" }, 500);
+  }
+}
@@ -1,20 +1,29 @@
-import { join } from "node:path";
-import { DatabaseManager } from "../lib/database.js";
+import { queryCache } from "../lib/query-cache.js";
+import { EXPORT_FORMATS, writeExport } from "../lib/query-export.js";
+import { validateQueryParameters } from "../lib/query-parameters.js";
+import { cancelQuery, openQueryExport, runQuery } from "../lib/query-runner.js";
+import { normalizeQueryView, validateQueryView } from "../lib/query-view.js";
 import { validateSqlForWidget } from "../lib/sqlValidator.js";
+import { resolveUserDatabase } from "../lib/upload-access.js";
 
 import { logger } from "../lib/logger.js";
-const UPLOADS_DIR = "./uploads";
 const DEFAULT_PAGE_SIZE = 50;
 const MAX_PAGE_SIZE = 1000;
 
-export async function handleQuery(request) {
-  try {
-    const body = await request.json();
-    const { filename, query, page = 1, pageSize = DEFAULT_PAGE_SIZE } = body;
+/**
+ * Run the checks shared by every endpoint that executes a widget query
+ * @param {Request} request - Authenticated request
+ * @param {object} body - { filename, query, params, sort, filters }
+ * @returns {Promise<object>} { response } with the error to send, or
+ *   { filePath, view } with the database file and normalized view
+ */
+async function checkQueryRequest(request, body) {
+  const { filename, query, params = null, sort = null, filters = null } = body;
 
-    // Validate required parameters
-    if (!filename || !query) {
-      return new Response(
+  // Validate required parameters
+  if (!filename || !query) {
+    return {
+      response: new Response(
         JSON.stringify({
           error: "Missing required parameters: filename and query",
         }),
@@ -22,8 +31,93 @@ export async function handleQuery(request) {
           status: 400,
           headers: { "Content-Type": "application/json" },
         },
-      );
-    }
+      ),
+    };
+  }
+
+  // Only the user who uploaded a database may query it
+  const access = await resolveUserDatabase(filename, request.user);
+  if (!access.success) {
+    return {
+      response: new Response(JSON.stringify({ error: access.error }), {
+        status: access.status,
+        headers: { "Content-Type": "application/json" },
+      }),
+    };
+  }
+  const filePath = access.filePath;
+
+  // Validate SQL query using widget-specific validator (no LIMIT/OFFSET allowed)
+  const validation = validateSqlForWidget(query);
+  if (!validation.isValid) {
+    return {
+      response: new Response(
+        JSON.stringify({
+          error: validation.error,
+          type: "validation_error",
+          line: validation.line,
+          column: validation.column,
+          offset: validation.offset,
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        },
+      ),
+    };
+  }
+
+  // Values for :name placeholders are bound, never written into the SQL
+  const paramsValidation = validateQueryParameters(query, params);
+  if (!paramsValidation.isValid) {
+    return {
+      response: new Response(
+        JSON.stringify({
+          error: paramsValidation.error,
+          type: "validation_error",
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        },
+      ),
+    };
+  }
+
+  // Sorting and filtering from a data table are applied around the query
+  const viewValidation = validateQueryView({ sort, filters });
+  if (!viewValidation.isValid) {
+    return {
+      response: new Response(
+        JSON.stringify({
+          error: viewValidation.error,
+          type: "validation_error",
+        }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        },
+      ),
+    };
+  }
+  const view = normalizeQueryView({ sort, filters });
+
+  return { filePath, view };
+}
+
+export async function handleQuery(request) {
+  try {
+    const body = await request.json();
+    const {
+      filename,
+      query,
+      queryId,
+      page = 1,
+      pageSize = DEFAULT_PAGE_SIZE,
+      pagination = "offset",
+      cursor = null,
+      params = null,
+    } = body;
 
     // Validate and sanitize pagination parameters
     const validPageSize = Math.min(
@@ -33,76 +127,199 @@ export async function handleQuery(request) {
     const validPage = Math.max(1, Number.parseInt(page, 10));
     const offset = (validPage - 1) * validPageSize;
 
-    // Security: Validate filename to prevent path traversal
-    if (
-      filename.includes("..") ||
-      filename.includes("/") ||
-      filename.includes("\\")
-    ) {
-      return new Response(JSON.stringify({ error: "Invalid filename" }), {
-        status: 400,
+    const checked = await checkQueryRequest(request, body);
+    if (checked.response) {
+      return checked.response;
+    }
+    const { filePath, view } = checked;
+
+    // Keyset pagination is used when asked for and the query allows it; the
+    // response's `pagination` says which one was used
+    let keyset = null;
+    if (pagination === "keyset") {
+      // The cursor is checked against the query's keyset plan in the worker
+      if (cursor !== null && typeof cursor !== "string") {
+        return new Response(
+          JSON.stringify({
+            error: "Invalid cursor for this query",
+            type: "validation_error",
+          }),
+          {
+            status: 400,
+            headers: { "Content-Type": "application/json" },
+          },
+        );
+      }
+      keyset = { cursor };
+    }
+    const variant = { view, keyset, params };
+
+    // Stored databases never change, so a page that was already read can be
+    // served again without touching the file
+    const cached = queryCache.get(
+      filename,
+      query,
+      validPage,
+      validPageSize,
+      variant,
+    );
+    if (cached) {
+      return new Response(JSON.stringify({ ...cached, cached: true }), {
+        status: 200,
         headers: { "Content-Type": "application/json" },
       });
     }
 
-    // Check if database file exists
-    const filePath = join(UPLOADS_DIR, filename);
-    const file = Bun.file(filePath);
-    if (!(await file.exists())) {
+    // Execute the query with pagination in a worker so a slow query can't
+    // hold up other requests; it's stopped when it runs out of time
+    const outcome = await runQuery(
+      filePath,
+      {
+        query,
+        page: validPage,
+        pageSize: validPageSize,
+        offset,
+        view,
+        keyset,
+        params: params ?? {},
+      },
+      { userId: request.user.id, queryId },
+    );
+
+    if (outcome.success) {
+      queryCache.set(
+        filename,
+        query,
+        validPage,
+        validPageSize,
+        outcome.results,
+        variant,
+      );
       return new Response(
-        JSON.stringify({ error: "Database file not found" }),
+        JSON.stringify({ ...outcome.results, cached: false }),
         {
-          status: 404,
+          status: 200,
           headers: { "Content-Type": "application/json" },
         },
       );
     }
 
-    // Initialize database manager
-    const dbManager = new DatabaseManager(filePath);
-    await dbManager.connect();
+    if (outcome.type === "server_error") {
+      logger.error("Query worker error:", outcome.error);
+    }
+    return new Response(
+      JSON.stringify({
+        error:
+          outcome.type === "sql_error"
+            ? `SQL Error: ${outcome.error}`
+            : outcome.error,
+        type: outcome.type,
+      }),
+      {
+        status: outcome.type === "server_error" ? 500 : 400,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
+  } catch (error) {
+    logger.error("Query execution error:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Internal server error",
+        type: "server_error",
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
+  }
+}
+
+export async function handleQueryExport(request) {
+  try {
+    const body = await request.json();
+    const { query, format, params = null } = body;
 
-    try {
-      // Validate SQL query using widget-specific validator (no LIMIT/OFFSET allowed)
-      const validation = validateSqlForWidget(query);
-      if (!validation.isValid) {
-        return new Response(JSON.stringify({ error: validation.error }), {
+    if (!Object.hasOwn(EXPORT_FORMATS, format ?? "")) {
+      return new Response(
+        JSON.stringify({
+          error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+          type: "validation_error",
+        }),
+        {
           status: 400,
           headers: { "Content-Type": "application/json" },
-        });
-      }
-
-      // Execute the query with pagination
-      const results = await executeQueryWithPagination(
-        dbManager,
-        query,
-        validPage,
-        validPageSize,
-        offset,
+        },
       );
+    }
 
-      await dbManager.disconnect();
-
-      return new Response(JSON.stringify(results), {
-        status: 200,
-        headers: { "Content-Type": "application/json" },
-      });
-    } catch (queryError) {
-      await dbManager.disconnect();
+    const checked = await checkQueryRequest(request, body);
+    if (checked.response) {
+      return checked.response;
+    }
+    const { filePath, view } = checked;
 
+    // Errors in the query itself show up before any rows are read, so they
+    // can still be answered with a status code
+    const session = await openQueryExport(filePath, {
+      query,
+      view,
+      params: params ?? {},
+    });
+    if (!session.success) {
+      if (session.type === "server_error") {
+        logger.error("Query worker error:", session.error);
+      }
       return new Response(
         JSON.stringify({
-          error: `SQL Error: ${queryError.message}`,
-          type: "sql_error",
+          error:
+            session.type === "sql_error"
+              ? `SQL Error: ${session.error}`
+              : session.error,
+          type: session.type,
         }),
         {
-          status: 400,
+          status: session.type === "server_error" ? 500 : 400,
           headers: { "Content-Type": "application/json" },
         },
       );
     }
+
+    // Rows are read from the worker only as fast as the client downloads
+    // them; a failure part way through aborts the download
+    const chunks = writeExport(format, session.columns, session.batches());
+    const stream = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done } = await chunks.next();
+          if (done) {
+            controller.close();
+          } else {
+            controller.enqueue(value);
+          }
+        } catch (error) {
+          logger.error("Query export error:", error);
+          session.close();
+          controller.error(error);
+        }
+      },
+      cancel() {
+        // Stopping the session ends the batch being read, if any
+        session.close();
+        chunks.return().catch(() => {});
+      },
+    });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="export.${extension}"`,
+      },
+    });
   } catch (error) {
-    logger.error("Query execution error:", error);
+    logger.error("Query export error:", error);
     return new Response(
       JSON.stringify({
         error: "Internal server error",
@@ -116,44 +333,97 @@ export async function handleQuery(request) {
   }
 }
 
-async function executeQueryWithPagination(
-  dbManager,
-  query,
-  page,
-  pageSize,
-  offset,
-) {
-  // First, get total count by wrapping the query in a COUNT(*)
-  let totalRows = 0;
+export async function handleQueryExplain(request) {
   try {
-    const countQuery = `SELECT COUNT(*) as total FROM (${query}) AS count_query`;
-    const countResult = dbManager.db.prepare(countQuery).get();
-    totalRows = countResult.total;
+    const body = await request.json();
+    const { query, params = null } = body;
+
+    const checked = await checkQueryRequest(request, body);
+    if (checked.response) {
+      return checked.response;
+    }
+
+    // Planning doesn't read any rows, but it still goes through a worker so
+    // it gets the same time limit as running the query
+    const outcome = await runQuery(checked.filePath, {
+      type: "explain",
+      query,
+      params: params ?? {},
+    });
+
+    if (outcome.success) {
+      return new Response(
+        JSON.stringify({ success: true, ...outcome.results }),
+        {
+          status: 200,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    if (outcome.type === "server_error") {
+      logger.error("Query worker error:", outcome.error);
+    }
+    return new Response(
+      JSON.stringify({
+        error:
+          outcome.type === "sql_error"
+            ? `SQL Error: ${outcome.error}`
+            : outcome.error,
+        type: outcome.type,
+      }),
+      {
+        status: outcome.type === "server_error" ? 500 : 400,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
   } catch (error) {
-    // If count fails, execute original query to get row count
-    // This is less efficient but works for complex queries
-    const allResults = dbManager.db.prepare(query).all();
-    totalRows = allResults.length;
+    logger.error("Query explain error:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Internal server error",
+        type: "server_error",
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
   }
+}
+
+export async function handleQueryCancel(request) {
+  try {
+    const { queryId } = await request.json();
+
+    if (!queryId) {
+      return new Response(
+        JSON.stringify({ error: "Missing required parameter: queryId" }),
+        {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    // Users can only cancel queries they started
+    const cancelled = cancelQuery(request.user.id, queryId);
 
-  // Execute the paginated query
-  const paginatedQuery = `${query} LIMIT ${pageSize} OFFSET ${offset}`;
-  const rows = dbManager.db.prepare(paginatedQuery).all();
-
-  // Extract column names from the first row (if any)
-  const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
-
-  // Convert rows from objects to arrays for consistency with existing UI
-  const rowArrays = rows.map((row) => columns.map((col) => row[col]));
-
-  return {
-    success: true,
-    columns,
-    rows: rowArrays,
-    totalRows,
-    page,
-    pageSize,
-    totalPages: Math.ceil(totalRows / pageSize),
-    hasMore: page * pageSize < totalRows,
-  };
+    return new Response(JSON.stringify({ success: true, cancelled }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  } catch (error) {
+    logger.error("Query cancel error:", error);
+    return new Response(
+      JSON.stringify({
+        error: "Internal server error",
+        type: "server_error",
+      }),
+      {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      },
+    );
+  }
 }
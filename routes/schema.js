@@ -1,8 +1,9 @@
-import { join } from "node:path";
 import { DatabaseManager } from "../lib/database.js";
+import { runQuery } from "../lib/query-runner.js";
+import { rowCountCache } from "../lib/row-counts.js";
+import { resolveUserDatabase } from "../lib/upload-access.js";
 
 import { logger } from "../lib/logger.js";
-const UPLOADS_DIR = "./uploads";
 
 export async function handleSchema(request) {
   try {
@@ -16,28 +17,15 @@ export async function handleSchema(request) {
       );
     }
 
-    // Security: ensure filename doesn't contain path traversal
-    if (
-      filename.includes("..") ||
-      filename.includes("/") ||
-      filename.includes("\\")
-    ) {
-      return new Response(JSON.stringify({ error: "Invalid filename" }), {
-        status: 400,
+    // Only the user who uploaded a database may read its schema
+    const access = await resolveUserDatabase(filename, request.user);
+    if (!access.success) {
+      return new Response(JSON.stringify({ error: access.error }), {
+        status: access.status,
         headers: { "Content-Type": "application/json" },
       });
     }
-
-    const filePath = join(UPLOADS_DIR, filename);
-
-    // Check if file exists
-    const file = Bun.file(filePath);
-    if (!(await file.exists())) {
-      return new Response(
-        JSON.stringify({ error: "Database file not found" }),
-        { status: 404, headers: { "Content-Type": "application/json" } },
-      );
-    }
+    const filePath = access.filePath;
 
     const dbManager = new DatabaseManager(filePath);
 
@@ -78,3 +66,77 @@ export async function handleSchema(request) {
     );
   }
 }
+
+export async function handleSchemaCount(request) {
+  try {
+    const url = new URL(request.url);
+    const filename = url.searchParams.get("filename");
+    const table = url.searchParams.get("table");
+
+    if (!filename || !table) {
+      return new Response(
+        JSON.stringify({
+          error: "Missing required parameters: filename and table",
+        }),
+        { status: 400, headers: { "Content-Type": "application/json" } },
+      );
+    }
+
+    const access = await resolveUserDatabase(filename, request.user);
+    if (!access.success) {
+      return new Response(JSON.stringify({ error: access.error }), {
+        status: access.status,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    // Stored files never change, so a table is only ever counted once
+    const cached = rowCountCache.get(filename, table);
+    if (cached !== null) {
+      return new Response(
+        JSON.stringify({
+          success: true,
+          table,
+          rowCount: cached,
+          cached: true,
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } },
+      );
+    }
+
+    // A big table can take a while to count, so it's done in a query
+    // worker with the usual time limit
+    const outcome = await runQuery(access.filePath, { type: "count", table });
+    if (!outcome.success) {
+      if (outcome.type === "server_error") {
+        logger.error("Query worker error:", outcome.error);
+      }
+      return new Response(
+        JSON.stringify({
+          error:
+            outcome.type === "sql_error"
+              ? `SQL Error: ${outcome.error}`
+              : outcome.error,
+          type: outcome.type,
+        }),
+        {
+          status: outcome.type === "server_error" ? 500 : 400,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    const { rowCount } = outcome.results;
+    rowCountCache.set(filename, table, rowCount);
+    return new Response(
+      JSON.stringify({ success: true, table, rowCount, cached: false }),
+      { status: 200, headers: { "Content-Type": "application/json" } },
+    );
+  } catch (error) {
+    logger.error("Row count error:", error);
+    return new Response(JSON.stringify({ error: "Failed to count rows" }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+}
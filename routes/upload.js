@@ -1,73 +1,562 @@
-import { unlink } from "node:fs/promises";
-import { join } from "node:path";
-import { MAX_FILE_SIZE } from "../lib/constants.js";
-import { validateSqliteFile } from "../lib/database.js";
-
+import { randomUUID } from "node:crypto";
+import { mkdir, rename, unlink } from "node:fs/promises";
+import { basename, join } from "node:path";
+import {
+  appendChunk,
+  claimChunkedUpload,
+  createChunkedUpload,
+  getChunkedUpload,
+  releaseChunkedUpload,
+  removeChunkedUpload,
+  verifyChunkedUpload,
+} from "../lib/chunked-uploads.js";
+import {
+  MAX_DECOMPRESSED_SIZE,
+  MAX_FILE_SIZE,
+  UPLOAD_CHUNK_SIZE,
+} from "../lib/constants.js";
+import {
+  createSizeBudget,
+  extractGzip,
+  extractZipEntry,
+  getGzipInnerName,
+  isCompressedFile,
+  listZipEntries,
+} from "../lib/importers/archive-extractor.js";
+import {
+  importFiles,
+  isImportableFile,
+} from "../lib/importers/file-importer.js";
+import {
+  importSqlDump,
+  isSqlDumpFile,
+} from "../lib/importers/sql-dump-importer.js";
+import { checkDatabaseFile } from "../lib/integrity-check.js";
 import { logger } from "../lib/logger.js";
+import { quarantineFile } from "../lib/quarantine.js";
+import { storeUploadedDatabase } from "../lib/upload-storage.js";
 const UPLOADS_DIR = "./uploads";
+const SQLITE_FILE_PATTERN = /\.(db|sqlite|sqlite3)$/i;
+
+function jsonResponse(data, status) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// Work-in-progress files; finished databases are renamed to their content hash
+function generateTempPath() {
+  return join(UPLOADS_DIR, `.incoming_${randomUUID()}.db`);
+}
 
 export async function handleUpload(request) {
   try {
+    if (!request.user?.id) {
+      return jsonResponse({ error: "Authentication required" }, 401);
+    }
+
     const formData = await request.formData();
-    const file = formData.get("database");
+    const files = formData.getAll("database").filter((file) => file?.size);
 
-    if (!file || !file.size) {
-      return new Response(JSON.stringify({ error: "No file uploaded" }), {
-        status: 400,
-        headers: { "Content-Type": "application/json" },
-      });
+    if (files.length === 0) {
+      return jsonResponse({ error: "No file uploaded" }, 400);
     }
 
     // Check file size BEFORE reading the file
-    if (file.size > MAX_FILE_SIZE) {
-      return new Response(
-        JSON.stringify({ error: "File too large. Maximum size is 100MB" }),
-        { status: 400, headers: { "Content-Type": "application/json" } },
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    if (totalSize > MAX_FILE_SIZE) {
+      return jsonResponse(
+        { error: "File too large. Maximum size is 100MB" },
+        400,
       );
     }
 
-    // Read file buffer only after size check passes
-    const buffer = Buffer.from(await file.arrayBuffer());
+    return await processFiles(files, {
+      user: request.user,
+      originalFilename: files.map((file) => file.name).join(", "),
+    });
+  } catch (error) {
+    logger.error("Upload error:", error);
+    return jsonResponse({ error: "Upload failed" }, 500);
+  }
+}
+
+// Store a finished database under its content hash and link it to the user
+// who sent it; queries, schema lookups and chat tools only open databases
+// their user owns (see resolveUserDatabase). Uploading bytes the user already
+// has returns the existing entry instead of adding another.
+async function finishUpload(owner, tempPath, body) {
+  const uploads = global.appDatabase.uploads;
+  const stored = await storeUploadedDatabase(
+    tempPath,
+    async ({ filename, size }) => {
+      if (await uploads.getOwnedByUser(filename, owner.user.id)) {
+        return { filename, size, duplicate: true };
+      }
+      await uploads.create({
+        filename,
+        userId: owner.user.id,
+        originalFilename: owner.originalFilename,
+        size,
+      });
+      return { filename, size };
+    },
+  );
+
+  return jsonResponse({ ...body, ...stored }, 200);
+}
+
+// Route uploaded files to the right importer based on their names
+async function processFiles(files, owner) {
+  const archives = files.filter((file) => isCompressedFile(file.name));
+  if (archives.length > 0) {
+    if (files.length > 1) {
+      return jsonResponse(
+        { error: "Compressed archives must be uploaded on their own" },
+        400,
+      );
+    }
+    return await importArchive(archives[0], owner);
+  }
+
+  const sqlFiles = files.filter((file) => isSqlDumpFile(file.name));
+  if (sqlFiles.length > 0) {
+    if (files.length > 1) {
+      return jsonResponse(
+        { error: "SQL scripts must be uploaded on their own, one at a time" },
+        400,
+      );
+    }
+    return await importSqlScript(sqlFiles[0], owner);
+  }
 
-    // Validate SQLite format
-    if (!validateSqliteFile(buffer)) {
-      return new Response(
-        JSON.stringify({ error: "Invalid SQLite file format" }),
-        { status: 400, headers: { "Content-Type": "application/json" } },
+  const dataFiles = files.filter((file) => isImportableFile(file.name));
+  if (dataFiles.length > 0) {
+    if (dataFiles.length !== files.length) {
+      return jsonResponse(
+        {
+          error:
+            "CSV, TSV and JSON files can't be mixed with database files in one upload",
+        },
+        400,
       );
     }
+    return await importDataFiles(files, owner);
+  }
+
+  if (files.length > 1) {
+    return jsonResponse(
+      { error: "Only one SQLite database can be uploaded at a time" },
+      400,
+    );
+  }
+
+  return await saveSqliteFile(files[0], owner);
+}
+
+// Files already on disk (extracted or chunked uploads) are moved into place
+// instead of being read into memory
+function openStoredFile(name, path) {
+  const file = Bun.file(path);
+  return {
+    name,
+    path,
+    size: file.size,
+    text: () => file.text(),
+    stream: () => file.stream(),
+    slice: (start, end) => file.slice(start, end),
+  };
+}
+
+async function saveSqliteFile(file, owner) {
+  const filePath = generateTempPath();
+
+  if (file.path) {
+    await mkdir(UPLOADS_DIR, { recursive: true });
+    await rename(file.path, filePath);
+  } else {
+    // Read file buffer only after size check passes
+    await Bun.write(filePath, Buffer.from(await file.arrayBuffer()));
+  }
+
+  let check;
+  try {
+    check = await checkDatabaseFile(filePath);
+  } catch (error) {
+    await unlink(filePath).catch(() => {});
+    throw error;
+  }
+  if (!check.success) {
+    return await rejectDatabaseFile(filePath, check, owner);
+  }
+
+  return await finishUpload(owner, filePath, {
+    success: true,
+    message: "Database uploaded successfully",
+  });
+}
+
+// Broken files are kept aside for inspection; files that are just the wrong
+// kind (not SQLite, encrypted, too slow to check) are deleted
+async function rejectDatabaseFile(filePath, check, owner) {
+  if (check.quarantine) {
+    const quarantineId = await quarantineFile(filePath, {
+      originalFilename: owner.originalFilename,
+      userId: owner.user.id,
+      report: check,
+    });
+    logger.warn(
+      `⚠️  Quarantined ${owner.originalFilename} from user ${owner.user.id} as ${quarantineId}: ${check.error}`,
+    );
+  } else {
+    await unlink(filePath).catch(() => {});
+  }
+
+  return jsonResponse(
+    {
+      error: check.error,
+      details: check.problems.map((problem) => ({ error: problem })),
+    },
+    400,
+  );
+}
+
+async function importDataFiles(files, owner) {
+  const sources = [];
+  for (const file of files) {
+    sources.push({ name: file.name, text: await file.text() });
+  }
+
+  const filePath = generateTempPath();
+  await mkdir(UPLOADS_DIR, { recursive: true });
+
+  let result;
+  try {
+    result = await importFiles(sources, filePath);
+  } catch (error) {
+    await unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  if (!result.success) {
+    await unlink(filePath).catch(() => {});
+    return jsonResponse({ error: result.error }, 400);
+  }
+
+  const tableCount = result.tables.length;
+  return await finishUpload(owner, filePath, {
+    success: true,
+    tables: result.tables.map((table) => ({
+      name: table.name,
+      sourceFile: table.sourceFile,
+      rowCount: table.rowCount,
+      columns: table.columns,
+    })),
+    message: `Imported ${tableCount} ${tableCount === 1 ? "table" : "tables"} into a new database`,
+  });
+}
+
+async function importSqlScript(file, owner) {
+  const filePath = generateTempPath();
+  await mkdir(UPLOADS_DIR, { recursive: true });
+
+  // A script stopped part way leaves its rollback journal behind
+  const removeOutput = () =>
+    Promise.all(
+      [filePath, `${filePath}-journal`].map((path) =>
+        unlink(path).catch(() => {}),
+      ),
+    );
+
+  let result;
+  try {
+    result = await importSqlDump(await file.text(), filePath);
+  } catch (error) {
+    await removeOutput();
+    throw error;
+  }
+
+  if (!result.success) {
+    await removeOutput();
+    const failed = result.errors.length;
+    const error =
+      result.error ||
+      `${failed} ${failed === 1 ? "statement" : "statements"} failed, nothing was imported`;
+    return jsonResponse({ error, details: result.errors }, 400);
+  }
+
+  return await finishUpload(owner, filePath, {
+    success: true,
+    statementCount: result.statementCount,
+    message: `Ran ${result.statementCount} SQL statements into a new database`,
+  });
+}
+
+// Decide which files in a zip archive to extract
+function selectZipEntries(entries) {
+  const files = entries.filter(
+    (entry) =>
+      !entry.name.endsWith("/") &&
+      !entry.name.startsWith("__MACOSX/") &&
+      !basename(entry.name).startsWith("."),
+  );
+
+  const databases = files.filter((entry) =>
+    SQLITE_FILE_PATTERN.test(entry.name),
+  );
+  if (databases.length > 1) {
+    return { error: "Archive contains more than one SQLite database" };
+  }
+  if (databases.length === 1) {
+    return { entries: databases };
+  }
+
+  const dataFiles = files.filter((entry) => isImportableFile(entry.name));
+  if (dataFiles.length > 0) {
+    return { entries: dataFiles };
+  }
+
+  const scripts = files.filter((entry) => isSqlDumpFile(entry.name));
+  if (scripts.length > 1) {
+    return { error: "Archive contains more than one SQL script" };
+  }
+  if (scripts.length === 1) {
+    return { entries: scripts };
+  }
+
+  return {
+    error:
+      "Archive doesn't contain a SQLite database, CSV, TSV, JSON or SQL file",
+  };
+}
+
+// Decompress an archive upload to temporary files next to the other uploads.
+// Each file is added to `extracted` before it is written so partial output
+// can always be cleaned up.
+async function extractArchive(file, tempPrefix, extracted) {
+  const budget = createSizeBudget(MAX_DECOMPRESSED_SIZE);
+
+  if (/\.gz$/i.test(file.name)) {
+    const path = `${tempPrefix}.0`;
+    extracted.push({ name: getGzipInnerName(file.name), path });
+    await extractGzip(file, path, budget);
+    return {};
+  }
+
+  const selection = selectZipEntries(await listZipEntries(file));
+  if (selection.error) {
+    return selection;
+  }
+
+  for (const [index, entry] of selection.entries.entries()) {
+    const path = `${tempPrefix}.${index}`;
+    extracted.push({ name: basename(entry.name), path });
+    await extractZipEntry(file, entry, path, budget);
+  }
+  return {};
+}
+
+async function importArchive(file, owner) {
+  const tempPrefix = `${generateTempPath()}.extract`;
+  await mkdir(UPLOADS_DIR, { recursive: true });
+
+  const extracted = [];
+  try {
+    let result;
+    try {
+      result = await extractArchive(file, tempPrefix, extracted);
+    } catch (error) {
+      result = { error: `Could not extract ${file.name}: ${error.message}` };
+    }
+    if (result.error) {
+      return jsonResponse({ error: result.error }, 400);
+    }
+    if (extracted.some(({ name }) => isCompressedFile(name))) {
+      return jsonResponse({ error: "Nested archives are not supported" }, 400);
+    }
 
-    // Generate unique filename with timestamp and random component
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 10000);
-    const filename = `database_${timestamp}_${random}.db`;
-    const filePath = join(UPLOADS_DIR, filename);
+    // Extracted files behave like the equivalent plain upload
+    return await processFiles(
+      extracted.map(({ name, path }) => openStoredFile(name, path)),
+      owner,
+    );
+  } finally {
+    for (const { path } of extracted) {
+      await unlink(path).catch(() => {});
+    }
+  }
+}
+
+export async function handleChunkedUploadInit(request) {
+  try {
+    if (!request.user?.id) {
+      return jsonResponse({ error: "Authentication required" }, 401);
+    }
+
+    const { filename, size, checksum } = await request.json();
+
+    if (size > MAX_FILE_SIZE) {
+      return jsonResponse(
+        { error: "File too large. Maximum size is 100MB" },
+        400,
+      );
+    }
 
-    // Save file
-    await Bun.write(filePath, buffer);
+    const result = await createChunkedUpload({
+      filename,
+      size,
+      checksum,
+      userId: request.user?.id,
+    });
+    if (!result.success) {
+      return jsonResponse({ error: result.error }, 400);
+    }
 
-    return new Response(
-      JSON.stringify({
+    return jsonResponse(
+      {
         success: true,
-        filename,
-        size: file.size,
-        message: "Database uploaded successfully",
-      }),
+        uploadId: result.upload.id,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        receivedBytes: 0,
+      },
+      200,
+    );
+  } catch (error) {
+    logger.error("Chunked upload init error:", error);
+    return jsonResponse({ error: "Upload failed" }, 500);
+  }
+}
+
+export async function handleChunkedUploadStatus(request) {
+  try {
+    const upload = await getChunkedUpload(request.params.id, request.user?.id);
+    if (!upload) {
+      return jsonResponse({ error: "Upload not found" }, 404);
+    }
+
+    return jsonResponse(
       {
-        status: 200,
-        headers: { "Content-Type": "application/json" },
+        success: true,
+        uploadId: upload.id,
+        size: upload.size,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        receivedBytes: upload.receivedBytes,
       },
+      200,
     );
   } catch (error) {
-    logger.error("Upload error:", error);
-    return new Response(JSON.stringify({ error: "Upload failed" }), {
-      status: 500,
-      headers: { "Content-Type": "application/json" },
-    });
+    logger.error("Chunked upload status error:", error);
+    return jsonResponse({ error: "Upload failed" }, 500);
+  }
+}
+
+// Read a chunk without ever holding more than one chunk's worth of the
+// body; null when the body is bigger than that
+async function readChunkBody(request) {
+  if (Number(request.headers.get("content-length")) > UPLOAD_CHUNK_SIZE) {
+    return null;
   }
+  if (!request.body) {
+    return new Uint8Array(0);
+  }
+
+  const parts = [];
+  let size = 0;
+  const reader = request.body.getReader();
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > UPLOAD_CHUNK_SIZE) {
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    parts.push(value);
+  }
+  return Buffer.concat(parts, size);
 }
 
-export async function cleanupOldFiles() {
-  // TODO: Implement cleanup of old uploaded files
-  // Could run periodically to remove files older than X hours
+export async function handleChunkedUploadChunk(request) {
+  try {
+    const upload = await getChunkedUpload(request.params.id, request.user?.id);
+    if (!upload) {
+      return jsonResponse({ error: "Upload not found" }, 404);
+    }
+
+    const offset = Number(new URL(request.url).searchParams.get("offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return jsonResponse({ error: "A valid offset is required" }, 400);
+    }
+
+    const chunk = await readChunkBody(request);
+    if (!chunk) {
+      return jsonResponse(
+        { error: `Chunks must be at most ${UPLOAD_CHUNK_SIZE} bytes` },
+        413,
+      );
+    }
+    const result = await appendChunk(upload, offset, chunk);
+    if (!result.success) {
+      return jsonResponse(
+        { error: result.error, receivedBytes: result.receivedBytes },
+        result.status,
+      );
+    }
+
+    return jsonResponse(
+      { success: true, receivedBytes: result.receivedBytes },
+      200,
+    );
+  } catch (error) {
+    logger.error("Chunked upload error:", error);
+    return jsonResponse({ error: "Upload failed" }, 500);
+  }
+}
+
+export async function handleChunkedUploadComplete(request) {
+  try {
+    const upload = await getChunkedUpload(request.params.id, request.user?.id);
+    if (!upload) {
+      return jsonResponse({ error: "Upload not found" }, 404);
+    }
+    if (!claimChunkedUpload(upload.id)) {
+      return jsonResponse(
+        { error: "Upload is busy with another request" },
+        409,
+      );
+    }
+
+    try {
+      // A request that completed the upload while this one was starting
+      // has already removed it
+      const current = await getChunkedUpload(upload.id, request.user?.id);
+      if (!current) {
+        return jsonResponse({ error: "Upload not found" }, 404);
+      }
+
+      const verification = await verifyChunkedUpload(current);
+      if (!verification.success) {
+        // A corrupt file can't be resumed, only re-sent from the start
+        if (current.receivedBytes === current.size) {
+          await removeChunkedUpload(current.id);
+        }
+        return jsonResponse({ error: verification.error }, 400);
+      }
+
+      try {
+        return await processFiles(
+          [openStoredFile(current.filename, current.dataPath)],
+          { user: request.user, originalFilename: current.filename },
+        );
+      } finally {
+        await removeChunkedUpload(current.id);
+      }
+    } finally {
+      releaseChunkedUpload(upload.id);
+    }
+  } catch (error) {
+    logger.error("Chunked upload complete error:", error);
+    return jsonResponse({ error: "Upload failed" }, 500);
+  }
 }
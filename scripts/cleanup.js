@@ -0,0 +1,24 @@
+#!/usr/bin/env bun
+import { AppDatabase } from "../lib/app-database.js";
+import { logger } from "../lib/logger.js";
+import { getRetentionPolicy, runCleanup } from "../lib/retention.js";
+
+async function cleanup() {
+  logger.debug("🧹 Applying retention policy...");
+
+  try {
+    const appDb = new AppDatabase();
+    await appDb.connect();
+    const result = await runCleanup(appDb, getRetentionPolicy());
+    await appDb.disconnect();
+
+    logger.info(
+      `✅ Cleanup complete: ${result.uploadsRemoved.length} uploads, ${result.chunkedUploadsRemoved} chunked uploads, ${result.sessionsRemoved} sessions and ${result.tokensRemoved} auth tokens removed`,
+    );
+  } catch (error) {
+    logger.error("❌ Cleanup failed:", error);
+    process.exit(1);
+  }
+}
+
+cleanup();
@@ -0,0 +1,42 @@
+import { unlinkSync } from "node:fs";
+import { AppDatabase } from "../../lib/app-database.js";
+
+function removeDatabaseFiles(dbPath) {
+  for (const path of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // File doesn't exist, that's fine
+    }
+  }
+}
+
+/**
+ * Create a fresh app database and expose it as global.appDatabase, the way
+ * index.js does, so route handlers can check upload ownership
+ * @param {string} dbPath - Path for the test app database
+ * @returns {Promise<{appDb: AppDatabase, user: object}>} Database and a test user
+ */
+export async function setupTestAppDatabase(dbPath) {
+  removeDatabaseFiles(dbPath);
+
+  const appDb = new AppDatabase(dbPath);
+  await appDb.initialize();
+  global.appDatabase = appDb;
+
+  const user = await appDb.users.create("owner@example.com");
+  return { appDb, user };
+}
+
+/**
+ * Close and delete a database created by setupTestAppDatabase
+ * @param {AppDatabase} appDb - Database to remove
+ * @param {string} dbPath - Path it was created at
+ */
+export async function teardownTestAppDatabase(appDb, dbPath) {
+  await appDb.disconnect();
+  if (global.appDatabase === appDb) {
+    global.appDatabase = undefined;
+  }
+  removeDatabaseFiles(dbPath);
+}
@@ -33,6 +33,8 @@ test.describe("Schema Sidebar", () => {
     await expect(page.locator(".schema-sidebar .schema-content")).toBeVisible();
     await expect(page.locator(".schema-content .table-info")).toBeVisible();
     await expect(page.locator(".table-header h4")).toContainText("users");
+    // Opening a table shows its columns and counts its rows
+    await page.locator(".table-header").first().click();
     await expect(page.locator(".row-count")).toBeVisible();
     await expect(page.locator(".column").first()).toBeVisible();
     await expect(page.locator(".column-name").first()).toBeVisible();
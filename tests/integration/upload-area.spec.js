@@ -41,23 +41,13 @@ test.describe("Upload Area Management", () => {
     });
   }
 
-  // Helper function to verify upload area and toggle button state
-  async function verifyUploadAreaState(
-    page,
-    uploadAreaVisible,
-    toggleButtonVisible,
-  ) {
+  // Helper function to verify upload area state
+  async function verifyUploadAreaState(page, uploadAreaVisible) {
     if (uploadAreaVisible) {
       await expect(page.locator(".upload-area")).toBeVisible();
     } else {
       await expect(page.locator(".upload-area")).toBeHidden();
     }
-
-    if (toggleButtonVisible) {
-      await expect(page.locator("#toggle-upload")).toBeVisible();
-    } else {
-      await expect(page.locator("#toggle-upload")).toBeHidden();
-    }
   }
 
   // Helper function for setup with database and widget
@@ -73,12 +63,13 @@ test.describe("Upload Area Management", () => {
     const { uploadedFilename } = await setupDatabaseWithUpload(page);
 
     // Upload area should be visible initially
-    await verifyUploadAreaState(page, true, false);
+    await verifyUploadAreaState(page, true);
 
     await addWidget(page);
 
-    // Upload area should be hidden, toggle button should appear
-    await verifyUploadAreaState(page, false, true);
+    // Upload area should be hidden, the library stays reachable
+    await verifyUploadAreaState(page, false);
+    await expect(page.locator("#open-library")).toBeVisible();
 
     await cleanupUploadedFile(uploadedFilename);
   });
@@ -89,33 +80,36 @@ test.describe("Upload Area Management", () => {
     const { uploadedFilename } = await setupDatabaseAndWidget(page);
 
     // Verify widget was added and upload area hidden
-    await verifyUploadAreaState(page, false, true);
+    await verifyUploadAreaState(page, false);
 
     await deleteWidget(page);
 
-    // Upload area should reappear, toggle button should disappear
-    await verifyUploadAreaState(page, true, false);
+    // Upload area should reappear
+    await verifyUploadAreaState(page, true);
 
     await cleanupUploadedFile(uploadedFilename);
   });
 
-  test("should toggle upload area visibility with toggle button", async ({
+  test("should reopen the upload area from the database library", async ({
     page,
   }) => {
     const { uploadedFilename } = await setupDatabaseAndWidget(page);
 
     // Verify initial state after widget added
-    await verifyUploadAreaState(page, false, true);
+    await verifyUploadAreaState(page, false);
+
+    // The library lists the uploaded database as the open one
+    await page.click("#open-library");
+    await expect(page.locator(".library-sidebar.visible")).toBeVisible();
+    await expect(page.locator(".library-item.current")).toBeVisible();
 
-    // Click toggle button to show upload area
-    await page.click("#toggle-upload");
-    // When upload area is shown, toggle button should be hidden
-    await verifyUploadAreaState(page, true, false);
+    // Uploading another database brings the upload area back
+    await page.click(".library-upload-new");
+    await verifyUploadAreaState(page, true);
 
-    // Click upload area to hide it (click the close button)
+    // Click the close button to hide it again
     await page.click(".upload-area .close-upload");
-    // Toggle button should reappear
-    await verifyUploadAreaState(page, false, true);
+    await verifyUploadAreaState(page, false);
 
     await cleanupUploadedFile(uploadedFilename);
   });
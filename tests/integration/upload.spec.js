@@ -61,7 +61,7 @@ test.describe("File Upload & Validation", () => {
     // Validate complete response format
     expect(responseBody.success).toBe(true);
     expect(responseBody.filename).toBeDefined();
-    expect(responseBody.filename).toMatch(/^database_\d+_\d+\.db$/); // Should match timestamp_random pattern
+    expect(responseBody.filename).toMatch(/^[0-9a-f]{64}\.db$/); // Stored under its SHA-256 content hash
     expect(responseBody.size).toBeGreaterThan(0);
     expect(responseBody.message).toBe("Database uploaded successfully");
 
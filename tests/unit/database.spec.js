@@ -1,8 +1,17 @@
-import { expect, test } from "bun:test";
+import { afterAll, beforeAll, expect, test } from "bun:test";
 import { copyFileSync, mkdirSync } from "node:fs";
 import { join } from "node:path";
-import { handleQuery } from "../../routes/query.js";
-import { handleSchema } from "../../routes/schema.js";
+import {
+  handleQuery,
+  handleQueryCancel,
+  handleQueryExplain,
+  handleQueryExport,
+} from "../../routes/query.js";
+import { handleSchema, handleSchemaCount } from "../../routes/schema.js";
+import {
+  setupTestAppDatabase,
+  teardownTestAppDatabase,
+} from "../helpers/app-database.js";
 import {
   cleanupDatabase,
   createCorruptedDatabase,
@@ -10,6 +19,28 @@ import {
   getTempDatabasePath,
 } from "../helpers/database.js";
 
+const TEST_APP_DB_PATH = "./test-database-app.db";
+
+let appDb;
+let owner;
+
+beforeAll(async () => {
+  ({ appDb, user: owner } = await setupTestAppDatabase(TEST_APP_DB_PATH));
+});
+
+afterAll(async () => {
+  await teardownTestAppDatabase(appDb, TEST_APP_DB_PATH);
+});
+
+async function registerUpload(filename, userId = owner.id) {
+  await appDb.uploads.create({
+    filename,
+    userId,
+    originalFilename: filename,
+    size: 0,
+  });
+}
+
 // Helper function to test schema extraction with a given fixture
 async function testSchemaExtraction(fixtureName) {
   const testDbPath = getTempDatabasePath(fixtureName);
@@ -26,10 +57,12 @@ async function testSchemaExtraction(fixtureName) {
     mkdirSync(uploadsDir, { recursive: true });
     copyFileSync(testDbPath, uploadedDbPath);
     const filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
 
     const request = new Request(
       `http://localhost:3001/api/schema?filename=${filename}`,
     );
+    request.user = owner;
     const response = await handleSchema(request);
 
     expect(response.status).toBe(200);
@@ -58,6 +91,58 @@ test("should extract schema correctly from database with tables", async () => {
   expect(columns.some((col) => col.name === "email")).toBe(true);
 });
 
+test("should count a table's rows on request and remember the count", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-count-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const count = async (table) => {
+    const request = new Request(
+      `http://localhost:3001/api/schema/count?filename=${filename}&table=${encodeURIComponent(table)}`,
+    );
+    request.user = owner;
+    const response = await handleSchemaCount(request);
+    return { status: response.status, body: await response.json() };
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const first = await count("users");
+    expect(first.body).toEqual({
+      success: true,
+      table: "users",
+      rowCount: 10,
+      cached: false,
+    });
+    expect((await count("users")).body.cached).toBe(true);
+
+    // The schema itself doesn't count, but it picks up known counts
+    const request = new Request(
+      `http://localhost:3001/api/schema?filename=${filename}`,
+    );
+    request.user = owner;
+    const { schema } = await (await handleSchema(request)).json();
+    expect(schema.users.rowCount).toBe(10);
+    expect(schema.users.rowCountApproximate).toBe(false);
+
+    const missing = await count("missing");
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toContain("no such table");
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
 test("should handle databases with no tables gracefully", async () => {
   const schema = await testSchemaExtraction("empty");
   expect(schema).toEqual({}); // Empty object for no tables
@@ -106,10 +191,12 @@ test("should return 400 for corrupted database files in schema endpoint", async
   try {
     await createCorruptedDatabase(corruptedDbPath);
     const filename = corruptedDbPath.split("/").pop();
+    await registerUpload(filename);
 
     const request = new Request(
       `http://localhost:3001/api/schema?filename=${filename}`,
     );
+    request.user = owner;
     const response = await handleSchema(request);
 
     expect(response.status).toBe(400);
@@ -120,3 +207,496 @@ test("should return 400 for corrupted database files in schema endpoint", async
     await cleanupDatabase(corruptedDbPath);
   }
 });
+
+test("should hide databases owned by other users", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-other-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+  const otherUser = await appDb.users.create(`other-${Date.now()}@example.com`);
+
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    const filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename, otherUser.id);
+
+    const schemaRequest = new Request(
+      `http://localhost:3001/api/schema?filename=${filename}`,
+    );
+    schemaRequest.user = owner;
+    const schemaResponse = await handleSchema(schemaRequest);
+    expect(schemaResponse.status).toBe(404);
+    expect((await schemaResponse.json()).error).toBe("Database file not found");
+
+    const queryRequest = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename, query: "SELECT * FROM users" }),
+    });
+    queryRequest.user = owner;
+    const queryResponse = await handleQuery(queryRequest);
+    expect(queryResponse.status).toBe(404);
+
+    // The owner still has access
+    const ownerRequest = new Request(
+      `http://localhost:3001/api/schema?filename=${filename}`,
+    );
+    ownerRequest.user = otherUser;
+    expect((await handleSchema(ownerRequest)).status).toBe(200);
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should report where a query fails validation", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-validation-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    const filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const request = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filename,
+        query: "SELECT *\nFROM users\nLIMIT 5",
+      }),
+    });
+    request.user = owner;
+    const response = await handleQuery(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body).toEqual({
+      error:
+        "LIMIT clauses are not allowed. We handle pagination automatically.",
+      type: "validation_error",
+      line: 3,
+      column: 1,
+      offset: 20,
+    });
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should paginate WITH and VALUES queries", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-cte-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const runQuery = async (query, page) => {
+    const request = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename, query, page, pageSize: 3 }),
+    });
+    request.user = owner;
+    return (await handleQuery(request)).json();
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const cte = await runQuery(
+      "WITH named AS (SELECT id, name FROM users WHERE id > 2)\nSELECT name FROM named ORDER BY id DESC -- newest first",
+      2,
+    );
+    expect(cte.totalRows).toBe(8);
+    expect(cte.totalPages).toBe(3);
+    expect(cte.rows).toEqual([["Grace Lee"], ["Frank Miller"], ["Emma Brown"]]);
+
+    const values = await runQuery("(VALUES (1), (2), (3), (4))", 2);
+    expect(values.columns).toEqual(["column1"]);
+    expect(values.rows).toEqual([[4]]);
+    expect(values.hasMore).toBe(false);
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should require a queryId to cancel a query", async () => {
+  const request = new Request("http://localhost:3001/api/query/cancel", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({}),
+  });
+  request.user = owner;
+  const response = await handleQueryCancel(request);
+
+  expect(response.status).toBe(400);
+});
+
+test("should report when there is no running query to cancel", async () => {
+  const request = new Request("http://localhost:3001/api/query/cancel", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ queryId: "not-running" }),
+  });
+  request.user = owner;
+  const response = await handleQueryCancel(request);
+
+  expect(response.status).toBe(200);
+  expect(await response.json()).toEqual({ success: true, cancelled: false });
+});
+
+test("should serve repeated queries from the cache", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-cache-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const runQuery = async (query, page = 1) => {
+    const request = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename, query, page, pageSize: 5 }),
+    });
+    request.user = owner;
+    return (await handleQuery(request)).json();
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const first = await runQuery("SELECT name FROM users ORDER BY id");
+    expect(first.cached).toBe(false);
+
+    const second = await runQuery(
+      "  SELECT name FROM users ORDER BY id -- again",
+    );
+    expect(second.cached).toBe(true);
+    expect(second.rows).toEqual(first.rows);
+
+    const nextPage = await runQuery("SELECT name FROM users ORDER BY id", 2);
+    expect(nextPage.cached).toBe(false);
+    expect(nextPage.rows[0]).toEqual(["Frank Miller"]);
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should sort and filter query results", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-view-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const runQuery = async (view) => {
+    const request = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filename,
+        query: "SELECT name, email FROM users ORDER BY id",
+        pageSize: 5,
+        ...view,
+      }),
+    });
+    request.user = owner;
+    const response = await handleQuery(request);
+    return { status: response.status, body: await response.json() };
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const sorted = await runQuery({
+      sort: { column: "name", direction: "desc" },
+      filters: { name: "AN", email: "" },
+    });
+    expect(sorted.status).toBe(200);
+    expect(sorted.body.totalRows).toBe(2);
+    expect(sorted.body.rows.map(([name]) => name)).toEqual([
+      "Jack Anderson",
+      "Frank Miller",
+    ]);
+
+    // Filter text is bound, so SQL in it is only searched for
+    const injected = await runQuery({ filters: { name: "' OR 1=1 --" } });
+    expect(injected.status).toBe(200);
+    expect(injected.body.totalRows).toBe(0);
+
+    const unknownColumn = await runQuery({
+      sort: { column: "id", direction: "asc" },
+    });
+    expect(unknownColumn.status).toBe(400);
+    expect(unknownColumn.body.error).toBe("SQL Error: no such column: id");
+
+    const badDirection = await runQuery({
+      sort: { column: "name", direction: "sideways" },
+    });
+    expect(badDirection.status).toBe(400);
+    expect(badDirection.body.type).toBe("validation_error");
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should page by cursor when keyset pagination is asked for", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-keyset-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const runQuery = async (cursor) => {
+    const request = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filename,
+        query: "SELECT name FROM users ORDER BY id",
+        pageSize: 4,
+        pagination: "keyset",
+        cursor,
+      }),
+    });
+    request.user = owner;
+    const response = await handleQuery(request);
+    return { status: response.status, body: await response.json() };
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const first = await runQuery(null);
+    expect(first.body.pagination).toBe("keyset");
+    expect(first.body.rows[0]).toEqual(["Alice Johnson"]);
+
+    const second = await runQuery(first.body.nextCursor);
+    expect(second.body.page).toBe(2);
+    expect(second.body.rows[0]).toEqual(["Emma Brown"]);
+
+    const invalid = await runQuery("garbage");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.type).toBe("validation_error");
+
+    // A cursor for this query whose sort key has been tampered with
+    const tampered = JSON.parse(
+      Buffer.from(first.body.nextCursor, "base64url").toString(),
+    );
+    tampered.v = [{ id: 1 }];
+    const mismatched = await runQuery(
+      Buffer.from(JSON.stringify(tampered)).toString("base64url"),
+    );
+    expect(mismatched.status).toBe(400);
+    expect(mismatched.body.error).toBe("Invalid cursor for this query");
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should bind named query parameters", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-params-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const runQuery = async (params) => {
+    const request = new Request("http://localhost:3001/api/query", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        filename,
+        query: "SELECT name FROM users WHERE name LIKE :prefix || '%'",
+        params,
+      }),
+    });
+    request.user = owner;
+    const response = await handleQuery(request);
+    return { status: response.status, body: await response.json() };
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const bob = await runQuery({ prefix: "Bob" });
+    expect(bob.body.rows).toEqual([["Bob Smith"]]);
+
+    // A different value is a different result, not a cache hit
+    const iris = await runQuery({ prefix: "Iris" });
+    expect(iris.body.cached).toBe(false);
+    expect(iris.body.rows).toEqual([["Iris Chen"]]);
+
+    // Values are bound, not spliced into the SQL
+    const injected = await runQuery({ prefix: "' OR 1=1 --" });
+    expect(injected.body.rows).toEqual([]);
+
+    const missing = await runQuery({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe("Missing value for :prefix");
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should export every row of a query", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-export-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const exportQuery = async (body) => {
+    const request = new Request("http://localhost:3001/api/query/export", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename, ...body }),
+    });
+    request.user = owner;
+    return handleQueryExport(request);
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const response = await exportQuery({
+      query: "SELECT name FROM users WHERE name LIKE :prefix || '%'",
+      params: { prefix: "Bob" },
+      format: "csv",
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Type")).toBe(
+      "text/csv; charset=utf-8",
+    );
+    expect(response.headers.get("Content-Disposition")).toBe(
+      'attachment; filename="export.csv"',
+    );
+    expect(await response.text()).toBe("name\r\nBob Smith\r\n");
+
+    const sorted = await exportQuery({
+      query: "SELECT id FROM users",
+      sort: { column: "id", direction: "desc" },
+      format: "jsonl",
+    });
+    const lines = (await sorted.text()).trim().split("\n").map(JSON.parse);
+    expect(lines[0].id).toBeGreaterThan(lines.at(-1).id);
+
+    const badFormat = await exportQuery({
+      query: "SELECT id FROM users",
+      format: "pdf",
+    });
+    expect(badFormat.status).toBe(400);
+    expect((await badFormat.json()).error).toBe(
+      "format must be one of: csv, jsonl, xlsx",
+    );
+
+    const badQuery = await exportQuery({
+      query: "SELECT * FROM missing",
+      format: "csv",
+    });
+    expect(badQuery.status).toBe(400);
+    expect((await badQuery.json()).type).toBe("sql_error");
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
+
+test("should explain a query's plan", async () => {
+  const uploadsDir = join(process.cwd(), "uploads");
+  const testDbPath = getTempDatabasePath("basic");
+  const uploadedDbPath = join(
+    uploadsDir,
+    `test-explain-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`,
+  );
+
+  const explain = async (query) => {
+    const request = new Request("http://localhost:3001/api/query/explain", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ filename, query }),
+    });
+    request.user = owner;
+    const response = await handleQueryExplain(request);
+    return { status: response.status, body: await response.json() };
+  };
+
+  let filename;
+  try {
+    await createDatabaseFromFixture("basic", testDbPath);
+    mkdirSync(uploadsDir, { recursive: true });
+    copyFileSync(testDbPath, uploadedDbPath);
+    filename = uploadedDbPath.split("/").pop();
+    await registerUpload(filename);
+
+    const scan = await explain("SELECT * FROM users WHERE name = 'Bob Smith'");
+    expect(scan.status).toBe(200);
+    expect(scan.body.fullScans).toEqual(["users"]);
+    expect(scan.body.plan[0].fullScan).toBe(true);
+    expect(scan.body.suggestions[0].column).toBe("name");
+
+    const lookup = await explain("SELECT * FROM users WHERE id = 1");
+    expect(lookup.body.fullScans).toEqual([]);
+    expect(lookup.body.suggestions).toEqual([]);
+
+    const invalid = await explain("DELETE FROM users");
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.type).toBe("validation_error");
+  } finally {
+    await cleanupDatabase(testDbPath);
+    await cleanupDatabase(uploadedDbPath);
+  }
+});
@@ -1,3 +1,4 @@
+import { Database } from "bun:sqlite";
 import { afterEach, beforeEach, expect, test } from "bun:test";
 import { unlinkSync } from "node:fs";
 import { AppDatabase } from "../../../lib/app-database.js";
@@ -95,3 +96,101 @@ test("AppDatabase: should handle disconnect gracefully when no connection", asyn
   // Should not throw error when disconnecting without connection
   await expect(disconnectedDb.disconnect()).resolves.toBeUndefined();
 });
+
+test("AppDatabase: should migrate uploads to per-user unique filenames", async () => {
+  const legacyPath = "./legacy-uploads-test.db";
+  const legacy = new Database(legacyPath);
+  legacy.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL);
+    CREATE TABLE uploads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      original_filename TEXT NOT NULL,
+      label TEXT,
+      size INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+    CREATE INDEX idx_uploads_user_id ON uploads (user_id);
+    INSERT INTO users (email) VALUES ('a@example.com'), ('b@example.com');
+    INSERT INTO uploads (filename, user_id, original_filename, label, size)
+    VALUES ('database_1_1.db', 1, 'sales.db', 'Sales', 10);
+  `);
+  legacy.close();
+
+  const migrated = new AppDatabase(legacyPath);
+  try {
+    await migrated.connect();
+
+    const upload = await migrated.uploads.getOwnedByUser("database_1_1.db", 1);
+    expect(upload.label).toBe("Sales");
+
+    // The same file can now be referenced by a second user
+    await migrated.uploads.create({
+      filename: "database_1_1.db",
+      userId: 2,
+      originalFilename: "sales.db",
+      size: 10,
+    });
+    expect(await migrated.uploads.countByFilename("database_1_1.db")).toBe(2);
+    expect(
+      migrated.db.prepare("PRAGMA index_list(uploads)").all(),
+    ).toContainEqual(expect.objectContaining({ name: "idx_uploads_user_id" }));
+  } finally {
+    await migrated.disconnect();
+    for (const path of [legacyPath, `${legacyPath}-wal`, `${legacyPath}-shm`]) {
+      try {
+        unlinkSync(path);
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
+  }
+});
+
+test("AppDatabase: should add the label column to uploads made without it", async () => {
+  const legacyPath = "./legacy-labels-test.db";
+  const legacy = new Database(legacyPath);
+  legacy.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL);
+    CREATE TABLE uploads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      original_filename TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+    INSERT INTO users (email) VALUES ('a@example.com');
+    INSERT INTO uploads (filename, user_id, original_filename, size)
+    VALUES ('database_1_1.db', 1, 'sales.db', 10);
+  `);
+  legacy.close();
+
+  const migrated = new AppDatabase(legacyPath);
+  try {
+    await migrated.connect();
+
+    const upload = await migrated.uploads.getOwnedByUser("database_1_1.db", 1);
+    expect(upload.original_filename).toBe("sales.db");
+    expect(upload.label).toBeNull();
+    expect(
+      migrated.db
+        .prepare(
+          "SELECT name FROM sqlite_master WHERE name = 'uploads_previous'",
+        )
+        .get(),
+    ).toBeNull();
+  } finally {
+    await migrated.disconnect();
+    for (const path of [legacyPath, `${legacyPath}-wal`, `${legacyPath}-shm`]) {
+      try {
+        unlinkSync(path);
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
+  }
+});
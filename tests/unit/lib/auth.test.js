@@ -294,4 +294,20 @@ describe("AuthManager - Cleanup", () => {
     expect(result.success).toBe(true);
     expect(result.message).toBe("Cleanup completed");
   });
+
+  test("should remove expired sessions and used tokens", async () => {
+    const user = await appDb.users.create("cleanup@example.com");
+    const past = new Date(Date.now() - 60 * 1000).toISOString();
+    await appDb.sessions.create("expired-session", user.id, past);
+    await appDb.authTokens.create(user.id, "expired-token", past);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await appDb.authTokens.create(user.id, "used-token", future);
+    const { sessionId } = await authManager.verifyToken("used-token");
+
+    const result = await authManager.cleanupExpired();
+    expect(result.sessionsRemoved).toBe(1);
+    expect(result.tokensRemoved).toBe(2);
+    expect(await appDb.sessions.getValidById(sessionId)).toBeTruthy();
+  });
 });
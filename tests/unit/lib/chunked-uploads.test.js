@@ -0,0 +1,170 @@
+import { afterEach, expect, test } from "bun:test";
+import { createHash } from "node:crypto";
+import { existsSync } from "node:fs";
+import { utimes } from "node:fs/promises";
+import {
+  appendChunk,
+  claimChunkedUpload,
+  createChunkedUpload,
+  getChunkedUpload,
+  releaseChunkedUpload,
+  removeChunkedUpload,
+  removeStaleChunkedUploads,
+  verifyChunkedUpload,
+} from "../../../lib/chunked-uploads.js";
+import { UPLOAD_CHUNK_SIZE } from "../../../lib/constants.js";
+
+const createdIds = [];
+
+afterEach(async () => {
+  while (createdIds.length > 0) {
+    await removeChunkedUpload(createdIds.pop());
+  }
+});
+
+function sha256(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+async function startUpload(data, userId = 1) {
+  const result = await createChunkedUpload({
+    filename: "app.db",
+    size: data.length,
+    checksum: sha256(data),
+    userId,
+  });
+  createdIds.push(result.upload.id);
+  return getChunkedUpload(result.upload.id, userId);
+}
+
+test("createChunkedUpload should validate its input", async () => {
+  const checksum = sha256("x");
+
+  expect(
+    await createChunkedUpload({ filename: "", size: 1, checksum }),
+  ).toEqual({ success: false, error: "Filename is required" });
+  expect(
+    (await createChunkedUpload({ filename: "a.db", size: 0, checksum })).error,
+  ).toBe("File size must be a positive integer");
+  expect(
+    (await createChunkedUpload({ filename: "a.db", size: 1, checksum: "abc" }))
+      .error,
+  ).toBe("Checksum must be a SHA-256 hex digest");
+});
+
+test("getChunkedUpload should only find uploads for the same user", async () => {
+  const upload = await startUpload(Buffer.from("hello"), 7);
+
+  expect(upload.receivedBytes).toBe(0);
+  expect(await getChunkedUpload(upload.id, 8)).toBeNull();
+  expect(await getChunkedUpload("../../app", 7)).toBeNull();
+});
+
+test("appendChunk should append chunks in order and report progress", async () => {
+  const data = Buffer.from("hello world");
+  const upload = await startUpload(data);
+
+  expect(await appendChunk(upload, 0, data.subarray(0, 5))).toEqual({
+    success: true,
+    receivedBytes: 5,
+  });
+  expect(await appendChunk(upload, 5, data.subarray(5))).toEqual({
+    success: true,
+    receivedBytes: 11,
+  });
+
+  const finished = await getChunkedUpload(upload.id, 1);
+  expect(finished.receivedBytes).toBe(11);
+  expect(await verifyChunkedUpload(finished)).toEqual({ success: true });
+});
+
+test("appendChunk should reject chunks at the wrong offset", async () => {
+  const data = Buffer.from("hello world");
+  const upload = await startUpload(data);
+  await appendChunk(upload, 0, data.subarray(0, 5));
+
+  // A resent chunk after a dropped response must not be appended twice
+  const result = await appendChunk(upload, 0, data.subarray(0, 5));
+
+  expect(result.success).toBe(false);
+  expect(result.status).toBe(409);
+  expect(result.receivedBytes).toBe(5);
+});
+
+test("appendChunk should reject oversized chunks and chunks past the end", async () => {
+  const upload = await startUpload(Buffer.from("hi"));
+
+  const tooBig = await appendChunk(
+    upload,
+    0,
+    new Uint8Array(UPLOAD_CHUNK_SIZE + 1),
+  );
+  expect(tooBig.status).toBe(400);
+
+  const pastEnd = await appendChunk(upload, 0, Buffer.from("hello"));
+  expect(pastEnd.error).toBe("Chunk goes past the end of the file");
+});
+
+test("claimChunkedUpload should hold off chunks and other claims until released", async () => {
+  const data = Buffer.from("claimed");
+  const upload = await startUpload(data);
+
+  expect(claimChunkedUpload(upload.id)).toBe(true);
+  expect(claimChunkedUpload(upload.id)).toBe(false);
+  const blocked = await appendChunk(upload, 0, data);
+  expect(blocked.status).toBe(409);
+
+  releaseChunkedUpload(upload.id);
+  expect((await appendChunk(upload, 0, data)).success).toBe(true);
+});
+
+test("verifyChunkedUpload should catch incomplete and corrupt uploads", async () => {
+  const data = Buffer.from("hello");
+  const upload = await startUpload(data);
+
+  await appendChunk(upload, 0, Buffer.from("hel"));
+  expect(
+    (await verifyChunkedUpload(await getChunkedUpload(upload.id, 1))).error,
+  ).toBe("Upload is incomplete: received 3 of 5 bytes");
+
+  await appendChunk(upload, 3, Buffer.from("LO"));
+  expect(
+    (await verifyChunkedUpload(await getChunkedUpload(upload.id, 1))).error,
+  ).toBe("Checksum mismatch: the uploaded file is corrupt");
+});
+
+test("removeChunkedUpload should delete the temporary files", async () => {
+  const upload = await startUpload(Buffer.from("hello"));
+
+  await removeChunkedUpload(upload.id);
+
+  expect(existsSync(upload.dataPath)).toBe(false);
+  expect(await getChunkedUpload(upload.id, 1)).toBeNull();
+});
+
+test("removeStaleChunkedUploads should only remove abandoned uploads", async () => {
+  const stale = await startUpload(Buffer.from("stale"));
+  const fresh = await startUpload(Buffer.from("fresh"));
+  const longAgo = new Date("2020-01-01T00:00:00.000Z");
+  await utimes(stale.dataPath, longAgo, longAgo);
+
+  const removed = await removeStaleChunkedUploads(60 * 60 * 1000);
+
+  expect(removed).toEqual([stale.id]);
+  expect(existsSync(stale.dataPath)).toBe(false);
+  expect(await getChunkedUpload(fresh.id, 1)).toBeTruthy();
+});
+
+test("removeStaleChunkedUploads should keep old uploads that are still receiving chunks", async () => {
+  const data = Buffer.from("slow but steady");
+  const upload = await startUpload(data);
+  const longAgo = new Date("2020-01-01T00:00:00.000Z");
+  await utimes(upload.dataPath, longAgo, longAgo);
+  await utimes(upload.dataPath.replace(/\.part$/, ".json"), longAgo, longAgo);
+
+  await appendChunk(upload, 0, data.subarray(0, 4));
+  const removed = await removeStaleChunkedUploads(60 * 60 * 1000);
+
+  expect(removed).toEqual([]);
+  expect(await getChunkedUpload(upload.id, 1)).toBeTruthy();
+});
@@ -0,0 +1,33 @@
+import { Database } from "bun:sqlite";
+import { expect, test } from "bun:test";
+import { getColumnAffinity, getColumnInfo } from "../../../lib/column-info.js";
+
+test("getColumnAffinity should follow SQLite's affinity rules", () => {
+  expect(getColumnAffinity("INTEGER")).toBe("INTEGER");
+  expect(getColumnAffinity("bigint")).toBe("INTEGER");
+  expect(getColumnAffinity("VARCHAR(20)")).toBe("TEXT");
+  expect(getColumnAffinity("CLOB")).toBe("TEXT");
+  expect(getColumnAffinity("BLOB")).toBe("BLOB");
+  expect(getColumnAffinity("")).toBe("BLOB");
+  expect(getColumnAffinity("DOUBLE PRECISION")).toBe("REAL");
+  expect(getColumnAffinity("FLOAT")).toBe("REAL");
+  expect(getColumnAffinity("DECIMAL(10,5)")).toBe("NUMERIC");
+  expect(getColumnAffinity("DATETIME")).toBe("NUMERIC");
+  expect(getColumnAffinity(null)).toBeNull();
+});
+
+test("getColumnInfo should describe columns of an empty result", () => {
+  const db = new Database(":memory:");
+  db.exec("CREATE TABLE users (id INTEGER, name VARCHAR(50), score REAL)");
+
+  const statement = db.prepare(
+    "SELECT id, name, score * 2 AS doubled FROM users",
+  );
+  expect(statement.values()).toEqual([]);
+  expect(getColumnInfo(statement)).toEqual([
+    { name: "id", declaredType: "INTEGER", affinity: "INTEGER" },
+    { name: "name", declaredType: "VARCHAR(50)", affinity: "TEXT" },
+    { name: "doubled", declaredType: null, affinity: null },
+  ]);
+  db.close();
+});
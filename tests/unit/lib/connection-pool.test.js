@@ -0,0 +1,132 @@
+import { Database } from "bun:sqlite";
+import { afterEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import { createConnectionPool } from "../../../lib/connection-pool.js";
+import { DatabaseManager } from "../../../lib/database.js";
+
+const TEST_DB_PATHS = [
+  "./test-pool-a.db",
+  "./test-pool-b.db",
+  "./test-pool-c.db",
+];
+
+function createDatabases() {
+  for (const path of TEST_DB_PATHS) {
+    const db = new Database(path, { create: true });
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY)");
+    db.close();
+  }
+}
+
+afterEach(() => {
+  for (const path of TEST_DB_PATHS) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // File doesn't exist, that's fine
+    }
+  }
+});
+
+test("should hand out the same open connection for a file", () => {
+  createDatabases();
+  const pool = createConnectionPool();
+
+  const first = pool.acquire(TEST_DB_PATHS[0]);
+  first.release();
+  const second = pool.acquire(TEST_DB_PATHS[0]);
+
+  expect(second.db).toBe(first.db);
+  expect(pool.size).toBe(1);
+  second.release();
+  pool.closeAll();
+});
+
+test("should open connections read-only", () => {
+  createDatabases();
+  const pool = createConnectionPool();
+  const lease = pool.acquire(TEST_DB_PATHS[0]);
+
+  expect(() => lease.db.exec("INSERT INTO items DEFAULT VALUES")).toThrow();
+  lease.release();
+  pool.closeAll();
+});
+
+test("should close the least recently used idle connection past the cap", () => {
+  createDatabases();
+  const pool = createConnectionPool({ maxOpen: 2 });
+
+  const a = pool.acquire(TEST_DB_PATHS[0]);
+  const b = pool.acquire(TEST_DB_PATHS[1]);
+  a.release();
+  b.release();
+  pool.acquire(TEST_DB_PATHS[2]).release();
+
+  expect(pool.size).toBe(2);
+  // a was the least recently used, so it was closed
+  expect(() => a.db.query("SELECT 1").get()).toThrow();
+  expect(b.db.query("SELECT 1 AS one").get()).toEqual({ one: 1 });
+  pool.closeAll();
+});
+
+test("should not close borrowed connections to stay under the cap", () => {
+  createDatabases();
+  const pool = createConnectionPool({ maxOpen: 1 });
+
+  const a = pool.acquire(TEST_DB_PATHS[0]);
+  const b = pool.acquire(TEST_DB_PATHS[1]);
+  expect(pool.size).toBe(2);
+  expect(a.db.query("SELECT 1 AS one").get()).toEqual({ one: 1 });
+
+  // Once released, the pool shrinks back to the cap
+  a.release();
+  expect(pool.size).toBe(1);
+  b.release();
+  pool.closeAll();
+});
+
+test("should close connections that stay idle", async () => {
+  createDatabases();
+  const pool = createConnectionPool({ idleMs: 20 });
+
+  const lease = pool.acquire(TEST_DB_PATHS[0]);
+  lease.release();
+  expect(pool.size).toBe(1);
+
+  await Bun.sleep(50);
+  expect(pool.size).toBe(0);
+});
+
+test("close should wait for the borrower to finish", () => {
+  createDatabases();
+  const pool = createConnectionPool();
+
+  const lease = pool.acquire(TEST_DB_PATHS[0]);
+  pool.close(TEST_DB_PATHS[0]);
+  expect(pool.size).toBe(0);
+  expect(lease.db.query("SELECT 1 AS one").get()).toEqual({ one: 1 });
+
+  lease.release();
+  expect(() => lease.db.query("SELECT 1").get()).toThrow();
+
+  // The next borrower gets a fresh connection
+  const next = pool.acquire(TEST_DB_PATHS[0]);
+  expect(next.db).not.toBe(lease.db);
+  next.release();
+  pool.closeAll();
+});
+
+test("DatabaseManager should borrow from the pool and give the connection back", async () => {
+  createDatabases();
+  const pool = createConnectionPool();
+  const first = new DatabaseManager(TEST_DB_PATHS[0], pool);
+  const second = new DatabaseManager(TEST_DB_PATHS[0], pool);
+
+  const db = await first.connect();
+  await first.disconnect();
+  expect(await second.connect()).toBe(db);
+  expect(await second.getSchema()).toHaveProperty("items");
+  await second.disconnect();
+  expect(pool.size).toBe(1);
+  pool.closeAll();
+});
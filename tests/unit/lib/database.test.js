@@ -0,0 +1,136 @@
+import { Database } from "bun:sqlite";
+import { afterEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import { createConnectionPool } from "../../../lib/connection-pool.js";
+import { DatabaseManager } from "../../../lib/database.js";
+import { rowCountCache } from "../../../lib/row-counts.js";
+
+const TEST_DB_PATH = "./test-database-schema.db";
+
+let pool;
+
+afterEach(() => {
+  pool?.closeAll();
+  rowCountCache.clear();
+  try {
+    unlinkSync(TEST_DB_PATH);
+  } catch {
+    // File doesn't exist, that's fine
+  }
+});
+
+async function readSchema(sql) {
+  const db = new Database(TEST_DB_PATH, { create: true });
+  db.exec(sql);
+  db.close();
+
+  pool = createConnectionPool();
+  const manager = new DatabaseManager(TEST_DB_PATH, pool);
+  try {
+    return await manager.getSchema();
+  } finally {
+    await manager.disconnect();
+  }
+}
+
+test("getSchema should describe foreign keys, indexes and triggers", async () => {
+  const schema = await readSchema(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY, email TEXT UNIQUE NOT NULL);
+    CREATE TABLE orders (
+      id INTEGER PRIMARY KEY,
+      user_id INTEGER REFERENCES users ON DELETE CASCADE,
+      total REAL
+    );
+    CREATE INDEX orders_user_id ON orders (user_id);
+    CREATE INDEX orders_large ON orders (total) WHERE total > 100;
+    CREATE TRIGGER orders_audit AFTER INSERT ON orders BEGIN SELECT 1; END;
+    INSERT INTO users (email) VALUES ('a@example.com');
+  `);
+
+  expect(Object.keys(schema)).toEqual(["users", "orders"]);
+  expect(schema.users).toMatchObject({
+    type: "table",
+    rowCount: null,
+    rowCountApproximate: false,
+    withoutRowid: false,
+    virtual: false,
+    foreignKeys: [],
+    indexes: [
+      {
+        name: "sqlite_autoindex_users_1",
+        unique: true,
+        origin: "u",
+        partial: false,
+        columns: ["email"],
+      },
+    ],
+  });
+  // A reference without columns points at the primary key
+  expect(schema.orders.foreignKeys).toEqual([
+    {
+      table: "users",
+      from: ["user_id"],
+      to: ["id"],
+      onUpdate: "NO ACTION",
+      onDelete: "CASCADE",
+    },
+  ]);
+  expect(schema.orders.indexes.map((index) => index.name)).toEqual([
+    "orders_user_id",
+    "orders_large",
+  ]);
+  expect(schema.orders.indexes[1].partial).toBe(true);
+  expect(schema.orders.triggers).toEqual(["orders_audit"]);
+});
+
+test("getSchema should list views and flag special tables", async () => {
+  const schema = await readSchema(`
+    CREATE TABLE tags (k TEXT, v TEXT, PRIMARY KEY (k, v)) WITHOUT ROWID;
+    CREATE TABLE pairs (a TEXT, b TEXT, FOREIGN KEY (a, b) REFERENCES tags (k, v));
+    CREATE VIEW tag_keys AS SELECT DISTINCT k FROM tags;
+    CREATE VIRTUAL TABLE notes USING fts5(body);
+  `);
+
+  // The FTS table's shadow tables are left out
+  expect(Object.keys(schema)).toEqual(["tags", "pairs", "tag_keys", "notes"]);
+  expect(schema.tags.withoutRowid).toBe(true);
+  expect(schema.pairs.foreignKeys[0]).toMatchObject({
+    table: "tags",
+    from: ["a", "b"],
+    to: ["k", "v"],
+  });
+  expect(schema.tag_keys).toMatchObject({
+    type: "view",
+    rowCount: null,
+    foreignKeys: [],
+    indexes: [],
+  });
+  expect(schema.tag_keys.columns.map((col) => col.name)).toEqual(["k"]);
+  expect(schema.notes).toMatchObject({ type: "table", virtual: true });
+});
+
+test("getSchema should estimate row counts from ANALYZE, then use exact ones", async () => {
+  const schema = await readSchema(`
+    CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT);
+    CREATE INDEX items_name ON items (name);
+    WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 40)
+    INSERT INTO items (name) SELECT 'item ' || x FROM n;
+    ANALYZE;
+    INSERT INTO items (name) VALUES ('added after ANALYZE');
+  `);
+  expect(schema.items).toMatchObject({
+    rowCount: 40,
+    rowCountApproximate: true,
+  });
+
+  const manager = new DatabaseManager(TEST_DB_PATH, pool);
+  try {
+    expect(await manager.countRows("items")).toBe(41);
+    expect((await manager.getSchema()).items).toMatchObject({
+      rowCount: 41,
+      rowCountApproximate: false,
+    });
+  } finally {
+    await manager.disconnect();
+  }
+});
@@ -89,3 +89,19 @@ test("AuthTokens: should throw error when marking non-existent token as used", a
     `Auth token ${nonExistentToken} not found`,
   );
 });
+
+test("AuthTokens: should delete used and expired tokens", async () => {
+  const user = await appDb.users.create("prune-tokens@example.com");
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  await appDb.authTokens.create(user.id, "expired-token", past);
+  await appDb.authTokens.create(user.id, "used-token", future);
+  await appDb.authTokens.create(user.id, "fresh-token", future);
+  await appDb.authTokens.markAsUsed("used-token");
+
+  const removed = await appDb.authTokens.deleteUsedOrExpired();
+
+  expect(removed).toBe(2);
+  expect(await appDb.authTokens.getByToken("fresh-token")).toBeTruthy();
+});
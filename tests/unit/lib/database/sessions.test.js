@@ -114,3 +114,18 @@ test("Sessions: should throw error when deleting non-existent session", async ()
     `Session ${nonExistentSessionId} not found`,
   );
 });
+
+test("Sessions: should delete only expired sessions", async () => {
+  const user = await appDb.users.create("expired-sessions@example.com");
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  await appDb.sessions.create("expired-session", user.id, past);
+  await appDb.sessions.create("valid-session", user.id, future);
+
+  const removed = await appDb.sessions.deleteExpired();
+
+  expect(removed).toBe(1);
+  expect(await appDb.sessions.getValidById("valid-session")).toBeTruthy();
+  expect(await appDb.sessions.deleteExpired()).toBe(0);
+});
@@ -0,0 +1,196 @@
+import { afterEach, beforeEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import { AppDatabase } from "../../../../lib/app-database.js";
+
+const TEST_DB_PATH = "./test-uploads.db";
+
+let appDb;
+
+beforeEach(async () => {
+  try {
+    unlinkSync(TEST_DB_PATH);
+  } catch {
+    // File doesn't exist, that's fine
+  }
+
+  appDb = new AppDatabase(TEST_DB_PATH);
+  await appDb.initialize();
+});
+
+afterEach(async () => {
+  if (appDb) {
+    await appDb.disconnect();
+  }
+
+  try {
+    unlinkSync(TEST_DB_PATH);
+  } catch {
+    // File doesn't exist, that's fine
+  }
+});
+
+test("Uploads: should record an upload for its owner", async () => {
+  const user = await appDb.users.create("uploader@example.com");
+
+  const upload = await appDb.uploads.create({
+    filename: "database_1_1.db",
+    userId: user.id,
+    originalFilename: "sales.sqlite",
+    size: 2048,
+  });
+
+  expect(upload.filename).toBe("database_1_1.db");
+  expect(upload.user_id).toBe(user.id);
+  expect(upload.original_filename).toBe("sales.sqlite");
+  expect(upload.size).toBe(2048);
+  expect(upload.created_at).toBeTruthy();
+});
+
+test("Uploads: should only return uploads owned by the given user", async () => {
+  const owner = await appDb.users.create("owner@example.com");
+  const other = await appDb.users.create("other@example.com");
+  await appDb.uploads.create({
+    filename: "database_1_1.db",
+    userId: owner.id,
+    originalFilename: "sales.sqlite",
+    size: 1,
+  });
+
+  expect(
+    await appDb.uploads.getOwnedByUser("database_1_1.db", owner.id),
+  ).toBeTruthy();
+  expect(
+    await appDb.uploads.getOwnedByUser("database_1_1.db", other.id),
+  ).toBeNull();
+  expect(await appDb.uploads.getByFilename("missing.db")).toBeNull();
+});
+
+test("Uploads: should delete uploads with their user", async () => {
+  const user = await appDb.users.create("leaver@example.com");
+  await appDb.uploads.create({
+    filename: "database_1_1.db",
+    userId: user.id,
+    originalFilename: "sales.sqlite",
+    size: 1,
+  });
+
+  appDb.db.prepare("DELETE FROM users WHERE id = ?").run(user.id);
+
+  expect(await appDb.uploads.getByFilename("database_1_1.db")).toBeNull();
+});
+
+test("Uploads: schema should be re-applied to databases set up before the table existed", async () => {
+  appDb.db.exec("DROP TABLE uploads");
+  await appDb.disconnect();
+
+  appDb = new AppDatabase(TEST_DB_PATH);
+  await appDb.connect();
+
+  const table = appDb.db
+    .prepare("SELECT name FROM sqlite_master WHERE name = 'uploads'")
+    .get();
+  expect(table).toBeTruthy();
+});
+
+test("Uploads: should list, relabel and delete a user's uploads", async () => {
+  const user = await appDb.users.create("library@example.com");
+  for (const filename of ["database_1_1.db", "database_2_2.db"]) {
+    await appDb.uploads.create({
+      filename,
+      userId: user.id,
+      originalFilename: `${filename}.orig`,
+      size: 1,
+    });
+  }
+
+  const listed = await appDb.uploads.listByUser(user.id);
+  expect(listed.map((upload) => upload.filename)).toEqual([
+    "database_2_2.db",
+    "database_1_1.db",
+  ]);
+
+  const renamed = await appDb.uploads.updateLabel(
+    "database_1_1.db",
+    user.id,
+    "Sales",
+  );
+  expect(renamed.label).toBe("Sales");
+  expect(
+    await appDb.uploads.updateLabel("database_1_1.db", user.id + 1, "x"),
+  ).toBeNull();
+
+  expect(await appDb.uploads.delete("database_1_1.db", user.id + 1)).toBe(
+    false,
+  );
+  expect(await appDb.uploads.delete("database_1_1.db", user.id)).toBe(true);
+  expect(await appDb.uploads.listByUser(user.id)).toHaveLength(1);
+});
+
+test("Uploads: should list uploads created before a cutoff", async () => {
+  const user = await appDb.users.create("old@example.com");
+  await appDb.uploads.create({
+    filename: "database_1_old.db",
+    userId: user.id,
+    originalFilename: "old.db",
+    size: 10,
+  });
+  appDb.db.run(
+    "UPDATE uploads SET created_at = datetime('now', '-40 days') WHERE filename = ?",
+    ["database_1_old.db"],
+  );
+  await appDb.uploads.create({
+    filename: "database_2_new.db",
+    userId: user.id,
+    originalFilename: "new.db",
+    size: 10,
+  });
+
+  const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const uploads = await appDb.uploads.listCreatedBefore(cutoff);
+
+  expect(uploads.map((upload) => upload.filename)).toEqual([
+    "database_1_old.db",
+  ]);
+});
+
+test("Uploads: should list users whose uploads exceed a quota", async () => {
+  const heavy = await appDb.users.create("heavy@example.com");
+  const light = await appDb.users.create("light@example.com");
+  for (const [filename, userId, size] of [
+    ["database_1_a.db", heavy.id, 600],
+    ["database_2_b.db", heavy.id, 600],
+    ["database_3_c.db", light.id, 600],
+  ]) {
+    await appDb.uploads.create({
+      filename,
+      userId,
+      originalFilename: filename,
+      size,
+    });
+  }
+
+  const users = await appDb.uploads.listUsersOverQuota(1000);
+
+  expect(users).toEqual([{ user_id: heavy.id, total_size: 1200 }]);
+});
+
+test("Uploads: should count every user's reference to a shared file", async () => {
+  const first = await appDb.users.create("first@example.com");
+  const second = await appDb.users.create("second@example.com");
+  const shared = {
+    filename: "abc.db",
+    originalFilename: "nightly.db",
+    size: 10,
+  };
+
+  await appDb.uploads.create({ ...shared, userId: first.id });
+  await appDb.uploads.create({ ...shared, userId: second.id });
+
+  expect(await appDb.uploads.countByFilename("abc.db")).toBe(2);
+  await expect(
+    appDb.uploads.create({ ...shared, userId: first.id }),
+  ).rejects.toThrow();
+
+  await appDb.uploads.delete("abc.db", first.id);
+  expect(await appDb.uploads.countByFilename("abc.db")).toBe(1);
+});
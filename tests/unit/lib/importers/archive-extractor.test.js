@@ -0,0 +1,121 @@
+import { afterEach, expect, test } from "bun:test";
+import { readFileSync, unlinkSync } from "node:fs";
+import { gzipSync } from "node:zlib";
+import {
+  createSizeBudget,
+  extractGzip,
+  extractZipEntry,
+  getGzipInnerName,
+  isCompressedFile,
+  listZipEntries,
+} from "../../../../lib/importers/archive-extractor.js";
+import { createZip } from "../../../helpers/archive.js";
+
+const TEST_OUTPUT_PATH = "./test-archive-output.bin";
+
+afterEach(() => {
+  try {
+    unlinkSync(TEST_OUTPUT_PATH);
+  } catch {
+    // File doesn't exist, that's fine
+  }
+});
+
+test("isCompressedFile should recognize gzip and zip archives", () => {
+  expect(isCompressedFile("app.db.gz")).toBe(true);
+  expect(isCompressedFile("export.ZIP")).toBe(true);
+  expect(isCompressedFile("app.db")).toBe(false);
+  expect(isCompressedFile("data.csv")).toBe(false);
+});
+
+test("getGzipInnerName should strip the .gz extension", () => {
+  expect(getGzipInnerName("app.db.gz")).toBe("app.db");
+  expect(getGzipInnerName("orders.csv.GZ")).toBe("orders.csv");
+});
+
+test("extractGzip should decompress to disk", async () => {
+  const file = new Blob([gzipSync("hello world")]);
+
+  const size = await extractGzip(
+    file,
+    TEST_OUTPUT_PATH,
+    createSizeBudget(1024),
+  );
+
+  expect(size).toBe(11);
+  expect(readFileSync(TEST_OUTPUT_PATH, "utf8")).toBe("hello world");
+});
+
+test("extractGzip should stop at the decompressed size limit", async () => {
+  // 10MB of zeros compresses to a few KB
+  const file = new Blob([gzipSync(Buffer.alloc(10 * 1024 * 1024))]);
+
+  await expect(
+    extractGzip(file, TEST_OUTPUT_PATH, createSizeBudget(1024 * 1024)),
+  ).rejects.toThrow("Decompressed file exceeds the 1MB limit");
+});
+
+test("extractGzip should reject data that isn't gzip", async () => {
+  await expect(
+    extractGzip(
+      new Blob(["plain text"]),
+      TEST_OUTPUT_PATH,
+      createSizeBudget(1024),
+    ),
+  ).rejects.toThrow("File is not a valid gzip archive");
+});
+
+test("listZipEntries should read the central directory", async () => {
+  const file = new Blob([
+    createZip([
+      { name: "data/app.db", data: "abc" },
+      { name: "notes.txt", data: "hello", store: true },
+    ]),
+  ]);
+
+  const entries = await listZipEntries(file);
+
+  expect(
+    entries.map((entry) => [entry.name, entry.method, entry.size]),
+  ).toEqual([
+    ["data/app.db", 8, 3],
+    ["notes.txt", 0, 5],
+  ]);
+});
+
+test("listZipEntries should reject files that aren't zip archives", async () => {
+  await expect(listZipEntries(new Blob(["not a zip"]))).rejects.toThrow(
+    "File is not a valid zip archive",
+  );
+});
+
+test("extractZipEntry should extract stored and deflated entries", async () => {
+  const file = new Blob([
+    createZip([
+      { name: "a.csv", data: "id\n1\n" },
+      { name: "b.csv", data: "id\n2\n", store: true },
+    ]),
+  ]);
+  const [deflated, stored] = await listZipEntries(file);
+  const budget = createSizeBudget(1024);
+
+  await extractZipEntry(file, deflated, TEST_OUTPUT_PATH, budget);
+  expect(readFileSync(TEST_OUTPUT_PATH, "utf8")).toBe("id\n1\n");
+
+  await extractZipEntry(file, stored, TEST_OUTPUT_PATH, budget);
+  expect(readFileSync(TEST_OUTPUT_PATH, "utf8")).toBe("id\n2\n");
+  expect(budget.remaining).toBe(1024 - 10);
+});
+
+test("extractZipEntry should not trust the size recorded in the archive", async () => {
+  const zip = createZip([{ name: "bomb.db", data: Buffer.alloc(64 * 1024) }]);
+  // Claim the entry is tiny
+  zip.writeUInt32LE(10, zip.length - 22 - 46 - "bomb.db".length + 24);
+  const file = new Blob([zip]);
+  const [entry] = await listZipEntries(file);
+  expect(entry.size).toBe(10);
+
+  await expect(
+    extractZipEntry(file, entry, TEST_OUTPUT_PATH, createSizeBudget(1024)),
+  ).rejects.toThrow("Decompressed file exceeds");
+});
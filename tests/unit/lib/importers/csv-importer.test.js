@@ -0,0 +1,107 @@
+import { describe, expect, test } from "bun:test";
+import {
+  buildTableFromDelimited,
+  buildTablesFromDelimited,
+  getDelimiter,
+  isDelimitedFile,
+  parseDelimited,
+} from "../../../../lib/importers/csv-importer.js";
+import {
+  inferColumnType,
+  sanitizeIdentifier,
+} from "../../../../lib/importers/table-builder.js";
+
+describe("parseDelimited", () => {
+  test("should parse simple rows", () => {
+    expect(parseDelimited("a,b\n1,2\n")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  test("should handle quoted fields with delimiters, quotes and newlines", () => {
+    const text = 'name,notes\n"Smith, Jane","said ""hi""\nthen left"\r\n';
+    expect(parseDelimited(text)).toEqual([
+      ["name", "notes"],
+      ["Smith, Jane", 'said "hi"\nthen left'],
+    ]);
+  });
+
+  test("should skip a BOM and blank lines", () => {
+    expect(parseDelimited("﻿a\n\n1\n")).toEqual([["a"], ["1"]]);
+  });
+
+  test("should parse tab-separated text", () => {
+    expect(parseDelimited("a\tb\nx y\tz", "\t")).toEqual([
+      ["a", "b"],
+      ["x y", "z"],
+    ]);
+  });
+});
+
+describe("file type detection", () => {
+  test("should recognize CSV and TSV extensions", () => {
+    expect(isDelimitedFile("sales.csv")).toBe(true);
+    expect(isDelimitedFile("SALES.TSV")).toBe(true);
+    expect(isDelimitedFile("app.db")).toBe(false);
+    expect(getDelimiter("data.tsv")).toBe("\t");
+    expect(getDelimiter("data.csv")).toBe(",");
+  });
+});
+
+describe("inferColumnType", () => {
+  test("should infer integer, real, date and text columns", () => {
+    expect(inferColumnType(["1", "-20", "300"])).toBe("INTEGER");
+    expect(inferColumnType(["1", "2.5", "1e3"])).toBe("REAL");
+    expect(inferColumnType(["2024-01-31", "2024-02-01 10:30:00"])).toBe("DATE");
+    expect(inferColumnType(["1", "two"])).toBe("TEXT");
+  });
+
+  test("should ignore empty values and keep leading-zero codes as text", () => {
+    expect(inferColumnType(["", "5", ""])).toBe("INTEGER");
+    expect(inferColumnType(["", ""])).toBe("TEXT");
+    expect(inferColumnType(["00501", "10001"])).toBe("TEXT");
+  });
+});
+
+describe("buildTableFromDelimited", () => {
+  test("should sanitize and de-duplicate column names", () => {
+    const { columns } = buildTableFromDelimited(
+      "Order Date,amount,amount,\n2024-01-01,1,2,x\n",
+      ",",
+    );
+    expect(columns.map((col) => col.name)).toEqual([
+      "Order_Date",
+      "amount",
+      "amount_2",
+      "column_4",
+    ]);
+    expect(columns.map((col) => col.type)).toEqual([
+      "DATE",
+      "INTEGER",
+      "INTEGER",
+      "TEXT",
+    ]);
+  });
+
+  test("should reject empty files", () => {
+    expect(() => buildTableFromDelimited("", ",")).toThrow("File is empty");
+  });
+});
+
+test("buildTablesFromDelimited should name the table after the file", () => {
+  const usedTableNames = new Set(["data"]);
+  const [table] = buildTablesFromDelimited(
+    { name: "data.tsv", text: "a\tb\n1\t2\n" },
+    usedTableNames,
+  );
+
+  expect(table.name).toBe("data_2");
+  expect(table.columns.map((col) => col.name)).toEqual(["a", "b"]);
+  expect(table.rows).toEqual([["1", "2"]]);
+});
+
+test("sanitizeIdentifier should fall back for unusable names", () => {
+  expect(sanitizeIdentifier("  ", "column_1")).toBe("column_1");
+  expect(sanitizeIdentifier("unit price ($)", "x")).toBe("unit_price");
+});
@@ -0,0 +1,117 @@
+import { Database } from "bun:sqlite";
+import { afterEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import {
+  importFiles,
+  isImportableFile,
+} from "../../../../lib/importers/file-importer.js";
+
+const TEST_DB_PATH = "./test-file-import.db";
+
+afterEach(() => {
+  try {
+    unlinkSync(TEST_DB_PATH);
+  } catch {
+    // File doesn't exist, that's fine
+  }
+});
+
+function readTable(sql) {
+  const db = new Database(TEST_DB_PATH, { readonly: true });
+  try {
+    return db.prepare(sql).all();
+  } finally {
+    db.close();
+  }
+}
+
+test("isImportableFile should recognize data files only", () => {
+  expect(isImportableFile("orders.csv")).toBe(true);
+  expect(isImportableFile("orders.tsv")).toBe(true);
+  expect(isImportableFile("events.json")).toBe(true);
+  expect(isImportableFile("events.ndjson")).toBe(true);
+  expect(isImportableFile("events.jsonl")).toBe(true);
+  expect(isImportableFile("app.db")).toBe(false);
+  expect(isImportableFile("app.sqlite")).toBe(false);
+});
+
+test("importFiles should create one typed table per CSV/TSV file", async () => {
+  const result = await importFiles(
+    [
+      { name: "orders.csv", text: "id,total,placed\n1,9.5,2024-03-01\n2,,\n" },
+      { name: "2024 customers.tsv", text: "id\tname\n1\tAda\n" },
+    ],
+    TEST_DB_PATH,
+  );
+
+  expect(result.success).toBe(true);
+  expect(result.tables.map((table) => table.name)).toEqual([
+    "orders",
+    "_2024_customers",
+  ]);
+
+  const columns = readTable('PRAGMA table_info("orders")');
+  expect(columns.map((col) => col.type)).toEqual(["INTEGER", "REAL", "DATE"]);
+
+  expect(readTable('SELECT * FROM "orders" ORDER BY id')).toEqual([
+    { id: 1, total: 9.5, placed: "2024-03-01" },
+    { id: 2, total: null, placed: null },
+  ]);
+  expect(readTable('SELECT * FROM "_2024_customers"')).toEqual([
+    { id: 1, name: "Ada" },
+  ]);
+});
+
+test("importFiles should keep table names unique across files", async () => {
+  const result = await importFiles(
+    [
+      { name: "data.csv", text: "a\n1\n" },
+      { name: "data.json", text: '[{"b": 2}]' },
+    ],
+    TEST_DB_PATH,
+  );
+
+  expect(result.tables.map((table) => table.name)).toEqual(["data", "data_2"]);
+});
+
+test("importFiles should write JSON child tables with foreign keys", async () => {
+  const result = await importFiles(
+    [
+      {
+        name: "users.json",
+        text: JSON.stringify([
+          { name: "Ada", tags: ["admin", "dev"] },
+          { name: "Grace", tags: [] },
+        ]),
+      },
+    ],
+    TEST_DB_PATH,
+  );
+
+  expect(result.success).toBe(true);
+  expect(readTable('PRAGMA foreign_key_list("users_tags")')).toEqual([
+    expect.objectContaining({
+      table: "users",
+      from: "_parent_id",
+      to: "_id",
+    }),
+  ]);
+  expect(
+    readTable(
+      "SELECT u.name, t.value FROM users u JOIN users_tags t ON t._parent_id = u._id ORDER BY t.rowid",
+    ),
+  ).toEqual([
+    { name: "Ada", value: "admin" },
+    { name: "Ada", value: "dev" },
+  ]);
+});
+
+test("importFiles should report which file could not be imported", async () => {
+  const result = await importFiles(
+    [{ name: "empty.csv", text: "" }],
+    TEST_DB_PATH,
+  );
+
+  expect(result.success).toBe(false);
+  expect(result.error).toBe("Could not import empty.csv: File is empty");
+});
@@ -0,0 +1,151 @@
+import { describe, expect, test } from "bun:test";
+import {
+  buildTablesFromJson,
+  isJsonFile,
+  parseJsonRecords,
+} from "../../../../lib/importers/json-importer.js";
+
+function buildTables(name, data) {
+  const text = typeof data === "string" ? data : JSON.stringify(data);
+  return buildTablesFromJson({ name, text }, new Set());
+}
+
+function columnNames(table) {
+  return table.columns.map((column) => column.name);
+}
+
+describe("parseJsonRecords", () => {
+  test("should read a JSON array", () => {
+    expect(parseJsonRecords('[{"a":1},{"a":2}]', "data.json")).toEqual([
+      { a: 1 },
+      { a: 2 },
+    ]);
+  });
+
+  test("should treat a top-level object as a single record", () => {
+    expect(parseJsonRecords('{"a":1}', "data.json")).toEqual([{ a: 1 }]);
+  });
+
+  test("should read newline-delimited JSON, skipping blank lines", () => {
+    expect(parseJsonRecords('{"a":1}\r\n\n{"a":2}\n', "data.ndjson")).toEqual([
+      { a: 1 },
+      { a: 2 },
+    ]);
+  });
+
+  test("should report the failing NDJSON line", () => {
+    expect(() => parseJsonRecords('{"a":1}\n{oops}\n', "data.jsonl")).toThrow(
+      "Invalid JSON on line 2",
+    );
+  });
+
+  test("should report invalid JSON documents", () => {
+    expect(() => parseJsonRecords("[1,", "data.json")).toThrow("Invalid JSON");
+  });
+});
+
+test("isJsonFile should recognize JSON extensions", () => {
+  expect(isJsonFile("a.json")).toBe(true);
+  expect(isJsonFile("a.NDJSON")).toBe(true);
+  expect(isJsonFile("a.jsonl")).toBe(true);
+  expect(isJsonFile("a.csv")).toBe(false);
+});
+
+describe("buildTablesFromJson", () => {
+  test("should flatten nested objects into dotted columns", () => {
+    const [table] = buildTables("people.json", [
+      { name: "Ada", address: { city: "London", geo: { lat: 51.5 } } },
+      { name: "Grace", address: { city: "NYC" }, active: true },
+    ]);
+
+    expect(table.name).toBe("people");
+    expect(columnNames(table)).toEqual([
+      "name",
+      "address.city",
+      "address.geo.lat",
+      "active",
+    ]);
+    expect(table.columns.map((column) => column.type)).toEqual([
+      "TEXT",
+      "TEXT",
+      "REAL",
+      "INTEGER",
+    ]);
+    expect(table.rows).toEqual([
+      ["Ada", "London", 51.5, undefined],
+      ["Grace", "NYC", undefined, true],
+    ]);
+  });
+
+  test("should split nested arrays into child tables linked to the parent", () => {
+    const tables = buildTables("orders.json", [
+      {
+        id: 10,
+        items: [
+          { sku: "A", qty: 1 },
+          { sku: "B", qty: 2 },
+        ],
+      },
+      { id: 11, items: [{ sku: "C", qty: 3 }] },
+    ]);
+
+    expect(tables.map((table) => table.name)).toEqual([
+      "orders",
+      "orders_items",
+    ]);
+
+    const [orders, items] = tables;
+    expect(columnNames(orders)).toEqual(["_id", "id"]);
+    expect(orders.columns[0].primaryKey).toBe(true);
+    expect(orders.rows).toEqual([
+      [1, 10],
+      [2, 11],
+    ]);
+
+    expect(columnNames(items)).toEqual(["_parent_id", "sku", "qty"]);
+    expect(items.columns[0].references).toEqual({
+      table: "orders",
+      column: "_id",
+    });
+    expect(items.rows).toEqual([
+      [1, "A", 1],
+      [1, "B", 2],
+      [2, "C", 3],
+    ]);
+  });
+
+  test("should store arrays of scalars in a value column", () => {
+    const [, tags] = buildTables("posts.json", [{ title: "x", tags: ["a"] }]);
+
+    expect(tags.name).toBe("posts_tags");
+    expect(columnNames(tags)).toEqual(["_parent_id", "value"]);
+    expect(tags.rows).toEqual([[1, "a"]]);
+  });
+
+  test("should nest child tables of child tables", () => {
+    const tables = buildTables("orders.json", [
+      { items: [{ sku: "A", discounts: [{ code: "X" }] }] },
+    ]);
+
+    expect(tables.map((table) => table.name)).toEqual([
+      "orders",
+      "orders_items",
+      "orders_items_discounts",
+    ]);
+    expect(columnNames(tables[1])).toEqual(["_id", "_parent_id", "sku"]);
+    expect(tables[2].columns[0].references.table).toBe("orders_items");
+  });
+
+  test("should keep generated key columns separate from data columns", () => {
+    const [table] = buildTables("rows.ndjson", '{"_id": "abc", "x": [1]}');
+
+    expect(columnNames(table)).toEqual(["_id", "id"]);
+    expect(table.rows).toEqual([[1, "abc"]]);
+  });
+
+  test("should reject files without records", () => {
+    expect(() => buildTables("empty.json", [])).toThrow(
+      "File contains no records",
+    );
+  });
+});
@@ -0,0 +1,181 @@
+import { Database } from "bun:sqlite";
+import { afterEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import {
+  checkStatement,
+  executeSqlScript,
+  importSqlDump,
+  isSqlDumpFile,
+  splitSqlStatements,
+} from "../../../../lib/importers/sql-dump-importer.js";
+
+const TEST_DB_PATH = "./test-sql-dump.db";
+
+afterEach(() => {
+  for (const path of [TEST_DB_PATH, `${TEST_DB_PATH}-journal`]) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // File doesn't exist, that's fine
+    }
+  }
+});
+
+function readTable(sql) {
+  const db = new Database(TEST_DB_PATH, { readonly: true });
+  try {
+    return db.prepare(sql).all();
+  } finally {
+    db.close();
+  }
+}
+
+test("isSqlDumpFile should recognize .sql files", () => {
+  expect(isSqlDumpFile("dump.sql")).toBe(true);
+  expect(isSqlDumpFile("DUMP.SQL")).toBe(true);
+  expect(isSqlDumpFile("app.db")).toBe(false);
+  expect(isSqlDumpFile("data.csv")).toBe(false);
+});
+
+test("splitSqlStatements should split on semicolons outside strings and comments", () => {
+  const statements = splitSqlStatements(
+    [
+      "-- header comment; not a statement",
+      "CREATE TABLE t (a TEXT);",
+      "/* block; comment */ INSERT INTO t VALUES ('x; y');",
+      "INSERT INTO \"t;\" VALUES ('it''s');",
+    ].join("\n"),
+  );
+
+  expect(statements).toEqual([
+    { sql: "CREATE TABLE t (a TEXT)", line: 2 },
+    { sql: "INSERT INTO t VALUES ('x; y')", line: 3 },
+    { sql: "INSERT INTO \"t;\" VALUES ('it''s')", line: 4 },
+  ]);
+});
+
+test("splitSqlStatements should keep trigger bodies together", () => {
+  const statements = splitSqlStatements(
+    [
+      "CREATE TABLE t (a);",
+      "CREATE TRIGGER t_insert AFTER INSERT ON t BEGIN",
+      "  UPDATE t SET a = 1;",
+      "  DELETE FROM t WHERE a IS NULL;",
+      "END;",
+      "SELECT 1;",
+    ].join("\n"),
+  );
+
+  expect(statements).toHaveLength(3);
+  expect(statements[1].sql).toStartWith("CREATE TRIGGER");
+  expect(statements[1].sql).toEndWith("END");
+  expect(statements[2]).toEqual({ sql: "SELECT 1", line: 6 });
+});
+
+test("checkStatement should block statements that escape the sandbox", () => {
+  expect(checkStatement("CREATE TABLE t (a)")).toEqual({ allowed: true });
+  expect(checkStatement("BEGIN TRANSACTION")).toEqual({
+    allowed: true,
+    skip: true,
+  });
+  expect(checkStatement("PRAGMA foreign_keys=OFF").allowed).toBe(true);
+  expect(checkStatement("ATTACH 'x.db' AS x").allowed).toBe(false);
+  expect(checkStatement("VACUUM INTO 'copy.db'").allowed).toBe(false);
+  expect(checkStatement("PRAGMA max_page_count = 0").allowed).toBe(false);
+  expect(checkStatement(".read other.sql").allowed).toBe(false);
+});
+
+test("executeSqlScript should run a sqlite3 .dump style script", () => {
+  const result = executeSqlScript(
+    [
+      "PRAGMA foreign_keys=OFF;",
+      "BEGIN TRANSACTION;",
+      "CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);",
+      "INSERT INTO users VALUES(1,'Ada');",
+      "INSERT INTO users VALUES(2,'Grace');",
+      "CREATE INDEX users_name ON users(name);",
+      "COMMIT;",
+    ].join("\n"),
+    TEST_DB_PATH,
+  );
+
+  expect(result).toEqual({ success: true, statementCount: 7, errors: [] });
+  expect(readTable("SELECT name FROM users ORDER BY id")).toEqual([
+    { name: "Ada" },
+    { name: "Grace" },
+  ]);
+});
+
+test("executeSqlScript should report every failing statement and roll back", () => {
+  const result = executeSqlScript(
+    "CREATE TABLE t (a);\nINSERT INTO nope VALUES (1);\nINSERT INTO t VALUES (1, 2);\n",
+    TEST_DB_PATH,
+  );
+
+  expect(result.success).toBe(false);
+  expect(result.errors.map((error) => [error.statement, error.line])).toEqual([
+    [2, 2],
+    [3, 3],
+  ]);
+  expect(result.errors[0].sql).toBe("INSERT INTO nope VALUES (1)");
+  expect(readTable("SELECT name FROM sqlite_master")).toEqual([]);
+});
+
+test("executeSqlScript should enforce the database size limit", () => {
+  const result = executeSqlScript(
+    [
+      "CREATE TABLE t (a);",
+      "INSERT INTO t WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2000)",
+      "  SELECT randomblob(1000) FROM n;",
+    ].join("\n"),
+    TEST_DB_PATH,
+    { maxDatabaseSize: 1024 * 1024 },
+  );
+
+  expect(result.success).toBe(false);
+  expect(result.errors[0].error).toBe("Database exceeds the 1MB import limit");
+});
+
+test("executeSqlScript should reject empty scripts", () => {
+  const result = executeSqlScript("-- nothing here\n", TEST_DB_PATH);
+
+  expect(result.success).toBe(false);
+  expect(result.error).toBe("Script contains no SQL statements");
+});
+
+test("importSqlDump should run the script in a worker", async () => {
+  const result = await importSqlDump(
+    "CREATE TABLE t (a);\nINSERT INTO t VALUES (42);\n",
+    TEST_DB_PATH,
+  );
+
+  expect(result.success).toBe(true);
+  expect(readTable("SELECT a FROM t")).toEqual([{ a: 42 }]);
+});
+
+test("importSqlDump should stop scripts that run too long", async () => {
+  const result = await importSqlDump(
+    "WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n) SELECT count(*) FROM n;",
+    TEST_DB_PATH,
+    { timeoutMs: 1000 },
+  );
+
+  expect(result.success).toBe(false);
+  expect(result.error).toBe("SQL script took longer than 1 seconds to run");
+});
+
+test("importSqlDump should stop a statement that is still running", async () => {
+  const started = process.cpuUsage();
+  const result = await importSqlDump(
+    "CREATE TABLE t AS WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT count(*) AS n FROM c;",
+    TEST_DB_PATH,
+    { timeoutMs: 500 },
+  );
+  expect(result.success).toBe(false);
+
+  // Nothing in this process is left running the statement
+  const before = process.cpuUsage(started);
+  await Bun.sleep(500);
+  const after = process.cpuUsage(started);
+  expect(after.user - before.user).toBeLessThan(200 * 1000);
+});
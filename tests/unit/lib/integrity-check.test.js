@@ -0,0 +1,139 @@
+import { Database } from "bun:sqlite";
+import { afterEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import {
+  checkDatabaseFile,
+  parseSqliteHeader,
+  runIntegrityCheck,
+} from "../../../lib/integrity-check.js";
+
+const TEST_DB_PATH = "./test-integrity.db";
+
+afterEach(() => {
+  for (const path of [
+    TEST_DB_PATH,
+    `${TEST_DB_PATH}-wal`,
+    `${TEST_DB_PATH}-shm`,
+  ]) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // File doesn't exist, that's fine
+    }
+  }
+});
+
+// Several pages of data so pages can be cut off or damaged
+function createDatabaseBytes() {
+  const db = new Database(":memory:");
+  db.exec("PRAGMA page_size = 1024");
+  db.exec("CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)");
+  db.exec("CREATE INDEX idx_notes_body ON notes (body)");
+  const insert = db.prepare("INSERT INTO notes (body) VALUES (?)");
+  for (let i = 0; i < 200; i++) {
+    insert.run(`note ${i} ${"x".repeat(50)}`);
+  }
+  const bytes = Buffer.from(db.serialize());
+  db.close();
+  return bytes;
+}
+
+test("parseSqliteHeader should read page size, format versions and page count", () => {
+  const bytes = createDatabaseBytes();
+  const info = parseSqliteHeader(bytes.subarray(0, 100));
+
+  expect(info.pageSize).toBe(1024);
+  expect(info.writeVersion).toBe(1);
+  expect(info.readVersion).toBe(1);
+  expect(info.reservedBytes).toBe(0);
+  expect(info.pageCount * 1024).toBe(bytes.length);
+  expect(info.pageCountValid).toBe(true);
+});
+
+test("runIntegrityCheck should accept a healthy database", async () => {
+  await Bun.write(TEST_DB_PATH, createDatabaseBytes());
+
+  expect(runIntegrityCheck(TEST_DB_PATH)).toEqual({
+    success: true,
+    check: "integrity_check",
+  });
+});
+
+test("runIntegrityCheck should reject files that aren't SQLite", async () => {
+  await Bun.write(TEST_DB_PATH, "just some text");
+
+  const result = runIntegrityCheck(TEST_DB_PATH);
+  expect(result.error).toBe("Invalid SQLite file format");
+  expect(result.quarantine).toBe(false);
+});
+
+test("runIntegrityCheck should not guess that other files are encrypted", async () => {
+  // Whole 512-byte pages of noise, which a size check would call SQLCipher
+  await Bun.write(TEST_DB_PATH, crypto.getRandomValues(new Uint8Array(4096)));
+
+  const result = runIntegrityCheck(TEST_DB_PATH);
+  expect(result.error).toBe("Invalid SQLite file format");
+  expect(result.quarantine).toBe(false);
+});
+
+test("runIntegrityCheck should refuse databases in WAL mode", async () => {
+  const db = new Database(TEST_DB_PATH, { create: true });
+  db.exec("PRAGMA journal_mode = WAL");
+  db.exec("CREATE TABLE notes (id INTEGER PRIMARY KEY)");
+  db.close();
+  const before = Buffer.from(await Bun.file(TEST_DB_PATH).arrayBuffer());
+
+  const result = runIntegrityCheck(TEST_DB_PATH);
+
+  expect(result.success).toBe(false);
+  expect(result.error).toContain("checkpoint the database before uploading");
+  expect(result.problems[0]).toContain("PRAGMA journal_mode=DELETE");
+  expect(result.quarantine).toBe(false);
+  // Left as it was
+  const after = Buffer.from(await Bun.file(TEST_DB_PATH).arrayBuffer());
+  expect(after.equals(before)).toBe(true);
+});
+
+test("runIntegrityCheck should quarantine truncated databases", async () => {
+  const bytes = createDatabaseBytes();
+  await Bun.write(TEST_DB_PATH, bytes.subarray(0, bytes.length - 2048));
+
+  const result = runIntegrityCheck(TEST_DB_PATH);
+  expect(result.error).toBe(
+    "Database is truncated: part of the file is missing",
+  );
+  expect(result.problems[0]).toContain(`file has ${bytes.length - 2048} bytes`);
+  expect(result.quarantine).toBe(true);
+
+  await Bun.write(TEST_DB_PATH, bytes.subarray(0, bytes.length - 100));
+  expect(runIntegrityCheck(TEST_DB_PATH).error).toContain(
+    "isn't a whole number of pages",
+  );
+});
+
+test("runIntegrityCheck should report damaged pages", async () => {
+  const bytes = createDatabaseBytes();
+  // Overwrite the last page, part of the table or its index, with noise
+  bytes.fill(0xff, bytes.length - 1024 + 8);
+  await Bun.write(TEST_DB_PATH, bytes);
+
+  const result = runIntegrityCheck(TEST_DB_PATH);
+  expect(result.success).toBe(false);
+  expect(result.quarantine).toBe(true);
+  expect(result.problems.length).toBeGreaterThan(0);
+});
+
+test("checkDatabaseFile should run the check in a worker", async () => {
+  await Bun.write(TEST_DB_PATH, createDatabaseBytes());
+
+  const result = await checkDatabaseFile(TEST_DB_PATH);
+  expect(result.success).toBe(true);
+});
+
+test("checkDatabaseFile should stop checks that run too long", async () => {
+  await Bun.write(TEST_DB_PATH, createDatabaseBytes());
+
+  const result = await checkDatabaseFile(TEST_DB_PATH, { timeoutMs: 1 });
+  expect(result.success).toBe(false);
+  expect(result.error).toContain("Integrity check took longer than");
+});
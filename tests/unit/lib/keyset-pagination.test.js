@@ -0,0 +1,232 @@
+import { Database } from "bun:sqlite";
+import { expect, test } from "bun:test";
+import {
+  buildKeysetQuery,
+  decodeCursor,
+  encodeCursor,
+  planKeysetQuery,
+} from "../../../lib/keyset-pagination.js";
+import { executeQueryWithPagination } from "../../../lib/query-runner.js";
+
+function createDatabase() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE people (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      city TEXT,
+      code TEXT NOT NULL UNIQUE
+    );
+    CREATE VIEW people_view AS SELECT * FROM people;
+  `);
+  const insert = db.prepare(
+    "INSERT INTO people (name, city, code) VALUES (?, ?, ?)",
+  );
+  for (let n = 1; n <= 12; n++) {
+    insert.run(
+      `P${n % 4}`,
+      n % 3 ? "X" : null,
+      `c${String(n).padStart(2, "0")}`,
+    );
+  }
+  return db;
+}
+
+const keysOf = (plan) =>
+  plan?.keys.map(
+    (key) => `${key.expression}${key.descending ? " DESC" : ""}`,
+  ) ?? null;
+
+test("planKeysetQuery should accept an ORDER BY ending in a unique key", () => {
+  const db = createDatabase();
+
+  expect(
+    keysOf(planKeysetQuery(db, "SELECT * FROM people ORDER BY id")),
+  ).toEqual(['"people"."id"']);
+  expect(
+    keysOf(
+      planKeysetQuery(
+        db,
+        "SELECT name FROM people AS p WHERE p.id > 2 ORDER BY name DESC, p.id",
+      ),
+    ),
+  ).toEqual(['"p"."name" DESC', '"p"."id"']);
+  expect(
+    keysOf(planKeysetQuery(db, "SELECT * FROM people ORDER BY code DESC")),
+  ).toEqual(['"people"."code" DESC']);
+  expect(
+    keysOf(planKeysetQuery(db, "SELECT * FROM people ORDER BY rowid")),
+  ).toEqual(['"people"."rowid"']);
+  db.close();
+});
+
+test("planKeysetQuery should leave other queries to LIMIT/OFFSET", () => {
+  const db = createDatabase();
+  const queries = [
+    // Not unique, or nullable
+    "SELECT * FROM people ORDER BY name",
+    "SELECT * FROM people ORDER BY city, id",
+    // ORDER BY would use the alias, not the table column
+    "SELECT name AS id FROM people ORDER BY id",
+    // Not a plain single-table SELECT
+    "SELECT * FROM people, people AS q ORDER BY people.id",
+    "SELECT * FROM people JOIN people AS q USING (id) ORDER BY people.id",
+    "SELECT DISTINCT name, id FROM people ORDER BY id",
+    "SELECT name, MAX(id) AS id FROM people GROUP BY name ORDER BY name",
+    "SELECT * FROM people_view ORDER BY id",
+    "SELECT * FROM people ORDER BY id + 0",
+    "WITH p AS (SELECT * FROM people) SELECT * FROM p ORDER BY id",
+    "SELECT * FROM people",
+  ];
+
+  for (const query of queries) {
+    expect(planKeysetQuery(db, query)).toBeNull();
+  }
+  db.close();
+});
+
+test("buildKeysetQuery should seek past the cursor", () => {
+  const db = createDatabase();
+  const plan = planKeysetQuery(
+    db,
+    "SELECT name FROM people WHERE city = 'X' -- filtered\nORDER BY id",
+  );
+
+  const { sql, params } = buildKeysetQuery(
+    plan,
+    { direction: "next", values: [4], page: 2 },
+    3,
+  );
+  expect(sql).toBe(
+    `SELECT name \n, "people"."id" AS "keyset_0"\nFROM people \nWHERE (\n city = 'X' -- filtered\n\n) AND (("people"."id") > ($cursor_0))\nORDER BY "people"."id" ASC\nLIMIT 3`,
+  );
+  expect(db.prepare(sql).values(params)).toEqual([
+    ["P1", 5],
+    ["P3", 7],
+    ["P0", 8],
+  ]);
+  db.close();
+});
+
+test("decodeCursor should only accept cursors made for the same query", () => {
+  const db = createDatabase();
+  const query = "SELECT * FROM people ORDER BY id";
+  const plan = planKeysetQuery(db, query);
+  const cursor = encodeCursor(plan, {
+    direction: "next",
+    values: [4],
+    page: 2,
+  });
+
+  expect(
+    decodeCursor(cursor, planKeysetQuery(db, ` ${query} -- same`)),
+  ).toEqual({
+    direction: "next",
+    values: [4],
+    page: 2,
+  });
+  expect(
+    decodeCursor(
+      cursor,
+      planKeysetQuery(db, "SELECT * FROM people ORDER BY code"),
+    ),
+  ).toBeNull();
+  expect(decodeCursor("not a cursor", plan)).toBeNull();
+  db.close();
+});
+
+test("decodeCursor should reject sort key values that don't fit the plan", () => {
+  const db = createDatabase();
+  const plan = planKeysetQuery(db, "SELECT * FROM people ORDER BY name, id");
+  const cursorWith = (values) =>
+    encodeCursor(plan, { direction: "next", values, page: 2 });
+
+  expect(decodeCursor(cursorWith(["P1", 5]), plan)).toEqual({
+    direction: "next",
+    values: ["P1", 5],
+    page: 2,
+  });
+  expect(decodeCursor(cursorWith([null, 5]), plan)).not.toBeNull();
+  expect(decodeCursor(cursorWith("P1"), plan)).toBeNull();
+  expect(decodeCursor(cursorWith(["P1"]), plan)).toBeNull();
+  expect(decodeCursor(cursorWith(["P1", 5, 6]), plan)).toBeNull();
+  expect(decodeCursor(cursorWith(["P1", { id: 5 }]), plan)).toBeNull();
+  expect(decodeCursor(cursorWith(["P1", [5]]), plan)).toBeNull();
+  expect(decodeCursor(cursorWith(["P1", true]), plan)).toBeNull();
+  db.close();
+});
+
+test("executeQueryWithPagination should page forwards and back by cursor", () => {
+  const db = createDatabase();
+  const query =
+    "SELECT name, id FROM people p WHERE p.id > 2 ORDER BY name DESC, p.id";
+  const readPage = (cursor) =>
+    executeQueryWithPagination(db, query, 1, 4, 0, {
+      keyset: { cursor },
+    });
+
+  const first = readPage(null);
+  expect(first.pagination).toBe("keyset");
+  expect(first.totalPages).toBe(3);
+  expect(first.columns).toEqual(["name", "id"]);
+  expect(first.rows).toEqual([
+    ["P3", 3],
+    ["P3", 7],
+    ["P3", 11],
+    ["P2", 6],
+  ]);
+  expect(first.prevCursor).toBeNull();
+
+  const second = readPage(first.nextCursor);
+  expect(second.page).toBe(2);
+  const third = readPage(second.nextCursor);
+  expect(third.page).toBe(3);
+  expect(third.rows).toEqual([
+    ["P0", 8],
+    ["P0", 12],
+  ]);
+  expect(third.hasMore).toBe(false);
+  expect(third.nextCursor).toBeNull();
+
+  // The same rows as LIMIT/OFFSET would give
+  const offsetPage = executeQueryWithPagination(db, query, 2, 4, 4);
+  expect(offsetPage.pagination).toBe("offset");
+  expect(readPage(third.prevCursor).rows).toEqual(offsetPage.rows);
+  expect(readPage(second.prevCursor).page).toBe(1);
+  db.close();
+});
+
+test("executeQueryWithPagination should refuse a cursor that doesn't fit the query", () => {
+  const db = createDatabase();
+  const query = "SELECT name, id FROM people ORDER BY name, id";
+  const cursor = encodeCursor(planKeysetQuery(db, query), {
+    direction: "next",
+    values: [4],
+    page: 2,
+  });
+
+  expect(
+    executeQueryWithPagination(db, query, 1, 4, 0, { keyset: { cursor } }),
+  ).toEqual({
+    success: false,
+    error: "Invalid cursor for this query",
+    type: "validation_error",
+  });
+  db.close();
+});
+
+test("executeQueryWithPagination should use offsets when keyset isn't possible", () => {
+  const db = createDatabase();
+
+  const results = executeQueryWithPagination(
+    db,
+    "SELECT name FROM people ORDER BY name",
+    1,
+    5,
+    0,
+    { keyset: { cursor: null } },
+  );
+  expect(results.pagination).toBe("offset");
+  expect(results.nextCursor).toBeUndefined();
+  db.close();
+});
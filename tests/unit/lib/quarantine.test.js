@@ -0,0 +1,52 @@
+import { afterEach, expect, test } from "bun:test";
+import { existsSync } from "node:fs";
+import { rm, utimes } from "node:fs/promises";
+import {
+  quarantineFile,
+  removeOldQuarantinedFiles,
+} from "../../../lib/quarantine.js";
+
+const QUARANTINE_DIR = "./uploads/.quarantine";
+
+afterEach(async () => {
+  await rm(QUARANTINE_DIR, { recursive: true, force: true });
+});
+
+async function quarantineTestFile() {
+  const path = "./uploads/test-quarantine.db";
+  await Bun.write(path, "SQLite format 3\0");
+  const id = await quarantineFile(path, {
+    originalFilename: "broken.db",
+    userId: 7,
+    report: { error: "Database failed the integrity check", problems: ["x"] },
+  });
+  return { path, id };
+}
+
+test("quarantineFile should move the file aside with its report", async () => {
+  const { path, id } = await quarantineTestFile();
+
+  expect(existsSync(path)).toBe(false);
+  expect(existsSync(`${QUARANTINE_DIR}/${id}.db`)).toBe(true);
+
+  const report = await Bun.file(`${QUARANTINE_DIR}/${id}.json`).json();
+  expect(report).toMatchObject({
+    id,
+    originalFilename: "broken.db",
+    userId: 7,
+    error: "Database failed the integrity check",
+    problems: ["x"],
+  });
+});
+
+test("removeOldQuarantinedFiles should only remove old files", async () => {
+  const { id } = await quarantineTestFile();
+  const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+  await utimes(`${QUARANTINE_DIR}/${id}.db`, old, old);
+
+  const removed = await removeOldQuarantinedFiles(7 * 24 * 60 * 60 * 1000);
+
+  expect(removed).toBe(1);
+  expect(existsSync(`${QUARANTINE_DIR}/${id}.db`)).toBe(false);
+  expect(existsSync(`${QUARANTINE_DIR}/${id}.json`)).toBe(true);
+});
@@ -0,0 +1,79 @@
+import { expect, test } from "bun:test";
+import { createQueryCache } from "../../../lib/query-cache.js";
+
+const results = (rows) => ({ success: true, columns: ["n"], rows });
+
+test("should return stored results for the same query and page", () => {
+  const cache = createQueryCache();
+  cache.set("a.db", "SELECT n FROM t", 1, 50, results([[1]]));
+
+  expect(cache.get("a.db", "SELECT n FROM t", 1, 50)).toEqual(results([[1]]));
+  expect(cache.get("a.db", "SELECT n FROM t", 2, 50)).toBeNull();
+  expect(cache.get("a.db", "SELECT n FROM t", 1, 25)).toBeNull();
+  expect(cache.get("b.db", "SELECT n FROM t", 1, 50)).toBeNull();
+});
+
+test("should treat queries differing only in surrounding whitespace, comments or parentheses as the same", () => {
+  const cache = createQueryCache();
+  cache.set("a.db", "SELECT n FROM t", 1, 50, results([[1]]));
+
+  expect(
+    cache.get("a.db", "\n  (SELECT n FROM t) -- numbers\n", 1, 50),
+  ).toEqual(results([[1]]));
+  expect(cache.get("a.db", "SELECT n FROM t WHERE n > 1", 1, 50)).toBeNull();
+});
+
+test("should keep sorted and filtered results apart", () => {
+  const cache = createQueryCache();
+  const view = { sort: { column: "n", direction: "desc" }, filters: {} };
+  cache.set("a.db", "SELECT n FROM t", 1, 50, results([[2]]), view);
+
+  expect(cache.get("a.db", "SELECT n FROM t", 1, 50)).toBeNull();
+  expect(cache.get("a.db", "SELECT n FROM t", 1, 50, view)).toEqual(
+    results([[2]]),
+  );
+});
+
+test("should evict the least recently used entry past the entry limit", () => {
+  const cache = createQueryCache({ maxEntries: 2 });
+  cache.set("a.db", "SELECT 1", 1, 50, results([[1]]));
+  cache.set("a.db", "SELECT 2", 1, 50, results([[2]]));
+  // Reading SELECT 1 makes SELECT 2 the oldest
+  cache.get("a.db", "SELECT 1", 1, 50);
+  cache.set("a.db", "SELECT 3", 1, 50, results([[3]]));
+
+  expect(cache.size).toBe(2);
+  expect(cache.get("a.db", "SELECT 1", 1, 50)).not.toBeNull();
+  expect(cache.get("a.db", "SELECT 2", 1, 50)).toBeNull();
+  expect(cache.get("a.db", "SELECT 3", 1, 50)).not.toBeNull();
+});
+
+test("should keep total size under the byte limit", () => {
+  const big = results([["x".repeat(400)]]);
+  const size = JSON.stringify(big).length;
+  const cache = createQueryCache({ maxBytes: size * 2 });
+
+  cache.set("a.db", "SELECT 1", 1, 50, big);
+  cache.set("a.db", "SELECT 2", 1, 50, big);
+  cache.set("a.db", "SELECT 3", 1, 50, big);
+  expect(cache.size).toBe(2);
+  expect(cache.bytes).toBe(size * 2);
+  expect(cache.get("a.db", "SELECT 1", 1, 50)).toBeNull();
+
+  // Results bigger than the whole cache aren't stored
+  cache.set("a.db", "SELECT 4", 1, 50, results([["x".repeat(2000)]]));
+  expect(cache.get("a.db", "SELECT 4", 1, 50)).toBeNull();
+  expect(cache.size).toBe(2);
+});
+
+test("invalidate should drop every result for a database", () => {
+  const cache = createQueryCache();
+  cache.set("a.db", "SELECT 1", 1, 50, results([[1]]));
+  cache.set("a.db", "SELECT 1", 2, 50, results([[2]]));
+  cache.set("b.db", "SELECT 1", 1, 50, results([[3]]));
+
+  cache.invalidate("a.db");
+  expect(cache.size).toBe(1);
+  expect(cache.get("a.db", "SELECT 1", 1, 50)).toBeNull();
+  expect(cache.get("b.db", "SELECT 1", 1, 50)).not.toBeNull();
+});
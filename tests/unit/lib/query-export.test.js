@@ -0,0 +1,107 @@
+import { expect, test } from "bun:test";
+import { crc32 } from "node:zlib";
+import { writeExport } from "../../../lib/query-export.js";
+
+async function* batchesOf(...batches) {
+  yield* batches;
+}
+
+async function exportToBuffer(format, columns, ...batches) {
+  const chunks = [];
+  for await (const chunk of writeExport(
+    format,
+    columns,
+    batchesOf(...batches),
+  )) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Read a zip's entries from its central directory, checking each checksum
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(position)).toBe(0x02014b50);
+    const crc = buffer.readUInt32LE(position + 16);
+    const size = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const offset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString(
+      "utf8",
+      position + 46,
+      position + 46 + nameLength,
+    );
+
+    expect(buffer.readUInt32LE(offset)).toBe(0x04034b50);
+    const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const data = buffer.subarray(dataStart, dataStart + size);
+    expect(crc32(data)).toBe(crc);
+    entries[name] = data.toString("utf8");
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+test("writeExport should quote CSV fields that need it", async () => {
+  const csv = await exportToBuffer(
+    "csv",
+    ["id", "note"],
+    [
+      [1, 'says "hi"'],
+      [2, "a,b"],
+    ],
+    [
+      [3, null],
+      [4, "two\nlines"],
+    ],
+  );
+  expect(csv.toString()).toBe(
+    'id,note\r\n1,"says ""hi"""\r\n2,"a,b"\r\n3,\r\n4,"two\nlines"\r\n',
+  );
+});
+
+test("writeExport should write one JSON object per line", async () => {
+  const jsonl = await exportToBuffer(
+    "jsonl",
+    ["id", "data"],
+    [
+      [1, null],
+      [2, new Uint8Array([1, 2, 3])],
+    ],
+  );
+  expect(jsonl.toString()).toBe(
+    '{"id":1,"data":null}\n{"id":2,"data":"AQID"}\n',
+  );
+});
+
+test("writeExport should write an XLSX workbook as a valid zip", async () => {
+  const xlsx = await exportToBuffer(
+    "xlsx",
+    ["id", "name"],
+    [[1, "Ann & <Bob>"]],
+    [
+      [2.5, "bell\u0007"],
+      [null, "x"],
+    ],
+  );
+  const entries = readZip(xlsx);
+
+  expect(Object.keys(entries).sort()).toEqual([
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "xl/_rels/workbook.xml.rels",
+    "xl/workbook.xml",
+    "xl/worksheets/sheet1.xml",
+  ]);
+  const sheet = entries["xl/worksheets/sheet1.xml"];
+  expect(sheet).toContain("<c><v>1</v></c>");
+  expect(sheet).toContain("Ann &amp; &lt;Bob&gt;");
+  expect(sheet).toContain("<c><v>2.5</v></c>");
+  expect(sheet).toContain(">bell</t>");
+  expect(sheet).toContain("<row><c/>");
+  expect(sheet.endsWith("</sheetData></worksheet>")).toBe(true);
+});
@@ -0,0 +1,152 @@
+import { Database } from "bun:sqlite";
+import { expect, test } from "bun:test";
+import {
+  buildCountQuery,
+  buildPageQuery,
+  countQueryRows,
+} from "../../../lib/query-pagination.js";
+
+function createDatabase() {
+  const db = new Database(":memory:");
+  db.exec("CREATE TABLE numbers (n INTEGER)");
+  const insert = db.prepare("INSERT INTO numbers (n) VALUES (?)");
+  for (let n = 1; n <= 10; n++) {
+    insert.run(n);
+  }
+  return db;
+}
+
+function runPage(db, query, pageSize, offset) {
+  return {
+    total: db.prepare(buildCountQuery(query)).get().total,
+    rows: db.prepare(buildPageQuery(query, pageSize, offset)).values(),
+  };
+}
+
+test("should paginate plain SELECT queries and keep their order", () => {
+  const db = createDatabase();
+
+  expect(runPage(db, "SELECT n FROM numbers ORDER BY n DESC", 3, 3)).toEqual({
+    total: 10,
+    rows: [[7], [6], [5]],
+  });
+  db.close();
+});
+
+test("should paginate queries with a WITH clause", () => {
+  const db = createDatabase();
+  const query = `WITH RECURSIVE evens(n) AS (
+    SELECT 2 UNION ALL SELECT n + 2 FROM evens WHERE n < 20
+  )
+  SELECT n FROM evens`;
+
+  expect(runPage(db, query, 4, 4)).toEqual({
+    total: 10,
+    rows: [[10], [12], [14], [16]],
+  });
+  db.close();
+});
+
+test("should paginate VALUES lists, which can't take a LIMIT", () => {
+  const db = createDatabase();
+
+  expect(runPage(db, "VALUES (1, 'a'), (2, 'b'), (3, 'c')", 2, 2)).toEqual({
+    total: 3,
+    rows: [[3, "c"]],
+  });
+  expect(
+    runPage(db, "SELECT n, 'x' FROM numbers UNION ALL VALUES (11, 'y')", 2, 9),
+  ).toEqual({
+    total: 11,
+    rows: [
+      [10, "x"],
+      [11, "y"],
+    ],
+  });
+  db.close();
+});
+
+test("should unwrap parenthesized queries", () => {
+  const db = createDatabase();
+
+  expect(runPage(db, "((SELECT n FROM numbers WHERE n > 8))", 5, 0)).toEqual({
+    total: 2,
+    rows: [[9], [10]],
+  });
+  db.close();
+});
+
+test("should not let a trailing comment hide the LIMIT", () => {
+  const db = createDatabase();
+
+  expect(runPage(db, "SELECT n FROM numbers -- every number", 2, 0)).toEqual({
+    total: 10,
+    rows: [[1], [2]],
+  });
+  db.close();
+});
+
+test("countQueryRows should use the COUNT(*) wrapper", () => {
+  const db = createDatabase();
+
+  expect(countQueryRows(db, "SELECT n FROM numbers WHERE n > 3")).toEqual({
+    totalRows: 7,
+    approximate: false,
+  });
+  db.close();
+});
+
+// Stands in for a connection where SQLite rejects the COUNT(*) wrapper
+function createUncountableDatabase(rowCount) {
+  let rowsRead = 0;
+  return {
+    get rowsRead() {
+      return rowsRead;
+    },
+    prepare(sql) {
+      if (sql.startsWith("SELECT COUNT(*)")) {
+        throw new Error("can't count this");
+      }
+      return {
+        *iterate() {
+          for (let n = 1; n <= rowCount; n++) {
+            rowsRead++;
+            yield { n };
+          }
+        },
+      };
+    },
+  };
+}
+
+test("countQueryRows should step through the rows when COUNT(*) fails", () => {
+  const db = createUncountableDatabase(42);
+
+  expect(countQueryRows(db, "SELECT n FROM numbers", {}, 100)).toEqual({
+    totalRows: 42,
+    approximate: false,
+  });
+});
+
+test("countQueryRows should stop at the cap and report a lower bound", () => {
+  const db = createUncountableDatabase(1000000);
+
+  expect(countQueryRows(db, "SELECT n FROM numbers", {}, 100)).toEqual({
+    totalRows: 100,
+    approximate: true,
+  });
+  expect(db.rowsRead).toBe(101);
+
+  // Exactly at the cap is still an exact count
+  expect(
+    countQueryRows(
+      createUncountableDatabase(100),
+      "SELECT n FROM numbers",
+      {},
+      100,
+    ),
+  ).toEqual({
+    totalRows: 100,
+    approximate: false,
+  });
+});
@@ -0,0 +1,40 @@
+import { expect, test } from "bun:test";
+import {
+  bindQueryParameters,
+  validateQueryParameters,
+} from "../../../lib/query-parameters.js";
+
+const QUERY = "SELECT * FROM orders WHERE region = :region AND total > :min";
+
+test("validateQueryParameters should accept a value for every placeholder", () => {
+  expect(
+    validateQueryParameters(QUERY, { region: "EU", min: 10 }).isValid,
+  ).toBe(true);
+  expect(
+    validateQueryParameters(QUERY, { region: null, min: null }).isValid,
+  ).toBe(true);
+  expect(validateQueryParameters("SELECT 1", null).isValid).toBe(true);
+});
+
+test("validateQueryParameters should reject missing, unknown and odd values", () => {
+  expect(validateQueryParameters(QUERY, { region: "EU" }).error).toBe(
+    "Missing value for :min",
+  );
+  expect(
+    validateQueryParameters(QUERY, { region: "EU", min: 1, max: 2 }).error,
+  ).toBe("Query has no :max parameter");
+  expect(
+    validateQueryParameters(QUERY, { region: ["EU"], min: 1 }).isValid,
+  ).toBe(false);
+  expect(
+    validateQueryParameters(QUERY, { region: "EU", min: Number.NaN }).isValid,
+  ).toBe(false);
+  expect(validateQueryParameters(QUERY, "EU").isValid).toBe(false);
+});
+
+test("bindQueryParameters should prefix names with a colon", () => {
+  expect(bindQueryParameters({ region: "EU", min: 10 })).toEqual({
+    ":region": "EU",
+    ":min": 10,
+  });
+});
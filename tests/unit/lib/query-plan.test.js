@@ -0,0 +1,76 @@
+import { Database } from "bun:sqlite";
+import { expect, test } from "bun:test";
+import { explainQuery } from "../../../lib/query-plan.js";
+
+function createDatabase() {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, city TEXT);
+    CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER, total REAL);
+    CREATE INDEX orders_user_id ON orders (user_id);
+  `);
+  return db;
+}
+
+test("explainQuery should flag full scans and suggest indexes", () => {
+  const db = createDatabase();
+
+  const result = explainQuery(
+    db,
+    "SELECT * FROM users AS u WHERE u.city = :city ORDER BY name",
+    { ":city": "Oslo" },
+  );
+  expect(result.plan[0]).toEqual({
+    id: expect.any(Number),
+    detail: "SCAN u",
+    fullScan: true,
+    table: "users",
+    children: [],
+  });
+  expect(result.plan[1].detail).toBe("USE TEMP B-TREE FOR ORDER BY");
+  expect(result.fullScans).toEqual(["users"]);
+  expect(result.suggestions).toEqual([
+    {
+      table: "users",
+      column: "city",
+      sql: 'CREATE INDEX "idx_users_city" ON "users" ("city")',
+    },
+  ]);
+  db.close();
+});
+
+test("explainQuery should not suggest indexes that already exist", () => {
+  const db = createDatabase();
+
+  const result = explainQuery(
+    db,
+    "SELECT * FROM orders o JOIN users u ON o.user_id = u.id WHERE o.total > 5",
+  );
+  expect(result.fullScans).toEqual(["orders"]);
+  expect(result.suggestions.map((suggestion) => suggestion.column)).toEqual([
+    "total",
+  ]);
+  db.close();
+});
+
+test("explainQuery should nest steps and ignore scans of non-tables", () => {
+  const db = createDatabase();
+
+  const result = explainQuery(
+    db,
+    "WITH c AS (SELECT city, COUNT(*) AS n FROM users GROUP BY city) SELECT * FROM c WHERE n > 1",
+  );
+  const routine = result.plan.find((step) => step.children.length > 0);
+  expect(routine.children[0]).toMatchObject({
+    detail: "SCAN users",
+    fullScan: true,
+  });
+  expect(result.plan.at(-1)).toMatchObject({
+    detail: "SCAN c",
+    fullScan: false,
+  });
+  expect(result.suggestions).toEqual([]);
+
+  expect(explainQuery(db, "SELECT 1").fullScans).toEqual([]);
+  db.close();
+});
@@ -0,0 +1,370 @@
+import { Database } from "bun:sqlite";
+import { afterEach, expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import {
+  cancelQuery,
+  executeQueryWithPagination,
+  getQueryLimits,
+  openQueryExport,
+  prepareQueryExport,
+  runQuery,
+} from "../../../lib/query-runner.js";
+
+const TEST_DB_PATH = "./test-query-runner.db";
+
+// Counts far enough that it runs until it is stopped
+const ENDLESS_QUERY =
+  "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT COUNT(*) FROM n WHERE x < 0";
+
+afterEach(() => {
+  try {
+    unlinkSync(TEST_DB_PATH);
+  } catch {
+    // File doesn't exist, that's fine
+  }
+});
+
+function createDatabase(path = TEST_DB_PATH) {
+  const db = new Database(path, { create: true });
+  db.exec("CREATE TABLE numbers (n INTEGER)");
+  const insert = db.prepare("INSERT INTO numbers (n) VALUES (?)");
+  for (let n = 1; n <= 25; n++) {
+    insert.run(n);
+  }
+  return db;
+}
+
+test("getQueryLimits should read the environment with defaults", () => {
+  expect(getQueryLimits({})).toEqual({
+    timeoutMs: 30000,
+    maxRows: 1000,
+    maxWorkers: 4,
+  });
+  expect(
+    getQueryLimits({
+      QUERY_TIMEOUT_SECONDS: "5",
+      QUERY_MAX_ROWS: "200",
+      QUERY_MAX_WORKERS: "2",
+    }),
+  ).toEqual({ timeoutMs: 5000, maxRows: 200, maxWorkers: 2 });
+  expect(getQueryLimits({ QUERY_TIMEOUT_SECONDS: "0" }).timeoutMs).toBe(30000);
+});
+
+test("executeQueryWithPagination should return a page and the total", () => {
+  const db = createDatabase(":memory:");
+
+  const results = executeQueryWithPagination(
+    db,
+    "SELECT n FROM numbers",
+    2,
+    10,
+    10,
+  );
+  expect(results.totalRows).toBe(25);
+  expect(results.totalPages).toBe(3);
+  expect(results.rows[0]).toEqual([11]);
+  expect(results.rows).toHaveLength(10);
+  expect(results.hasMore).toBe(true);
+  expect(results.truncated).toBe(false);
+  db.close();
+});
+
+test("executeQueryWithPagination should stop reading at the row cap", () => {
+  const db = createDatabase(":memory:");
+
+  const results = executeQueryWithPagination(
+    db,
+    "SELECT n FROM numbers",
+    1,
+    20,
+    0,
+    { maxRows: 5 },
+  );
+  expect(results.rows).toEqual([[1], [2], [3], [4], [5]]);
+  expect(results.truncated).toBe(true);
+  db.close();
+});
+
+test("executeQueryWithPagination should describe columns with no rows", () => {
+  const db = createDatabase(":memory:");
+
+  const results = executeQueryWithPagination(
+    db,
+    "SELECT n, n * 2 AS twice FROM numbers WHERE n > 100",
+    1,
+    10,
+    0,
+  );
+  expect(results.rows).toEqual([]);
+  expect(results.columns).toEqual(["n", "twice"]);
+  expect(results.columnInfo).toEqual([
+    { name: "n", declaredType: "INTEGER", affinity: "INTEGER" },
+    { name: "twice", declaredType: null, affinity: null },
+  ]);
+  db.close();
+});
+
+test("executeQueryWithPagination should sort and filter by a view", () => {
+  const db = createDatabase(":memory:");
+
+  const results = executeQueryWithPagination(
+    db,
+    "SELECT n FROM numbers",
+    1,
+    3,
+    0,
+    {
+      view: { sort: { column: "n", direction: "desc" }, filters: { n: "1" } },
+    },
+  );
+  expect(results.totalRows).toBe(12);
+  expect(results.rows).toEqual([[21], [19], [18]]);
+  db.close();
+});
+
+test("executeQueryWithPagination should bind named parameters", () => {
+  const db = createDatabase(":memory:");
+
+  const query = "SELECT n FROM numbers WHERE n BETWEEN :low AND :high";
+  const results = executeQueryWithPagination(db, query, 1, 3, 0, {
+    params: { low: 5, high: 9 },
+    view: { sort: { column: "n", direction: "desc" }, filters: {} },
+  });
+  expect(results.totalRows).toBe(5);
+  expect(results.rows).toEqual([[9], [8], [7]]);
+  db.close();
+});
+
+test("prepareQueryExport should read every row as arrays", () => {
+  const db = createDatabase(":memory:");
+
+  const { columns, rows } = prepareQueryExport(
+    db,
+    "SELECT n, n * 2 AS n FROM numbers WHERE n > :from",
+    {
+      params: { from: 20 },
+      view: { sort: { column: "n", direction: "desc" }, filters: {} },
+    },
+  );
+  expect(columns).toEqual(["n", "n:1"]);
+  expect([...rows]).toEqual([
+    [25, 50],
+    [24, 48],
+    [23, 46],
+    [22, 44],
+    [21, 42],
+  ]);
+  db.close();
+});
+
+test("runQuery should run the query in a worker", async () => {
+  createDatabase().close();
+
+  const outcome = await runQuery(TEST_DB_PATH, {
+    query: "SELECT n FROM numbers WHERE n > 20",
+    page: 1,
+    pageSize: 10,
+    offset: 0,
+  });
+  expect(outcome.success).toBe(true);
+  expect(outcome.results.rows).toEqual([[21], [22], [23], [24], [25]]);
+});
+
+test("runQuery should report SQL errors", async () => {
+  createDatabase().close();
+
+  const outcome = await runQuery(TEST_DB_PATH, {
+    query: "SELECT * FROM missing",
+    page: 1,
+    pageSize: 10,
+    offset: 0,
+  });
+  expect(outcome.success).toBe(false);
+  expect(outcome.type).toBe("sql_error");
+  expect(outcome.error).toContain("no such table");
+});
+
+test("runQuery should stop queries that run out of time", async () => {
+  createDatabase().close();
+
+  const started = Date.now();
+  const outcome = await runQuery(
+    TEST_DB_PATH,
+    { query: ENDLESS_QUERY, page: 1, pageSize: 10, offset: 0 },
+    { limits: { timeoutMs: 300, maxRows: 1000 } },
+  );
+  expect(outcome).toEqual({
+    success: false,
+    error: "Query timed out after 0.3 seconds",
+    type: "query_timeout",
+  });
+  expect(Date.now() - started).toBeLessThan(5000);
+});
+
+test("cancelQuery should stop a running query for its owner only", async () => {
+  createDatabase().close();
+
+  const pending = runQuery(
+    TEST_DB_PATH,
+    { query: ENDLESS_QUERY, page: 1, pageSize: 10, offset: 0 },
+    { userId: 1, queryId: "query-1" },
+  );
+
+  expect(cancelQuery(2, "query-1")).toBe(false);
+  expect(cancelQuery(1, "query-1")).toBe(true);
+  expect(await pending).toEqual({
+    success: false,
+    error: "Query was cancelled",
+    type: "query_cancelled",
+  });
+  expect(cancelQuery(1, "query-1")).toBe(false);
+});
+
+test("runQuery should keep answering after a worker is stopped", async () => {
+  createDatabase().close();
+  const request = { page: 1, pageSize: 10, offset: 0 };
+
+  const stopped = await runQuery(
+    TEST_DB_PATH,
+    { ...request, query: ENDLESS_QUERY },
+    { limits: { timeoutMs: 200, maxRows: 1000 } },
+  );
+  expect(stopped.type).toBe("query_timeout");
+
+  for (let i = 0; i < 3; i++) {
+    const outcome = await runQuery(TEST_DB_PATH, {
+      ...request,
+      query: `SELECT n FROM numbers WHERE n = ${i + 1}`,
+    });
+    expect(outcome.results.rows).toEqual([[i + 1]]);
+  }
+});
+
+test("runQuery should wait for a worker when the most allowed are busy", async () => {
+  createDatabase().close();
+  const limits = { timeoutMs: 5000, maxRows: 1000, maxWorkers: 2 };
+  const request = { page: 1, pageSize: 10, offset: 0 };
+
+  const busy = ["busy-1", "busy-2"].map((queryId) =>
+    runQuery(
+      TEST_DB_PATH,
+      { ...request, query: ENDLESS_QUERY },
+      { userId: 1, queryId, limits },
+    ),
+  );
+  await Bun.sleep(300);
+
+  let answered = false;
+  const waiting = runQuery(
+    TEST_DB_PATH,
+    { ...request, query: "SELECT n FROM numbers WHERE n = 7" },
+    { limits },
+  ).then((outcome) => {
+    answered = true;
+    return outcome;
+  });
+  await Bun.sleep(300);
+  expect(answered).toBe(false);
+
+  cancelQuery(1, "busy-1");
+  expect((await waiting).results.rows).toEqual([[7]]);
+  cancelQuery(1, "busy-2");
+  await Promise.all(busy);
+});
+
+test("runQuery should time out while waiting for a worker", async () => {
+  createDatabase().close();
+  const request = { page: 1, pageSize: 10, offset: 0, query: ENDLESS_QUERY };
+
+  const busy = ["busy-1", "busy-2"].map((queryId) =>
+    runQuery(TEST_DB_PATH, request, {
+      userId: 1,
+      queryId,
+      limits: { timeoutMs: 5000, maxRows: 1000, maxWorkers: 2 },
+    }),
+  );
+  await Bun.sleep(300);
+
+  const outcome = await runQuery(TEST_DB_PATH, request, {
+    limits: { timeoutMs: 300, maxRows: 1000, maxWorkers: 2 },
+  });
+  expect(outcome.type).toBe("query_timeout");
+  cancelQuery(1, "busy-1");
+  cancelQuery(1, "busy-2");
+  await Promise.all(busy);
+});
+
+// More rows than the worker sends in one batch
+const LONG_QUERY =
+  "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 1200) SELECT x FROM n";
+
+test("openQueryExport should read every row from a worker in batches", async () => {
+  createDatabase().close();
+
+  const session = await openQueryExport(TEST_DB_PATH, {
+    query: LONG_QUERY,
+    view: null,
+    params: {},
+  });
+  expect(session.success).toBe(true);
+  expect(session.columns).toEqual(["x"]);
+
+  const sizes = [];
+  let last = 0;
+  for await (const rows of session.batches()) {
+    sizes.push(rows.length);
+    last = rows.at(-1)[0];
+  }
+  expect(sizes).toEqual([500, 500, 200]);
+  expect(last).toBe(1200);
+});
+
+test("openQueryExport should report SQL errors before reading", async () => {
+  createDatabase().close();
+
+  const session = await openQueryExport(TEST_DB_PATH, {
+    query: "SELECT * FROM missing",
+    view: null,
+    params: {},
+  });
+  expect(session.success).toBe(false);
+  expect(session.type).toBe("sql_error");
+  expect(session.error).toContain("no such table");
+});
+
+test("openQueryExport should stop the worker when reading stops", async () => {
+  createDatabase().close();
+
+  const session = await openQueryExport(TEST_DB_PATH, {
+    query: LONG_QUERY,
+    view: null,
+    params: {},
+  });
+  for await (const rows of session.batches()) {
+    expect(rows).toHaveLength(500);
+    break;
+  }
+
+  const outcome = await runQuery(TEST_DB_PATH, {
+    query: "SELECT n FROM numbers WHERE n = 1",
+    page: 1,
+    pageSize: 10,
+    offset: 0,
+  });
+  expect(outcome.results.rows).toEqual([[1]]);
+});
+
+test("openQueryExport should stop the worker when the reader goes idle", async () => {
+  createDatabase().close();
+
+  const session = await openQueryExport(
+    TEST_DB_PATH,
+    { query: LONG_QUERY, view: null, params: {} },
+    { limits: { timeoutMs: 300, maxRows: 1000 } },
+  );
+  const batches = session.batches();
+  expect((await batches.next()).value).toHaveLength(500);
+
+  await Bun.sleep(600);
+  await expect(batches.next()).rejects.toThrow("reader was idle");
+});
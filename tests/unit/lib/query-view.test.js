@@ -0,0 +1,86 @@
+import { Database } from "bun:sqlite";
+import { expect, test } from "bun:test";
+import {
+  buildViewQuery,
+  normalizeQueryView,
+  validateQueryView,
+} from "../../../lib/query-view.js";
+
+test("validateQueryView should accept a sort and text filters", () => {
+  expect(validateQueryView({}).isValid).toBe(true);
+  expect(
+    validateQueryView({
+      sort: { column: "name", direction: "desc" },
+      filters: { name: "a" },
+    }).isValid,
+  ).toBe(true);
+});
+
+test("validateQueryView should reject malformed sorts and filters", () => {
+  expect(validateQueryView({ sort: "name" }).isValid).toBe(false);
+  expect(
+    validateQueryView({ sort: { column: "name", direction: "up" } }).error,
+  ).toBe('sort direction must be "asc" or "desc"');
+  expect(validateQueryView({ filters: ["name"] }).isValid).toBe(false);
+  expect(validateQueryView({ filters: { n: 1 } }).error).toBe(
+    'Filter for "n" must be text',
+  );
+});
+
+test("normalizeQueryView should drop empty filters and order the rest", () => {
+  expect(normalizeQueryView({ filters: { name: "  " } })).toBeNull();
+  expect(
+    normalizeQueryView({
+      sort: { column: "name" },
+      filters: { name: "a", email: "b", city: "" },
+    }),
+  ).toEqual({
+    sort: { column: "name", direction: "asc" },
+    filters: { email: "b", name: "a" },
+  });
+});
+
+test("buildViewQuery should bind filter text and quote column names", () => {
+  const { sql, params } = buildViewQuery(
+    "SELECT * FROM t -- all of it",
+    ['odd "name"', "n"],
+    {
+      sort: { column: 'odd "name"', direction: "desc" },
+      filters: { n: "50%_" },
+    },
+  );
+
+  expect(sql).toBe(
+    `SELECT * FROM (\nSELECT * FROM t\n) AS view_query\nWHERE CAST("n" AS TEXT) LIKE $filter_0 ESCAPE '\\'\nORDER BY "odd ""name""" DESC`,
+  );
+  expect(params).toEqual({ $filter_0: "%50\\%\\_%" });
+});
+
+test("buildViewQuery should refuse columns the query doesn't return", () => {
+  const view = { sort: { column: "missing", direction: "asc" }, filters: {} };
+  expect(() => buildViewQuery("SELECT n FROM t", ["n"], view)).toThrow(
+    "no such column: missing",
+  );
+});
+
+test("buildViewQuery should match filter text literally", () => {
+  const db = new Database(":memory:");
+  db.exec(
+    "CREATE TABLE t (label TEXT); INSERT INTO t VALUES ('100%'), ('1000'), ('a_b'), ('ab')",
+  );
+
+  const labels = (text) => {
+    const { sql, params } = buildViewQuery("SELECT label FROM t", ["label"], {
+      sort: { column: "label", direction: "asc" },
+      filters: { label: text },
+    });
+    return db
+      .prepare(sql)
+      .values(params)
+      .map(([label]) => label);
+  };
+  expect(labels("0%")).toEqual(["100%"]);
+  expect(labels("_")).toEqual(["a_b"]);
+  expect(labels("A")).toEqual(["a_b", "ab"]);
+  db.close();
+});
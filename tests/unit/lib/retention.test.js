@@ -0,0 +1,153 @@
+import { afterEach, beforeEach, expect, test } from "bun:test";
+import { existsSync, unlinkSync, utimesSync } from "node:fs";
+import { getRetentionPolicy, runCleanup } from "../../../lib/retention.js";
+import {
+  setupTestAppDatabase,
+  teardownTestAppDatabase,
+} from "../../helpers/app-database.js";
+
+const TEST_DB_PATH = "./test-retention.db";
+
+let appDb;
+let user;
+const storedFiles = [];
+
+beforeEach(async () => {
+  ({ appDb, user } = await setupTestAppDatabase(TEST_DB_PATH));
+});
+
+afterEach(async () => {
+  await teardownTestAppDatabase(appDb, TEST_DB_PATH);
+  while (storedFiles.length > 0) {
+    try {
+      unlinkSync(storedFiles.pop());
+    } catch {
+      // Already removed by the cleanup
+    }
+  }
+});
+
+async function storeUpload(filename, { size = 10, daysOld = 0 } = {}) {
+  const path = `./uploads/${filename}`;
+  await Bun.write(path, "x".repeat(size));
+  storedFiles.push(path);
+
+  await appDb.uploads.create({
+    filename,
+    userId: user.id,
+    originalFilename: filename,
+    size,
+  });
+  appDb.db.run(
+    "UPDATE uploads SET created_at = datetime('now', ?) WHERE filename = ?",
+    [`-${daysOld} days`, filename],
+  );
+  return path;
+}
+
+test("getRetentionPolicy should read the environment with defaults", () => {
+  expect(getRetentionPolicy({})).toEqual({
+    maxAgeDays: 0,
+    quotaBytes: 0,
+    intervalMs: 60 * 60 * 1000,
+  });
+
+  expect(
+    getRetentionPolicy({
+      UPLOAD_MAX_AGE_DAYS: "7",
+      UPLOAD_QUOTA_MB: "0",
+      CLEANUP_INTERVAL_MINUTES: "not a number",
+    }),
+  ).toEqual({ maxAgeDays: 7, quotaBytes: 0, intervalMs: 60 * 60 * 1000 });
+});
+
+test("runCleanup should remove uploads past the age limit", async () => {
+  const oldPath = await storeUpload("database_retention_old.db", {
+    daysOld: 40,
+  });
+  const newPath = await storeUpload("database_retention_new.db", {
+    daysOld: 1,
+  });
+
+  const result = await runCleanup(appDb, { maxAgeDays: 30, quotaBytes: 0 });
+
+  expect(result.uploadsRemoved).toEqual([
+    {
+      filename: "database_retention_old.db",
+      userId: user.id,
+      reason: "older than 30 days",
+    },
+  ]);
+  expect(existsSync(oldPath)).toBe(false);
+  expect(existsSync(newPath)).toBe(true);
+  expect(
+    await appDb.uploads.getByFilename("database_retention_old.db"),
+  ).toBeNull();
+});
+
+test("runCleanup should remove a user's oldest uploads once over quota", async () => {
+  await storeUpload("database_quota_oldest.db", { size: 40, daysOld: 3 });
+  await storeUpload("database_quota_middle.db", { size: 40, daysOld: 2 });
+  await storeUpload("database_quota_newest.db", { size: 40, daysOld: 1 });
+
+  const result = await runCleanup(appDb, { maxAgeDays: 0, quotaBytes: 100 });
+
+  expect(result.uploadsRemoved.map((upload) => upload.filename)).toEqual([
+    "database_quota_oldest.db",
+  ]);
+  const remaining = await appDb.uploads.listByUser(user.id);
+  expect(remaining.map((upload) => upload.filename)).toEqual([
+    "database_quota_newest.db",
+    "database_quota_middle.db",
+  ]);
+});
+
+test("runCleanup should keep the newest upload even if it exceeds the quota", async () => {
+  await storeUpload("database_quota_big.db", { size: 200 });
+
+  const result = await runCleanup(appDb, { maxAgeDays: 0, quotaBytes: 100 });
+
+  expect(result.uploadsRemoved).toEqual([]);
+  expect(
+    await appDb.uploads.getByFilename("database_quota_big.db"),
+  ).toBeTruthy();
+});
+
+test("runCleanup should prune expired sessions and auth tokens", async () => {
+  const past = new Date(Date.now() - 60 * 1000).toISOString();
+  await appDb.sessions.create("expired-session", user.id, past);
+  await appDb.authTokens.create(user.id, "expired-token", past);
+
+  const result = await runCleanup(appDb, { maxAgeDays: 0, quotaBytes: 0 });
+
+  expect(result.sessionsRemoved).toBe(1);
+  expect(result.tokensRemoved).toBe(1);
+});
+
+test("runCleanup should remove temp files that failed imports left behind", async () => {
+  const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+  const stale = [
+    "./uploads/.incoming_stale.db",
+    "./uploads/.incoming_stale.db.extract.0",
+    "./uploads/.incoming_stale.db-journal",
+  ];
+  for (const path of stale) {
+    await Bun.write(path, "x");
+    utimesSync(path, dayAgo, dayAgo);
+    storedFiles.push(path);
+  }
+  // Could belong to an import that is still running
+  await Bun.write("./uploads/.incoming_fresh.db", "x");
+  storedFiles.push("./uploads/.incoming_fresh.db");
+  const kept = await storeUpload("kept.db");
+  utimesSync(kept, dayAgo, dayAgo);
+
+  const result = await runCleanup(appDb, { maxAgeDays: 0, quotaBytes: 0 });
+
+  expect(result.tempFilesRemoved).toBe(3);
+  for (const path of stale) {
+    expect(existsSync(path)).toBe(false);
+  }
+  expect(existsSync("./uploads/.incoming_fresh.db")).toBe(true);
+  expect(existsSync(kept)).toBe(true);
+});
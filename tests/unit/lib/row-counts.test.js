@@ -0,0 +1,71 @@
+import { Database } from "bun:sqlite";
+import { expect, test } from "bun:test";
+import {
+  countTableRows,
+  createRowCountCache,
+  readRowEstimates,
+} from "../../../lib/row-counts.js";
+
+test("createRowCountCache should keep counts per file and table", () => {
+  const cache = createRowCountCache();
+
+  expect(cache.get("a.db", "users")).toBeNull();
+  cache.set("a.db", "users", 0);
+  cache.set("a.db", "orders", 12);
+  cache.set("b.db", "users", 5);
+  expect(cache.get("a.db", "users")).toBe(0);
+  expect(cache.get("b.db", "users")).toBe(5);
+
+  cache.invalidate("a.db");
+  expect(cache.get("a.db", "orders")).toBeNull();
+  expect(cache.size).toBe(1);
+});
+
+test("createRowCountCache should evict the least recently used count", () => {
+  const cache = createRowCountCache({ maxEntries: 2 });
+
+  cache.set("a.db", "one", 1);
+  cache.set("a.db", "two", 2);
+  cache.get("a.db", "one");
+  cache.set("a.db", "three", 3);
+
+  expect(cache.get("a.db", "one")).toBe(1);
+  expect(cache.get("a.db", "two")).toBeNull();
+  expect(cache.get("a.db", "three")).toBe(3);
+});
+
+test("readRowEstimates should read sqlite_stat1 when it exists", () => {
+  const db = new Database(":memory:");
+  db.exec(`
+    CREATE TABLE plain (x);
+    CREATE TABLE indexed (x);
+    CREATE INDEX indexed_some ON indexed (x) WHERE x > 5;
+  `);
+  expect(readRowEstimates(db).size).toBe(0);
+
+  const insert = db.prepare("INSERT INTO indexed (x) VALUES (?)");
+  for (let x = 1; x <= 10; x++) {
+    insert.run(x);
+  }
+  db.exec("INSERT INTO plain VALUES (1), (2); ANALYZE");
+
+  // The partial index only holds 5 rows; the table row holds all of them
+  expect(readRowEstimates(db)).toEqual(
+    new Map([
+      ["indexed", 10],
+      ["plain", 2],
+    ]),
+  );
+  db.close();
+});
+
+test("countTableRows should count a table and reject unknown names", () => {
+  const db = new Database(":memory:");
+  db.exec(
+    `CREATE TABLE "odd ""name""" (x); INSERT INTO "odd ""name""" VALUES (1)`,
+  );
+
+  expect(countTableRows(db, 'odd "name"')).toBe(1);
+  expect(() => countTableRows(db, "missing")).toThrow("no such table");
+  db.close();
+});
@@ -0,0 +1,131 @@
+import { expect, test } from "bun:test";
+import { findRelationships } from "../../../lib/schema-relationships.js";
+
+function table(columns, extra = {}) {
+  return {
+    type: "table",
+    columns: columns.map((name) => ({
+      name,
+      type: "INTEGER",
+      primaryKey: name === "id",
+    })),
+    foreignKeys: [],
+    ...extra,
+  };
+}
+
+test("findRelationships should list declared foreign keys", () => {
+  const schema = {
+    users: table(["id", "name"]),
+    posts: table(["id", "author", "title"], {
+      foreignKeys: [
+        {
+          table: "users",
+          from: ["author"],
+          to: ["id"],
+          onUpdate: "NO ACTION",
+          onDelete: "CASCADE",
+        },
+      ],
+    }),
+  };
+
+  expect(findRelationships(schema)).toEqual([
+    {
+      from: { table: "posts", columns: ["author"] },
+      to: { table: "users", columns: ["id"] },
+      inferred: false,
+    },
+  ]);
+});
+
+test("findRelationships should infer references from _id column names", () => {
+  const schema = {
+    customers: table(["id", "name"]),
+    categories: table(["id", "name"]),
+    Address: table(["id", "street"]),
+    orders: table(["id", "customer_id", "category_id", "address_id"]),
+  };
+
+  expect(findRelationships(schema)).toEqual([
+    {
+      from: { table: "orders", columns: ["customer_id"] },
+      to: { table: "customers", columns: ["id"] },
+      inferred: true,
+    },
+    {
+      from: { table: "orders", columns: ["category_id"] },
+      to: { table: "categories", columns: ["id"] },
+      inferred: true,
+    },
+    {
+      from: { table: "orders", columns: ["address_id"] },
+      to: { table: "Address", columns: ["id"] },
+      inferred: true,
+    },
+  ]);
+});
+
+test("findRelationships should point at the referenced table's primary key", () => {
+  const schema = {
+    products: {
+      ...table(["sku", "name"]),
+      columns: [
+        { name: "sku", type: "TEXT", primaryKey: true },
+        { name: "name", type: "TEXT", primaryKey: false },
+      ],
+    },
+    stock: table(["id", "product_id"]),
+    unrelated: table(["warehouse_id"]),
+  };
+
+  expect(findRelationships(schema)).toEqual([
+    {
+      from: { table: "stock", columns: ["product_id"] },
+      to: { table: "products", columns: ["sku"] },
+      inferred: true,
+    },
+  ]);
+});
+
+test("findRelationships should link JSON import child tables to their parent", () => {
+  const schema = {
+    orders: table(["_id", "total"]),
+    orders_items: table(["_id", "_parent_id", "sku"]),
+    orders_items_options: table(["_parent_id", "label"]),
+  };
+
+  expect(findRelationships(schema)).toEqual([
+    {
+      from: { table: "orders_items", columns: ["_parent_id"] },
+      to: { table: "orders", columns: ["_id"] },
+      inferred: true,
+    },
+    {
+      from: { table: "orders_items_options", columns: ["_parent_id"] },
+      to: { table: "orders_items", columns: ["_id"] },
+      inferred: true,
+    },
+  ]);
+});
+
+test("findRelationships should not infer what is declared or from views", () => {
+  const schema = {
+    users: table(["id", "user_id"]),
+    teams: table(["id"]),
+    members: table(["id", "team_id"], {
+      foreignKeys: [{ table: "teams", from: ["team_id"], to: ["id"] }],
+    }),
+    team_sizes: { ...table(["team_id", "size"]), type: "view" },
+  };
+
+  const relationships = findRelationships(schema);
+
+  expect(relationships).toHaveLength(2);
+  expect(relationships[0].inferred).toBe(false);
+  expect(relationships[1]).toEqual({
+    from: { table: "users", columns: ["user_id"] },
+    to: { table: "users", columns: ["id"] },
+    inferred: true,
+  });
+});
@@ -1,36 +1,38 @@
-import { expect, mock, test } from "bun:test";
+import { Database } from "bun:sqlite";
+import { afterAll, beforeAll, expect, mock, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import { queryCache } from "../../../../lib/query-cache.js";
 import { SqlQueryTool } from "../../../../lib/tools/sql-query-tool.js";
 
-// Mock the database manager and SQL validator
-const mockDatabaseManager = {
-  connect: mock(() => Promise.resolve()),
-  disconnect: mock(() => Promise.resolve()),
-  db: {
-    prepare: mock((query) => ({
-      get: mock(() => ({ total: 10 })),
-      all: mock(() => [
-        { id: 1, name: "John", email: "john@example.com" },
-        { id: 2, name: "Jane", email: "jane@example.com" },
-      ]),
-    })),
-  },
-};
+const TEST_DB_PATH = "./test-sql-query-tool.db";
 
-const mockValidateSqlForTool = mock((query) => ({ isValid: true }));
+// Counts far enough that it runs until it is stopped
+const ENDLESS_QUERY =
+  "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT COUNT(*) FROM n WHERE x < 0";
 
-mock.module("../../../../lib/database.js", () => ({
-  DatabaseManager: mock(() => mockDatabaseManager),
-}));
+const mockValidateSqlForTool = mock((query) => ({ isValid: true }));
 
 mock.module("../../../../lib/sqlValidator.js", () => ({
   validateSqlForTool: mockValidateSqlForTool,
 }));
 
+beforeAll(() => {
+  const db = new Database(TEST_DB_PATH, { create: true });
+  db.exec("CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, email TEXT)");
+  const insert = db.prepare("INSERT INTO users (name, email) VALUES (?, ?)");
+  for (let id = 1; id <= 10; id++) {
+    insert.run(`User ${id}`, `user${id}@example.com`);
+  }
+  db.close();
+});
+
+afterAll(() => {
+  unlinkSync(TEST_DB_PATH);
+});
+
 function createTool() {
-  mockDatabaseManager.connect.mockClear();
-  mockDatabaseManager.disconnect.mockClear();
-  mockDatabaseManager.db.prepare.mockClear();
   mockValidateSqlForTool.mockClear();
+  queryCache.clear();
   return new SqlQueryTool();
 }
 
@@ -171,7 +173,7 @@ test("SqlQueryTool should execute query successfully", async () => {
     query: "SELECT * FROM users",
     explanation: "Get all users",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
@@ -180,8 +182,7 @@ test("SqlQueryTool should execute query successfully", async () => {
   expect(result.data).toBeDefined();
   expect(result.data.summary.query).toBe("SELECT * FROM users");
   expect(result.data.summary.explanation).toBe("Get all users");
-  expect(mockDatabaseManager.connect).toHaveBeenCalled();
-  expect(mockDatabaseManager.disconnect).toHaveBeenCalled();
+  expect(result.data.summary.returnedRows).toBe(10);
 });
 
 test("SqlQueryTool should handle missing database path", async () => {
@@ -202,28 +203,12 @@ test("SqlQueryTool should handle missing database path", async () => {
 });
 
 test("SqlQueryTool should handle table not found errors", async () => {
-  const errorDbManager = {
-    connect: mock(() => Promise.resolve()),
-    disconnect: mock(() => Promise.resolve()),
-    db: {
-      prepare: mock(() => {
-        throw new Error("no such table: nonexistent");
-      }),
-    },
-  };
-
-  const originalDbManager = mockDatabaseManager;
-  mock.module("../../../../lib/database.js", () => ({
-    DatabaseManager: mock(() => errorDbManager),
-  }));
-
-  const tool = new SqlQueryTool();
-
+  const tool = createTool();
   const parameters = {
     query: "SELECT * FROM nonexistent",
     explanation: "Query nonexistent table",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
@@ -232,35 +217,15 @@ test("SqlQueryTool should handle table not found errors", async () => {
     "Table not found in database. Use get_schema_info to see available tables.",
   );
   expect(result.action).toBe("sql_error");
-
-  mock.module("../../../../lib/database.js", () => ({
-    DatabaseManager: mock(() => originalDbManager),
-  }));
 });
 
 test("SqlQueryTool should handle column not found errors", async () => {
-  const errorDbManager = {
-    connect: mock(() => Promise.resolve()),
-    disconnect: mock(() => Promise.resolve()),
-    db: {
-      prepare: mock(() => {
-        throw new Error("no such column: nonexistent_column");
-      }),
-    },
-  };
-
-  const originalDbManager = mockDatabaseManager;
-  mock.module("../../../../lib/database.js", () => ({
-    DatabaseManager: mock(() => errorDbManager),
-  }));
-
-  const tool = new SqlQueryTool();
-
+  const tool = createTool();
   const parameters = {
     query: "SELECT nonexistent_column FROM users",
     explanation: "Query nonexistent column",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
@@ -269,45 +234,48 @@ test("SqlQueryTool should handle column not found errors", async () => {
     "Column not found. Use get_schema_info to see available columns.",
   );
   expect(result.action).toBe("sql_error");
-
-  mock.module("../../../../lib/database.js", () => ({
-    DatabaseManager: mock(() => originalDbManager),
-  }));
 });
 
 test("SqlQueryTool should handle SQL syntax errors", async () => {
-  const errorDbManager = {
-    connect: mock(() => Promise.resolve()),
-    disconnect: mock(() => Promise.resolve()),
-    db: {
-      prepare: mock(() => {
-        throw new Error("syntax error near 'INVALID'");
-      }),
-    },
-  };
-
-  const originalDbManager = mockDatabaseManager;
-  mock.module("../../../../lib/database.js", () => ({
-    DatabaseManager: mock(() => errorDbManager),
-  }));
-
-  const tool = new SqlQueryTool();
-
+  const tool = createTool();
   const parameters = {
-    query: "SELECT * FROM users WHERE INVALID",
+    query: "SELECT * FROM users WHERE id = = 1",
     explanation: "Query with syntax error",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
   expect(result.success).toBe(false);
   expect(result.error).toContain("SQL syntax error");
   expect(result.action).toBe("sql_error");
+});
 
-  mock.module("../../../../lib/database.js", () => ({
-    DatabaseManager: mock(() => originalDbManager),
-  }));
+test("SqlQueryTool should stop a slow query without holding up the server", async () => {
+  const tool = createTool();
+  const previousTimeout = process.env.QUERY_TIMEOUT_SECONDS;
+  process.env.QUERY_TIMEOUT_SECONDS = "0.5";
+  // Ticks only while the event loop is free to run them
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 50);
+
+  try {
+    const result = await tool.execute(
+      { query: ENDLESS_QUERY, explanation: "Count forever" },
+      { databasePath: TEST_DB_PATH },
+    );
+
+    expect(result).toEqual({
+      success: false,
+      error: "Query timed out after 0.5 seconds",
+      action: "query_timeout",
+    });
+    expect(ticks).toBeGreaterThan(3);
+  } finally {
+    clearInterval(ticker);
+    // An empty value falls back to the default
+    process.env.QUERY_TIMEOUT_SECONDS = previousTimeout ?? "";
+  }
 });
 
 test("SqlQueryTool should respect pageSize parameter", async () => {
@@ -315,56 +283,58 @@ test("SqlQueryTool should respect pageSize parameter", async () => {
   const parameters = {
     query: "SELECT * FROM users",
     explanation: "Get all users",
-    pageSize: 25,
+    pageSize: 3,
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
-  await tool.execute(parameters, context);
+  const result = await tool.execute(parameters, context);
 
-  // Check that the query was called with LIMIT 25
-  const calls = mockDatabaseManager.db.prepare.mock.calls;
-  const paginatedCall = calls.find((call) => call[0].includes("LIMIT 25"));
-  expect(paginatedCall).toBeDefined();
+  expect(result.data.summary.totalRows).toBe(10);
+  expect(result.data.summary.returnedRows).toBe(3);
+  expect(result.data.summary.hasMoreData).toBe(true);
 });
 
 test("SqlQueryTool should format results for AI consumption", async () => {
   const tool = createTool();
   const parameters = {
-    query: "SELECT id, name FROM users",
+    query: "SELECT id, name, email FROM users",
     explanation: "Get user list",
+    pageSize: 2,
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
   expect(result.data.summary).toBeDefined();
-  expect(result.data.summary.query).toBe("SELECT id, name FROM users");
+  expect(result.data.summary.query).toBe("SELECT id, name, email FROM users");
   expect(result.data.summary.explanation).toBe("Get user list");
   expect(result.data.summary.totalRows).toBe(10);
   expect(result.data.summary.returnedRows).toBe(2);
-  expect(result.data.summary.columns).toBe(3); // id, name, email from mock
+  expect(result.data.summary.columns).toBe(3);
   expect(result.data.summary.columnNames).toEqual(["id", "name", "email"]);
 
   expect(result.data.textSummary).toContain("Query executed successfully");
   expect(result.data.textSummary).toContain("Found 10 total rows");
-  expect(result.data.textSummary).toContain("Columns: id, name, email");
+  expect(result.data.textSummary).toContain(
+    "Columns: id (INTEGER), name (TEXT), email (TEXT)",
+  );
 
   expect(result.data.results.columns).toEqual(["id", "name", "email"]);
+  expect(result.data.results.columnInfo[0]).toEqual({
+    name: "id",
+    declaredType: "INTEGER",
+    affinity: "INTEGER",
+  });
   expect(result.data.results.rows).toHaveLength(2);
 });
 
 test("SqlQueryTool should handle empty result sets", async () => {
   const tool = createTool();
-  mockDatabaseManager.db.prepare.mockImplementation((query) => ({
-    get: mock(() => ({ total: 0 })),
-    all: mock(() => []),
-  }));
-
   const parameters = {
-    query: "SELECT * FROM users WHERE 1=0",
+    query: "SELECT id, name FROM users WHERE 1=0",
     explanation: "Get no users",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
@@ -372,56 +342,87 @@ test("SqlQueryTool should handle empty result sets", async () => {
   expect(result.data.summary.totalRows).toBe(0);
   expect(result.data.summary.returnedRows).toBe(0);
   expect(result.data.textSummary).toContain("No data returned");
+  // Columns are known even without rows
+  expect(result.data.summary.columnNames).toEqual(["id", "name"]);
 });
 
 test("SqlQueryTool should handle queries with existing LIMIT clause", async () => {
   const tool = createTool();
-  mockDatabaseManager.db.prepare.mockImplementation((query) => ({
-    all: mock(() => [{ id: 1, name: "John" }]),
-  }));
-
   const parameters = {
-    query: "SELECT * FROM users ORDER BY id DESC LIMIT 1",
+    query: "SELECT id, name FROM users ORDER BY id DESC LIMIT 1",
     explanation: "Get the newest user",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
   expect(result.success).toBe(true);
   expect(result.data.summary.totalRows).toBe(1);
   expect(result.data.summary.returnedRows).toBe(1);
-
-  // Verify the query was executed as-is without adding extra LIMIT
-  const calls = mockDatabaseManager.db.prepare.mock.calls;
-  const queryCall = calls.find(
-    (call) => call[0] === "SELECT * FROM users ORDER BY id DESC LIMIT 1",
-  );
-  expect(queryCall).toBeDefined();
+  expect(result.data.results.rows).toEqual([[10, "User 10"]]);
 });
 
 test("SqlQueryTool should handle queries with existing OFFSET clause", async () => {
   const tool = createTool();
-  mockDatabaseManager.db.prepare.mockImplementation((query) => ({
-    all: mock(() => [{ id: 2, name: "Jane" }]),
-  }));
-
   const parameters = {
-    query: "SELECT * FROM users ORDER BY id LIMIT 1 OFFSET 1",
+    query: "SELECT id, name FROM users ORDER BY id LIMIT 1 OFFSET 1",
     explanation: "Get the second user",
   };
-  const context = { databasePath: "/path/to/db.sqlite" };
+  const context = { databasePath: TEST_DB_PATH };
 
   const result = await tool.execute(parameters, context);
 
   expect(result.success).toBe(true);
   expect(result.data.summary.totalRows).toBe(1);
   expect(result.data.summary.returnedRows).toBe(1);
+  expect(result.data.results.rows).toEqual([[2, "User 2"]]);
+});
+
+test("SqlQueryTool should reuse results for a repeated query", async () => {
+  const tool = createTool();
+  const cachedPath = "./test-sql-query-tool-cached.db";
+  const db = new Database(cachedPath, { create: true });
+  db.exec("CREATE TABLE users (id INTEGER, name TEXT)");
+  db.exec("INSERT INTO users VALUES (1, 'John'), (2, 'Jane')");
+  const parameters = {
+    query: "SELECT id, name FROM users",
+    explanation: "List users",
+  };
+  const context = { databasePath: cachedPath };
+
+  try {
+    const first = await tool.execute(parameters, context);
+    // Stored databases don't change, so a change here can't be seen
+    db.exec("INSERT INTO users VALUES (3, 'Jim')");
+    const second = await tool.execute(parameters, context);
+
+    expect(first.data.summary.totalRows).toBe(2);
+    expect(second.data).toEqual(first.data);
+  } finally {
+    db.close();
+    unlinkSync(cachedPath);
+  }
+});
+
+test("SqlQueryTool should say when the row count is a lower bound", () => {
+  const tool = createTool();
 
-  // Verify the query was executed as-is without adding extra LIMIT/OFFSET
-  const calls = mockDatabaseManager.db.prepare.mock.calls;
-  const queryCall = calls.find(
-    (call) => call[0] === "SELECT * FROM users ORDER BY id LIMIT 1 OFFSET 1",
+  const formatted = tool.formatResultsForAI(
+    {
+      columns: ["id"],
+      columnInfo: [
+        { name: "id", declaredType: "INTEGER", affinity: "INTEGER" },
+      ],
+      rows: [[1]],
+      totalRows: 10000,
+      pageSize: 50,
+      hasMore: true,
+      approximate: true,
+    },
+    { query: "SELECT id FROM events", explanation: "All events" },
   );
-  expect(queryCall).toBeDefined();
+
+  expect(formatted.summary.totalRows).toBe(10000);
+  expect(formatted.summary.totalRowsIsLowerBound).toBe(true);
+  expect(formatted.textSummary).toContain("Found at least 10000 total rows");
 });
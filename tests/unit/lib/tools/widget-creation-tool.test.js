@@ -1,34 +1,35 @@
-import { expect, mock, test } from "bun:test";
+import { Database } from "bun:sqlite";
+import { afterAll, beforeAll, expect, mock, test } from "bun:test";
+import { unlinkSync } from "node:fs";
 import { WidgetCreationTool } from "../../../../lib/tools/widget-creation-tool.js";
 
-const mockDatabaseManager = {
-  connect: mock(() => Promise.resolve()),
-  disconnect: mock(() => Promise.resolve()),
-  db: {
-    prepare: mock((query) => ({
-      all: mock(() => [
-        { category: "Electronics", total: 15000 },
-        { category: "Books", total: 8500 },
-        { category: "Clothing", total: 12000 },
-      ]),
-    })),
-  },
-};
+const TEST_DB_PATH = "./test-widget-creation-tool.db";
 
 const mockValidateSqlForWidget = mock((query) => ({ isValid: true }));
 
-mock.module("../../../../lib/database.js", () => ({
-  DatabaseManager: mock(() => mockDatabaseManager),
-}));
-
 mock.module("../../../../lib/sqlValidator.js", () => ({
   validateSqlForWidget: mockValidateSqlForWidget,
 }));
 
+beforeAll(() => {
+  const db = new Database(TEST_DB_PATH, { create: true });
+  db.exec(`
+    CREATE TABLE customers (name TEXT, email TEXT);
+    INSERT INTO customers VALUES ('John', 'john@example.com');
+    CREATE TABLE sales (category TEXT, amount REAL);
+    INSERT INTO sales VALUES ('Electronics', 15000), ('Books', 8500);
+    CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);
+    INSERT INTO users (name) VALUES ('John'), ('Jane');
+    CREATE TABLE data (label TEXT, value INTEGER);
+  `);
+  db.close();
+});
+
+afterAll(() => {
+  unlinkSync(TEST_DB_PATH);
+});
+
 function createTool() {
-  if (mockDatabaseManager.db?.prepare) {
-    mockDatabaseManager.db.prepare.mockClear();
-  }
   mockValidateSqlForWidget.mockClear();
   return new WidgetCreationTool();
 }
@@ -103,7 +104,7 @@ test("WidgetCreationTool - successful data table creation", async () => {
     height: 2,
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(true);
   expect(result.action).toBe("widget_created");
@@ -116,9 +117,16 @@ test("WidgetCreationTool - successful data table creation", async () => {
   expect(result.widgetConfig.results).toBeDefined();
   expect(result.message).toContain("Successfully created data-table widget");
 
-  expect(mockDatabaseManager.db.prepare).toHaveBeenCalledWith(
-    "SELECT name, email FROM customers",
-  );
+  expect(result.widgetConfig.results).toEqual({
+    columns: ["name", "email"],
+    columnInfo: [
+      { name: "name", declaredType: "TEXT", affinity: "TEXT" },
+      { name: "email", declaredType: "TEXT", affinity: "TEXT" },
+    ],
+    rows: [["John", "john@example.com"]],
+    totalRows: 1,
+    hasMore: false,
+  });
 
   expect(mockValidateSqlForWidget).toHaveBeenCalledWith(
     "SELECT name, email FROM customers",
@@ -140,7 +148,7 @@ test("WidgetCreationTool - successful graph widget creation", async () => {
     chartFunction,
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(true);
   expect(result.action).toBe("widget_created");
@@ -183,7 +191,7 @@ test("WidgetCreationTool - invalid widget type", async () => {
     query: "SELECT * FROM users",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(false);
   expect(result.error).toContain("Invalid widgetType");
@@ -221,7 +229,7 @@ test("WidgetCreationTool - graph widget without chart function", async () => {
     query: "SELECT category, count FROM sales",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(false);
   expect(result.error).toContain("chartFunction is required for graph widgets");
@@ -232,11 +240,11 @@ test("WidgetCreationTool - invalid chart function", async () => {
   const args = {
     title: "My Chart",
     widgetType: "graph",
-    query: "SELECT category, count FROM sales",
+    query: "SELECT category, amount FROM sales",
     chartFunction: "not a valid function",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(false);
   expect(result.error).toContain(
@@ -258,7 +266,7 @@ test("WidgetCreationTool - SQL validation failure", async () => {
     query: "INVALID SQL QUERY",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(false);
   expect(result.error).toContain("Invalid SQL query: Invalid SQL syntax");
@@ -267,22 +275,16 @@ test("WidgetCreationTool - SQL validation failure", async () => {
 test("WidgetCreationTool - database query failure", async () => {
   const tool = createTool();
 
-  mockDatabaseManager.db.prepare.mockImplementationOnce(() => {
-    throw new Error("Database connection failed");
-  });
-
   const args = {
     title: "My Widget",
     widgetType: "data-table",
-    query: "SELECT * FROM users",
+    query: "SELECT * FROM orders",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(false);
-  expect(result.error).toContain(
-    "Query execution failed: Database connection failed",
-  );
+  expect(result.error).toBe("Query execution failed: no such table: orders");
 });
 
 test("WidgetCreationTool - default width and height", async () => {
@@ -293,7 +295,7 @@ test("WidgetCreationTool - default width and height", async () => {
     query: "SELECT * FROM users",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(true);
   expect(result.widgetConfig.width).toBe(2);
@@ -308,7 +310,7 @@ test("WidgetCreationTool - trims whitespace from inputs", async () => {
     query: "  SELECT * FROM users  ",
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(true);
   expect(result.widgetConfig.title).toBe("My Widget");
@@ -330,7 +332,7 @@ test("WidgetCreationTool - chart function trimming", async () => {
     chartFunction,
   };
 
-  const result = await tool.execute(args, { databasePath: "test.db" });
+  const result = await tool.execute(args, { databasePath: TEST_DB_PATH });
 
   expect(result.success).toBe(true);
   expect(result.widgetConfig.chartFunction).toBe(chartFunction.trim());
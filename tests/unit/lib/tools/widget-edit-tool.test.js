@@ -1,34 +1,34 @@
-import { expect, mock, test } from "bun:test";
+import { Database } from "bun:sqlite";
+import { afterAll, beforeAll, expect, mock, test } from "bun:test";
+import { unlinkSync } from "node:fs";
 import { WidgetEditTool } from "../../../../lib/tools/widget-edit-tool.js";
 
-const mockDatabaseManager = {
-  connect: mock(() => Promise.resolve()),
-  disconnect: mock(() => Promise.resolve()),
-  db: {
-    prepare: mock((query) => ({
-      all: mock(() => [
-        { category: "Electronics", total: 15000 },
-        { category: "Books", total: 8500 },
-        { category: "Clothing", total: 12000 },
-      ]),
-    })),
-  },
-};
+const TEST_DB_PATH = "./test-widget-edit-tool.db";
 
 const mockValidateSqlForWidget = mock((query) => ({ isValid: true }));
 
-mock.module("../../../../lib/database.js", () => ({
-  DatabaseManager: mock(() => mockDatabaseManager),
-}));
-
 mock.module("../../../../lib/sqlValidator.js", () => ({
   validateSqlForWidget: mockValidateSqlForWidget,
 }));
 
+beforeAll(() => {
+  const db = new Database(TEST_DB_PATH, { create: true });
+  db.exec(`
+    CREATE TABLE customers (name TEXT, email TEXT);
+    INSERT INTO customers VALUES ('John', 'john@example.com');
+    CREATE TABLE sales (category TEXT, amount REAL);
+    INSERT INTO sales VALUES ('Electronics', 15000), ('Books', 8500);
+    CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);
+    INSERT INTO users (name) VALUES ('John'), ('Jane');
+  `);
+  db.close();
+});
+
+afterAll(() => {
+  unlinkSync(TEST_DB_PATH);
+});
+
 function createTool() {
-  if (mockDatabaseManager.db?.prepare) {
-    mockDatabaseManager.db.prepare.mockClear();
-  }
   mockValidateSqlForWidget.mockClear();
   return new WidgetEditTool();
 }
@@ -47,7 +47,7 @@ const mockWidgets = [
     id: 2,
     title: "Chart Widget",
     type: "graph",
-    query: "SELECT category, count FROM sales",
+    query: "SELECT category, amount FROM sales",
     dimensions: { width: 3, height: 2 },
     chartFunction: "function createChart() { return svg; }",
     hasResults: true,
@@ -105,7 +105,7 @@ test("WidgetEditTool - successful title update", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -125,7 +125,7 @@ test("WidgetEditTool - successful query update", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -137,9 +137,9 @@ test("WidgetEditTool - successful query update", async () => {
   expect(result.widgetConfig.results).toBeDefined();
   expect(result.message).toContain("query");
 
-  expect(mockDatabaseManager.db.prepare).toHaveBeenCalledWith(
-    "SELECT name, email FROM customers",
-  );
+  expect(result.widgetConfig.results.rows).toEqual([
+    ["John", "john@example.com"],
+  ]);
   expect(mockValidateSqlForWidget).toHaveBeenCalledWith(
     "SELECT name, email FROM customers",
   );
@@ -158,7 +158,7 @@ test("WidgetEditTool - successful widget type conversion", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -178,7 +178,7 @@ test("WidgetEditTool - multiple property updates", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -229,7 +229,7 @@ test("WidgetEditTool - widget not found", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -245,7 +245,7 @@ test("WidgetEditTool - invalid widget type", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -262,7 +262,7 @@ test("WidgetEditTool - graph widget requires chart function", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -279,7 +279,7 @@ test("WidgetEditTool - invalid chart function", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -303,7 +303,7 @@ test("WidgetEditTool - SQL validation failure", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -314,24 +314,18 @@ test("WidgetEditTool - SQL validation failure", async () => {
 test("WidgetEditTool - database query failure", async () => {
   const tool = createTool();
 
-  mockDatabaseManager.db.prepare.mockImplementationOnce(() => {
-    throw new Error("Database connection failed");
-  });
-
   const args = {
     widgetId: 1,
-    query: "SELECT * FROM customers",
+    query: "SELECT * FROM orders",
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
   expect(result.success).toBe(false);
-  expect(result.error).toContain(
-    "Query execution failed: Database connection failed",
-  );
+  expect(result.error).toBe("Query execution failed: no such table: orders");
 });
 
 test("WidgetEditTool - no database path", async () => {
@@ -359,7 +353,7 @@ test("WidgetEditTool - trims whitespace from inputs", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -376,7 +370,7 @@ test("WidgetEditTool - preserves existing chart function for graph widgets", asy
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -394,13 +388,12 @@ test("WidgetEditTool - only title update doesn't re-execute query", async () =>
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
   expect(result.success).toBe(true);
   expect(result.widgetConfig.results).toBeUndefined(); // no new results
-  expect(mockDatabaseManager.db.prepare).not.toHaveBeenCalled();
 });
 
 test("WidgetEditTool - successful width and height update", async () => {
@@ -412,7 +405,7 @@ test("WidgetEditTool - successful width and height update", async () => {
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -463,7 +456,7 @@ test("WidgetEditTool - preserve existing dimensions when not specified", async (
   };
 
   const result = await tool.execute(args, {
-    databasePath: "test.db",
+    databasePath: TEST_DB_PATH,
     widgets: mockWidgets,
   });
 
@@ -0,0 +1,69 @@
+import { afterAll, beforeAll, expect, test } from "bun:test";
+import { mkdirSync, unlinkSync, writeFileSync } from "node:fs";
+import { resolveUserDatabase } from "../../../lib/upload-access.js";
+import {
+  setupTestAppDatabase,
+  teardownTestAppDatabase,
+} from "../../helpers/app-database.js";
+
+const TEST_APP_DB_PATH = "./test-upload-access-app.db";
+const FILENAME = `test-access-${Date.now()}.db`;
+
+let appDb;
+let owner;
+
+beforeAll(async () => {
+  ({ appDb, user: owner } = await setupTestAppDatabase(TEST_APP_DB_PATH));
+  mkdirSync("./uploads", { recursive: true });
+  writeFileSync(`./uploads/${FILENAME}`, "SQLite format 3\0");
+  await appDb.uploads.create({
+    filename: FILENAME,
+    userId: owner.id,
+    originalFilename: "mine.db",
+    size: 16,
+  });
+});
+
+afterAll(async () => {
+  unlinkSync(`./uploads/${FILENAME}`);
+  await teardownTestAppDatabase(appDb, TEST_APP_DB_PATH);
+});
+
+test("resolveUserDatabase should resolve files the user owns", async () => {
+  const result = await resolveUserDatabase(FILENAME, owner);
+
+  expect(result.success).toBe(true);
+  expect(result.filePath).toBe(`uploads/${FILENAME}`);
+  expect(result.upload.original_filename).toBe("mine.db");
+});
+
+test("resolveUserDatabase should treat other users' files as missing", async () => {
+  const other = await appDb.users.create("someone-else@example.com");
+
+  expect(await resolveUserDatabase(FILENAME, other)).toEqual({
+    success: false,
+    status: 404,
+    error: "Database file not found",
+  });
+  expect((await resolveUserDatabase(FILENAME, undefined)).status).toBe(404);
+});
+
+test("resolveUserDatabase should reject path traversal", async () => {
+  const result = await resolveUserDatabase("../app.db", owner);
+
+  expect(result.status).toBe(400);
+  expect(result.error).toBe("Invalid filename");
+});
+
+test("resolveUserDatabase should report owned files that no longer exist", async () => {
+  await appDb.uploads.create({
+    filename: "database_gone.db",
+    userId: owner.id,
+    originalFilename: "gone.db",
+    size: 1,
+  });
+
+  expect((await resolveUserDatabase("database_gone.db", owner)).status).toBe(
+    404,
+  );
+});
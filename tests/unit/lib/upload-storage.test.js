@@ -0,0 +1,84 @@
+import { afterEach, expect, test } from "bun:test";
+import { existsSync, unlinkSync } from "node:fs";
+import { join } from "node:path";
+import {
+  releaseStoredDatabase,
+  storeUploadedDatabase,
+} from "../../../lib/upload-storage.js";
+
+const BYTES = "identical upload bytes";
+const FILENAME = `${new Bun.CryptoHasher("sha256").update(BYTES).digest("hex")}.db`;
+const STORED_PATH = join("./uploads", FILENAME);
+const TEMP_PATH = "./uploads/.incoming_upload-storage-test.db";
+
+afterEach(() => {
+  for (const path of [STORED_PATH, TEMP_PATH]) {
+    try {
+      unlinkSync(path);
+    } catch {
+      // Already gone
+    }
+  }
+});
+
+// Upload records kept in memory; counting them takes a moment, like a query
+function createAppDatabase() {
+  const references = new Set();
+  return {
+    references,
+    uploads: {
+      async countByFilename(filename) {
+        await Bun.sleep(50);
+        return [...references].filter((ref) => ref.filename === filename)
+          .length;
+      },
+    },
+  };
+}
+
+test("storeUploadedDatabase should keep a file a release was about to delete", async () => {
+  const appDatabase = createAppDatabase();
+  await Bun.write(STORED_PATH, BYTES);
+  await Bun.write(TEMP_PATH, BYTES);
+
+  // The last record was just removed; the same bytes are uploaded again
+  const releasing = releaseStoredDatabase(FILENAME, appDatabase);
+  const storing = storeUploadedDatabase(
+    TEMP_PATH,
+    async ({ filename }) => {
+      appDatabase.references.add({ filename, userId: 2 });
+      return filename;
+    },
+    appDatabase,
+  );
+
+  expect(await releasing).toBe(true);
+  expect(await storing).toBe(FILENAME);
+  expect(existsSync(STORED_PATH)).toBe(true);
+  expect(existsSync(TEMP_PATH)).toBe(false);
+});
+
+test("storeUploadedDatabase should release the file when recording fails", async () => {
+  const appDatabase = createAppDatabase();
+  await Bun.write(TEMP_PATH, BYTES);
+
+  await expect(
+    storeUploadedDatabase(
+      TEMP_PATH,
+      async () => {
+        throw new Error("insert failed");
+      },
+      appDatabase,
+    ),
+  ).rejects.toThrow("insert failed");
+  expect(existsSync(STORED_PATH)).toBe(false);
+});
+
+test("releaseStoredDatabase should keep files that are still referenced", async () => {
+  const appDatabase = createAppDatabase();
+  await Bun.write(STORED_PATH, BYTES);
+  appDatabase.references.add({ filename: FILENAME, userId: 1 });
+
+  expect(await releaseStoredDatabase(FILENAME, appDatabase)).toBe(false);
+  expect(existsSync(STORED_PATH)).toBe(true);
+});
@@ -0,0 +1,196 @@
+import { afterAll, beforeAll, expect, test } from "bun:test";
+import { existsSync, mkdirSync, writeFileSync } from "node:fs";
+import { queryCache } from "../../../lib/query-cache.js";
+import { rowCountCache } from "../../../lib/row-counts.js";
+import {
+  handleDeleteUpload,
+  handleListUploads,
+  handleRenameUpload,
+} from "../../../routes/library.js";
+import {
+  setupTestAppDatabase,
+  teardownTestAppDatabase,
+} from "../../helpers/app-database.js";
+
+const TEST_APP_DB_PATH = "./test-library-app.db";
+
+let appDb;
+let owner;
+let otherUser;
+
+beforeAll(async () => {
+  ({ appDb, user: owner } = await setupTestAppDatabase(TEST_APP_DB_PATH));
+  otherUser = await appDb.users.create("other@example.com");
+  mkdirSync("./uploads", { recursive: true });
+});
+
+afterAll(async () => {
+  await teardownTestAppDatabase(appDb, TEST_APP_DB_PATH);
+});
+
+async function createUpload(userId, originalFilename = "sales.sqlite") {
+  const filename = `test-library-${Date.now()}-${Math.floor(Math.random() * 10000)}.db`;
+  writeFileSync(`./uploads/${filename}`, "SQLite format 3\0");
+  await appDb.uploads.create({
+    filename,
+    userId,
+    originalFilename,
+    size: 16,
+  });
+  return filename;
+}
+
+function createRequest(user, { method = "GET", filename, body } = {}) {
+  const request = new Request(
+    `http://localhost:3001/api/uploads${filename ? `/${filename}` : ""}`,
+    { method, body: body ? JSON.stringify(body) : undefined },
+  );
+  request.user = user;
+  request.params = { filename };
+  return request;
+}
+
+test("handleListUploads should list only the user's databases", async () => {
+  const mine = await createUpload(owner.id, "mine.db");
+  const theirs = await createUpload(otherUser.id, "theirs.db");
+
+  try {
+    const response = await handleListUploads(createRequest(owner));
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    const filenames = body.uploads.map((upload) => upload.filename);
+    expect(filenames).toContain(mine);
+    expect(filenames).not.toContain(theirs);
+
+    const entry = body.uploads.find((upload) => upload.filename === mine);
+    expect(entry.label).toBe("mine.db");
+    expect(entry.originalFilename).toBe("mine.db");
+    expect(entry.size).toBe(16);
+    expect(entry.createdAt).toBeTruthy();
+  } finally {
+    await handleDeleteUpload(
+      createRequest(owner, { method: "DELETE", filename: mine }),
+    );
+    await handleDeleteUpload(
+      createRequest(otherUser, { method: "DELETE", filename: theirs }),
+    );
+  }
+});
+
+test("handleRenameUpload should set and clear a friendly label", async () => {
+  const filename = await createUpload(owner.id, "export_2024.db");
+
+  try {
+    const renamed = await handleRenameUpload(
+      createRequest(owner, {
+        method: "PATCH",
+        filename,
+        body: { label: "  Q1 sales  " },
+      }),
+    );
+    expect(renamed.status).toBe(200);
+    expect((await renamed.json()).upload.label).toBe("Q1 sales");
+
+    const cleared = await handleRenameUpload(
+      createRequest(owner, { method: "PATCH", filename, body: { label: "" } }),
+    );
+    expect((await cleared.json()).upload.label).toBe("export_2024.db");
+  } finally {
+    await handleDeleteUpload(
+      createRequest(owner, { method: "DELETE", filename }),
+    );
+  }
+});
+
+test("handleRenameUpload should validate the label and ownership", async () => {
+  const filename = await createUpload(owner.id);
+
+  try {
+    const tooLong = await handleRenameUpload(
+      createRequest(owner, {
+        method: "PATCH",
+        filename,
+        body: { label: "x".repeat(101) },
+      }),
+    );
+    expect(tooLong.status).toBe(400);
+
+    const notString = await handleRenameUpload(
+      createRequest(owner, { method: "PATCH", filename, body: { label: 5 } }),
+    );
+    expect(notString.status).toBe(400);
+
+    const notMine = await handleRenameUpload(
+      createRequest(otherUser, {
+        method: "PATCH",
+        filename,
+        body: { label: "stolen" },
+      }),
+    );
+    expect(notMine.status).toBe(404);
+  } finally {
+    await handleDeleteUpload(
+      createRequest(owner, { method: "DELETE", filename }),
+    );
+  }
+});
+
+test("handleDeleteUpload should remove the file and its record", async () => {
+  const filename = await createUpload(owner.id);
+
+  const notMine = await handleDeleteUpload(
+    createRequest(otherUser, { method: "DELETE", filename }),
+  );
+  expect(notMine.status).toBe(404);
+  expect(existsSync(`./uploads/${filename}`)).toBe(true);
+
+  const response = await handleDeleteUpload(
+    createRequest(owner, { method: "DELETE", filename }),
+  );
+
+  expect(response.status).toBe(200);
+  expect(existsSync(`./uploads/${filename}`)).toBe(false);
+  expect(await appDb.uploads.getByFilename(filename)).toBeNull();
+});
+
+test("handleDeleteUpload should keep a file other users still reference", async () => {
+  const filename = await createUpload(owner.id);
+  await appDb.uploads.create({
+    filename,
+    userId: otherUser.id,
+    originalFilename: "sales.sqlite",
+    size: 16,
+  });
+
+  const response = await handleDeleteUpload(
+    createRequest(owner, { method: "DELETE", filename }),
+  );
+  expect(response.status).toBe(200);
+  expect(existsSync(`./uploads/${filename}`)).toBe(true);
+
+  await handleDeleteUpload(
+    createRequest(otherUser, { method: "DELETE", filename }),
+  );
+  expect(existsSync(`./uploads/${filename}`)).toBe(false);
+});
+
+test("handleDeleteUpload should drop cached results once the file is deleted", async () => {
+  const filename = await createUpload(owner.id);
+  queryCache.set(filename, "SELECT 1", 1, 50, { success: true, rows: [[1]] });
+  rowCountCache.set(filename, "users", 10);
+
+  await handleDeleteUpload(
+    createRequest(owner, { method: "DELETE", filename }),
+  );
+  expect(queryCache.get(filename, "SELECT 1", 1, 50)).toBeNull();
+  expect(rowCountCache.get(filename, "users")).toBeNull();
+});
+
+test("handleDeleteUpload should ignore path traversal attempts", async () => {
+  const response = await handleDeleteUpload(
+    createRequest(owner, { method: "DELETE", filename: "../app.db" }),
+  );
+
+  expect(response.status).toBe(404);
+});
@@ -1,4 +1,7 @@
+import { Database } from "bun:sqlite";
 import { expect, test } from "bun:test";
+import { unlinkSync } from "node:fs";
+import { connectionPool } from "../../lib/connection-pool.js";
 import { SchemaTool } from "../../lib/tools/schema-tool.js";
 
 test("SchemaTool getDefinition returns correct definition", () => {
@@ -53,3 +56,40 @@ test("SchemaTool validate parameters works correctly", () => {
   expect(invalidResult.valid).toBe(false);
   expect(invalidResult.error).toBe("tableName must be a string if provided");
 });
+
+test("SchemaTool summarizes relationships and views", async () => {
+  const path = "./test-schema-tool.db";
+  const db = new Database(path, { create: true });
+  db.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);
+    CREATE TABLE orders (id INTEGER PRIMARY KEY, user_id INTEGER REFERENCES users (id));
+    CREATE INDEX orders_user_id ON orders (user_id);
+    CREATE VIEW user_names AS SELECT name FROM users;
+  `);
+  db.close();
+
+  try {
+    const tool = new SchemaTool();
+    const orders = await tool.execute(
+      { tableName: "orders" },
+      { databasePath: path },
+    );
+    expect(orders.data.summary).toContain(
+      "Foreign keys: user_id -> users(id).",
+    );
+    expect(orders.data.summary).toContain(
+      "Indexes: orders_user_id on user_id.",
+    );
+
+    const view = await tool.execute(
+      { tableName: "user_names" },
+      { databasePath: path },
+    );
+    expect(view.data.summary).toBe(
+      "View 'user_names' has 1 columns and can be queried like a table. Columns: name (TEXT).",
+    );
+  } finally {
+    connectionPool.close(path);
+    unlinkSync(path);
+  }
+});
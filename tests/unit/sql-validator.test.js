@@ -1,6 +1,11 @@
 import { expect, test } from "bun:test";
 import {
+  SqlValidationError,
+  describeReadQuery,
+  findQueryParameters,
+  formatSqlError,
   isSelectQuery,
+  tokenizeSql,
   validateSql,
   validateSqlForTool,
   validateSqlForWidget,
@@ -152,3 +157,161 @@ test("LIMIT/OFFSET detection should handle edge cases", () => {
     validateSqlForWidget("SELECT * FROM users ORDER BY id LIMIT 10").isValid,
   ).toBe(false);
 });
+
+test("tokenizeSql should read literals, identifiers, parameters and skip comments", () => {
+  const tokens = tokenizeSql(
+    "SELECT 'it''s;' AS \"a b\", x'0F', 1.5e3, :name -- note\nFROM [t] /* c */ WHERE a->>'$.b' >= ?2",
+  );
+
+  expect(tokens.map((token) => [token.type, token.value])).toEqual([
+    ["word", "SELECT"],
+    ["string", "'it''s;'"],
+    ["word", "AS"],
+    ["identifier", '"a b"'],
+    ["punctuation", ","],
+    ["blob", "x'0F'"],
+    ["punctuation", ","],
+    ["number", "1.5e3"],
+    ["punctuation", ","],
+    ["parameter", ":name"],
+    ["word", "FROM"],
+    ["identifier", "[t]"],
+    ["word", "WHERE"],
+    ["word", "a"],
+    ["operator", "->>"],
+    ["string", "'$.b'"],
+    ["operator", ">="],
+    ["parameter", "?2"],
+  ]);
+  expect(tokens[10]).toMatchObject({ line: 2, column: 1, offset: 54 });
+});
+
+test("validateSql should allow semicolons and keywords inside literals and comments", () => {
+  expect(validateSql("SELECT * FROM users WHERE note = 'a; b'").isValid).toBe(
+    true,
+  );
+  expect(validateSql('SELECT "delete;" FROM users').isValid).toBe(true);
+  expect(
+    validateSqlForWidget("SELECT * FROM users -- LIMIT 10; DROP TABLE users")
+      .isValid,
+  ).toBe(true);
+  expect(
+    validateSqlForWidget("SELECT * FROM users /* LIMIT 10 */").isValid,
+  ).toBe(true);
+});
+
+test("validateSql should look past WITH clauses to the real statement", () => {
+  expect(
+    validateSql(
+      "WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 5) SELECT x FROM n",
+    ).isValid,
+  ).toBe(true);
+
+  const result = validateSql(
+    "WITH old AS (SELECT id FROM users) DELETE FROM users WHERE id IN old",
+  );
+  expect(result.isValid).toBe(false);
+  expect(result.error).toContain("DELETE operations are not allowed");
+  expect(result.column).toBe(36);
+
+  expect(
+    validateSql("WITH x AS (UPDATE users SET name = 1) SELECT 1").error,
+  ).toContain("UPDATE operations are not allowed");
+});
+
+test("validateSqlForWidget should only reject LIMIT/OFFSET on the outer query", () => {
+  expect(
+    validateSqlForWidget(
+      "SELECT * FROM (SELECT * FROM users ORDER BY id LIMIT 5)",
+    ).isValid,
+  ).toBe(true);
+  expect(
+    validateSqlForWidget(
+      "WITH top AS (SELECT * FROM users LIMIT 3 OFFSET 1) SELECT * FROM top",
+    ).isValid,
+  ).toBe(true);
+  expect(
+    validateSqlForWidget('SELECT "limit", [offset] FROM users').isValid,
+  ).toBe(true);
+});
+
+test("validateSql should report the line and column of problems", () => {
+  expect(validateSql("SELECT *\n  FROM users WHERE name = 'open")).toEqual({
+    isValid: false,
+    error: "String literal is never closed (missing ')",
+    line: 2,
+    column: 27,
+    offset: 35,
+  });
+  expect(validateSql("SELECT (1 + 2").error).toBe(
+    "Parenthesis is never closed",
+  );
+  expect(validateSql("SELECT 1)").error).toBe("Unmatched closing parenthesis");
+  expect(validateSql("SELECT 1;").column).toBe(9);
+});
+
+test("formatSqlError should append the position when there is one", () => {
+  expect(
+    formatSqlError(validateSqlForWidget("SELECT *\nFROM t\nLIMIT 1")),
+  ).toBe(
+    "LIMIT clauses are not allowed. We handle pagination automatically. (line 3, column 1)",
+  );
+  expect(formatSqlError(validateSql(""))).toBe(
+    "Query must be a non-empty string",
+  );
+});
+
+test("isSelectQuery should accept WITH ... SELECT", () => {
+  expect(isSelectQuery("WITH a AS (SELECT 1) SELECT * FROM a")).toBe(true);
+  expect(isSelectQuery("WITH a AS (SELECT 1) DELETE FROM t")).toBe(false);
+});
+
+test("validateSql should accept VALUES and parenthesized queries", () => {
+  expect(validateSqlForWidget("VALUES (1, 'a'), (2, 'b')").isValid).toBe(true);
+  expect(validateSqlForWidget("(SELECT * FROM users)").isValid).toBe(true);
+  expect(
+    validateSqlForWidget("((WITH a AS (SELECT 1) SELECT * FROM a))").isValid,
+  ).toBe(true);
+  expect(validateSqlForWidget("(SELECT * FROM users LIMIT 5)").error).toBe(
+    "LIMIT clauses are not allowed. We handle pagination automatically.",
+  );
+  expect(validateSql("(DELETE FROM users)").error).toContain(
+    "DELETE operations are not allowed",
+  );
+  expect(validateSql("()").error).toBe(
+    "Empty parentheses where a query was expected",
+  );
+});
+
+test("describeReadQuery should describe the outer statement", () => {
+  expect(describeReadQuery("  (SELECT * FROM users) -- all users")).toEqual({
+    sql: "SELECT * FROM users",
+    hasLimit: false,
+    endsWithValues: false,
+  });
+  expect(
+    describeReadQuery("SELECT * FROM (SELECT * FROM users LIMIT 5)").hasLimit,
+  ).toBe(false);
+  expect(describeReadQuery("SELECT * FROM users LIMIT 5").hasLimit).toBe(true);
+  expect(describeReadQuery("SELECT 1 UNION VALUES (2)").endsWithValues).toBe(
+    true,
+  );
+  expect(describeReadQuery("VALUES (2) UNION SELECT 1").endsWithValues).toBe(
+    false,
+  );
+  expect(() => describeReadQuery("DROP TABLE users")).toThrow(
+    SqlValidationError,
+  );
+});
+
+test("findQueryParameters should list :name placeholders once each", () => {
+  expect(
+    findQueryParameters(
+      "SELECT * FROM orders WHERE region = :region AND ':quoted' <> '' AND total > :min OR region = :region -- :comment",
+    ),
+  ).toEqual(["region", "min"]);
+  expect(
+    findQueryParameters("SELECT * FROM t WHERE id = ? OR id = $id"),
+  ).toEqual([]);
+  expect(findQueryParameters("SELECT 'unterminated")).toEqual([]);
+});
@@ -1,6 +1,39 @@
-import { describe, expect, mock, test } from "bun:test";
-import { MAX_FILE_SIZE } from "../../lib/constants.js";
-import { handleUpload } from "../../routes/upload.js";
+import { Database } from "bun:sqlite";
+import { afterAll, beforeAll, describe, expect, mock, test } from "bun:test";
+import { createHash } from "node:crypto";
+import { existsSync } from "node:fs";
+import { readdir, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { gzipSync } from "node:zlib";
+import { removeChunkedUpload } from "../../lib/chunked-uploads.js";
+import { MAX_FILE_SIZE, UPLOAD_CHUNK_SIZE } from "../../lib/constants.js";
+import { DatabaseManager } from "../../lib/database.js";
+import {
+  handleChunkedUploadChunk,
+  handleChunkedUploadComplete,
+  handleChunkedUploadInit,
+  handleChunkedUploadStatus,
+  handleUpload,
+} from "../../routes/upload.js";
+import {
+  setupTestAppDatabase,
+  teardownTestAppDatabase,
+} from "../helpers/app-database.js";
+import { createZip } from "../helpers/archive.js";
+import { cleanupUploadedFile } from "../helpers/database.js";
+
+const TEST_APP_DB_PATH = "./test-upload-app.db";
+
+let appDb;
+let owner;
+
+beforeAll(async () => {
+  ({ appDb, user: owner } = await setupTestAppDatabase(TEST_APP_DB_PATH));
+});
+
+afterAll(async () => {
+  await teardownTestAppDatabase(appDb, TEST_APP_DB_PATH);
+});
 
 describe("Upload Handler", () => {
   test("should reject files exceeding MAX_FILE_SIZE", async () => {
@@ -15,10 +48,12 @@ describe("Upload Handler", () => {
     // Mock FormData
     const mockFormData = {
       get: mock(() => oversizedFile),
+      getAll: mock(() => [oversizedFile]),
     };
 
     // Mock request with formData method
     const mockRequest = {
+      user: owner,
       formData: mock(() => Promise.resolve(mockFormData)),
     };
 
@@ -31,50 +66,57 @@ describe("Upload Handler", () => {
   });
 
   test("should accept files within size limit", async () => {
-    // Mock SQLite file content (SQLite header)
-    const sqliteHeader = new ArrayBuffer(16);
-    const view = new Uint8Array(sqliteHeader);
-    view.set([
-      0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66, 0x6f, 0x72, 0x6d, 0x61,
-      0x74, 0x20, 0x33, 0x00,
-    ]);
+    // A small but complete SQLite database, so it passes the integrity check
+    const db = new Database(":memory:");
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY)");
+    const sqliteFile = db.serialize();
+    db.close();
 
     // Mock file within size limit
     const validFile = {
-      size: 1024, // 1KB - well within limit
+      size: sqliteFile.byteLength, // well within limit
       name: "test.db",
       type: "application/x-sqlite3",
-      arrayBuffer: mock(() => Promise.resolve(sqliteHeader)),
+      arrayBuffer: mock(() => Promise.resolve(sqliteFile)),
     };
 
     // Mock FormData
     const mockFormData = {
       get: mock(() => validFile),
+      getAll: mock(() => [validFile]),
     };
 
     // Mock request
     const mockRequest = {
+      user: owner,
       formData: mock(() => Promise.resolve(mockFormData)),
     };
 
-    // Mock Bun.write to avoid actual file writing
-    const originalWrite = Bun.write;
-    Bun.write = mock(() => Promise.resolve());
+    const response = await handleUpload(mockRequest);
+    const responseBody = await response.json();
 
     try {
-      const response = await handleUpload(mockRequest);
-      const responseBody = await response.json();
-
       expect(response.status).toBe(200);
       expect(responseBody.success).toBe(true);
       expect(responseBody.filename).toBeDefined();
       expect(validFile.arrayBuffer).toHaveBeenCalled(); // Should read file buffer for validation
     } finally {
-      // Restore original Bun.write
-      Bun.write = originalWrite;
+      // The file is written for real so it can be stored under its hash
+      await cleanupUploadedFile(responseBody.filename);
     }
   });
 
+  test("should require an authenticated user", async () => {
+    const mockRequest = {
+      formData: mock(() => Promise.resolve({ getAll: () => [] })),
+    };
+
+    const response = await handleUpload(mockRequest);
+
+    expect(response.status).toBe(401);
+    expect(mockRequest.formData).not.toHaveBeenCalled();
+  });
+
   test("should reject empty files", async () => {
     // Mock empty file
     const emptyFile = {
@@ -85,10 +127,12 @@ describe("Upload Handler", () => {
     // Mock FormData
     const mockFormData = {
       get: mock(() => emptyFile),
+      getAll: mock(() => [emptyFile]),
     };
 
     // Mock request
     const mockRequest = {
+      user: owner,
       formData: mock(() => Promise.resolve(mockFormData)),
     };
 
@@ -99,3 +143,681 @@ describe("Upload Handler", () => {
     expect(responseBody.error).toBe("No file uploaded");
   });
 });
+
+describe("CSV/TSV Upload", () => {
+  function createCsvRequest(files) {
+    const formData = new FormData();
+    for (const file of files) {
+      formData.append("database", file);
+    }
+    const request = new Request("http://localhost:3001/api/upload", {
+      method: "POST",
+      body: formData,
+    });
+    request.user = owner;
+    return request;
+  }
+
+  test("should convert CSV files into a queryable database", async () => {
+    const request = createCsvRequest([
+      new File(["id,name\n1,Ada\n2,Grace\n"], "people.csv"),
+      new File(["id\tscore\n1\t9.5\n"], "scores.tsv"),
+    ]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.success).toBe(true);
+      expect(body.filename).toMatch(/^[0-9a-f]{64}\.db$/);
+      expect(body.tables.map((table) => table.name)).toEqual([
+        "people",
+        "scores",
+      ]);
+
+      const db = new Database(join("./uploads", body.filename), {
+        readonly: true,
+      });
+      const rows = db.prepare("SELECT * FROM people ORDER BY id").all();
+      db.close();
+      expect(rows).toEqual([
+        { id: 1, name: "Ada" },
+        { id: 2, name: "Grace" },
+      ]);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should record the uploading user as the owner", async () => {
+    const request = createCsvRequest([
+      new File(["id\n1\n"], "a.csv"),
+      new File(["id\n2\n"], "b.csv"),
+    ]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      const upload = await appDb.uploads.getByFilename(body.filename);
+      expect(upload.user_id).toBe(owner.id);
+      expect(upload.original_filename).toBe("a.csv, b.csv");
+      expect(upload.size).toBe(body.size);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should reject CSV files mixed with other files", async () => {
+    const request = createCsvRequest([
+      new File(["a\n1\n"], "data.csv"),
+      new File(["SQLite format 3\0"], "app.db"),
+    ]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toContain("can't be mixed");
+  });
+
+  test("should report CSV files that can't be imported", async () => {
+    const request = createCsvRequest([new File(["\n\n"], "blank.csv")]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe("Could not import blank.csv: File is empty");
+  });
+});
+
+describe("JSON Upload", () => {
+  test("should register flattened JSON tables like any other database", async () => {
+    const formData = new FormData();
+    formData.append(
+      "database",
+      new File(
+        ['{"id":1,"customer":{"name":"Ada"},"items":[{"sku":"A"}]}\n'],
+        "orders.ndjson",
+      ),
+    );
+    const request = new Request("http://localhost:3001/api/upload", {
+      method: "POST",
+      body: formData,
+    });
+    request.user = owner;
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.tables.map((table) => table.name)).toEqual([
+        "orders",
+        "orders_items",
+      ]);
+
+      const schema = await new DatabaseManager(
+        join("./uploads", body.filename),
+      ).getSchema();
+      expect(Object.keys(schema)).toEqual(["orders", "orders_items"]);
+      expect(schema.orders.columns.map((col) => col.name)).toEqual([
+        "_id",
+        "id",
+        "customer.name",
+      ]);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+});
+
+describe("SQL Script Upload", () => {
+  function createSqlRequest(files) {
+    const formData = new FormData();
+    for (const file of files) {
+      formData.append("database", file);
+    }
+    const request = new Request("http://localhost:3001/api/upload", {
+      method: "POST",
+      body: formData,
+    });
+    request.user = owner;
+    return request;
+  }
+
+  test("should run a SQL dump into a new database", async () => {
+    const request = createSqlRequest([
+      new File(
+        [
+          "BEGIN TRANSACTION;\nCREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT);\nINSERT INTO notes VALUES (1, 'a; b');\nCOMMIT;\n",
+        ],
+        "dump.sql",
+      ),
+    ]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.success).toBe(true);
+      expect(body.statementCount).toBe(4);
+
+      const db = new Database(join("./uploads", body.filename), {
+        readonly: true,
+      });
+      const rows = db.prepare("SELECT * FROM notes").all();
+      db.close();
+      expect(rows).toEqual([{ id: 1, body: "a; b" }]);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should report failing statements with line numbers", async () => {
+    const request = createSqlRequest([
+      new File(
+        [
+          "CREATE TABLE t (id INTEGER);\n\nINSERT INTO missing VALUES (1);\nATTACH 'other.db' AS other;\n",
+        ],
+        "broken.sql",
+      ),
+    ]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe("2 statements failed, nothing was imported");
+    expect(body.details.map((detail) => detail.line)).toEqual([3, 4]);
+    expect(body.details[0].error).toContain("no such table");
+    expect(body.details[1].error).toBe(
+      "ATTACH is not allowed in imported scripts",
+    );
+  });
+
+  test("should reject SQL scripts mixed with other files", async () => {
+    const request = createSqlRequest([
+      new File(["CREATE TABLE t (id);"], "dump.sql"),
+      new File(["a\n1\n"], "data.csv"),
+    ]);
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toContain("on their own");
+  });
+});
+
+describe("Compressed Upload", () => {
+  function createArchiveRequest(file) {
+    const formData = new FormData();
+    formData.append("database", file);
+    const request = new Request("http://localhost:3001/api/upload", {
+      method: "POST",
+      body: formData,
+    });
+    request.user = owner;
+    return request;
+  }
+
+  function createSqliteBuffer() {
+    const db = new Database(":memory:");
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)");
+    db.exec("INSERT INTO items (name) VALUES ('widget')");
+    const buffer = db.serialize();
+    db.close();
+    return buffer;
+  }
+
+  test("should decompress a gzipped SQLite database", async () => {
+    const raw = createSqliteBuffer();
+    const request = createArchiveRequest(
+      new File([gzipSync(raw)], "app.db.gz"),
+    );
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.size).toBe(raw.length);
+
+      const db = new Database(join("./uploads", body.filename), {
+        readonly: true,
+      });
+      const rows = db.prepare("SELECT name FROM items").all();
+      db.close();
+      expect(rows).toEqual([{ name: "widget" }]);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should import every CSV file in a zip archive", async () => {
+    const request = createArchiveRequest(
+      new File(
+        [
+          createZip([
+            { name: "export/people.csv", data: "id,name\n1,Ada\n" },
+            { name: "export/scores.csv", data: "id,score\n1,9\n" },
+            { name: "__MACOSX/export/._people.csv", data: "junk" },
+          ]),
+        ],
+        "export.zip",
+      ),
+    );
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.tables.map((table) => table.name)).toEqual([
+        "people",
+        "scores",
+      ]);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should pick the SQLite database out of a zip archive", async () => {
+    const request = createArchiveRequest(
+      new File(
+        [
+          createZip([
+            { name: "README.txt", data: "backup" },
+            { name: "backup.sqlite", data: createSqliteBuffer() },
+          ]),
+        ],
+        "backup.zip",
+      ),
+    );
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.message).toBe("Database uploaded successfully");
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should validate the decompressed SQLite header", async () => {
+    const request = createArchiveRequest(
+      new File([gzipSync("not a database")], "app.db.gz"),
+    );
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe("Invalid SQLite file format");
+  });
+
+  test("should reject archives without a usable file", async () => {
+    const request = createArchiveRequest(
+      new File([createZip([{ name: "notes.txt", data: "hi" }])], "notes.zip"),
+    );
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe(
+      "Archive doesn't contain a SQLite database, CSV, TSV, JSON or SQL file",
+    );
+  });
+
+  test("should report corrupt archives", async () => {
+    const request = createArchiveRequest(
+      new File(["definitely not gzip"], "app.db.gz"),
+    );
+
+    const response = await handleUpload(request);
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe(
+      "Could not extract app.db.gz: File is not a valid gzip archive",
+    );
+  });
+});
+
+describe("Chunked Upload", () => {
+  function createSqliteBuffer() {
+    const db = new Database(":memory:");
+    db.exec("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)");
+    db.exec("INSERT INTO items (name) VALUES ('widget')");
+    const buffer = db.serialize();
+    db.close();
+    return buffer;
+  }
+
+  async function initUpload(data, filename = "big.db") {
+    const request = new Request("http://localhost:3001/api/upload/chunked", {
+      method: "POST",
+      body: JSON.stringify({
+        filename,
+        size: data.length,
+        checksum: createHash("sha256").update(data).digest("hex"),
+      }),
+    });
+    request.user = owner;
+    return (await handleChunkedUploadInit(request)).json();
+  }
+
+  async function putChunk(uploadId, offset, chunk) {
+    const request = new Request(
+      `http://localhost:3001/api/upload/chunked/${uploadId}?offset=${offset}`,
+      { method: "PUT", body: chunk },
+    );
+    request.params = { id: uploadId };
+    request.user = owner;
+    return handleChunkedUploadChunk(request);
+  }
+
+  function createIdRequest(uploadId, path = "") {
+    const request = new Request(
+      `http://localhost:3001/api/upload/chunked/${uploadId}${path}`,
+      { method: path ? "POST" : "GET" },
+    );
+    request.params = { id: uploadId };
+    request.user = owner;
+    return request;
+  }
+
+  test("should assemble chunks, verify the checksum and register the database", async () => {
+    const data = Buffer.from(createSqliteBuffer());
+    const { uploadId, receivedBytes } = await initUpload(data);
+    expect(receivedBytes).toBe(0);
+
+    const half = Math.floor(data.length / 2);
+    await putChunk(uploadId, 0, data.subarray(0, half));
+
+    // Resume: ask the server how far it got
+    const status = await (
+      await handleChunkedUploadStatus(createIdRequest(uploadId))
+    ).json();
+    expect(status.receivedBytes).toBe(half);
+
+    await putChunk(uploadId, half, data.subarray(half));
+
+    const response = await handleChunkedUploadComplete(
+      createIdRequest(uploadId, "/complete"),
+    );
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.size).toBe(data.length);
+
+      const db = new Database(join("./uploads", body.filename), {
+        readonly: true,
+      });
+      const rows = db.prepare("SELECT name FROM items").all();
+      db.close();
+      expect(rows).toEqual([{ name: "widget" }]);
+
+      const gone = await handleChunkedUploadStatus(createIdRequest(uploadId));
+      expect(gone.status).toBe(404);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should let only one of two concurrent requests complete an upload", async () => {
+    const data = Buffer.from(createSqliteBuffer());
+    const { uploadId } = await initUpload(data);
+    await putChunk(uploadId, 0, data);
+
+    const responses = await Promise.all([
+      handleChunkedUploadComplete(createIdRequest(uploadId, "/complete")),
+      handleChunkedUploadComplete(createIdRequest(uploadId, "/complete")),
+    ]);
+    const completed = responses.find((response) => response.status === 200);
+    const body = await completed.json();
+
+    try {
+      expect(responses.map((response) => response.status).sort()).toEqual([
+        200, 409,
+      ]);
+
+      const again = await handleChunkedUploadComplete(
+        createIdRequest(uploadId, "/complete"),
+      );
+      expect(again.status).toBe(404);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should run chunked CSV uploads through the importer", async () => {
+    const data = Buffer.from("id,name\n1,Ada\n");
+    const { uploadId } = await initUpload(data, "people.csv");
+    await putChunk(uploadId, 0, data);
+
+    const response = await handleChunkedUploadComplete(
+      createIdRequest(uploadId, "/complete"),
+    );
+    const body = await response.json();
+
+    try {
+      expect(response.status).toBe(200);
+      expect(body.tables.map((table) => table.name)).toEqual(["people"]);
+    } finally {
+      await cleanupUploadedFile(body.filename);
+    }
+  });
+
+  test("should tell the client where to resume after a mismatched offset", async () => {
+    const data = Buffer.from("hello world");
+    const { uploadId } = await initUpload(data, "notes.csv");
+    await putChunk(uploadId, 0, data.subarray(0, 5));
+
+    const response = await putChunk(uploadId, 0, data.subarray(0, 5));
+    const body = await response.json();
+
+    expect(response.status).toBe(409);
+    expect(body.receivedBytes).toBe(5);
+
+    await removeChunkedUpload(uploadId);
+  });
+
+  test("should reject uploads whose checksum doesn't match", async () => {
+    const data = Buffer.from("hello world");
+    const { uploadId } = await initUpload(data, "notes.csv");
+    await putChunk(uploadId, 0, Buffer.from("HELLO WORLD"));
+
+    const response = await handleChunkedUploadComplete(
+      createIdRequest(uploadId, "/complete"),
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe("Checksum mismatch: the uploaded file is corrupt");
+  });
+
+  test("should refuse chunks bigger than the chunk size before storing them", async () => {
+    const data = Buffer.from(createSqliteBuffer());
+    const { uploadId } = await initUpload(data);
+    const oversized = new Uint8Array(UPLOAD_CHUNK_SIZE + 1);
+
+    try {
+      const declared = await putChunk(uploadId, 0, oversized);
+      expect(declared.status).toBe(413);
+
+      // Without a Content-Length the body is cut off once it's too big
+      const streamed = await putChunk(
+        uploadId,
+        0,
+        new ReadableStream({
+          pull(controller) {
+            controller.enqueue(oversized);
+            controller.close();
+          },
+        }),
+      );
+      expect(streamed.status).toBe(413);
+      expect((await streamed.json()).error).toBe(
+        `Chunks must be at most ${UPLOAD_CHUNK_SIZE} bytes`,
+      );
+
+      const status = await (
+        await handleChunkedUploadStatus(createIdRequest(uploadId))
+      ).json();
+      expect(status.receivedBytes).toBe(0);
+    } finally {
+      await removeChunkedUpload(uploadId);
+    }
+  });
+
+  test("should reject chunked uploads over the size limit", async () => {
+    const request = new Request("http://localhost:3001/api/upload/chunked", {
+      method: "POST",
+      body: JSON.stringify({
+        filename: "huge.db",
+        size: MAX_FILE_SIZE + 1,
+        checksum: "0".repeat(64),
+      }),
+    });
+    request.user = owner;
+
+    const response = await handleChunkedUploadInit(request);
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe(
+      "File too large. Maximum size is 100MB",
+    );
+  });
+});
+
+describe("Deduplication", () => {
+  function createRequest(user, content) {
+    const formData = new FormData();
+    formData.append("database", new File([content], "snapshot.csv"));
+    const request = new Request("http://localhost:3001/api/upload", {
+      method: "POST",
+      body: formData,
+    });
+    request.user = user;
+    return request;
+  }
+
+  test("should store identical uploads once under their content hash", async () => {
+    const content = "id,name\n1,nightly\n";
+    const first = await (
+      await handleUpload(createRequest(owner, content))
+    ).json();
+    const second = await (
+      await handleUpload(createRequest(owner, content))
+    ).json();
+
+    try {
+      const bytes = await Bun.file(join("./uploads", first.filename)).bytes();
+      expect(first.filename).toBe(
+        `${createHash("sha256").update(bytes).digest("hex")}.db`,
+      );
+      expect(first.duplicate).toBeUndefined();
+      expect(second.filename).toBe(first.filename);
+      expect(second.duplicate).toBe(true);
+      expect(await appDb.uploads.countByFilename(first.filename)).toBe(1);
+    } finally {
+      await cleanupUploadedFile(first.filename);
+    }
+  });
+
+  test("should give each user their own reference to a shared file", async () => {
+    const teammate = await appDb.users.create("teammate@example.com");
+    const content = "id,name\n1,shared\n";
+    const mine = await (
+      await handleUpload(createRequest(owner, content))
+    ).json();
+    const theirs = await (
+      await handleUpload(createRequest(teammate, content))
+    ).json();
+
+    try {
+      expect(theirs.filename).toBe(mine.filename);
+      expect(theirs.duplicate).toBeUndefined();
+      expect(await appDb.uploads.countByFilename(mine.filename)).toBe(2);
+      expect(
+        await appDb.uploads.getOwnedByUser(theirs.filename, teammate.id),
+      ).toBeTruthy();
+    } finally {
+      await cleanupUploadedFile(mine.filename);
+    }
+  });
+});
+
+describe("Integrity Check", () => {
+  function createDatabaseRequest(bytes) {
+    const formData = new FormData();
+    formData.append("database", new File([bytes], "broken.db"));
+    const request = new Request("http://localhost:3001/api/upload", {
+      method: "POST",
+      body: formData,
+    });
+    request.user = owner;
+    return request;
+  }
+
+  test("should quarantine truncated databases with a report", async () => {
+    const db = new Database(":memory:");
+    db.exec("PRAGMA page_size = 1024");
+    db.exec("CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)");
+    db.exec(
+      "INSERT INTO notes (body) SELECT printf('%.500c', 'x') FROM (SELECT 1 UNION SELECT 2 UNION SELECT 3 UNION SELECT 4)",
+    );
+    const bytes = Buffer.from(db.serialize());
+    db.close();
+
+    const response = await handleUpload(
+      createDatabaseRequest(bytes.subarray(0, bytes.length - 1024)),
+    );
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe(
+      "Database is truncated: part of the file is missing",
+    );
+    expect(body.details[0].error).toContain("Header expects");
+
+    const quarantined = await readdir("./uploads/.quarantine");
+    const reportName = quarantined.find((name) => name.endsWith(".json"));
+    const report = await Bun.file(
+      join("./uploads/.quarantine", reportName),
+    ).json();
+    expect(report.originalFilename).toBe("broken.db");
+    expect(report.userId).toBe(owner.id);
+    expect(quarantined).toContain(`${report.id}.db`);
+
+    await rm("./uploads/.quarantine", { recursive: true, force: true });
+  });
+
+  test("should refuse databases in WAL mode", async () => {
+    const db = new Database(":memory:");
+    db.exec("CREATE TABLE notes (id INTEGER PRIMARY KEY)");
+    const bytes = Buffer.from(db.serialize());
+    db.close();
+    // File format version numbers of 2 mark a WAL-mode database
+    bytes[18] = 2;
+    bytes[19] = 2;
+
+    const response = await handleUpload(createDatabaseRequest(bytes));
+    const body = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(body.error).toBe(
+      "Database is in WAL mode, so recent changes may be in a -wal file that wasn't uploaded; checkpoint the database before uploading",
+    );
+    expect(body.details[0].error).toContain("PRAGMA journal_mode=DELETE");
+  });
+});